@@ -0,0 +1,516 @@
+import { escapeHtml } from './lib/html.js';
+import { describeVehicles, VEHICLE_NAMES } from './lib/pricing.js';
+
+// ===== CONFIGURATION =====
+const API_BASE_URL = window.location.origin;
+const TOKEN_KEY = 'mssAdminToken';
+const CHANNEL_NAMES = { email: 'Email only', sms: 'Email + SMS', whatsapp: 'Email + WhatsApp' };
+
+// ===== GLOBAL VARIABLES =====
+let map = null;
+let routeLayer = null;
+let bookings = [];
+let selectedBooking = null;
+
+// ===== INITIALIZATION =====
+document.addEventListener('DOMContentLoaded', function() {
+    const vehicleSelect = document.getElementById('filterVehicle');
+    const offRoadSelect = document.getElementById('offRoadVehicle');
+    Object.entries(VEHICLE_NAMES).forEach(([value, label]) => {
+        vehicleSelect.add(new Option(label, value));
+        offRoadSelect.add(new Option(label, value));
+    });
+
+    document.getElementById('loginForm').addEventListener('submit', handleLogin);
+    document.getElementById('signOutBtn').addEventListener('click', signOut);
+    document.getElementById('filterForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        loadBookings();
+    });
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('confirmBtn').addEventListener('click', () => runAction('confirm'));
+    document.getElementById('rejectBtn').addEventListener('click', rejectBooking);
+    document.getElementById('resendBtn').addEventListener('click', () => runAction('resend'));
+    document.getElementById('remindBtn').addEventListener('click', () => runAction('remind'));
+    document.getElementById('quotePdfBtn').addEventListener('click', () => openDocument('quote'));
+    document.getElementById('invoicePdfBtn').addEventListener('click', () => openDocument('invoice'));
+    document.getElementById('rescheduleForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        runAction('reschedule', {
+            date: document.getElementById('rescheduleDate').value,
+            time: document.getElementById('rescheduleTime').value
+        });
+    });
+    document.getElementById('fleetDateForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        loadFleet();
+    });
+    document.getElementById('offRoadForm').addEventListener('submit', addOffRoadPeriod);
+    document.getElementById('fleetDate').value = localDate(new Date());
+
+    if (sessionStorage.getItem(TOKEN_KEY)) {
+        showDashboard();
+    }
+});
+
+// ===== SESSION =====
+async function handleLogin(event) {
+    event.preventDefault();
+    const errorEl = document.getElementById('loginError');
+    errorEl.style.display = 'none';
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/admin/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: document.getElementById('adminPassword').value })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Sign in failed');
+        }
+
+        sessionStorage.setItem(TOKEN_KEY, result.token);
+        document.getElementById('adminPassword').value = '';
+        showDashboard();
+
+    } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.style.display = 'block';
+    }
+}
+
+function signOut() {
+    sessionStorage.removeItem(TOKEN_KEY);
+    selectedBooking = null;
+    document.getElementById('dashboardView').hidden = true;
+    document.getElementById('signOutBtn').hidden = true;
+    document.getElementById('loginView').hidden = false;
+}
+
+function showDashboard() {
+    document.getElementById('loginView').hidden = true;
+    document.getElementById('dashboardView').hidden = false;
+    document.getElementById('signOutBtn').hidden = false;
+    loadBookings();
+    loadFleet();
+}
+
+async function apiFetch(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_KEY)}`
+        }
+    });
+
+    if (response.status === 401) {
+        signOut();
+        throw new Error('Your session has expired. Please sign in again.');
+    }
+
+    return response;
+}
+
+// ===== BOOKING LIST =====
+function filterQuery() {
+    const params = new URLSearchParams();
+    const filters = {
+        from: document.getElementById('filterFrom').value,
+        to: document.getElementById('filterTo').value,
+        status: document.getElementById('filterStatus').value,
+        vehicle: document.getElementById('filterVehicle').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params;
+}
+
+async function loadBookings() {
+    try {
+        const response = await apiFetch(`/api/bookings?${filterQuery()}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load bookings');
+
+        bookings = result.bookings;
+        renderBookings();
+
+        if (selectedBooking) {
+            const stillListed = bookings.find(b => b.bookingReference === selectedBooking.bookingReference);
+            if (stillListed) openBooking(stillListed.bookingReference);
+        }
+
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+function renderBookings() {
+    const rows = document.getElementById('bookingRows');
+    document.getElementById('bookingCount').textContent = `(${bookings.length})`;
+
+    if (bookings.length === 0) {
+        rows.innerHTML = '<tr><td colspan="6" class="admin-empty">No bookings match these filters</td></tr>';
+        return;
+    }
+
+    rows.innerHTML = bookings.map(booking => `
+        <tr data-reference="${escapeHtml(booking.bookingReference)}"
+            class="${booking.bookingReference === selectedBooking?.bookingReference ? 'selected' : ''}">
+            <td>${escapeHtml(booking.bookingReference)}</td>
+            <td>${escapeHtml(booking.date)}<span class="muted">${escapeHtml(booking.time)}</span></td>
+            <td>${escapeHtml(booking.name)}<span class="muted">${escapeHtml(booking.phone)}</span></td>
+            <td>${escapeHtml(describeVehicles(booking.vehicleType, booking.vehicleCount))}</td>
+            <td>${formatCurrency(booking.price)}<span class="muted">${escapeHtml(booking.payment?.status || 'unpaid')}</span></td>
+            <td><span class="status-pill ${escapeHtml(booking.status)}">${escapeHtml(booking.status)}</span></td>
+        </tr>`).join('');
+
+    rows.querySelectorAll('tr[data-reference]').forEach(row => {
+        row.addEventListener('click', () => openBooking(row.dataset.reference));
+    });
+}
+
+async function exportCsv() {
+    try {
+        const params = filterQuery();
+        params.set('format', 'csv');
+        const response = await apiFetch(`/api/bookings?${params}`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Export failed');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bookings-${new Date().toISOString().split('T')[0]}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+// ===== BOOKING DETAIL =====
+async function openBooking(reference) {
+    try {
+        const response = await apiFetch(`/api/admin/bookings/${encodeURIComponent(reference)}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load booking');
+
+        selectedBooking = result.booking;
+        renderBookings();
+        renderDetail(result.booking, result.route);
+
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+function renderDetail(booking, route) {
+    const panel = document.getElementById('bookingDetail');
+    panel.hidden = false;
+    document.getElementById('detailTitle').textContent = `Booking ${booking.bookingReference}`;
+
+    const fields = [
+        ['Status', booking.status],
+        ['Customer', booking.name],
+        ['Email', booking.email],
+        ['Phone', booking.phone],
+        ['Pickup', booking.pickup],
+        ...(booking.stops || []).map((stop, index) => [`Stop ${index + 1}`, stop.address]),
+        ['Drop-off', booking.dropoff],
+        ['Date & Time', `${booking.date} ${booking.time}`],
+        ['Trip Type', booking.tripType === 'return' ? 'Return Trip' : 'Single Trip'],
+        ['Return', booking.tripType === 'return' ? `${booking.sameDayReturn !== 'no' ? 'Same day' : booking.returnDate || ''} ${booking.returnTime || ''}`.trim() : ''],
+        ['Return Pickup', booking.returnRoute?.pickupAddress || ''],
+        ['Return Drop-off', booking.returnRoute?.dropoffAddress || ''],
+        ['Passengers', booking.passengers],
+        ['Vehicle', describeVehicles(booking.vehicleType, booking.vehicleCount)],
+        ['Distance', booking.distance ? `${booking.distance} km${booking.returnRoute ? ` + ${booking.returnRoute.distance} km back` : ''}` : ''],
+        ['Price', formatCurrency(booking.price)],
+        ['Discount', booking.discount ? `${booking.discount.label}: ${formatCurrency(booking.discount.amount)} off` : ''],
+        ['Fare Difference', booking.fareDifference ? `${booking.fareDifference > 0 ? '+' : '-'}${formatCurrency(Math.abs(booking.fareDifference))} at the rescheduled time (not charged)` : ''],
+        ['Payment', booking.payment ? `${booking.payment.status} (${booking.payment.gateway})` : 'Not started'],
+        ['Refund Due', (booking.refundsDue || []).map(refund => `${formatCurrency(refund.amount)} (${refund.gateway} ${refund.paymentId || refund.sessionId}): ${refund.reason}`).join('; ')],
+        ['Invoice', booking.invoice ? `${booking.invoice.number} (${new Date(booking.invoice.issuedAt).toLocaleDateString('en-ZA')})` : ''],
+        ['Driver', booking.driver ? [booking.driver.name, booking.driver.phone, booking.driver.vehicleRegistration].filter(Boolean).join(', ') : ''],
+        ['Cancellation', booking.cancellationReason || ''],
+        ['Reminder Sent', booking.remindedAt ? new Date(booking.remindedAt).toLocaleString('en-ZA') : ''],
+        ['Updates By', CHANNEL_NAMES[booking.notificationChannel] || ''],
+        ['Emails', describeDelivery(booking.emailDelivery)],
+        ['Messages', describeDelivery(booking.messageDelivery)],
+        ['Created', new Date(booking.createdAt).toLocaleString('en-ZA')]
+    ];
+
+    document.getElementById('detailFields').innerHTML = fields
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join('');
+
+    const isOpen = ['quoted', 'confirmed', 'assigned'].includes(booking.status);
+    document.getElementById('confirmBtn').disabled = booking.status !== 'quoted';
+    document.getElementById('rejectBtn').disabled = !isOpen;
+    document.getElementById('remindBtn').disabled = !isOpen;
+    document.getElementById('invoicePdfBtn').disabled = !booking.invoice;
+    document.getElementById('rescheduleForm').querySelector('button').disabled = !isOpen;
+    document.getElementById('rescheduleDate').value = /^\d{4}-\d{2}-\d{2}$/.test(booking.date) ? booking.date : '';
+    document.getElementById('rescheduleTime').value = /^\d{2}:\d{2}$/.test(booking.time) ? booking.time : '';
+
+    showRoute(booking, route);
+}
+
+// Latest email or message of each kind, e.g. "quote: sent, owner-booking: retrying (2 attempts)"
+function describeDelivery(delivery = {}) {
+    return Object.entries(delivery)
+        .map(([template, entry]) => entry.status === 'sent'
+            ? `${template}: sent`
+            : `${template}: ${entry.status} (${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'})`)
+        .join(', ');
+}
+
+function showRoute(booking, route) {
+    if (typeof L === 'undefined') return;
+
+    if (!map) {
+        map = L.map('detailMap');
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(map);
+        routeLayer = L.layerGroup().addTo(map);
+    }
+
+    routeLayer.clearLayers();
+    const points = [];
+
+    if (booking.pickupCoords) {
+        const latLng = [booking.pickupCoords[1], booking.pickupCoords[0]];
+        routeLayer.addLayer(L.marker(latLng).bindPopup(`<b>Pickup:</b><br>${escapeHtml(booking.pickup)}`));
+        points.push(latLng);
+    }
+    (booking.stops || []).forEach((stop, index) => {
+        const latLng = [stop.coords[1], stop.coords[0]];
+        routeLayer.addLayer(L.marker(latLng).bindPopup(`<b>Stop ${index + 1}:</b><br>${escapeHtml(stop.address)}`));
+        points.push(latLng);
+    });
+    if (booking.dropoffCoords) {
+        const latLng = [booking.dropoffCoords[1], booking.dropoffCoords[0]];
+        routeLayer.addLayer(L.marker(latLng).bindPopup(`<b>Drop-off:</b><br>${escapeHtml(booking.dropoff)}`));
+        points.push(latLng);
+    }
+
+    // Without a routed line, a dashed straight line still shows the trip
+    const line = route?.geometry?.length
+        ? L.polyline(route.geometry, { color: '#3b82f6', weight: 5, opacity: 0.8 })
+        : L.polyline(points, { color: '#94a3b8', weight: 3, dashArray: '6 8' });
+    routeLayer.addLayer(line);
+
+    map.invalidateSize();
+    if (points.length > 0) {
+        map.fitBounds(line.getBounds().extend(L.latLngBounds(points)), { padding: [30, 30], maxZoom: 15 });
+    } else {
+        map.setView([-26.2041, 28.0473], 10);
+    }
+}
+
+// ===== ACTIONS =====
+async function openDocument(type) {
+    if (!selectedBooking) return;
+
+    // Opened before the download so popup blockers allow it
+    const tab = window.open('', '_blank');
+    try {
+        const params = new URLSearchParams({ type, reference: selectedBooking.bookingReference });
+        const response = await apiFetch(`/api/documents?${params}`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Failed to load document');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        if (tab) {
+            tab.location = url;
+        } else {
+            window.location.assign(url);
+        }
+
+    } catch (error) {
+        if (tab) tab.close();
+        showStatus(error.message, 'error');
+    }
+}
+
+function rejectBooking() {
+    const reason = window.prompt('Reason for rejecting this booking (sent to the customer):', 'We are unable to accommodate this booking');
+    if (reason === null) return;
+    runAction('reject', { reason });
+}
+
+async function runAction(action, details = {}) {
+    if (!selectedBooking) return;
+    const reference = selectedBooking.bookingReference;
+
+    try {
+        const response = await apiFetch(`/api/admin/bookings/${encodeURIComponent(reference)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action, ...details })
+        });
+        const result = await response.json();
+        
+        if (response.status === 409 && result.code === 'VEHICLE_UNAVAILABLE' && !details.force) {
+            const suggestions = (result.alternatives?.times || []).map(slot => `${slot.date} ${slot.time}`).join(', ');
+            const override = window.confirm(`${result.error}.${suggestions ? ` Free times: ${suggestions}.` : ''}\n\n${action === 'confirm' ? 'Confirm' : 'Reschedule'} anyway?`);
+            if (override) runAction(action, { ...details, force: true });
+            return;
+        }
+        
+        if (!response.ok || !result.success) throw new Error(result.error || 'Action failed');
+
+        const messages = {
+            confirm: 'Booking confirmed',
+            reject: 'Booking rejected',
+            reschedule: 'Booking rescheduled',
+            resend: 'Email sent again',
+            remind: 'Reminder sent'
+        };
+        const emailOnly = action === 'resend' || action === 'remind';
+        const emailNote = emailOnly || result.emailSent ? '' : ' (the customer email could not be sent)';
+        const fareNote = action === 'reschedule' && result.booking?.fareDifference
+            ? `. The fare at the new time differs by ${formatCurrency(result.booking.fareDifference)}`
+            : '';
+        showStatus(`${messages[action]}: ${reference}${emailNote}${fareNote}`, result.emailSent || emailOnly ? 'success' : 'info');
+
+        await loadBookings();
+        loadFleet();
+
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+// ===== FLEET =====
+let fleet = {};
+
+async function loadFleet() {
+    try {
+        const date = document.getElementById('fleetDate').value;
+        const response = await apiFetch(`/api/admin/fleet${date ? `?date=${date}` : ''}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load the fleet');
+
+        fleet = result.fleet;
+        renderFleet(result.calendar);
+
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+function renderFleet(calendar) {
+    const rows = document.getElementById('fleetRows');
+
+    rows.innerHTML = Object.entries(fleet).map(([vehicleType, entry]) => {
+        const day = calendar[vehicleType] || { peak: 0, entries: [] };
+        const slots = day.entries.map(slot => slot.type === 'booking'
+            ? `<span class="fleet-slot">${formatTime(slot.start)}–${formatTime(slot.end)} ${escapeHtml(slot.reference)}</span>`
+            : `<span class="fleet-slot off-road">${formatTime(slot.start)}–${formatTime(slot.end)} off road ×${slot.count}${slot.reason ? `: ${escapeHtml(slot.reason)}` : ''}</span>`
+        ).join('') || '<span class="muted">Free all day</span>';
+        const offRoad = entry.unavailable.map((period, index) => `
+            <span class="fleet-slot off-road">${escapeHtml(new Date(period.from).toLocaleString('en-ZA'))} → ${escapeHtml(new Date(period.to).toLocaleString('en-ZA'))}
+                <button type="button" title="Remove" data-remove="${escapeHtml(vehicleType)}" data-index="${index}"><i class="fas fa-times"></i></button></span>`).join('');
+
+        return `
+        <tr>
+            <td>${escapeHtml(VEHICLE_NAMES[vehicleType])}</td>
+            <td>
+                <input type="number" min="0" value="${entry.count}" data-count="${escapeHtml(vehicleType)}">
+                <button type="button" class="btn btn-secondary" data-save="${escapeHtml(vehicleType)}">Save</button>
+            </td>
+            <td class="${day.peak >= entry.count ? 'fleet-full' : ''}">${day.peak} / ${entry.count}</td>
+            <td>${slots}${offRoad ? `<div>${offRoad}</div>` : ''}</td>
+        </tr>`;
+    }).join('');
+
+    rows.querySelectorAll('[data-save]').forEach(button => {
+        button.addEventListener('click', () => {
+            const vehicleType = button.dataset.save;
+            const count = parseInt(rows.querySelector(`[data-count="${vehicleType}"]`).value, 10);
+            saveFleet({ vehicleType, count });
+        });
+    });
+
+    rows.querySelectorAll('[data-remove]').forEach(button => {
+        button.addEventListener('click', () => {
+            const vehicleType = button.dataset.remove;
+            const unavailable = fleet[vehicleType].unavailable.filter((_, index) => index !== Number(button.dataset.index));
+            saveFleet({ vehicleType, unavailable });
+        });
+    });
+}
+
+function addOffRoadPeriod(event) {
+    event.preventDefault();
+    const vehicleType = document.getElementById('offRoadVehicle').value;
+    const period = {
+        from: new Date(document.getElementById('offRoadFrom').value).toISOString(),
+        to: new Date(document.getElementById('offRoadTo').value).toISOString(),
+        count: parseInt(document.getElementById('offRoadCount').value, 10) || 1,
+        reason: document.getElementById('offRoadReason').value.trim()
+    };
+    saveFleet({ vehicleType, unavailable: [...fleet[vehicleType].unavailable, period] });
+}
+
+async function saveFleet(changes) {
+    try {
+        const response = await apiFetch('/api/admin/fleet', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) throw new Error(result.error || 'Failed to update the fleet');
+
+        showStatus(`${VEHICLE_NAMES[changes.vehicleType]} fleet updated`, 'success');
+        loadFleet();
+
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+// ===== HELPER FUNCTIONS =====
+function showStatus(message, type) {
+    const statusEl = document.getElementById('adminStatus');
+    statusEl.textContent = message;
+    statusEl.className = `status-message ${type}`;
+    statusEl.style.display = 'block';
+
+    if (type === 'success') {
+        setTimeout(() => {
+            statusEl.style.display = 'none';
+        }, 6000);
+    }
+}
+
+function formatCurrency(amount) {
+    return new Intl.NumberFormat('en-ZA', {
+        style: 'currency',
+        currency: 'ZAR',
+        minimumFractionDigits: 2
+    }).format(Number(amount) || 0);
+}
+
+function formatTime(value) {
+    return new Date(value).toLocaleTimeString('en-ZA', { hour: '2-digit', minute: '2-digit' });
+}
+
+function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
@@ -0,0 +1,78 @@
+import { timingSafeEqual } from 'node:crypto';
+import { isSigningConfigured, signToken, verifyToken } from './tokens.js';
+
+// ===== ADMIN ACCESS =====
+// Admin routes accept either the ADMIN_API_KEY (scripts, integrations) or a
+// session token from POST /api/admin/login (the dashboard, which signs in
+// with ADMIN_PASSWORD). Both travel as "Authorization: Bearer <token>".
+
+export const ADMIN_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Check the request carries the admin API key or a valid admin session.
+ * Sends the error response itself when it doesn't.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {boolean} True when the caller may continue
+ */
+export function requireAdmin(req, res) {
+    const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+    if (!ADMIN_API_KEY && !isAdminLoginConfigured()) {
+        console.error('ADMIN_API_KEY or ADMIN_PASSWORD environment variable is not configured');
+        res.status(500).json({
+            success: false,
+            error: 'Server configuration error: Admin access not configured'
+        });
+        return false;
+    }
+
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    const validKey = Boolean(ADMIN_API_KEY) && safeEqual(token, ADMIN_API_KEY);
+    const validSession = !validKey && isSigningConfigured() && verifyToken('admin-session', token).valid;
+
+    if (!validKey && !validSession) {
+        res.status(401).json({
+            success: false,
+            error: 'Unauthorized'
+        });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check the request comes from a Vercel cron job, which sends
+ * "Authorization: Bearer <CRON_SECRET>"
+ * @param {Object} req - Request
+ * @returns {boolean}
+ */
+export function isCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    return Boolean(secret) && safeEqual(req.headers.authorization || '', `Bearer ${secret}`);
+}
+
+export function isAdminLoginConfigured() {
+    return Boolean(process.env.ADMIN_PASSWORD) && isSigningConfigured();
+}
+
+/**
+ * Exchange the admin password for a session token
+ * @param {string} password - Password from the login form
+ * @returns {{token: string, issuedAt: string, expiresAt: string}|null} Session, or null if the password is wrong
+ */
+export function createAdminSession(password) {
+    if (!isAdminLoginConfigured() || !safeEqual(password || '', process.env.ADMIN_PASSWORD)) {
+        return null;
+    }
+    return signToken('admin-session', { role: 'admin' }, ADMIN_SESSION_TTL_SECONDS);
+}
+
+export function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && timingSafeEqual(left, right);
+}
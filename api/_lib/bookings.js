@@ -0,0 +1,92 @@
+import { getStore } from './store.js';
+
+// ===== BOOKING RECORDS =====
+// Bookings are stored with the same fields the email templates use, so any
+// stored booking can be re-rendered into an email later.
+
+const COLLECTION = 'bookings';
+
+/**
+ * Save a new booking
+ * @param {Object} bookingData - Booking fields, including bookingReference
+ * @returns {Promise<Object>} Stored booking
+ */
+export async function saveBooking(bookingData) {
+    const now = new Date().toISOString();
+    const booking = {
+        ...bookingData,
+        status: 'quoted',
+        statusHistory: [{ status: 'quoted', at: now, actor: 'customer' }],
+        createdAt: now,
+        updatedAt: now
+    };
+    await getStore().put(COLLECTION, booking.bookingReference, booking);
+    return booking;
+}
+
+/**
+ * Fetch a booking by reference
+ * @param {string} reference - Booking reference (MSS-...)
+ * @returns {Promise<Object|null>} Booking, or null if unknown
+ */
+export async function getBooking(reference) {
+    if (!reference) return null;
+    return getStore().get(COLLECTION, String(reference).toUpperCase());
+}
+
+/**
+ * Merge changes into a stored booking, in one atomic store update
+ * @param {string} reference - Booking reference
+ * @param {Object|Function} changes - Fields to overwrite, or a function of the current
+ *   booking that returns them (or null to leave it as it is). The function may run more
+ *   than once, so build anything that depends on the booking (e.g. a history) inside it.
+ * @returns {Promise<Object|null>} Updated booking, or null if unknown
+ */
+export async function updateBooking(reference, changes) {
+    if (!reference) return null;
+
+    let current = null;
+    const updated = await getStore().update(COLLECTION, String(reference).toUpperCase(), booking => {
+        current = booking;
+        if (!booking) return null;
+
+        const fields = typeof changes === 'function' ? changes(booking) : changes;
+        if (!fields) return null;
+
+        return {
+            ...booking,
+            ...fields,
+            bookingReference: booking.bookingReference,
+            updatedAt: new Date().toISOString()
+        };
+    });
+    return updated || current;
+}
+
+/**
+ * List bookings, optionally filtered by trip date range, status and vehicle
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Earliest trip date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.to] - Latest trip date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.status] - Only bookings in this status
+ * @param {string} [filters.vehicleType] - Only bookings for this vehicle type
+ * @returns {Promise<Object[]>} Bookings ordered by trip date and time
+ */
+export async function listBookings({ from, to, status, vehicleType } = {}) {
+    const bookings = await getStore().list(COLLECTION);
+
+    return bookings
+        .filter(booking => {
+            if (status && booking.status !== status) return false;
+            if (vehicleType && booking.vehicleType !== vehicleType) return false;
+            if ((from || to) && !isIsoDate(booking.date)) return false;
+            if (from && booking.date < from) return false;
+            if (to && booking.date > to) return false;
+            return true;
+        })
+        .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+export function isIsoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
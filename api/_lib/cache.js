@@ -0,0 +1,283 @@
+import path from 'node:path';
+import { createFileStore } from './store.js';
+
+// ===== ROUTING CACHE =====
+// Geocoding and directions answers from ORS rarely change, so repeated lookups
+// (the same airport run re-priced for another vehicle) are served from here
+// instead of spending ORS quota. Entries live in a store adapter, one
+// collection per namespace, and expire after a TTL.
+// ROUTING_CACHE picks the backend:
+//   memory - process memory (default; each serverless instance has its own),
+//            keeping the ROUTING_CACHE_MAX_ENTRIES most recently used per namespace
+//   file   - JSON file at ROUTING_CACHE_PATH, shared by processes on one machine,
+//            keeping the ROUTING_CACHE_MAX_ENTRIES most recently stored per namespace
+//   off    - no caching
+// Hit/miss counters are kept per process.
+
+export const CACHE_NAMESPACES = ['geocode', 'reverse', 'route'];
+export const DEFAULT_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+
+let cacheInstance;
+const counters = new Map();
+
+/**
+ * Get the configured cache (created once per process)
+ * @returns {Object|null} Cache, or null when caching is off
+ */
+export function getCache() {
+    if (cacheInstance === undefined) {
+        cacheInstance = createCache(process.env.ROUTING_CACHE || 'memory', process.env.ROUTING_CACHE_PATH);
+    }
+    return cacheInstance;
+}
+
+/**
+ * Replace the process-wide cache (for tests and scripts)
+ * @param {Object|null|undefined} cache - Cache, null to disable, or undefined to rebuild from config
+ */
+export function setCache(cache) {
+    cacheInstance = cache;
+}
+
+/**
+ * Create a cache by backend name
+ * @param {string} type - 'memory', 'file' or 'off'
+ * @param {string} [location] - File path for the file backend
+ * @returns {Object|null} Cache with get, set and clear, or null for 'off'
+ */
+export function createCache(type, location) {
+    switch (type) {
+        case 'off':
+            return null;
+        case 'memory':
+            return memoryCache(cacheMaxEntries());
+        case 'file':
+            return storeCache('file', createFileStore(location || defaultPath()), cacheMaxEntries());
+        default:
+            throw new Error(`Unknown ROUTING_CACHE "${type}". Use memory, file or off.`);
+    }
+}
+
+export function cacheTtlSeconds() {
+    const configured = Number(process.env.ROUTING_CACHE_TTL_SECONDS);
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_CACHE_TTL_SECONDS;
+}
+
+export function cacheMaxEntries() {
+    const configured = Number(process.env.ROUTING_CACHE_MAX_ENTRIES);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_CACHE_MAX_ENTRIES;
+}
+
+function defaultPath() {
+    // Vercel functions can only write to /tmp
+    const dir = process.env.VERCEL ? '/tmp' : path.join(process.cwd(), '.data');
+    return path.join(dir, 'routing-cache.json');
+}
+
+// Every autocomplete prefix is a new key, so the memory backend drops the least
+// recently used entries (a Map keeps insertion order) instead of growing forever
+function memoryCache(maxEntries) {
+    const namespaces = new Map();
+    const entries = (namespace) => {
+        if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+        return namespaces.get(namespace);
+    };
+
+    return {
+        backend: 'memory',
+        async get(namespace, key) {
+            const bucket = entries(namespace);
+            const entry = bucket.get(key);
+            if (!entry) return undefined;
+            bucket.delete(key);
+            if (entry.expiresAt <= Date.now()) return undefined;
+            bucket.set(key, entry);
+            return structuredClone(entry.value);
+        },
+        async set(namespace, key, value, ttlSeconds) {
+            const bucket = entries(namespace);
+            bucket.delete(key);
+            bucket.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+            while (bucket.size > maxEntries) {
+                bucket.delete(bucket.keys().next().value);
+            }
+        },
+        async size(namespace) {
+            const now = Date.now();
+            return Array.from(entries(namespace).values()).filter(entry => entry.expiresAt > now).length;
+        },
+        async clear(namespace) {
+            const bucket = entries(namespace);
+            const removed = bucket.size;
+            bucket.clear();
+            return removed;
+        }
+    };
+}
+
+// A store has no access order to go by, so each write drops the expired
+// entries and then the oldest ones over the limit
+function storeCache(backend, store, maxEntries) {
+    const collection = namespace => `cache-${namespace}`;
+
+    const prune = async (namespace) => {
+        const now = Date.now();
+        const entries = await store.list(collection(namespace));
+        const live = entries
+            .filter(entry => entry.expiresAt > now)
+            .sort((a, b) => (a.storedAt || 0) - (b.storedAt || 0));
+        const drop = [
+            ...entries.filter(entry => !(entry.expiresAt > now)),
+            ...live.slice(0, Math.max(0, live.length - maxEntries))
+        ];
+        for (const entry of drop) {
+            await store.delete(collection(namespace), entry.key);
+        }
+    };
+
+    return {
+        backend,
+        async get(namespace, key) {
+            const entry = await store.get(collection(namespace), key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                await store.delete(collection(namespace), key);
+                return undefined;
+            }
+            return entry.value;
+        },
+        async set(namespace, key, value, ttlSeconds) {
+            await store.put(collection(namespace), key, {
+                key,
+                value,
+                storedAt: Date.now(),
+                expiresAt: Date.now() + ttlSeconds * 1000
+            });
+            await prune(namespace);
+        },
+        async size(namespace) {
+            const now = Date.now();
+            const entries = await store.list(collection(namespace));
+            return entries.filter(entry => entry.expiresAt > now).length;
+        },
+        async clear(namespace) {
+            const entries = await store.list(collection(namespace));
+            for (const entry of entries) {
+                await store.delete(collection(namespace), entry.key);
+            }
+            return entries.length;
+        }
+    };
+}
+
+/**
+ * Return a cached value, or compute it and cache the result
+ * Cache failures are logged and never stop the lookup itself.
+ * @param {string} namespace - One of CACHE_NAMESPACES
+ * @param {string} key - Normalised lookup key
+ * @param {Function} compute - Async function producing the value on a miss
+ * @param {Object} [options]
+ * @param {Function} [options.shouldCache] - Decide whether a computed value is worth keeping
+ * @returns {Promise<*>} Cached or freshly computed value
+ */
+export async function cached(namespace, key, compute, { shouldCache = () => true } = {}) {
+    const cache = getCache();
+    if (!cache) return compute();
+
+    let hit;
+    try {
+        hit = await cache.get(namespace, key);
+    } catch (error) {
+        console.warn(`Cache read failed (${namespace}):`, error.message);
+    }
+
+    if (hit !== undefined) {
+        count(namespace, 'hits');
+        return hit;
+    }
+
+    count(namespace, 'misses');
+    const value = await compute();
+
+    if (shouldCache(value)) {
+        try {
+            await cache.set(namespace, key, value, cacheTtlSeconds());
+            count(namespace, 'writes');
+        } catch (error) {
+            console.warn(`Cache write failed (${namespace}):`, error.message);
+        }
+    }
+
+    return value;
+}
+
+function count(namespace, counter) {
+    if (!counters.has(namespace)) counters.set(namespace, { hits: 0, misses: 0, writes: 0 });
+    counters.get(namespace)[counter]++;
+}
+
+/**
+ * Hit/miss counters and entry counts for each namespace
+ * @returns {Promise<Object>} { backend, ttlSeconds, namespaces: { [name]: { hits, misses, writes, hitRate, entries } } }
+ */
+export async function getCacheStats() {
+    const cache = getCache();
+    const namespaces = {};
+
+    for (const namespace of CACHE_NAMESPACES) {
+        const { hits, misses, writes } = counters.get(namespace) || { hits: 0, misses: 0, writes: 0 };
+        const lookups = hits + misses;
+        namespaces[namespace] = {
+            hits,
+            misses,
+            writes,
+            hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : null,
+            entries: cache ? await cache.size(namespace) : 0
+        };
+    }
+
+    return {
+        backend: cache ? cache.backend : 'off',
+        ttlSeconds: cacheTtlSeconds(),
+        namespaces
+    };
+}
+
+/**
+ * Empty the cache and reset its counters
+ * @returns {Promise<number>} Entries removed
+ */
+export async function clearCache() {
+    const cache = getCache();
+    let removed = 0;
+    if (cache) {
+        for (const namespace of CACHE_NAMESPACES) {
+            removed += await cache.clear(namespace);
+        }
+    }
+    counters.clear();
+    return removed;
+}
+
+/**
+ * Normalise an address so trivially different spellings share a cache entry
+ * @param {string} text - Address as typed
+ * @returns {string}
+ */
+export function normalizeAddress(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[.,;]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Cache key for a list of [lng, lat] points, rounded to about a metre
+ * @param {number[][]} points - Coordinates
+ * @returns {string}
+ */
+export function coordinatesKey(points) {
+    return points.map(([lng, lat]) => `${lng.toFixed(5)},${lat.toFixed(5)}`).join(';');
+}
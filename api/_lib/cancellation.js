@@ -0,0 +1,84 @@
+import { roundCurrency } from '../../lib/pricing.js';
+import { parseTripDateTime } from '../../lib/datetime.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// ===== CANCELLATION POLICY =====
+// Free cancellation up to FREE_CANCELLATION_HOURS before pickup. Inside that
+// window a late fee applies: LATE_CANCELLATION_FEE_PERCENT of the fare
+// (default 50%, matching the no-show charge). Trips whose pickup time has
+// passed can't be cancelled online.
+
+export const FREE_CANCELLATION_HOURS = 2;
+
+// Cancel links stay usable long after the quote; the policy decides what they can do
+const CANCEL_TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+export function lateCancellationFeePercent() {
+    const configured = Number(process.env.LATE_CANCELLATION_FEE_PERCENT);
+    return Number.isFinite(configured) && configured >= 0 && configured <= 100 ? configured : 50;
+}
+
+/**
+ * Create the tokenised self-service cancel link for a booking
+ * @param {string} reference - Booking reference
+ * @param {string} baseUrl - Public base URL
+ * @returns {string} Cancel URL
+ */
+export function createCancelUrl(reference, baseUrl) {
+    const { token } = signToken('cancel', { reference }, CANCEL_TOKEN_TTL_SECONDS);
+    return `${baseUrl}/api/cancel?token=${token}`;
+}
+
+/**
+ * Read the booking reference from a cancel token
+ * @param {string} token - Token from the cancel link
+ * @returns {string|null} Booking reference, or null if the token is invalid
+ */
+export function readCancelToken(token) {
+    const result = verifyToken('cancel', token);
+    return result.valid ? result.data.reference : null;
+}
+
+/**
+ * Work out whether and at what cost a booking can be cancelled now
+ * @param {Object} booking - Stored booking
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{allowed: boolean, reason?: string, isLate: boolean, fee: number, refundDue: number, pickupAt: string|null, hoursUntilPickup: number|null}}
+ */
+export function assessCancellation(booking, now = new Date()) {
+    const pickupAt = parseTripDateTime(booking.date, booking.time);
+    const hoursUntilPickup = pickupAt ? (pickupAt.getTime() - now.getTime()) / 3600000 : null;
+    const paid = booking.payment?.status === 'paid' ? Number(booking.payment.amount) : 0;
+
+    const result = {
+        allowed: true,
+        isLate: false,
+        fee: 0,
+        refundDue: paid,
+        pickupAt: pickupAt ? pickupAt.toISOString() : null,
+        hoursUntilPickup: hoursUntilPickup === null ? null : Math.round(hoursUntilPickup * 10) / 10
+    };
+
+    if (booking.status === 'cancelled') {
+        return { ...result, allowed: false, reason: 'This booking has already been cancelled.' };
+    }
+    if (booking.status === 'completed') {
+        return { ...result, allowed: false, reason: 'This trip has already been completed.' };
+    }
+    if (hoursUntilPickup !== null && hoursUntilPickup <= 0) {
+        return { ...result, allowed: false, reason: 'The pickup time has passed. Please contact us about this booking.' };
+    }
+
+    // Flexible dates have no pickup time to measure against, so they are always free
+    if (hoursUntilPickup !== null && hoursUntilPickup < FREE_CANCELLATION_HOURS) {
+        const fee = roundCurrency(Number(booking.price) * lateCancellationFeePercent() / 100);
+        return {
+            ...result,
+            isLate: true,
+            fee,
+            refundDue: roundCurrency(Math.max(0, paid - fee))
+        };
+    }
+
+    return result;
+}
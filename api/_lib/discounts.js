@@ -0,0 +1,275 @@
+import { isValidVehicle } from '../../lib/pricing.js';
+import { getStore } from './store.js';
+
+// ===== PROMO CODES & CORPORATE ACCOUNTS =====
+// Promo codes take a percentage or a fixed amount off a fare. They can
+// expire, run out after a number of uses and require a minimum fare.
+// Corporate accounts have negotiated per-km rates for some vehicle types,
+// optionally only for customers with an email address at the company.
+// Both live in the document store and are managed from /api/admin/promo-codes
+// and /api/admin/corporate-accounts. /api/price looks them up and signs the
+// resulting discount into the quote; /api/quote redeems promo codes.
+
+const PROMO_COLLECTION = 'promo-codes';
+const ACCOUNT_COLLECTION = 'corporate-accounts';
+
+export const PROMO_TYPES = ['percent', 'fixed'];
+
+/**
+ * Normalise a code as customers type it ("summer 10" and "SUMMER10" are the same code)
+ * @param {string} code - Code as entered
+ * @returns {string} Upper-case code without spaces
+ */
+export function normalizeCode(code) {
+    return String(code ?? '').replace(/\s+/g, '').toUpperCase();
+}
+
+export function isValidCode(code) {
+    return /^[A-Z0-9-]{3,32}$/.test(code);
+}
+
+// ===== PROMO CODES =====
+
+export async function listPromoCodes() {
+    const codes = await getStore().list(PROMO_COLLECTION);
+    return codes.sort((a, b) => a.code.localeCompare(b.code));
+}
+
+export async function getPromoCode(code) {
+    return getStore().get(PROMO_COLLECTION, normalizeCode(code));
+}
+
+/**
+ * Create or update a promo code, keeping its use count
+ * @param {Object} promo - { code, type, value, expiresAt, maxUses, minFare, active, description }
+ * @returns {Promise<Object>} Stored promo code
+ */
+export async function savePromoCode(promo) {
+    const code = normalizeCode(promo.code);
+    const existing = await getPromoCode(code);
+    const now = new Date().toISOString();
+
+    const entry = {
+        code,
+        type: promo.type,
+        value: Number(promo.value),
+        expiresAt: promo.expiresAt || null,
+        maxUses: promo.maxUses ?? null,
+        minFare: promo.minFare ?? null,
+        active: promo.active !== false,
+        description: promo.description || '',
+        uses: existing?.uses || 0,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+
+    await getStore().put(PROMO_COLLECTION, code, entry);
+    return entry;
+}
+
+export async function deletePromoCode(code) {
+    return getStore().delete(PROMO_COLLECTION, normalizeCode(code));
+}
+
+/**
+ * Check a promo code definition from the admin API
+ * @param {Object} promo - Promo code fields
+ * @returns {string|null} Problem, or null when it's valid
+ */
+export function validatePromoCode(promo) {
+    if (!isValidCode(normalizeCode(promo?.code))) {
+        return 'code must be 3 to 32 letters, digits or dashes';
+    }
+    if (!PROMO_TYPES.includes(promo.type)) {
+        return `type must be ${PROMO_TYPES.join(' or ')}`;
+    }
+    const value = Number(promo.value);
+    if (!Number.isFinite(value) || value <= 0 || (promo.type === 'percent' && value > 100)) {
+        return promo.type === 'percent'
+            ? 'value must be a percentage above 0 and up to 100'
+            : 'value must be an amount in Rand above 0';
+    }
+    if (promo.expiresAt != null && Number.isNaN(Date.parse(promo.expiresAt))) {
+        return 'expiresAt must be a date (YYYY-MM-DD) or ISO timestamp';
+    }
+    if (promo.maxUses != null && (!Number.isInteger(promo.maxUses) || promo.maxUses < 1)) {
+        return 'maxUses must be a whole number (1 or more)';
+    }
+    if (promo.minFare != null && (!Number.isFinite(promo.minFare) || promo.minFare < 0)) {
+        return 'minFare must be an amount in Rand (0 or more)';
+    }
+    return null;
+}
+
+/**
+ * Why a stored promo code can't be used right now
+ * @param {Object|null} promo - Stored promo code
+ * @param {Date} [now]
+ * @returns {string|null} Reason for the customer, or null when it can be used
+ */
+export function promoCodeProblem(promo, now = new Date()) {
+    if (!promo || !promo.active) return 'This promo code is not valid';
+    if (promo.expiresAt && expiryTime(promo.expiresAt) <= now.getTime()) return 'This promo code has expired';
+    if (promo.maxUses != null && promo.uses >= promo.maxUses) return 'This promo code has been fully used';
+    return null;
+}
+
+// A date without a time is valid to the end of that day (SAST)
+function expiryTime(expiresAt) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(expiresAt)
+        ? Date.parse(`${expiresAt}T23:59:59.999+02:00`)
+        : Date.parse(expiresAt);
+}
+
+/**
+ * Count one use of a promo code for a booking
+ * @param {string} code - Promo code
+ * @returns {Promise<string|null>} Reason it can no longer be used, or null once redeemed
+ */
+export async function redeemPromoCode(code) {
+    let problem = null;
+
+    // Checked and counted in one atomic update, so two bookings can't both take the last use
+    await getStore().update(PROMO_COLLECTION, normalizeCode(code), promo => {
+        // Quotes are guaranteed for 24 hours, so only running out stops a quoted code
+        if (!promo || !promo.active) {
+            problem = 'This promo code is no longer valid';
+        } else if (promo.maxUses != null && promo.uses >= promo.maxUses) {
+            problem = 'This promo code has been fully used';
+        } else {
+            problem = null;
+            return { ...promo, uses: (promo.uses || 0) + 1, lastUsedAt: new Date().toISOString() };
+        }
+        return null;
+    });
+
+    return problem;
+}
+
+/**
+ * Give back a use counted by redeemPromoCode, when the booking wasn't made
+ * @param {string} code - Promo code
+ * @returns {Promise<void>}
+ */
+export async function releasePromoCode(code) {
+    await getStore().update(PROMO_COLLECTION, normalizeCode(code), promo => (promo?.uses > 0
+        ? { ...promo, uses: promo.uses - 1 }
+        : null));
+}
+
+// ===== CORPORATE ACCOUNTS =====
+
+export async function listCorporateAccounts() {
+    const accounts = await getStore().list(ACCOUNT_COLLECTION);
+    return accounts.sort((a, b) => a.code.localeCompare(b.code));
+}
+
+export async function getCorporateAccount(code) {
+    return getStore().get(ACCOUNT_COLLECTION, normalizeCode(code));
+}
+
+/**
+ * Create or update a corporate account
+ * @param {Object} account - { code, name, rates: { [vehicleType]: perKm }, emailDomains, active }
+ * @returns {Promise<Object>} Stored account
+ */
+export async function saveCorporateAccount(account) {
+    const code = normalizeCode(account.code);
+    const existing = await getCorporateAccount(code);
+    const now = new Date().toISOString();
+
+    const entry = {
+        code,
+        name: account.name.trim(),
+        rates: Object.fromEntries(Object.entries(account.rates).map(([type, rate]) => [type, Number(rate)])),
+        emailDomains: (account.emailDomains || []).map(domain => domain.trim().toLowerCase().replace(/^@/, '')),
+        active: account.active !== false,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+
+    await getStore().put(ACCOUNT_COLLECTION, code, entry);
+    return entry;
+}
+
+export async function deleteCorporateAccount(code) {
+    return getStore().delete(ACCOUNT_COLLECTION, normalizeCode(code));
+}
+
+/**
+ * Check a corporate account definition from the admin API
+ * @param {Object} account - Account fields
+ * @returns {string|null} Problem, or null when it's valid
+ */
+export function validateCorporateAccount(account) {
+    if (!isValidCode(normalizeCode(account?.code))) {
+        return 'code must be 3 to 32 letters, digits or dashes';
+    }
+    if (typeof account.name !== 'string' || !account.name.trim()) {
+        return 'name is required';
+    }
+    if (!account.rates || typeof account.rates !== 'object' || Object.keys(account.rates).length === 0) {
+        return 'rates must map vehicle types to a per-km rate, e.g. { "suv": 12 }';
+    }
+    for (const [vehicleType, rate] of Object.entries(account.rates)) {
+        if (!isValidVehicle(vehicleType)) return `Unknown vehicle type: ${vehicleType}`;
+        if (!Number.isFinite(Number(rate)) || Number(rate) <= 0) return `The ${vehicleType} rate must be above 0`;
+    }
+    if (account.emailDomains !== undefined
+        && (!Array.isArray(account.emailDomains) || account.emailDomains.some(domain => typeof domain !== 'string' || !domain.trim()))) {
+        return 'emailDomains must be a list of domains, e.g. ["acme.co.za"]';
+    }
+    return null;
+}
+
+/**
+ * Check a customer may book on a corporate account
+ *
+ * Only the domain of the typed address is compared; nothing proves the customer
+ * owns it, so this guards against mistakes, not someone holding the account code.
+ * @param {Object} account - Stored account
+ * @param {string} email - Customer's email address
+ * @returns {boolean}
+ */
+export function isAccountEmail(account, email) {
+    if (!account.emailDomains?.length) return true;
+    const domain = String(email).split('@').pop().trim().toLowerCase();
+    return account.emailDomains.includes(domain);
+}
+
+// ===== QUOTING =====
+
+/**
+ * Find the discount a customer asked for, ready for issueQuote()
+ * @param {Object} input - { promoCode, accountCode } as entered
+ * @returns {Promise<{discount: Object|null, error: string|null}>}
+ */
+export async function lookupDiscount({ promoCode, accountCode }) {
+    const promo = normalizeCode(promoCode);
+    const account = normalizeCode(accountCode);
+
+    if (promo && account) {
+        return { discount: null, error: "Promo codes can't be combined with a corporate account" };
+    }
+
+    if (account) {
+        const entry = await getCorporateAccount(account);
+        if (!entry || !entry.active) return { discount: null, error: 'This corporate account code is not valid' };
+        return {
+            discount: { kind: 'corporate', code: entry.code, name: entry.name, rates: entry.rates },
+            error: null
+        };
+    }
+
+    if (promo) {
+        const entry = await getPromoCode(promo);
+        const problem = promoCodeProblem(entry);
+        if (problem) return { discount: null, error: problem };
+        return {
+            discount: { kind: 'promo', code: entry.code, type: entry.type, value: entry.value, minFare: entry.minFare },
+            error: null
+        };
+    }
+
+    return { discount: null, error: null };
+}
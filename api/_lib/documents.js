@@ -0,0 +1,334 @@
+import { describeVehicles, formatRand, VAT_PERCENT, vatBreakdown } from '../../lib/pricing.js';
+import { formatTripDateTime } from '../../lib/datetime.js';
+import { getBooking, updateBooking } from './bookings.js';
+import { createPdf, PAGE, wrapText } from './pdf.js';
+import { getStore } from './store.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// ===== QUOTE & INVOICE PDFS =====
+// A PDF quote for every booking (its number is the booking reference) and a
+// VAT tax invoice once it is paid. Invoice numbers run in sequence from
+// INVOICE_PREFIX + 000001 and are handed out once per booking, when the
+// payment comes in. Company details for the letterhead come from COMPANY_*
+// settings; a tax invoice needs COMPANY_VAT_NUMBER.
+
+export const DOCUMENT_TYPES = ['quote', 'invoice'];
+
+const COUNTERS = 'counters';
+const INVOICE_COUNTER = 'invoice';
+
+// Document links in emails outlive the quote, like cancel links
+const DOCUMENT_TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+const MARGIN = 40;
+const RIGHT = PAGE.width - MARGIN;
+const BOTTOM = PAGE.height - 60;
+const ACCENT = '#1e40af';
+const MUTED = '#64748b';
+
+/**
+ * Company details for the letterhead
+ * @returns {{name: string, address: string[], email: string, phone: string, vatNumber: string, registration: string}}
+ */
+export function companyDetails() {
+    return {
+        name: process.env.COMPANY_NAME || 'Modjadji\'s Shuttle Service',
+        // One line per ";" (or newline)
+        address: (process.env.COMPANY_ADDRESS || '').split(/\s*[;\n]\s*/).filter(Boolean),
+        email: process.env.COMPANY_EMAIL || 'modjadjishuttle@gmail.com',
+        phone: process.env.COMPANY_PHONE || '+27 11 123 4567',
+        vatNumber: process.env.COMPANY_VAT_NUMBER || '',
+        registration: process.env.COMPANY_REGISTRATION || ''
+    };
+}
+
+export function isInvoicingConfigured() {
+    return Boolean(process.env.COMPANY_VAT_NUMBER);
+}
+
+/**
+ * Create the tokenised link to a booking's quote or invoice PDF
+ * @param {string} reference - Booking reference
+ * @param {string} type - 'quote' or 'invoice'
+ * @param {string} baseUrl - Public base URL
+ * @returns {string} Document URL
+ */
+export function createDocumentUrl(reference, type, baseUrl) {
+    const { token } = signToken('document', { reference }, DOCUMENT_TOKEN_TTL_SECONDS);
+    return `${baseUrl}/api/documents?type=${type}&token=${token}`;
+}
+
+/**
+ * Read the booking reference from a document token
+ * @param {string} token - Token from the document link
+ * @returns {string|null} Booking reference, or null if the token is invalid
+ */
+export function readDocumentToken(token) {
+    const result = verifyToken('document', token);
+    return result.valid ? result.data.reference : null;
+}
+
+export function documentFilename(booking, type) {
+    return type === 'invoice'
+        ? `Invoice-${booking.invoice.number}.pdf`
+        : `Quote-${booking.bookingReference}.pdf`;
+}
+
+// ===== INVOICE NUMBERS =====
+
+// The counter is an atomic store update; the queue stops one booking getting two numbers here
+let invoiceQueue = Promise.resolve();
+
+/**
+ * Give a paid booking the next invoice number (once; later calls return it unchanged)
+ * @param {string} reference - Booking reference
+ * @returns {Promise<Object|null>} Booking with its invoice, or null if the booking is unknown
+ */
+export function issueInvoice(reference) {
+    const next = invoiceQueue.then(async () => {
+        const booking = await getBooking(reference);
+        if (!booking || booking.invoice) return booking;
+
+        const issuedAt = new Date().toISOString();
+        const counter = await getStore().update(COUNTERS, INVOICE_COUNTER, current => ({
+            value: (current?.value || 0) + 1,
+            updatedAt: issuedAt
+        }));
+        const sequence = counter.value;
+
+        const invoice = {
+            number: formatInvoiceNumber(sequence),
+            sequence,
+            issuedAt,
+            ...vatBreakdown(booking.payment?.amount ?? booking.price)
+        };
+        console.log(`🧾 Invoice ${invoice.number} issued for ${booking.bookingReference}: ${formatRand(invoice.inclusive)}`);
+
+        return updateBooking(booking.bookingReference, { invoice });
+    });
+
+    // A failure must not block the numbers after it
+    invoiceQueue = next.catch(() => {});
+    return next;
+}
+
+function formatInvoiceNumber(sequence) {
+    return `${process.env.INVOICE_PREFIX || 'INV-'}${String(sequence).padStart(6, '0')}`;
+}
+
+// ===== RENDERING =====
+
+/**
+ * Render a booking's quote as a PDF
+ * @param {Object} booking - Stored booking (or the booking data about to be stored)
+ * @returns {Buffer} PDF file
+ */
+export function buildQuotePdf(booking) {
+    const issuedAt = booking.quoteIssuedAt || booking.createdAt || new Date().toISOString();
+    return renderDocument(booking, {
+        title: 'QUOTATION',
+        meta: [
+            ['Quote No.', booking.bookingReference],
+            ['Date', formatTripDateTime(issuedAt)],
+            ['Valid Until', booking.quoteExpiresAt ? formatTripDateTime(booking.quoteExpiresAt) : '']
+        ],
+        recipientTitle: 'Quote For',
+        totals: [],
+        notes: [
+            `All prices are in South African Rand and include ${VAT_PERCENT}% VAT.`,
+            booking.quoteExpiresAt ? `This price is guaranteed until ${formatTripDateTime(booking.quoteExpiresAt)}.` : '',
+            'Free cancellation up to 2 hours before pickup. A tax invoice is issued once the booking is paid.'
+        ]
+    });
+}
+
+/**
+ * Render a paid booking's tax invoice as a PDF
+ * @param {Object} booking - Stored booking with an invoice from issueInvoice()
+ * @returns {Buffer} PDF file
+ * @throws {Error} When the booking has no invoice yet
+ */
+export function buildInvoicePdf(booking) {
+    if (!booking.invoice) {
+        throw new Error(`Booking ${booking.bookingReference} has no invoice`);
+    }
+
+    const { invoice, payment = {} } = booking;
+    return renderDocument(booking, {
+        title: 'TAX INVOICE',
+        meta: [
+            ['Invoice No.', invoice.number],
+            ['Invoice Date', formatTripDateTime(invoice.issuedAt)],
+            ['Booking Ref.', booking.bookingReference]
+        ],
+        recipientTitle: 'Bill To',
+        totals: [
+            ['Amount Paid', formatRand(payment.status === 'paid' ? payment.amount : invoice.inclusive)],
+            ['Balance Due', formatRand(0)]
+        ],
+        notes: [
+            payment.paidAt
+                ? `Paid online${payment.gateway ? ` (${payment.gateway})` : ''} on ${formatTripDateTime(payment.paidAt)}${payment.paymentId ? `, payment ID ${payment.paymentId}` : ''}.`
+                : '',
+            `All amounts are in South African Rand and include ${VAT_PERCENT}% VAT.`
+        ]
+    });
+}
+
+/**
+ * Fare lines as charged
+ * Bookings from before fares had lines only know their base, distance and stop fee.
+ * @param {Object} booking - Stored booking
+ * @returns {Array<{label: string, amount: number}>}
+ */
+export function fareLines(booking) {
+    if (booking.fare?.lines) return booking.fare.lines;
+    return [
+        { label: 'Base Fee', amount: Number(booking.baseFee) || 0 },
+        { label: 'Distance Charge', amount: Number(booking.distanceCharge) || 0 },
+        ...(booking.stopFee > 0 ? [{ label: `Extra Stops (${(booking.stops || []).length})`, amount: booking.stopFee }] : [])
+    ];
+}
+
+function tripRows(booking) {
+    const isReturnTrip = booking.tripType === 'return';
+    const distance = booking.distance
+        ? `${Number(booking.distance).toFixed(1)} km${booking.returnRoute ? ` + ${Number(booking.returnRoute.distance).toFixed(1)} km back` : isReturnTrip ? ' each way' : ''}`
+        : '';
+
+    return [
+        ['Pickup', booking.pickup],
+        ...(booking.stops || []).map((stop, index) => [`Stop ${index + 1}`, stop.address]),
+        ['Drop-off', booking.dropoff],
+        ['Date & Time', `${booking.date} ${booking.time}`],
+        ['Trip Type', isReturnTrip ? 'Return Trip' : 'Single Trip'],
+        ...(isReturnTrip ? [
+            ['Return', `${booking.sameDayReturn === 'no' ? booking.returnDate || '' : 'Same day'} ${booking.returnTime || ''}`.trim()],
+            ['Return Pickup', booking.returnRoute?.pickupAddress],
+            ['Return Drop-off', booking.returnRoute?.dropoffAddress]
+        ] : []),
+        ['Passengers', booking.passengers],
+        ['Vehicle', describeVehicles(booking.vehicleType, booking.vehicleCount)],
+        ['Distance', distance]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+}
+
+function renderDocument(booking, { title, meta, recipientTitle, totals, notes }) {
+    const company = companyDetails();
+    const pdf = createPdf({ title: `${title} ${meta[0][1]}`, author: company.name });
+    let y = 0;
+
+    const newPage = () => {
+        pdf.addPage();
+        pdf.rect(0, 0, PAGE.width, 8, { fill: ACCENT });
+        y = 50;
+    };
+    const ensureSpace = (height) => {
+        if (y + height > BOTTOM) newPage();
+    };
+
+    // Letterhead
+    pdf.rect(0, 0, PAGE.width, 8, { fill: ACCENT });
+    pdf.text(company.name, MARGIN, 60, { size: 18, bold: true, color: ACCENT });
+    pdf.text(title, RIGHT, 60, { size: 20, bold: true, color: '#0f172a', align: 'right' });
+
+    y = 78;
+    const companyLines = [
+        ...company.address,
+        [company.phone, company.email].filter(Boolean).join(' • '),
+        company.vatNumber ? `VAT No. ${company.vatNumber}` : '',
+        company.registration ? `Reg. No. ${company.registration}` : ''
+    ].filter(Boolean);
+    for (const line of companyLines) {
+        pdf.text(line, MARGIN, y, { size: 9, color: MUTED });
+        y += 12;
+    }
+
+    let metaY = 82;
+    for (const [label, value] of meta.filter(([, value]) => value)) {
+        pdf.text(label, RIGHT - 190, metaY, { size: 9, bold: true, color: MUTED });
+        pdf.text(value, RIGHT, metaY, { size: 9, align: 'right' });
+        metaY += 13;
+    }
+
+    y = Math.max(y, metaY) + 10;
+    pdf.line(MARGIN, y, RIGHT, y, { color: '#e2e8f0', width: 1 });
+    y += 24;
+
+    // Customer
+    pdf.text(recipientTitle, MARGIN, y, { size: 11, bold: true, color: ACCENT });
+    y += 16;
+    const recipient = [
+        booking.discount?.kind === 'corporate' ? booking.discount.name : '',
+        booking.name,
+        booking.email,
+        booking.phone
+    ].filter(Boolean);
+    recipient.forEach((line, index) => {
+        pdf.text(line, MARGIN, y, { size: 10, bold: index === 0 });
+        y += 13;
+    });
+    y += 12;
+
+    // Trip
+    pdf.text('Trip Details', MARGIN, y, { size: 11, bold: true, color: ACCENT });
+    y += 16;
+    for (const [label, value] of tripRows(booking)) {
+        const lines = wrapText(value, RIGHT - MARGIN - 110, 9);
+        ensureSpace(lines.length * 12);
+        pdf.text(label, MARGIN, y, { size: 9, bold: true, color: MUTED });
+        lines.forEach((line, index) => pdf.text(line, MARGIN + 110, y + index * 12, { size: 9 }));
+        y += lines.length * 12 + 2;
+    }
+    y += 16;
+
+    // Line items
+    ensureSpace(60);
+    pdf.rect(MARGIN, y - 13, RIGHT - MARGIN, 20, { fill: '#f1f5f9' });
+    pdf.text('Description', MARGIN + 8, y, { size: 9, bold: true });
+    pdf.text('Amount (incl. VAT)', RIGHT - 8, y, { size: 9, bold: true, align: 'right' });
+    y += 22;
+
+    for (const line of fareLines(booking)) {
+        const lines = wrapText(line.label, RIGHT - MARGIN - 140, 10);
+        ensureSpace(lines.length * 13 + 6);
+        lines.forEach((text, index) => pdf.text(text, MARGIN + 8, y + index * 13, { size: 10 }));
+        pdf.text(formatRand(line.amount), RIGHT - 8, y, { size: 10, align: 'right', color: line.amount < 0 ? '#059669' : '#000000' });
+        y += lines.length * 13 + 6;
+        pdf.line(MARGIN, y - 10, RIGHT, y - 10, { color: '#e2e8f0' });
+    }
+
+    // Totals with the VAT split
+    const { exclusive, vat, inclusive } = vatBreakdown(booking.price);
+    const totalRows = [
+        ['Total excl. VAT', formatRand(exclusive)],
+        [`VAT (${VAT_PERCENT}%)`, formatRand(vat)],
+        ['Total incl. VAT', formatRand(inclusive), true],
+        ...totals
+    ];
+    ensureSpace(totalRows.length * 16 + 10);
+    y += 8;
+    for (const [label, value, strong] of totalRows) {
+        if (strong) {
+            pdf.rect(RIGHT - 230, y - 14, 230, 22, { fill: '#eff6ff' });
+        }
+        pdf.text(label, RIGHT - 220, y, { size: strong ? 12 : 10, bold: true, color: strong ? ACCENT : '#334155' });
+        pdf.text(value, RIGHT - 8, y, { size: strong ? 12 : 10, bold: Boolean(strong), color: strong ? ACCENT : '#000000', align: 'right' });
+        y += strong ? 24 : 16;
+    }
+    y += 16;
+
+    // Notes
+    for (const note of notes.filter(Boolean)) {
+        const lines = wrapText(note, RIGHT - MARGIN, 9);
+        ensureSpace(lines.length * 12);
+        lines.forEach(line => {
+            pdf.text(line, MARGIN, y, { size: 9, color: MUTED });
+            y += 12;
+        });
+    }
+
+    pdf.text(`Thank you for choosing ${company.name}`, PAGE.width / 2, PAGE.height - 30, { size: 8, color: MUTED, align: 'center' });
+
+    return pdf.toBuffer();
+}
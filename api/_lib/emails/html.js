@@ -0,0 +1,56 @@
+import { escapeHtml } from '../../../lib/html.js';
+
+// ===== SAFE HTML =====
+// Emails are written with the html`` tag, which escapes every value put into
+// the markup. Customer names, addresses and anything else from a request can
+// only ever show up as text. Markup from another html`` (a partial) is kept as
+// it is; raw() marks a string as markup when it really is.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Tag for email markup
+ * Values are escaped unless they are themselves html`` results; arrays are
+ * joined; null, undefined and false render nothing (so `${cond && html`...`}` works).
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+    let output = strings[0];
+    values.forEach((value, index) => {
+        output += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(output);
+}
+
+/**
+ * Mark a string as trusted markup (never use on request data)
+ * @param {string} value - HTML
+ * @returns {SafeHtml}
+ */
+export function raw(value) {
+    return new SafeHtml(String(value ?? ''));
+}
+
+/**
+ * Check whether a partial or value renders nothing
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isBlank(value) {
+    return value === undefined || value === null || value === false || String(value) === '';
+}
+
+function renderValue(value) {
+    if (value === undefined || value === null || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
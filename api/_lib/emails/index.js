@@ -0,0 +1,77 @@
+import { layout } from './layout.js';
+import { htmlToText } from './text.js';
+import assigned from './templates/assigned.js';
+import cancelled from './templates/cancelled.js';
+import completed from './templates/completed.js';
+import confirmed from './templates/confirmed.js';
+import invoice from './templates/invoice.js';
+import ownerBooking from './templates/owner-booking.js';
+import ownerCancellation from './templates/owner-cancellation.js';
+import quote from './templates/quote.js';
+import reminder from './templates/reminder.js';
+import rescheduled from './templates/rescheduled.js';
+
+// ===== EMAIL TEMPLATES =====
+// One template per event. A template is a module in templates/ with:
+//   description                 shown by the preview route
+//   subject(booking, context)   → subject line
+//   render(booking, context)    → layout content: { title, accent, intro, sections, ... }
+//   attachments?(booking, context) → [{ filename, content, contentType? }]
+// renderEmail() wraps it in the shared layout and adds the plain-text part.
+
+const TEMPLATES = {
+    quote,
+    'owner-booking': ownerBooking,
+    confirmed,
+    assigned,
+    reminder,
+    rescheduled,
+    cancelled,
+    'owner-cancellation': ownerCancellation,
+    completed,
+    invoice
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+/**
+ * Check whether an email template exists
+ * @param {string} name - Template name
+ * @returns {boolean}
+ */
+export function hasEmailTemplate(name) {
+    return Object.hasOwn(TEMPLATES, name);
+}
+
+/**
+ * Describe the templates, for the preview route
+ * @returns {Array<{name: string, description: string}>}
+ */
+export function listEmailTemplates() {
+    return EMAIL_TEMPLATES.map(name => ({ name, description: TEMPLATES[name].description }));
+}
+
+/**
+ * Render an email from its template
+ * @param {string} name - Template name (see EMAIL_TEMPLATES)
+ * @param {Object} booking - Stored booking (or the booking data about to be stored)
+ * @param {Object} [context] - Extra data for the template, e.g. { previous } for rescheduled
+ * @returns {{template: string, subject: string, html: string, text: string, attachments: Array}}
+ * @throws {Error} When there is no such template
+ */
+export function renderEmail(name, booking, context = {}) {
+    if (!hasEmailTemplate(name)) {
+        throw new Error(`Unknown email template "${name}". Use ${EMAIL_TEMPLATES.join(', ')}.`);
+    }
+
+    const template = TEMPLATES[name];
+    const html = String(layout(template.render(booking, context)));
+
+    return {
+        template: name,
+        subject: template.subject(booking, context),
+        html,
+        text: htmlToText(html),
+        attachments: template.attachments ? template.attachments(booking, context) : []
+    };
+}
@@ -0,0 +1,333 @@
+import { describeVehicles, formatRand } from '../../../lib/pricing.js';
+import { fareLines } from '../documents.js';
+import { html, isBlank } from './html.js';
+
+// ===== EMAIL LAYOUT & PARTIALS =====
+// Every email is one layout (header, booking reference, greeting, sections,
+// footer) filled with the partials below, so a trip or price looks the same
+// in all of them. The plain-text part is made from the same HTML (text.js).
+// Everything is written with html`` (html.js), so booking data is escaped;
+// text arguments below are plain text unless they come from html``.
+
+export const SUPPORT_EMAIL = 'modjadjishuttle@gmail.com';
+export const SUPPORT_PHONE = '+27 11 123 4567';
+
+const LINK_STYLE = 'color: #1e40af; font-weight: 600;';
+
+/**
+ * Wrap an email body in the shared layout
+ * @param {Object} content
+ * @param {string} content.title - Header heading
+ * @param {string} [content.subtitle] - Line under the heading
+ * @param {string} [content.accent] - Header background (colour or gradient)
+ * @param {string} [content.reference] - Booking reference for the reference box
+ * @param {string} [content.greeting] - Opening line, e.g. "Hello Thandi,"
+ * @param {string|SafeHtml} [content.intro] - Opening paragraph
+ * @param {SafeHtml[]} [content.sections] - Rendered partials
+ * @param {Array<string|SafeHtml>} [content.footer] - Footer lines
+ * @returns {SafeHtml} HTML document
+ */
+export function layout({ title, subtitle, accent = '#1e40af', reference, greeting, intro, sections = [], footer = customerFooter() }) {
+    return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - Modjadji's Shuttle Service</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #f5f7fa;
+        }
+        .email-container {
+            background: white;
+            border-radius: 12px;
+            overflow: hidden;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.1);
+        }
+        .email-header {
+            background: ${accent};
+            color: white;
+            padding: 30px;
+            text-align: center;
+        }
+        .email-header h1 { margin: 0; font-size: 26px; }
+        .email-header p { margin: 10px 0 0; opacity: 0.9; font-size: 16px; }
+        .email-content { padding: 30px; }
+        .reference-box {
+            background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%);
+            border: 2px solid #f59e0b;
+            border-radius: 10px;
+            padding: 20px;
+            text-align: center;
+            margin: 0 0 25px;
+            color: #92400e;
+        }
+        .reference-label { font-size: 14px; margin-bottom: 5px; }
+        .reference-code { font-size: 24px; font-weight: 800; letter-spacing: 1px; }
+        .intro { color: #475569; font-size: 16px; margin-bottom: 25px; }
+        .notice {
+            background: #fef3c7;
+            border: 2px solid #f59e0b;
+            border-radius: 8px;
+            padding: 15px 20px;
+            margin-bottom: 20px;
+            color: #92400e;
+        }
+        .section {
+            background: #f8fafc;
+            border-radius: 10px;
+            padding: 20px 25px;
+            margin-bottom: 20px;
+            border: 1px solid #e2e8f0;
+        }
+        .section-title {
+            color: #1e40af;
+            font-size: 17px;
+            font-weight: 600;
+            margin-bottom: 12px;
+        }
+        .section ol, .section ul { margin: 0; padding-left: 20px; color: #475569; }
+        .section li { margin-bottom: 10px; }
+        .section li:last-child { margin-bottom: 0; }
+        .detail-row {
+            display: flex;
+            justify-content: space-between;
+            gap: 15px;
+            padding: 10px 0;
+            border-bottom: 1px solid #e2e8f0;
+        }
+        .detail-row:last-child { border-bottom: none; }
+        .detail-label { font-weight: 500; color: #475569; }
+        .detail-value { font-weight: 600; color: #0f172a; text-align: right; }
+        .price-total {
+            background: linear-gradient(135deg, #dbeafe 0%, #eff6ff 100%);
+            border: 2px solid #3b82f6;
+            padding: 25px;
+            border-radius: 10px;
+            text-align: center;
+            margin-bottom: 20px;
+        }
+        .price-total-amount { font-size: 40px; font-weight: 800; color: #1e40af; margin: 10px 0; }
+        .price-note { font-size: 13px; color: #64748b; margin-top: 8px; }
+        .next-steps {
+            background: linear-gradient(135deg, #dcfce7 0%, #bbf7d0 100%);
+            border-color: #10b981;
+        }
+        .next-steps .section-title { color: #065f46; }
+        .email-footer {
+            text-align: center;
+            color: #64748b;
+            font-size: 13px;
+            margin-top: 30px;
+            padding-top: 20px;
+            border-top: 1px solid #e2e8f0;
+        }
+        @media (max-width: 600px) {
+            .email-content { padding: 25px 20px; }
+            .detail-row { flex-direction: column; gap: 5px; }
+            .detail-value { text-align: left; }
+            .price-total-amount { font-size: 32px; }
+        }
+    </style>
+</head>
+<body>
+    <div class="email-container">
+        <div class="email-header">
+            <h1>${title}</h1>${subtitle && html`
+            <p>${subtitle}</p>`}
+        </div>
+        <div class="email-content">${reference && html`
+            <div class="reference-box">
+                <div class="reference-label">BOOKING REFERENCE</div>
+                <div class="reference-code">${reference}</div>
+            </div>`}${greeting && html`
+            <p>${greeting}</p>`}${intro && html`
+            <p class="intro">${intro}</p>`}
+            ${sections}
+            <div class="email-footer">
+                ${footer.map(line => html`<p>${line}</p>
+                `)}
+                <p>&copy; ${new Date().getFullYear()} Modjadji's Shuttle Service | All Rights Reserved</p>
+            </div>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+}
+
+export function customerFooter() {
+    return [`Questions? Email ${SUPPORT_EMAIL} or call ${SUPPORT_PHONE}`];
+}
+
+export function link(href, label, style = LINK_STYLE) {
+    return html`<a href="${href}" style="${style}">${label}</a>`;
+}
+
+/**
+ * Titled box of label/value rows. Empty values are left out.
+ * @param {string} title - Section heading
+ * @param {Array<[string, *]>} rows - [label, value] pairs
+ * @returns {SafeHtml}
+ */
+export function section(title, rows) {
+    return html`
+            <div class="section">
+                <div class="section-title">${title}</div>${detailRows(rows)}
+            </div>`;
+}
+
+export function detailRows(rows) {
+    return rows
+        .filter(([, value]) => !isBlank(value))
+        .map(([label, value]) => html`
+                <div class="detail-row">
+                    <span class="detail-label">${label}</span>
+                    <span class="detail-value">${value}</span>
+                </div>`);
+}
+
+/**
+ * Titled box with a numbered or bulleted list
+ * @param {string} title - Section heading
+ * @param {Array<string|SafeHtml>} items - List items; empty ones are left out
+ * @param {Object} [options] - { ordered, className }
+ * @returns {SafeHtml}
+ */
+export function listSection(title, items, { ordered = false, className = '' } = {}) {
+    const listItems = items.filter(item => !isBlank(item)).map(item => html`
+                    <li>${item}</li>`);
+    return html`
+            <div class="section ${className}">
+                <div class="section-title">${title}</div>${ordered ? html`
+                <ol>${listItems}
+                </ol>` : html`
+                <ul>${listItems}
+                </ul>`}
+            </div>`;
+}
+
+export function noticeBox(content) {
+    return html`
+            <div class="notice">${content}</div>`;
+}
+
+export function customerSection(booking) {
+    return section('👤 Passenger Information', [
+        ['Name', booking.name],
+        ['Email', booking.email],
+        ['Phone', booking.phone],
+        ['Passengers', `${booking.passengers} person(s)`]
+    ]);
+}
+
+export function tripSection(booking) {
+    const isReturnTrip = booking.tripType === 'return';
+    return section('📍 Trip Details', [
+        ['Trip Type', isReturnTrip ? 'Return Trip' : 'Single Trip'],
+        ['Pickup Location', booking.pickup],
+        ...(booking.stops || []).map((stop, index) => [`Stop ${index + 1}`, stop.address]),
+        ['Drop-off Location', booking.dropoff],
+        ['Date', booking.date],
+        ['Time', booking.time],
+        ...(isReturnTrip ? [
+            ['Same Day Return', booking.sameDayReturn === 'no' ? 'No' : 'Yes'],
+            ['Return Date', booking.sameDayReturn === 'no' ? booking.returnDate : ''],
+            ['Return Time', booking.returnTime],
+            ['Return Pickup', booking.returnRoute?.pickupAddress],
+            ['Return Drop-off', booking.returnRoute?.dropoffAddress]
+        ] : []),
+        ['Passengers', `${booking.passengers} person(s)`],
+        ['Vehicle', describeVehicles(booking.vehicleType, booking.vehicleCount)]
+    ]);
+}
+
+/**
+ * Vehicle, distance and every fare line
+ * @param {Object} booking - Stored booking
+ * @returns {SafeHtml}
+ */
+export function fareSection(booking) {
+    return section('🚗 Vehicle & Pricing Details', [
+        ['Vehicle Type', describeVehicles(booking.vehicleType, booking.vehicleCount)],
+        ['Distance', describeDistance(booking)],
+        ['Vehicle Rate', booking.vehicleRate ? `R${booking.vehicleRate}/km` : ''],
+        ...fareLines(booking).map(line => [line.label, formatRand(line.amount)])
+    ]);
+}
+
+/**
+ * Fare lines with the total underneath
+ * @param {Object} booking - Stored booking
+ * @param {string} [totalLabel='Total Price']
+ * @returns {SafeHtml}
+ */
+export function priceSection(booking, totalLabel = 'Total Price') {
+    return html`
+            <div class="section">
+                <div class="section-title">💰 Price Breakdown</div>${detailRows([
+                    ...fareLines(booking).map(line => [line.label, formatRand(line.amount)]),
+                    [html`<strong>${totalLabel}</strong>`, html`<strong>${formatRand(booking.price)}</strong>`]
+                ])}
+                <div class="price-note">Includes 15% VAT</div>
+            </div>`;
+}
+
+/**
+ * The headline total, with an optional note under it
+ * @param {string} label - e.g. "Total Price"
+ * @param {number} amount - Amount in Rand
+ * @param {string|SafeHtml} [note]
+ * @returns {SafeHtml}
+ */
+export function totalBox(label, amount, note = '') {
+    return html`
+            <div class="price-total">
+                <div style="font-size: 18px; color: #475569;">${label}</div>
+                <div class="price-total-amount">${formatRand(amount)}</div>${!isBlank(note) && html`
+                <div class="price-note">${note}</div>`}
+            </div>`;
+}
+
+export function driverSection(driver = {}) {
+    return section('👤 Your Driver', [
+        ['Name', driver.name],
+        ['Phone', driver.phone],
+        ['Vehicle Registration', driver.vehicleRegistration]
+    ]);
+}
+
+export function cancellationSection(cancellation) {
+    if (!cancellation) return '';
+    return section('🧾 Cancellation Charges', [
+        ['Cancellation Fee', cancellation.isLate ? `${formatRand(cancellation.fee)} (less than 2 hours before pickup)` : 'None - free cancellation'],
+        ['Refund Due', cancellation.refundDue > 0 ? formatRand(cancellation.refundDue) : '']
+    ]);
+}
+
+export function contactSection(booking) {
+    return section('📞 Contact Us', [
+        ['Email Support', SUPPORT_EMAIL],
+        ['Phone Support', SUPPORT_PHONE],
+        ['Cancellation Policy', html`Free cancellation up to 2 hours before pickup${booking.cancelUrl && html`<br>${link(booking.cancelUrl, 'Cancel this booking online', 'color: #dc2626;')}`}`]
+    ]);
+}
+
+/**
+ * Distance driven, e.g. "23.5 km", "23.5 km × 2 for return" or "23.5 km + 31.0 km back"
+ */
+export function describeDistance({ distance, tripType, returnRoute }) {
+    if (distance === undefined || distance === null) return '';
+    const outbound = `${parseFloat(distance).toFixed(1)} km`;
+    if (tripType !== 'return') return outbound;
+    return returnRoute
+        ? `${outbound} + ${parseFloat(returnRoute.distance).toFixed(1)} km back`
+        : `${outbound} × 2 for return`;
+}
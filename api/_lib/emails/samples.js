@@ -0,0 +1,104 @@
+import { parseTripDateTime } from '../../../lib/datetime.js';
+import { applyDiscount, calculateFare, fareSchedule, vatBreakdown } from '../../../lib/pricing.js';
+import { assessCancellation } from '../cancellation.js';
+
+// ===== SAMPLE BOOKINGS =====
+// Made-up bookings for the email preview route. They carry every field a
+// real booking can have, so each template shows all of its sections.
+
+/**
+ * A sample booking and template context for previewing an email
+ * @param {string} name - Template name
+ * @param {string} baseUrl - Base URL for the links in the email
+ * @returns {{booking: Object, context: Object}}
+ */
+export function sampleEmailData(name, baseUrl) {
+    const booking = sampleBooking(baseUrl);
+    const paid = { ...booking, payment: samplePayment(booking.price) };
+
+    switch (name) {
+        case 'confirmed':
+            return { booking: { ...booking, status: 'confirmed' }, context: {} };
+        case 'assigned':
+        case 'reminder':
+        case 'completed':
+            return { booking: { ...booking, status: name === 'completed' ? 'completed' : 'assigned', driver: SAMPLE_DRIVER }, context: {} };
+        case 'rescheduled':
+            return { booking, context: { previous: { date: '2026-11-13', time: '09:30' } } };
+        case 'cancelled':
+        case 'owner-cancellation': {
+            // Paid, and cancelled an hour before pickup so the late fee shows
+            const cancelledAt = new Date(parseTripDateTime(booking.date, booking.time).getTime() - 60 * 60 * 1000);
+            const { isLate, fee, refundDue } = assessCancellation(paid, cancelledAt);
+            return {
+                booking: {
+                    ...paid,
+                    status: 'cancelled',
+                    cancellationReason: 'Change of travel plans',
+                    cancellation: { isLate, fee, refundDue, cancelledAt: cancelledAt.toISOString() }
+                },
+                context: {}
+            };
+        }
+        case 'invoice':
+            return {
+                booking: {
+                    ...paid,
+                    invoice: { number: 'INV-000042', sequence: 42, issuedAt: '2026-11-10T08:42:05.000Z', ...vatBreakdown(booking.price) }
+                },
+                context: {}
+            };
+        default:
+            return { booking, context: {} };
+    }
+}
+
+const SAMPLE_DRIVER = { name: 'Sipho Ndlovu', phone: '+27 82 555 0134', vehicleRegistration: 'GP 123-456' };
+
+function samplePayment(amount) {
+    return { status: 'paid', gateway: 'payfast', amount, paymentId: 'pf_1234567', paidAt: '2026-11-10T08:42:00.000Z' };
+}
+
+function sampleBooking(baseUrl) {
+    const reference = 'MSS-SAMPLE-PREVIEW';
+    const trip = { tripType: 'return', date: '2026-11-14', time: '08:00', sameDayReturn: 'yes', returnDate: '', returnTime: '14:30' };
+    const fare = applyDiscount(calculateFare({
+        distance: 23.5,
+        duration: 35,
+        vehicleType: 'premier-sedan',
+        tripType: trip.tripType,
+        stops: 1,
+        schedule: fareSchedule(trip)
+    }), { kind: 'promo', code: 'WELCOME10', type: 'percent', value: 10 });
+
+    return {
+        bookingReference: reference,
+        status: 'quoted',
+        name: 'Thandi Mokoena',
+        email: 'thandi@example.com',
+        phone: '+27 82 123 4567',
+        pickup: 'Sandton City, Rivonia Road, Sandton',
+        dropoff: 'OR Tambo International Airport, Kempton Park',
+        stops: [{ address: 'Rosebank Mall, Rosebank' }],
+        duration: 35,
+        returnRoute: null,
+        ...trip,
+        passengers: 2,
+        vehicleType: fare.vehicleType,
+        vehicleCount: fare.vehicleCount,
+        vehicleRate: fare.vehicleRate,
+        distance: fare.distance,
+        baseFee: fare.baseFee,
+        distanceCharge: fare.distanceCharge,
+        stopFee: fare.stopFee,
+        fare,
+        discount: fare.discount,
+        price: fare.total,
+        createdAt: '2026-11-01T10:12:00.000Z',
+        quoteExpiresAt: '2026-11-02T10:12:00.000Z',
+        paymentUrl: `${baseUrl}/?pay=${reference}`,
+        cancelUrl: `${baseUrl}/api/cancel?token=sample`,
+        quotePdfUrl: `${baseUrl}/api/documents?type=quote&token=sample`,
+        invoiceUrl: `${baseUrl}/api/documents?type=invoice&token=sample`
+    };
+}
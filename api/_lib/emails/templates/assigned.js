@@ -0,0 +1,16 @@
+import { driverSection, tripSection } from '../layout.js';
+
+export default {
+    description: 'Driver assigned to the booking',
+
+    subject: (booking) => `Your Driver for Booking #${booking.bookingReference}`,
+
+    render: (booking) => ({
+        title: '🚐 Driver Assigned',
+        accent: '#1e40af',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name},`,
+        intro: 'Your driver has been assigned. They may contact you up to 30 minutes before pickup.',
+        sections: [driverSection(booking.driver), tripSection(booking)]
+    })
+};
@@ -0,0 +1,16 @@
+import { cancellationSection, tripSection } from '../layout.js';
+
+export default {
+    description: 'Booking cancelled (by the customer or the office)',
+
+    subject: (booking) => `Booking Cancelled #${booking.bookingReference}`,
+
+    render: (booking) => ({
+        title: 'Booking Cancelled',
+        accent: '#dc2626',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name},`,
+        intro: `Your booking has been cancelled.${booking.cancellationReason ? ` Reason: ${booking.cancellationReason}` : ''} If this is unexpected, please contact us using the details below.`,
+        sections: [tripSection(booking), cancellationSection(booking.cancellation)]
+    })
+};
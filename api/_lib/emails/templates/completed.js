@@ -0,0 +1,16 @@
+import { priceSection, tripSection } from '../layout.js';
+
+export default {
+    description: 'Receipt once the trip is completed',
+
+    subject: (booking) => `Receipt for Booking #${booking.bookingReference}`,
+
+    render: (booking) => ({
+        title: '🧾 Trip Receipt',
+        accent: '#0f766e',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name},`,
+        intro: 'Thank you for travelling with Modjadji\'s Shuttle Service. Here is the receipt for your completed trip.',
+        sections: [tripSection(booking), priceSection(booking, 'Amount Charged')]
+    })
+};
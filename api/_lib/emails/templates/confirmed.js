@@ -0,0 +1,17 @@
+import { html } from '../html.js';
+import { link, priceSection, tripSection } from '../layout.js';
+
+export default {
+    description: 'Booking confirmed by the office',
+
+    subject: (booking) => `Booking Confirmed #${booking.bookingReference}`,
+
+    render: (booking) => ({
+        title: '✅ Booking Confirmed',
+        accent: '#059669',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name},`,
+        intro: html`Good news! Your shuttle for <strong>${booking.date}</strong> at <strong>${booking.time}</strong> is confirmed. We will send your driver's details once a driver has been assigned.${booking.cancelUrl && html` Plans changed? ${link(booking.cancelUrl, 'Cancel online')} (free up to 2 hours before pickup).`}`,
+        sections: [tripSection(booking), priceSection(booking)]
+    })
+};
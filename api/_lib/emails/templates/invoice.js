@@ -0,0 +1,37 @@
+import { formatTripDateTime } from '../../../../lib/datetime.js';
+import { formatRand, VAT_PERCENT, vatBreakdown } from '../../../../lib/pricing.js';
+import { buildInvoicePdf, documentFilename } from '../../documents.js';
+import { html } from '../html.js';
+import { link, section, tripSection } from '../layout.js';
+
+// Payment receipt for a paid booking, with its tax invoice attached
+export default {
+    description: 'Payment received, with the tax invoice attached',
+
+    subject: (booking) => `Tax Invoice ${booking.invoice.number} for Booking #${booking.bookingReference}`,
+
+    render: (booking) => {
+        const { invoice } = booking;
+        const { vat } = vatBreakdown(invoice.inclusive);
+        return {
+            title: '🧾 Payment Received',
+            accent: '#059669',
+            reference: booking.bookingReference,
+            greeting: `Hello ${booking.name},`,
+            intro: html`Thank you, we have received your payment of <strong>${formatRand(invoice.inclusive)}</strong>. Your tax invoice <strong>${invoice.number}</strong> is attached as a PDF${booking.invoiceUrl && html` (${link(booking.invoiceUrl, 'download it again')})`}.`,
+            sections: [
+                section('🧾 Invoice', [
+                    ['Invoice Number', invoice.number],
+                    ['Invoice Date', formatTripDateTime(invoice.issuedAt)],
+                    [`VAT (${VAT_PERCENT}%)`, formatRand(vat)],
+                    [html`<strong>Amount Paid</strong>`, html`<strong>${formatRand(invoice.inclusive)}</strong>`]
+                ]),
+                tripSection(booking)
+            ]
+        };
+    },
+
+    attachments: (booking) => [
+        { filename: documentFilename(booking, 'invoice'), content: buildInvoicePdf(booking) }
+    ]
+};
@@ -0,0 +1,32 @@
+import { formatTripDateTime } from '../../../../lib/datetime.js';
+import { html } from '../html.js';
+import { customerSection, fareSection, listSection, noticeBox, totalBox, tripSection } from '../layout.js';
+
+// The owner's alert for a new booking request
+export default {
+    description: 'Owner alert for a new booking request',
+
+    subject: (booking) => `🚗 New Booking #${booking.bookingReference} - ${booking.name}`,
+
+    render: (booking) => ({
+        title: '🚨 NEW BOOKING REQUEST',
+        subtitle: `Received ${formatTripDateTime(booking.createdAt || new Date())}`,
+        accent: 'linear-gradient(135deg, #dc2626 0%, #ef4444 100%)',
+        reference: booking.bookingReference,
+        sections: [
+            noticeBox(html`⏰ <strong>ACTION REQUIRED</strong><br>Contact the customer within <strong>2 hours</strong> to confirm booking availability`),
+            customerSection(booking),
+            tripSection(booking),
+            fareSection(booking),
+            totalBox('Booking Total', booking.price, html`Booking Reference: <strong>${booking.bookingReference}</strong>`),
+            listSection('📋 Action Items', [
+                html`Contact customer at <strong>${booking.phone}</strong> or <strong>${booking.email}</strong>`,
+                'Confirm vehicle availability for requested date/time',
+                'Provide payment instructions',
+                'Update booking status in system',
+                'Send confirmation email to customer'
+            ], { ordered: true })
+        ],
+        footer: ['This is an automated notification from Modjadji\'s Shuttle Service Payment System']
+    })
+};
@@ -0,0 +1,22 @@
+import { formatRand } from '../../../../lib/pricing.js';
+import { html } from '../html.js';
+import { cancellationSection, priceSection, tripSection } from '../layout.js';
+
+export default {
+    description: 'Owner alert for a customer cancellation',
+
+    subject: (booking) => `❌ Booking Cancelled #${booking.bookingReference} - ${booking.name}`,
+
+    render: (booking) => {
+        const cancellation = booking.cancellation || {};
+        return {
+            title: '❌ BOOKING CANCELLED BY CUSTOMER',
+            accent: '#dc2626',
+            reference: booking.bookingReference,
+            greeting: 'Hello,',
+            intro: html`${booking.name} (${booking.email}, ${booking.phone}) cancelled this booking online${cancellation.isLate && ' inside the free-cancellation window, so the late fee applies'}.${cancellation.refundDue > 0 && html` <strong>A refund of ${formatRand(cancellation.refundDue)} is due.</strong>`}`,
+            sections: [tripSection(booking), cancellationSection(cancellation), priceSection(booking, 'Booking Total')],
+            footer: ['This is an automated notification from Modjadji\'s Shuttle Service Payment System']
+        };
+    }
+};
@@ -0,0 +1,61 @@
+import { buildIcs, tripEvents } from '../../../../lib/calendar.js';
+import { formatTripDateTime } from '../../../../lib/datetime.js';
+import { formatRand } from '../../../../lib/pricing.js';
+import { buildQuotePdf, documentFilename } from '../../documents.js';
+import { html } from '../html.js';
+import { contactSection, customerSection, fareSection, link, listSection, totalBox, tripSection } from '../layout.js';
+
+// The customer's quote, sent by /api/quote and re-sent from the dashboard
+// while the booking is still quoted. The PDF quote and the trip's calendar
+// events go with it.
+export default {
+    description: 'Customer quote with the PDF quote and calendar file attached',
+
+    subject: (booking) => `Your Shuttle Quote #${booking.bookingReference} - ${formatRand(booking.price)}`,
+
+    render: (booking) => ({
+        title: '🚐 Your Shuttle Quote',
+        subtitle: 'Modjadji\'s Shuttle Service - Professional Transportation',
+        accent: 'linear-gradient(135deg, #1e40af 0%, #3b82f6 100%)',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name}!`,
+        intro: 'Thank you for choosing Modjadji\'s Shuttle Service! Your booking request has been received and a quote has been prepared based on your requirements.',
+        sections: [
+            customerSection(booking),
+            tripSection(booking),
+            fareSection(booking),
+            totalBox('Total Price', booking.price, booking.quoteExpiresAt
+                ? `Includes 15% VAT • Price guaranteed until ${formatTripDateTime(booking.quoteExpiresAt)}`
+                : 'Includes 15% VAT'),
+            listSection('📋 Next Steps', [
+                html`We will contact you within <strong>2 hours</strong> to confirm vehicle availability`,
+                booking.paymentUrl && html`Pay securely online: ${link(booking.paymentUrl, 'Pay now')} (or pay on confirmation)`,
+                'Accepted payment methods: Bank Transfer, Cash, Card. We email your VAT invoice once you have paid.',
+                html`Your quote is attached as a PDF${booking.quotePdfUrl && html` (${link(booking.quotePdfUrl, 'download it again')})`}`,
+                tripEvents(booking).length > 0 ? `Open the attached calendar file (Trip-${booking.bookingReference}.ics) to add your trip to your calendar` : '',
+                html`Keep your booking reference: <strong>${booking.bookingReference}</strong>`
+            ], { ordered: true, className: 'next-steps' }),
+            contactSection(booking)
+        ],
+        footer: [
+            'This is an automated quote from Modjadji\'s Shuttle Service',
+            'Please do not reply to this email. For inquiries, use the contact information above.'
+        ]
+    }),
+
+    attachments: (booking) => [
+        { filename: documentFilename(booking, 'quote'), content: buildQuotePdf(booking) },
+        ...calendarAttachment(booking)
+    ]
+};
+
+// Flexible dates have nothing to put in a calendar yet
+function calendarAttachment(booking) {
+    const events = tripEvents(booking);
+    if (events.length === 0) return [];
+    return [{
+        filename: `Trip-${booking.bookingReference}.ics`,
+        content: buildIcs(events),
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+    }];
+}
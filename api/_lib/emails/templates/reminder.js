@@ -0,0 +1,17 @@
+import { html } from '../html.js';
+import { driverSection, link, tripSection } from '../layout.js';
+
+export default {
+    description: 'Pickup reminder before the trip',
+
+    subject: (booking) => `Pickup Reminder: ${booking.date} at ${booking.time} (#${booking.bookingReference})`,
+
+    render: (booking) => ({
+        title: '⏰ Pickup Reminder',
+        accent: '#d97706',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name},`,
+        intro: html`This is a reminder that your shuttle picks you up on <strong>${booking.date}</strong> at <strong>${booking.time}</strong> from <strong>${booking.pickup}</strong>. Please be ready a few minutes early.${booking.cancelUrl && html` Plans changed? ${link(booking.cancelUrl, 'Cancel online')} (free up to 2 hours before pickup).`}`,
+        sections: [booking.driver?.name && driverSection(booking.driver), tripSection(booking)]
+    })
+};
@@ -0,0 +1,34 @@
+import { formatRand } from '../../../../lib/pricing.js';
+import { html } from '../html.js';
+import { tripSection } from '../layout.js';
+
+// context.previous is the pickup { date, time } before the change. The
+// return moves with the pickup; booking.fareDifference is what the new times
+// would change the fare by (the price itself stays as quoted).
+export default {
+    description: 'Pickup moved to a new date or time',
+
+    subject: (booking) => `Booking Rescheduled #${booking.bookingReference}`,
+
+    render: (booking, { previous = {} } = {}) => ({
+        title: '📅 Booking Rescheduled',
+        accent: '#7c3aed',
+        reference: booking.bookingReference,
+        greeting: `Hello ${booking.name},`,
+        intro: html`Your pickup has moved from <strong>${previous.date}</strong> at <strong>${previous.time}</strong> to <strong>${booking.date}</strong> at <strong>${booking.time}</strong>.${returnNote(booking)} ${fareNote(booking)} If this doesn't suit you, please contact us using the details below.`,
+        sections: [tripSection(booking)]
+    })
+};
+
+function returnNote(booking) {
+    if (booking.tripType !== 'return' || !booking.returnTime) return null;
+    return booking.sameDayReturn === 'no'
+        ? html` Your return pickup moves with it, to <strong>${booking.returnDate}</strong> at <strong>${booking.returnTime}</strong>.`
+        : html` Your return pickup moves with it, to <strong>${booking.returnTime}</strong> the same day.`;
+}
+
+function fareNote(booking) {
+    const difference = Number(booking.fareDifference) || 0;
+    if (difference === 0) return 'Everything else about your booking stays the same.';
+    return `At the new time your fare would be ${formatRand(Math.abs(difference))} ${difference > 0 ? 'more' : 'less'}. We will be in touch about the difference.`;
+}
@@ -0,0 +1,51 @@
+// ===== PLAIN-TEXT EMAILS =====
+// Every email goes out with a plain-text part for clients that don't show
+// HTML (and for spam filters, which distrust HTML-only mail). It is made from
+// the rendered HTML rather than kept as a second copy of each template.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©' };
+
+// Layout boxes that start a new paragraph
+const BOX_CLASSES = /<div class="(section|reference-box|price-total|notice|email-footer)( [^"]*)?">/gi;
+
+/**
+ * Convert a rendered email to plain text
+ * Block elements become lines, list items get "- ", detail rows read
+ * "Label: Value" and links show their address after the text.
+ * @param {string} html - Email HTML
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+    const text = String(html)
+        .replace(/<head[\s\S]*?<\/head>/gi, '')
+        .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(BOX_CLASSES, '\n\n')
+        .replace(/<span class="detail-label">([\s\S]*?)<\/span>\s*/gi, '$1: ')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const plainLabel = label.replace(/<[^>]+>/g, '').trim();
+            return plainLabel && plainLabel !== href ? `${plainLabel} (${href})` : href;
+        })
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<h[1-6][^>]*>/gi, '\n\n')
+        .replace(/<\/(h[1-6]|p|ol|ul)>/gi, '\n\n')
+        .replace(/<\/(div|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, decodeEntity);
+
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim() + '\n';
+}
+
+function decodeEntity(entity, name) {
+    if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+}
@@ -0,0 +1,320 @@
+import { isWithinServiceHours, VEHICLE_RATES, vehiclesNeeded } from '../../lib/pricing.js';
+import { parseTripDateTime, toTripDateTime } from '../../lib/datetime.js';
+import { listBookings } from './bookings.js';
+import { QUOTE_TTL_SECONDS } from './quotes.js';
+import { getStore } from './store.js';
+
+// ===== FLEET & AVAILABILITY =====
+// The fleet registry records how many vehicles of each type we own, plus
+// periods when some of them are off the road (services, repairs, private
+// hire). A trip occupies its vehicles for its "windows": the ORS drive time
+// plus a turnaround buffer, and the return leg for return trips. A vehicle
+// type is free for a trip when, at every moment of its windows, the bookings
+// and off-road periods already there leave enough vehicles spare.
+
+const COLLECTION = 'fleet';
+
+// Vehicle types with no registry entry yet
+export const DEFAULT_VEHICLE_COUNT = 1;
+
+// Bookings that hold a vehicle. A quoted booking only holds it while its quote is guaranteed.
+export const OCCUPYING_STATUSES = ['quoted', 'confirmed', 'assigned'];
+
+const MINUTE = 60 * 1000;
+
+export function turnaroundMinutes() {
+    const configured = Number(process.env.FLEET_BUFFER_MINUTES);
+    return Number.isFinite(configured) && configured >= 0 ? configured : 30;
+}
+
+/**
+ * Load the fleet registry, one entry per vehicle type
+ * @returns {Promise<Object<string, {vehicleType: string, count: number, unavailable: Object[]}>>}
+ */
+export async function getFleet() {
+    const stored = await getStore().list(COLLECTION);
+    const fleet = {};
+
+    for (const vehicleType of Object.keys(VEHICLE_RATES)) {
+        const entry = stored.find(item => item.vehicleType === vehicleType);
+        fleet[vehicleType] = {
+            vehicleType,
+            count: entry ? entry.count : DEFAULT_VEHICLE_COUNT,
+            unavailable: entry?.unavailable || []
+        };
+    }
+
+    return fleet;
+}
+
+/**
+ * Update one vehicle type in the fleet registry
+ * @param {string} vehicleType - Vehicle type
+ * @param {Object} changes
+ * @param {number} [changes.count] - Vehicles owned
+ * @param {Object[]} [changes.unavailable] - Off-road periods: { from, to (ISO), count, reason }
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateFleetVehicle(vehicleType, { count, unavailable }) {
+    const fleet = await getFleet();
+    const entry = {
+        ...fleet[vehicleType],
+        ...(count !== undefined && { count }),
+        ...(unavailable !== undefined && { unavailable }),
+        updatedAt: new Date().toISOString()
+    };
+    await getStore().put(COLLECTION, vehicleType, entry);
+    return entry;
+}
+
+/**
+ * Work out when a trip keeps a vehicle busy
+ * @param {Object} trip - Booking fields: date, time, duration (minutes, one way),
+ *   tripType, sameDayReturn, returnDate, returnTime, returnDuration (minutes, when the way
+ *   back runs between other addresses)
+ * @returns {{start: Date, end: Date}[]} Busy windows; empty when the pickup date/time is flexible
+ */
+export function tripWindows({ date, time, duration, tripType, sameDayReturn, returnDate, returnTime, returnDuration }) {
+    const start = parseTripDateTime(date, time);
+    if (!start) return [];
+
+    const legMs = (Number(duration) || 0) * MINUTE + turnaroundMinutes() * MINUTE;
+    const outbound = { start, end: new Date(start.getTime() + legMs) };
+
+    if (tripType !== 'return') return [outbound];
+
+    const returnLegMs = (Number(returnDuration ?? duration) || 0) * MINUTE + turnaroundMinutes() * MINUTE;
+
+    const sameDay = sameDayReturn !== 'no' || returnDate === date;
+    const returnAt = parseTripDateTime(sameDay ? date : returnDate, returnTime);
+
+    // No return time (or an impossible one): drive straight back
+    if (!returnAt || returnAt < outbound.end) {
+        return [{ start, end: new Date(start.getTime() + legMs + returnLegMs) }];
+    }
+
+    // Same-day returns keep the vehicle until it gets back; other days free it in between
+    const inbound = { start: returnAt, end: new Date(returnAt.getTime() + returnLegMs) };
+    return sameDay ? [{ start, end: inbound.end }] : [outbound, inbound];
+}
+
+/**
+ * Check whether enough vehicles of the trip's type are free for the whole trip
+ * @param {Object} trip - Booking fields (see tripWindows) plus vehicleType and vehicleCount
+ * @param {Object} [options]
+ * @param {string} [options.excludeReference] - Booking to ignore (when re-checking an existing booking)
+ * @param {Object} [options.fleet] - Preloaded fleet registry
+ * @param {Object[]} [options.bookings] - Preloaded occupying bookings
+ * @returns {Promise<{available: boolean, vehicleType: string, count: number, inUse: number, windows: Object[]}>}
+ */
+export async function checkAvailability(trip, options = {}) {
+    const fleet = options.fleet || await getFleet();
+    const bookings = options.bookings || await loadOccupyingBookings();
+    const { vehicleType } = trip;
+    const needed = trip.vehicleCount || 1;
+    const count = fleet[vehicleType]?.count ?? 0;
+    const windows = tripWindows(trip);
+
+    // Flexible trips are scheduled by hand
+    if (windows.length === 0) {
+        return { available: count >= needed, vehicleType, count, inUse: 0, windows };
+    }
+
+    const busy = busyIntervals(vehicleType, fleet, bookings, options.excludeReference);
+    const inUse = Math.max(...windows.map(window => peakUsage(busy, window)));
+
+    return {
+        available: inUse + needed <= count,
+        vehicleType,
+        count,
+        inUse,
+        windows: windows.map(serializeWindow)
+    };
+}
+
+/**
+ * Name of the store lock (see withLock) to hold while checking a vehicle type
+ * is free and saving the booking that takes it
+ * @param {string} vehicleType - Vehicle type
+ * @returns {string}
+ */
+export function fleetLockName(vehicleType) {
+    return `fleet:${vehicleType}`;
+}
+
+/**
+ * Check whether a booking keeps its vehicles from other trips
+ * @param {Object} booking - Stored booking
+ * @param {number} [now=Date.now()] - Time to check at (ms)
+ * @returns {boolean}
+ */
+export function holdsVehicles(booking, now = Date.now()) {
+    const status = booking.status || 'quoted';
+    if (!OCCUPYING_STATUSES.includes(status)) return false;
+    if (status !== 'quoted') return true;
+
+    // Bookings from before quoteExpiresAt was stored hold for a quote's lifetime from when they were made
+    const expiresAt = Date.parse(booking.quoteExpiresAt || '')
+        || Date.parse(booking.createdAt || '') + QUOTE_TTL_SECONDS * 1000;
+    return expiresAt > now;
+}
+
+/**
+ * Move a trip's pickup, and its return with it, by the same amount of time
+ * @param {Object} trip - Booking fields (see tripWindows)
+ * @param {number} shiftMs - How far to move it (ms, negative for earlier)
+ * @returns {Object} Trip with the new date, time, returnDate and returnTime
+ */
+export function shiftTrip(trip, shiftMs) {
+    const shift = (date, time) => {
+        const at = parseTripDateTime(date, time);
+        return at ? toTripDateTime(at.getTime() + shiftMs) : { date, time };
+    };
+
+    const pickup = shift(trip.date, trip.time);
+    const shifted = { ...trip, ...pickup };
+    if (trip.tripType === 'return' && trip.returnTime) {
+        const back = shift(trip.sameDayReturn === 'no' ? trip.returnDate : trip.date, trip.returnTime);
+        shifted.returnTime = back.time;
+        if (trip.sameDayReturn === 'no') shifted.returnDate = back.date;
+    }
+    return shifted;
+}
+
+/**
+ * Suggest other pickup times (same vehicle) and other vehicles (same time) when a trip can't be booked
+ * Times outside SERVICE_HOURS are never suggested.
+ * @param {Object} trip - Booking fields (see checkAvailability) plus passengers
+ * @param {Object} [options]
+ * @param {number} [options.maxTimes=3] - Number of times to suggest
+ * @param {number} [options.stepMinutes=30] - Spacing of the times tried
+ * @param {number} [options.rangeHours=4] - How far either side of the requested time to look
+ * @param {string} [options.excludeReference] - Booking to ignore
+ * @returns {Promise<{times: {date: string, time: string}[], vehicles: string[]}>}
+ */
+export async function suggestAlternatives(trip, { maxTimes = 3, stepMinutes = 30, rangeHours = 4, excludeReference } = {}) {
+    const fleet = await getFleet();
+    const bookings = await loadOccupyingBookings();
+    const shared = { fleet, bookings, excludeReference };
+
+    const vehicles = [];
+    for (const vehicleType of Object.keys(VEHICLE_RATES)) {
+        // Only vehicles big enough for the group (or a split of them)
+        const vehicleCount = vehiclesNeeded(vehicleType, Number(trip.passengers) || 1);
+        if (vehicleType === trip.vehicleType || !vehicleCount) continue;
+        const result = await checkAvailability({ ...trip, vehicleType, vehicleCount }, shared);
+        if (result.available) vehicles.push(vehicleType);
+    }
+
+    const times = [];
+    const start = parseTripDateTime(trip.date, trip.time);
+    if (start) {
+        const now = Date.now();
+        // Nearest first: +30, -30, +60, -60, ...
+        for (let step = 1; step * stepMinutes <= rangeHours * 60 && times.length < maxTimes; step++) {
+            for (const direction of [1, -1]) {
+                const shiftMs = direction * step * stepMinutes * MINUTE;
+                const shifted = new Date(start.getTime() + shiftMs);
+                if (shifted.getTime() <= now || times.length >= maxTimes) continue;
+
+                const candidate = shiftTrip(trip, shiftMs);
+                if (!withinServiceHours(candidate)) continue;
+                const result = await checkAvailability(candidate, shared);
+                if (result.available) times.push({ date: candidate.date, time: candidate.time });
+            }
+        }
+    }
+
+    return { times, vehicles };
+}
+
+/**
+ * List who is using each vehicle type between two instants, for the admin calendar
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<Object<string, {count: number, peak: number, entries: Object[]}>>}
+ */
+export async function getFleetCalendar(from, to) {
+    const fleet = await getFleet();
+    const bookings = await loadOccupyingBookings();
+    const period = { start: from, end: to };
+    const calendar = {};
+
+    for (const [vehicleType, entry] of Object.entries(fleet)) {
+        const busy = busyIntervals(vehicleType, fleet, bookings);
+        const entries = busy
+            .filter(interval => overlaps(interval, period))
+            .map(interval => ({ ...interval, ...serializeWindow(interval) }))
+            .sort((a, b) => a.start.localeCompare(b.start));
+
+        calendar[vehicleType] = {
+            count: entry.count,
+            peak: peakUsage(busy, period),
+            entries
+        };
+    }
+
+    return calendar;
+}
+
+async function loadOccupyingBookings() {
+    const bookings = await listBookings();
+    const now = Date.now();
+    return bookings.filter(booking => holdsVehicles(booking, now));
+}
+
+function busyIntervals(vehicleType, fleet, bookings, excludeReference) {
+    const intervals = [];
+
+    for (const booking of bookings) {
+        if (booking.vehicleType !== vehicleType || booking.bookingReference === excludeReference) continue;
+        for (const window of tripWindows(booking)) {
+            intervals.push({ ...window, count: booking.vehicleCount || 1, type: 'booking', reference: booking.bookingReference, status: booking.status });
+        }
+    }
+
+    for (const period of fleet[vehicleType]?.unavailable || []) {
+        intervals.push({
+            start: new Date(period.from),
+            end: new Date(period.to),
+            count: Number(period.count) || 1,
+            type: 'unavailable',
+            reason: period.reason
+        });
+    }
+
+    return intervals;
+}
+
+// Most vehicles in use at any one moment of the window
+function peakUsage(intervals, window) {
+    const events = [];
+    for (const interval of intervals) {
+        if (!overlaps(interval, window)) continue;
+        events.push([Math.max(interval.start.getTime(), window.start.getTime()), interval.count]);
+        events.push([Math.min(interval.end.getTime(), window.end.getTime()), -interval.count]);
+    }
+
+    // Ends sort before starts at the same instant, so back-to-back trips share a vehicle
+    events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let current = 0;
+    let peak = 0;
+    for (const [, change] of events) {
+        current += change;
+        peak = Math.max(peak, current);
+    }
+    return peak;
+}
+
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+function serializeWindow({ start, end }) {
+    return { start: start.toISOString(), end: end.toISOString() };
+}
+
+function withinServiceHours({ time, tripType, returnTime }) {
+    return isWithinServiceHours(time) && (tripType !== 'return' || !returnTime || isWithinServiceHours(returnTime));
+}
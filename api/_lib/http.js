@@ -0,0 +1,62 @@
+/**
+ * Public base URL of the site, for links in emails and gateway callbacks.
+ * PUBLIC_BASE_URL wins; otherwise it is derived from the request host.
+ * @param {Object} req - Request
+ * @returns {string} Base URL without trailing slash
+ */
+export function getBaseUrl(req) {
+    if (process.env.PUBLIC_BASE_URL) {
+        return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+    }
+    const host = req?.headers?.['x-forwarded-host'] || req?.headers?.host || 'localhost:3000';
+    const protocol = req?.headers?.['x-forwarded-proto'] || (host.startsWith('localhost') ? 'http' : 'https');
+    return `${protocol}://${host}`;
+}
+
+/**
+ * Address of the client that sent the request. On Vercel the proxy sets
+ * x-real-ip itself. Elsewhere only the last x-forwarded-for entry was added by
+ * our own proxy; the ones before it come from the client and can be made up.
+ * @param {Object} req - Request
+ * @returns {string|null} IP address, or null when unknown
+ */
+export function clientIp(req) {
+    const realIp = String(req?.headers?.['x-real-ip'] || '').trim();
+    if (process.env.VERCEL && realIp) return realIp;
+
+    const forwarded = String(req?.headers?.['x-forwarded-for'] || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+    if (forwarded.length > 0) return forwarded.at(-1);
+
+    return realIp || req?.socket?.remoteAddress || null;
+}
+
+/**
+ * Read the unparsed request body. Signed webhooks must be verified against
+ * the exact bytes that were sent, not a re-serialised req.body.
+ * @param {Object} req - Request
+ * @returns {Promise<string>} Raw body
+ */
+export async function readRawBody(req) {
+    if (typeof req.rawBody === 'string') return req.rawBody;
+    if (Buffer.isBuffer(req.rawBody)) return req.rawBody.toString('utf8');
+
+    if (typeof req[Symbol.asyncIterator] === 'function' && req.readable !== false) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        }
+        if (chunks.length > 0) return Buffer.concat(chunks).toString('utf8');
+    }
+
+    // Body was already consumed by a parser - rebuild it as closely as we can
+    if (typeof req.body === 'string') return req.body;
+    if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+    if (!req.body) return '';
+    if ((req.headers?.['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+        return new URLSearchParams(req.body).toString();
+    }
+    return JSON.stringify(req.body);
+}
@@ -0,0 +1,284 @@
+import { calculateFare, fareSchedule, roundCurrency } from '../../lib/pricing.js';
+import { toInternationalPhone } from '../../lib/validation.js';
+import { updateBooking } from './bookings.js';
+import { isInvoicingConfigured, issueInvoice } from './documents.js';
+import { renderEmail } from './emails/index.js';
+import { mailConfigError } from './mail/index.js';
+import { messagingConfigError } from './messaging/index.js';
+import { renderMessage } from './messaging/messages.js';
+import { queueEmail, queueMessage } from './outbox.js';
+
+// ===== BOOKING LIFECYCLE =====
+// quoted → confirmed → assigned → completed, with cancellation allowed from
+// any state before completion. completed and cancelled are final.
+
+export const BOOKING_STATUSES = ['quoted', 'confirmed', 'assigned', 'completed', 'cancelled'];
+
+export const BOOKING_TRANSITIONS = {
+    quoted: ['confirmed', 'cancelled'],
+    confirmed: ['assigned', 'cancelled'],
+    assigned: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+
+export class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        const allowed = BOOKING_TRANSITIONS[from] || [];
+        super(allowed.length > 0
+            ? `Cannot change booking from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+            : `Cannot change booking from ${from} to ${to}: ${from} is final`);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Check whether a booking may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+    return (BOOKING_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move a booking to a new status, record when it happened and email the customer
+ * @param {string} reference - Booking reference
+ * @param {string} status - New status
+ * @param {Object} [details] - Extra data for the transition
+ * @param {Object} [details.driver] - { name, phone, vehicleRegistration }, required for 'assigned'
+ * @param {string} [details.reason] - Cancellation reason
+ * @param {string} [details.actor] - Who made the change, for the history
+ * @param {Object} [details.changes] - Other booking fields to save with the transition
+ * @returns {Promise<{booking: Object, emailSent: boolean}|null>} Result, or null if the booking is unknown
+ * @throws {InvalidTransitionError} When the transition is not allowed
+ */
+export async function transitionBooking(reference, status, details = {}) {
+    // Checked against the stored booking inside the update, so two changes at once can't both pass
+    let from = null;
+    const at = new Date().toISOString();
+    const updated = await updateBooking(reference, booking => {
+        from = booking.status || 'quoted';
+        if (!canTransition(from, status)) {
+            throw new InvalidTransitionError(from, status);
+        }
+        if (status === 'assigned' && !details.driver?.name) {
+            throw new Error('A driver name is required to assign a booking');
+        }
+
+        const changes = {
+            status,
+            [`${status}At`]: at,
+            statusHistory: [
+                ...(booking.statusHistory || [{ status: from, at: booking.createdAt }]),
+                { status, at, actor: details.actor || 'admin' }
+            ]
+        };
+        if (details.driver) changes.driver = details.driver;
+        if (status === 'cancelled' && details.reason) changes.cancellationReason = details.reason;
+        return Object.assign(changes, details.changes);
+    });
+    if (!updated) return null;
+    console.log(`📝 Booking ${updated.bookingReference}: ${from} → ${status}`);
+
+    const emailSent = await notifyCustomer(updated, statusEmail(status, updated), `booking-${status}`);
+    if (status === 'assigned') {
+        await textCustomer(updated, 'assigned');
+    }
+
+    return { booking: updated, emailSent };
+}
+
+// Bookings can be moved to a new pickup time until the trip is underway
+export const RESCHEDULABLE_STATUSES = ['quoted', 'confirmed', 'assigned'];
+
+/**
+ * Move a booking to a new pickup date and time and email the customer
+ * The price stays as quoted. fareDifference records what the new times would
+ * change it by (surcharges, waiting time), for the owner to settle.
+ * @param {string} reference - Booking reference
+ * @param {Object} when - New pickup date (YYYY-MM-DD) and time (HH:MM), plus
+ *   returnDate and returnTime for a return trip (unchanged when left out; see shiftTrip in fleet.js)
+ * @param {string} [actor='admin'] - Who made the change, for the history
+ * @returns {Promise<{booking: Object, emailSent: boolean}|null>} Result, or null if the booking is unknown
+ * @throws {InvalidTransitionError} When the booking is completed or cancelled
+ */
+export async function rescheduleBooking(reference, { date, time, returnDate, returnTime }, actor = 'admin') {
+    let previous = null;
+    const at = new Date().toISOString();
+    const updated = await updateBooking(reference, booking => {
+        const status = booking.status || 'quoted';
+        if (!RESCHEDULABLE_STATUSES.includes(status)) {
+            throw new InvalidTransitionError(status, 'rescheduled');
+        }
+
+        const when = booking.tripType === 'return'
+            ? { date, time, returnDate: returnDate ?? booking.returnDate, returnTime: returnTime ?? booking.returnTime }
+            : { date, time };
+        previous = Object.fromEntries(Object.keys(when).map(key => [key, booking[key]]));
+        const fareDifference = repriceDifference(booking, { ...booking, ...when });
+        return {
+            ...when,
+            fareDifference,
+            rescheduledAt: at,
+            rescheduleHistory: [
+                ...(booking.rescheduleHistory || []),
+                { from: previous, to: when, fareDifference, at, actor }
+            ]
+        };
+    });
+    if (!updated) return null;
+    console.log(`📝 Booking ${updated.bookingReference}: rescheduled ${previous.date} ${previous.time} → ${date} ${time}`);
+    if (updated.fareDifference) {
+        console.log(`💸 Booking ${updated.bookingReference}: the new times change the fare by R${updated.fareDifference}`);
+    }
+
+    const emailSent = await notifyCustomer(updated, renderEmail('rescheduled', updated, { previous }), 'booking-rescheduled');
+
+    return { booking: updated, emailSent };
+}
+
+/**
+ * Send the customer the email for their booking's current status again
+ * (the quote while it is still quoted, otherwise the latest status email)
+ * @param {Object} booking - Stored booking
+ * @returns {Promise<boolean>} True if the email was sent (if not, the outbox retries it)
+ */
+export async function resendCustomerEmail(booking) {
+    const status = booking.status || 'quoted';
+    return notifyCustomer(booking, statusEmail(status, booking), status === 'quoted' ? 'booking-quote' : `booking-${status}`);
+}
+
+// What the fare (before any discount) changes by when the booking's quoted
+// times move to the trip's, or null when it can't be priced again
+function repriceDifference(booking, trip) {
+    const { fare } = booking;
+    if (!fare?.distance) return null;
+
+    const price = schedule => calculateFare({
+        distance: fare.distance,
+        returnDistance: fare.returnDistance ?? undefined,
+        duration: booking.duration,
+        vehicleType: fare.vehicleType,
+        tripType: fare.tripType,
+        vehicleCount: fare.vehicleCount,
+        stops: fare.stops,
+        schedule
+    }).total;
+
+    try {
+        return roundCurrency(price(fareSchedule(trip)) - price(fare.schedule ?? null));
+    } catch (error) {
+        console.warn(`Booking ${booking.bookingReference} could not be repriced:`, error.message);
+        return null;
+    }
+}
+
+// Email for a booking status: the quote while quoted, then one template per status
+const STATUS_EMAILS = ['quote', 'confirmed', 'assigned', 'cancelled', 'completed'];
+
+function statusEmail(status, booking) {
+    const name = status === 'quoted' ? 'quote' : status;
+    return STATUS_EMAILS.includes(name) ? renderEmail(name, booking) : null;
+}
+
+// Reminders go out for bookings that are still going ahead
+export const REMINDABLE_STATUSES = ['quoted', 'confirmed', 'assigned'];
+
+/**
+ * Email the customer a pickup reminder (and text it, if they chose SMS or WhatsApp)
+ * @param {Object} booking - Stored booking
+ * @returns {Promise<boolean>} True if the email was sent (if not, the outbox retries it)
+ * @throws {InvalidTransitionError} When the booking is completed or cancelled
+ */
+export async function sendReminder(booking) {
+    const status = booking.status || 'quoted';
+    if (!REMINDABLE_STATUSES.includes(status)) {
+        throw new InvalidTransitionError(status, 'reminded');
+    }
+
+    const emailSent = await notifyCustomer(booking, renderEmail('reminder', booking), 'booking-reminder');
+    const textSent = await textCustomer(booking, 'reminder');
+    if (emailSent || textSent) {
+        await updateBooking(booking.bookingReference, { remindedAt: new Date().toISOString() });
+    }
+    return emailSent;
+}
+
+/**
+ * Issue a paid booking's tax invoice and email it to the customer
+ * @param {string} reference - Booking reference
+ * @returns {Promise<boolean>} True if the email was sent (if not, the outbox retries it)
+ */
+export async function sendInvoice(reference) {
+    const booking = await issueInvoice(reference);
+    if (!booking) return false;
+
+    if (!isInvoicingConfigured()) {
+        console.error(`COMPANY_VAT_NUMBER environment variable is not configured; invoice ${booking.invoice.number} was not emailed`);
+        return false;
+    }
+
+    return notifyCustomer(booking, renderEmail('invoice', booking), 'booking-invoice');
+}
+
+/**
+ * Text the customer on the channel they chose for booking updates
+ * Nothing is sent when they chose email (or booked before there was a choice).
+ * @param {Object} booking - Stored booking
+ * @param {string} name - Message template (see MESSAGE_TEMPLATES)
+ * @returns {Promise<boolean>} True if a message was sent (if not, the outbox retries it)
+ */
+export async function textCustomer(booking, name) {
+    const channel = booking.notificationChannel;
+    if (channel !== 'sms' && channel !== 'whatsapp') return false;
+
+    const messagingProblem = messagingConfigError(channel);
+    if (messagingProblem) {
+        console.error(`${name} ${channel} message not sent: ${messagingProblem}`);
+        return false;
+    }
+
+    try {
+        const delivery = await queueMessage({
+            bookingReference: booking.bookingReference,
+            channel,
+            to: toInternationalPhone(booking.phone),
+            content: renderMessage(name, booking)
+        });
+        return delivery.status === 'sent';
+
+    } catch (error) {
+        console.error(`${name} ${channel} message error:`, error);
+        return false;
+    }
+}
+
+async function notifyCustomer(booking, content, category) {
+    if (!content) return false;
+
+    const mailProblem = mailConfigError();
+    if (mailProblem) {
+        console.error(`${category} email not sent: ${mailProblem}`);
+        return false;
+    }
+
+    try {
+        const delivery = await queueEmail({
+            bookingReference: booking.bookingReference,
+            to: [booking.email],
+            content,
+            tags: [
+                { name: 'category', value: category }
+            ]
+        });
+        return delivery.status === 'sent';
+
+    } catch (error) {
+        console.error(`${category} email error:`, error);
+        return false;
+    }
+}
@@ -0,0 +1,23 @@
+// ===== CONSOLE TRANSPORT =====
+// Local stand-in that prints each email (headers and plain-text part) to the
+// log instead of sending it.
+
+export function createConsoleTransport() {
+    return {
+        name: 'console',
+
+        async send({ from, to, subject, text, attachments = [] }) {
+            const files = attachments.map(file => file.filename).join(', ');
+            console.log([
+                `📧 Email (console transport)`,
+                `   From: ${from}`,
+                `   To: ${to.join(', ')}`,
+                `   Subject: ${subject}`,
+                ...(files ? [`   Attachments: ${files}`] : []),
+                '',
+                text || '(no plain-text part)'
+            ].join('\n'));
+            return { id: null };
+        }
+    };
+}
@@ -0,0 +1,32 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { buildMimeMessage } from './mime.js';
+
+// ===== FILE TRANSPORT =====
+// Local stand-in that writes each email as an .eml file to MAIL_FILE_DIR
+// (default .data/mail) instead of sending it. Open the files in any mail
+// client to see exactly what a customer would get, attachments included.
+
+export function createFileTransport() {
+    const dir = process.env.MAIL_FILE_DIR || defaultDir();
+
+    return {
+        name: 'file',
+
+        async send(message) {
+            const { messageId, raw } = buildMimeMessage(message);
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const filePath = path.join(dir, `${stamp}-${messageId.slice(1, 9)}.eml`);
+
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(filePath, raw);
+            console.log(`📁 Email "${message.subject}" written to ${filePath}`);
+            return { id: messageId };
+        }
+    };
+}
+
+function defaultDir() {
+    // Vercel functions can only write to /tmp
+    return process.env.VERCEL ? '/tmp/mail' : path.join(process.cwd(), '.data', 'mail');
+}
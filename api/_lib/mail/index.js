@@ -0,0 +1,59 @@
+import { createConsoleTransport } from './console.js';
+import { createFileTransport } from './file.js';
+import { createResendTransport } from './resend.js';
+import { createSmtpTransport } from './smtp.js';
+
+// ===== MAIL TRANSPORTS =====
+// Every transport implements one call:
+//   send({ from, to: [address], subject, html, text?, tags?, attachments? }) → { id }
+//       attachments are { filename, content (Buffer or string), contentType? };
+//       a failed send throws
+// MAIL_TRANSPORT selects one: resend, smtp, file or console (local only). It
+// defaults to resend when RESEND_API_KEY is set, and to file outside production.
+// Nothing sends through a transport directly: the outbox (outbox.js) does, so
+// failed sends are retried.
+
+const TRANSPORTS = {
+    resend: createResendTransport,
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+const LOCAL_TRANSPORTS = ['file', 'console'];
+
+/**
+ * Build the configured mail transport
+ * @returns {Object} Transport adapter
+ * @throws {Error} When the transport is unknown or missing its configuration
+ */
+export function getMailTransport() {
+    const isProduction = process.env.VERCEL_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT
+        || (process.env.RESEND_API_KEY ? 'resend' : (isProduction ? '' : 'file'));
+
+    if (!name) {
+        throw new Error('MAIL_TRANSPORT is not configured (or set RESEND_API_KEY)');
+    }
+    if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use resend, smtp, file or console.`);
+    }
+    if (LOCAL_TRANSPORTS.includes(name) && isProduction && process.env.ALLOW_LOCAL_MAIL !== 'true') {
+        throw new Error(`The ${name} mail transport is disabled in production`);
+    }
+
+    return TRANSPORTS[name]();
+}
+
+/**
+ * Check email can be sent
+ * @returns {string|null} What is wrong, or null when mail is ready
+ */
+export function mailConfigError() {
+    try {
+        getMailTransport();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
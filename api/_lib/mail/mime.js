@@ -0,0 +1,105 @@
+import { randomBytes } from 'node:crypto';
+
+// ===== MIME MESSAGES =====
+// Raw RFC 5322 messages for the transports that speak SMTP or write .eml
+// files (Resend takes JSON instead). Text and HTML go in a
+// multipart/alternative part, with attachments alongside in multipart/mixed.
+// Every body is base64, so no line is too long and none starts with a dot.
+
+const LINE_LENGTH = 76;
+
+// For attachments without a contentType (Resend works these out itself)
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    ics: 'text/calendar; charset=utf-8',
+    csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Build a raw email message
+ * @param {Object} message - { from, to, subject, html, text?, tags?, attachments? }
+ * @returns {{messageId: string, raw: string}} Message-ID header value and the CRLF message
+ */
+export function buildMimeMessage({ from, to, subject, html, text, tags = [], attachments = [] }) {
+    const messageId = `<${randomBytes(12).toString('hex')}@${domainOf(from)}>`;
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        ...tags.map(tag => `X-Tag: ${tag.name}=${tag.value}`)
+    ];
+
+    const body = multipart('alternative', [
+        text ? bodyPart('text/plain; charset=utf-8', text) : null,
+        bodyPart('text/html; charset=utf-8', html)
+    ]);
+    const content = attachments.length > 0
+        ? multipart('mixed', [
+            body,
+            ...attachments.map(({ filename, content: data, contentType }) => bodyPart(
+                `${contentType || contentTypeFor(filename)}; name="${filename}"`,
+                data,
+                `attachment; filename="${filename}"`
+            ))
+        ])
+        : body;
+
+    return { messageId, raw: `${headers.join('\r\n')}\r\n${content}\r\n` };
+}
+
+/**
+ * The bare address from "Name <address>" or "address"
+ * @param {string} value
+ * @returns {string}
+ */
+export function mailboxAddress(value) {
+    const match = /<([^>]+)>/.exec(String(value));
+    return (match ? match[1] : String(value)).trim();
+}
+
+// A part is its headers, a blank line and its body
+function bodyPart(contentType, content, disposition) {
+    return [
+        `Content-Type: ${contentType}`,
+        'Content-Transfer-Encoding: base64',
+        ...(disposition ? [`Content-Disposition: ${disposition}`] : []),
+        '',
+        wrap(Buffer.from(content ?? '').toString('base64'))
+    ].join('\r\n');
+}
+
+function multipart(subtype, parts) {
+    const boundary = `=_${randomBytes(12).toString('hex')}`;
+    return [
+        `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+        '',
+        ...parts.filter(Boolean).flatMap(part => [`--${boundary}`, part]),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+function wrap(base64) {
+    const lines = [];
+    for (let index = 0; index < base64.length; index += LINE_LENGTH) {
+        lines.push(base64.slice(index, index + LINE_LENGTH));
+    }
+    return lines.join('\r\n');
+}
+
+// Subjects with emoji or accents need RFC 2047 encoding
+function encodeHeader(value) {
+    const text = String(value ?? '');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+function contentTypeFor(filename) {
+    const extension = String(filename).split('.').pop().toLowerCase();
+    return CONTENT_TYPES[extension] || 'application/octet-stream';
+}
+
+function domainOf(address) {
+    return mailboxAddress(address).split('@')[1] || 'localhost';
+}
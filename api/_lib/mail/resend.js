@@ -0,0 +1,47 @@
+// ===== RESEND TRANSPORT =====
+// Sends through the Resend HTTP API (https://resend.com/docs/api-reference).
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+export function createResendTransport() {
+    const apiKey = process.env.RESEND_API_KEY;
+    if (!apiKey) {
+        throw new Error('RESEND_API_KEY environment variable is not configured');
+    }
+
+    return {
+        name: 'resend',
+
+        async send({ from, to, subject, html, text, tags = [], attachments = [] }) {
+            const response = await fetch(RESEND_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    from,
+                    to,
+                    subject,
+                    html,
+                    ...(text ? { text } : {}),
+                    tags,
+                    ...(attachments.length > 0 ? {
+                        attachments: attachments.map(({ filename, content, contentType }) => ({
+                            filename,
+                            content: Buffer.from(content).toString('base64'),
+                            ...(contentType ? { content_type: contentType } : {})
+                        }))
+                    } : {})
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Resend error ${response.status}: ${await response.text()}`);
+            }
+
+            const data = await response.json().catch(() => ({}));
+            return { id: data.id || null };
+        }
+    };
+}
@@ -0,0 +1,175 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import { buildMimeMessage, mailboxAddress } from './mime.js';
+
+// ===== SMTP TRANSPORT =====
+// Sends through any SMTP server (a mailbox provider, Amazon SES, Postmark, ...).
+// Port 465 uses TLS from the start; other ports must offer STARTTLS, so the
+// password and the email never cross the network in the clear.
+
+const DEFAULT_PORT = 587;
+const TIMEOUT_MS = 15000;
+
+export function createSmtpTransport() {
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+        throw new Error('SMTP_HOST environment variable is not configured');
+    }
+
+    const port = Number(process.env.SMTP_PORT) || DEFAULT_PORT;
+    const secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465;
+    const user = process.env.SMTP_USER;
+    const pass = process.env.SMTP_PASS || '';
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const { messageId, raw } = buildMimeMessage(message);
+            const session = await connect({ host, port, secure });
+
+            try {
+                await session.reply(220);
+                const features = await session.command(`EHLO ${clientName(message.from)}`, 250);
+
+                if (!secure) {
+                    if (!/\bSTARTTLS\b/i.test(features)) {
+                        throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS`);
+                    }
+                    await session.command('STARTTLS', 220);
+                    await session.startTls(host);
+                    await session.command(`EHLO ${clientName(message.from)}`, 250);
+                }
+
+                if (user) {
+                    const credentials = Buffer.from(`\0${user}\0${pass}`).toString('base64');
+                    await session.command(`AUTH PLAIN ${credentials}`, 235);
+                }
+
+                await session.command(`MAIL FROM:<${mailboxAddress(message.from)}>`, 250);
+                for (const recipient of message.to) {
+                    await session.command(`RCPT TO:<${mailboxAddress(recipient)}>`, [250, 251]);
+                }
+                await session.command('DATA', 354);
+                await session.command(`${raw}.`, 250);
+                await session.command('QUIT', 221).catch(() => {});
+
+                return { id: messageId };
+            } finally {
+                session.close();
+            }
+        }
+    };
+}
+
+function connect({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        // SNI takes host names only
+        const options = { host, port, ...(net.isIP(host) ? {} : { servername: host }) };
+        const socket = secure
+            ? tls.connect(options, () => resolve(createSession(socket)))
+            : net.connect(options, () => resolve(createSession(socket)));
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`SMTP connection to ${host}:${port} timed out`)));
+        socket.once('error', reject);
+    });
+}
+
+// Reads the server's replies (one or more "250-..." lines ending in "250 ...")
+// and matches them to the commands sent
+function createSession(initialSocket) {
+    let socket = initialSocket;
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            lines.push(line);
+            if (!/^\d{3}-/.test(line)) {
+                const reply = lines;
+                lines = [];
+                const waiter = waiting.shift();
+                if (waiter) waiter.resolve(reply);
+                else replies.push(reply);
+            }
+        }
+    }
+
+    function onError(error) {
+        failure = error;
+        while (waiting.length > 0) waiting.shift().reject(error);
+    }
+
+    function onClose() {
+        onError(failure || new Error('SMTP connection closed'));
+    }
+
+    function attach(target) {
+        target.on('data', onData);
+        target.on('error', onError);
+        target.on('close', onClose);
+    }
+
+    function detach(target) {
+        target.off('data', onData);
+        target.off('error', onError);
+        target.off('close', onClose);
+    }
+
+    function nextReply() {
+        if (replies.length > 0) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+
+    async function reply(expected) {
+        const lines = await nextReply();
+        const code = Number(lines[lines.length - 1].slice(0, 3));
+        if (![].concat(expected).includes(code)) {
+            throw new Error(`SMTP error: ${lines.join(' ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    attach(socket);
+
+    return {
+        reply,
+
+        command(line, expected) {
+            socket.write(`${line}\r\n`);
+            return reply(expected);
+        },
+
+        startTls(servername) {
+            return new Promise((resolve, reject) => {
+                detach(socket);
+                const secureSocket = tls.connect({ socket, ...(net.isIP(servername) ? {} : { servername }) }, () => {
+                    secureSocket.off('error', reject);
+                    attach(secureSocket);
+                    resolve();
+                });
+                secureSocket.once('error', reject);
+                secureSocket.setTimeout(TIMEOUT_MS, () => secureSocket.destroy(new Error('SMTP connection timed out')));
+                socket = secureSocket;
+            });
+        },
+
+        close() {
+            detach(socket);
+            socket.on('error', () => {});
+            socket.end();
+        }
+    };
+}
+
+// Name sent with EHLO: the sender's domain
+function clientName(from) {
+    return mailboxAddress(from).split('@')[1] || 'localhost';
+}
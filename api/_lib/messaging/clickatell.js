@@ -0,0 +1,50 @@
+// ===== CLICKATELL PROVIDER =====
+// SMS and WhatsApp through the Clickatell One API (https://docs.clickatell.com).
+// Numbers go without the leading +. WhatsApp needs a Clickatell WhatsApp
+// integration on the same API key, and goes as an approved template.
+
+const CLICKATELL_API_URL = 'https://platform.clickatell.com/v1/message';
+
+export function createClickatellProvider() {
+    const apiKey = process.env.CLICKATELL_API_KEY;
+    if (!apiKey) {
+        throw new Error('CLICKATELL_API_KEY environment variable is not configured');
+    }
+
+    return {
+        name: 'clickatell',
+        channels: ['sms', 'whatsapp'],
+        needsWhatsAppTemplates: true,
+
+        async send({ channel, to, body, template }) {
+            if (channel === 'whatsapp' && !template) {
+                throw new Error('WhatsApp messages need an approved template');
+            }
+            const message = channel === 'whatsapp'
+                ? { channel, to: to.replace(/^\+/, ''), template: { templateName: template.id, body: { parameters: template.variables } } }
+                : { channel, to: to.replace(/^\+/, ''), content: body };
+
+            const response = await fetch(CLICKATELL_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': apiKey,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    messages: [message]
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Clickatell error ${response.status}: ${await response.text()}`);
+            }
+
+            const result = (await response.json()).messages?.[0];
+            if (!result?.accepted) {
+                throw new Error(`Clickatell did not accept the message: ${JSON.stringify(result?.error || result)}`);
+            }
+            return { id: result.apiMessageId || null };
+        }
+    };
+}
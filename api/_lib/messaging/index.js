@@ -0,0 +1,86 @@
+import { createClickatellProvider } from './clickatell.js';
+import { MESSAGE_TEMPLATES } from './messages.js';
+import { createMockProvider } from './mock.js';
+import { createTwilioProvider } from './twilio.js';
+
+// ===== SMS & WHATSAPP =====
+// Text messages go through a provider. Every provider implements:
+//   channels                              → the channels it can send: 'sms', 'whatsapp'
+//   send({ channel, to, body, template }) → { id }  to is E.164 ("+27821234567"); a failed send throws
+// MESSAGING_PROVIDER selects one: clickatell, twilio or mock (default outside
+// production). Like email, messages are sent through the outbox (outbox.js),
+// so failed sends are retried.
+// WhatsApp refuses messages we start outside 24 hours of the customer's last
+// one unless they use an approved template, so each goes as its template:
+// { id, variables }, id from WHATSAPP_TEMPLATE_<NAME>, variables keyed "1", "2".
+
+const PROVIDERS = {
+    clickatell: createClickatellProvider,
+    twilio: createTwilioProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Build the configured messaging provider
+ * @returns {Object} Provider adapter
+ * @throws {Error} When the provider is unknown or missing its configuration
+ */
+export function getMessagingProvider() {
+    const isProduction = process.env.VERCEL_ENV === 'production';
+    const name = process.env.MESSAGING_PROVIDER || (isProduction ? '' : 'mock');
+
+    if (!name) {
+        throw new Error('MESSAGING_PROVIDER is not configured');
+    }
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown MESSAGING_PROVIDER "${name}". Use clickatell, twilio or mock.`);
+    }
+    if (name === 'mock' && isProduction && process.env.ALLOW_MOCK_MESSAGING !== 'true') {
+        throw new Error('The mock messaging provider is disabled in production');
+    }
+
+    return PROVIDERS[name]();
+}
+
+/**
+ * Check messages can be sent on a channel
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @returns {string|null} What is wrong, or null when the channel is ready
+ */
+export function messagingConfigError(channel) {
+    try {
+        const provider = getMessagingProvider();
+        if (!provider.channels.includes(channel)) {
+            return `The ${provider.name} messaging provider can't send ${channel} messages`;
+        }
+
+        if (channel === 'whatsapp' && provider.needsWhatsAppTemplates) {
+            const missing = MESSAGE_TEMPLATES.filter(name => !whatsappTemplateId(name)).map(whatsappTemplateVariable);
+            if (missing.length > 0) return `WhatsApp messages need approved templates: set ${missing.join(', ')}`;
+        }
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Approved WhatsApp template for a message
+ * @param {string} name - Message template (see MESSAGE_TEMPLATES)
+ * @param {string[]} variables - From renderMessage()
+ * @returns {{id: string, variables: Object}|null} Template, or null when none is configured
+ */
+export function whatsappTemplate(name, variables = []) {
+    const id = whatsappTemplateId(name);
+    if (!id) return null;
+    return { id, variables: Object.fromEntries(variables.map((value, index) => [String(index + 1), value])) };
+}
+
+function whatsappTemplateId(name) {
+    return process.env[whatsappTemplateVariable(name)] || null;
+}
+
+// booking-summary → WHATSAPP_TEMPLATE_BOOKING_SUMMARY
+function whatsappTemplateVariable(name) {
+    return `WHATSAPP_TEMPLATE_${name.toUpperCase().replace(/-/g, '_')}`;
+}
@@ -0,0 +1,67 @@
+import { describeVehicles, formatRand } from '../../../lib/pricing.js';
+
+// ===== TEXT MESSAGES =====
+// The SMS/WhatsApp versions of the booking updates. They are short and plain
+// (GSM-7 characters only, so no arrows, emoji or "×"): an SMS is split into
+// 160-character parts, or 70 once any other character appears.
+// WhatsApp sends each one as an approved template instead (see index.js), filled
+// in with the message's variables as {{1}}, {{2}}, ...
+
+const SIGNATURE = "Modjadji's Shuttle";
+
+const MESSAGES = {
+    'booking-summary': {
+        description: 'Booking summary once the quote has been emailed',
+        render: (booking) => `${SIGNATURE}: booking ${booking.bookingReference} received. `
+            + `${booking.pickup} to ${booking.dropoff}, ${when(booking)}, `
+            + `${vehicles(booking)}, ${formatRand(booking.price)}. `
+            + 'Your quote is in your email. We will contact you within 2 hours to confirm.',
+        variables: (booking) => [booking.bookingReference, booking.pickup, booking.dropoff, when(booking), vehicles(booking), formatRand(booking.price)]
+    },
+
+    reminder: {
+        description: 'Pickup reminder',
+        render: (booking) => `${SIGNATURE} reminder: your pickup is ${when(booking)} from ${booking.pickup}. `
+            + (booking.driver?.name ? `Driver: ${driverDetails(booking.driver)}. ` : '')
+            + `Ref ${booking.bookingReference}.`,
+        variables: (booking) => [when(booking), booking.pickup, booking.driver?.name ? driverDetails(booking.driver) : 'to be confirmed', booking.bookingReference]
+    },
+
+    assigned: {
+        description: 'Driver assigned to the booking',
+        render: (booking) => `${SIGNATURE}: your driver for ${when(booking)} is ${driverDetails(booking.driver)}. `
+            + `They may call you up to 30 minutes before pickup. Ref ${booking.bookingReference}.`,
+        variables: (booking) => [when(booking), driverDetails(booking.driver), booking.bookingReference]
+    }
+};
+
+export const MESSAGE_TEMPLATES = Object.keys(MESSAGES);
+
+/**
+ * Render a text message from its template
+ * @param {string} name - Template name (see MESSAGE_TEMPLATES)
+ * @param {Object} booking - Stored booking (or the booking data about to be stored)
+ * @returns {{template: string, text: string, variables: string[]}} variables fill the WhatsApp template
+ * @throws {Error} When there is no such template
+ */
+export function renderMessage(name, booking) {
+    if (!Object.hasOwn(MESSAGES, name)) {
+        throw new Error(`Unknown message template "${name}". Use ${MESSAGE_TEMPLATES.join(', ')}.`);
+    }
+    return { template: name, text: MESSAGES[name].render(booking), variables: MESSAGES[name].variables(booking).map(String) };
+}
+
+function when({ date, time }) {
+    return date === 'Flexible' ? 'on a date to be confirmed' : `${date} at ${time}`;
+}
+
+// describeVehicles() writes "Minibus × 2", and × is not a GSM-7 character
+function vehicles({ vehicleType, vehicleCount = 1 }) {
+    return vehicleCount > 1 ? `${describeVehicles(vehicleType)} x ${vehicleCount}` : describeVehicles(vehicleType);
+}
+
+function driverDetails(driver = {}) {
+    return [driver.name, driver.phone, driver.vehicleRegistration && `vehicle ${driver.vehicleRegistration}`]
+        .filter(Boolean)
+        .join(', ');
+}
@@ -0,0 +1,46 @@
+import { randomBytes } from 'node:crypto';
+
+// ===== MOCK PROVIDER =====
+// Offline stand-in for the SMS/WhatsApp providers, for local runs and tests.
+// Nothing is sent: each message is logged and kept in memory, where tests can
+// read it with mockMessages(). MOCK_MESSAGING_FAIL=true makes every send fail,
+// to try out the outbox retries.
+
+const sent = [];
+
+/**
+ * Messages "sent" through the mock provider in this process, oldest first
+ * @returns {Array<{id: string, channel: string, to: string, body: string, template: Object|null, sentAt: string}>}
+ */
+export function mockMessages() {
+    return sent.map(message => ({ ...message }));
+}
+
+export function clearMockMessages() {
+    sent.length = 0;
+}
+
+export function createMockProvider() {
+    return {
+        name: 'mock',
+        channels: ['sms', 'whatsapp'],
+
+        async send({ channel, to, body, template = null }) {
+            if (process.env.MOCK_MESSAGING_FAIL === 'true') {
+                throw new Error('Mock provider set to fail (MOCK_MESSAGING_FAIL=true)');
+            }
+
+            const message = {
+                id: `mock_${randomBytes(6).toString('hex')}`,
+                channel,
+                to,
+                body,
+                template,
+                sentAt: new Date().toISOString()
+            };
+            sent.push(message);
+            console.log(`📱 ${channel.toUpperCase()} to ${to} (mock provider): ${body}`);
+            return { id: message.id };
+        }
+    };
+}
@@ -0,0 +1,63 @@
+// ===== TWILIO PROVIDER =====
+// SMS and WhatsApp through the Twilio Messages API (https://www.twilio.com/docs/messaging).
+// Each channel needs its own sender: TWILIO_SMS_FROM and/or TWILIO_WHATSAPP_FROM
+// (a WhatsApp-enabled number). Only the channels with a sender are offered.
+// WhatsApp messages go as Content templates (ContentSid + ContentVariables).
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01/Accounts';
+
+export function createTwilioProvider() {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!accountSid || !authToken) {
+        throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN must be configured');
+    }
+
+    const senders = {
+        sms: process.env.TWILIO_SMS_FROM,
+        whatsapp: process.env.TWILIO_WHATSAPP_FROM
+    };
+    const channels = Object.keys(senders).filter(channel => senders[channel]);
+    if (channels.length === 0) {
+        throw new Error('TWILIO_SMS_FROM or TWILIO_WHATSAPP_FROM must be configured');
+    }
+
+    return {
+        name: 'twilio',
+        channels,
+        needsWhatsAppTemplates: true,
+
+        async send({ channel, to, body, template }) {
+            if (!senders[channel]) {
+                throw new Error(`Twilio has no ${channel} sender configured`);
+            }
+            if (channel === 'whatsapp' && !template) {
+                throw new Error('WhatsApp messages need an approved template');
+            }
+            const address = number => channel === 'whatsapp' ? `whatsapp:${number}` : number;
+            const content = channel === 'whatsapp'
+                ? { ContentSid: template.id, ContentVariables: JSON.stringify(template.variables) }
+                : { Body: body };
+
+            const response = await fetch(`${TWILIO_API_URL}/${accountSid}/Messages.json`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: new URLSearchParams({
+                    To: address(to),
+                    From: address(senders[channel]),
+                    ...content
+                }).toString()
+            });
+
+            if (!response.ok) {
+                throw new Error(`Twilio error ${response.status}: ${await response.text()}`);
+            }
+
+            const message = await response.json();
+            return { id: message.sid || null };
+        }
+    };
+}
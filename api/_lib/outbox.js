@@ -0,0 +1,274 @@
+import { randomBytes } from 'node:crypto';
+import { updateBooking } from './bookings.js';
+import { getMailTransport } from './mail/index.js';
+import { getMessagingProvider, whatsappTemplate } from './messaging/index.js';
+import { getStore } from './store.js';
+
+// ===== OUTBOX =====
+// Every email and text message is saved to the outbox before it is sent. A
+// send that fails stays there and is retried with backoff (RETRY_DELAYS_SECONDS).
+// After MAX_ATTEMPTS it is marked failed and kept until someone retries it by
+// hand. Each booking records where its emails are up to in
+// booking.emailDelivery, and its SMS/WhatsApp messages in
+// booking.messageDelivery, keyed by template. processOutbox() sends whatever
+// is due. Run it on a schedule through POST /api/admin/outbox.
+// An entry is claimed ('sending') before each attempt, so the inline send and
+// a cron run never both send it. A claim left by a send that died runs out
+// after SEND_LEASE_SECONDS and the entry is retried.
+
+const COLLECTION = 'outbox';
+
+// Wait before each retry: 1 min, 5 min, 15 min, 1 hour, 3 hours, 12 hours
+export const RETRY_DELAYS_SECONDS = [60, 300, 900, 3600, 3 * 3600, 12 * 3600];
+export const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+
+export const OUTBOX_STATUSES = ['sending', 'retrying', 'sent', 'failed'];
+
+export const SEND_LEASE_SECONDS = 5 * 60;
+
+/**
+ * Save an email to the outbox and try to send it straight away
+ * @param {Object} email
+ * @param {string} [email.bookingReference] - Booking the email is about
+ * @param {string[]} email.to - Recipients
+ * @param {Object} email.content - From renderEmail(): { template, subject, html, text, attachments }
+ * @param {Array} [email.tags] - Provider tags as { name, value }
+ * @returns {Promise<Object>} Outbox entry, with status 'sent' or 'retrying'
+ */
+export async function queueEmail({ bookingReference = null, to, content, tags = [] }) {
+    const now = new Date().toISOString();
+    const entry = {
+        id: `mail_${randomBytes(10).toString('hex')}`,
+        bookingReference,
+        channel: 'email',
+        template: content.template || null,
+        from: process.env.SENDER_EMAIL,
+        to,
+        subject: content.subject,
+        html: content.html,
+        text: content.text || null,
+        tags,
+        // The store holds JSON, so files are kept as base64
+        attachments: (content.attachments || []).map(({ filename, content: data, contentType }) => ({
+            filename,
+            content: Buffer.from(data).toString('base64'),
+            contentType: contentType || null
+        })),
+        status: 'sending',
+        attempts: 0,
+        nextAttemptAt: leaseEnd(),
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await getStore().put(COLLECTION, entry.id, entry);
+    return deliver(entry);
+}
+
+/**
+ * Save a text message to the outbox and try to send it straight away
+ * @param {Object} message
+ * @param {string} [message.bookingReference] - Booking the message is about
+ * @param {string} message.channel - 'sms' or 'whatsapp'
+ * @param {string} message.to - Phone number in E.164 form
+ * @param {Object} message.content - From renderMessage(): { template, text, variables }
+ * @returns {Promise<Object>} Outbox entry, with status 'sent' or 'retrying'
+ */
+export async function queueMessage({ bookingReference = null, channel, to, content }) {
+    const now = new Date().toISOString();
+    const entry = {
+        id: `msg_${randomBytes(10).toString('hex')}`,
+        bookingReference,
+        channel,
+        template: content.template || null,
+        to: [to],
+        subject: content.template,
+        text: content.text,
+        variables: content.variables || [],
+        attachments: [],
+        status: 'sending',
+        attempts: 0,
+        nextAttemptAt: leaseEnd(),
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await getStore().put(COLLECTION, entry.id, entry);
+    return deliver(entry);
+}
+
+/**
+ * Send everything in the outbox that is due for another attempt
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Most emails to try in one run
+ * @returns {Promise<{attempted: number, sent: number, failed: number}>} failed counts those that gave up
+ */
+export async function processOutbox({ limit = 20 } = {}) {
+    const due = (await getStore().list(COLLECTION))
+        .filter(entry => isDue(entry))
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+        .slice(0, limit);
+
+    const results = [];
+    for (const entry of due) {
+        // Another run (or the inline send) may have taken it since the list was read
+        const claimed = await claim(entry.id, isDue);
+        if (claimed) results.push(await deliver(claimed));
+    }
+
+    return {
+        attempted: results.length,
+        sent: results.filter(entry => entry.status === 'sent').length,
+        failed: results.filter(entry => entry.status === 'failed').length
+    };
+}
+
+/**
+ * Try an unsent email or message again now, starting its retry schedule over
+ * @param {string} id - Outbox entry id
+ * @returns {Promise<Object|null>} Outbox entry, or null if unknown
+ * @throws {Error} When it has already been sent
+ */
+export async function retryEmail(id) {
+    const entry = await getStore().get(COLLECTION, id);
+    if (!entry) return null;
+    if (entry.status === 'sent') {
+        throw new Error(`${id} has already been sent`);
+    }
+
+    const claimed = await claim(id, current => current.status !== 'sent' && (current.status !== 'sending' || isDue(current)));
+    if (!claimed) {
+        throw new Error(`${id} is being sent right now`);
+    }
+    return deliver({ ...claimed, attempts: 0 });
+}
+
+/**
+ * List outbox emails and messages, newest first, without their content
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Only entries in this status
+ * @param {string} [filters.reference] - Only entries about this booking
+ * @returns {Promise<Object[]>}
+ */
+export async function listOutbox({ status, reference } = {}) {
+    return (await getStore().list(COLLECTION))
+        .filter(entry => !status || entry.status === status)
+        .filter(entry => !reference || entry.bookingReference === String(reference).toUpperCase())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(({ html, text, attachments, ...entry }) => ({
+            ...entry,
+            attachments: attachments.map(file => file.filename)
+        }));
+}
+
+function leaseEnd() {
+    return new Date(Date.now() + SEND_LEASE_SECONDS * 1000).toISOString();
+}
+
+function isDue(entry) {
+    return (entry.status === 'sending' || entry.status === 'retrying') && Date.parse(entry.nextAttemptAt) <= Date.now();
+}
+
+// Mark an entry as being sent, if canClaim(entry) still holds for the stored entry
+function claim(id, canClaim) {
+    return getStore().update(COLLECTION, id, entry => (entry && canClaim(entry)
+        ? { ...entry, status: 'sending', nextAttemptAt: leaseEnd(), updatedAt: new Date().toISOString() }
+        : null));
+}
+
+async function deliver(entry) {
+    const attempts = entry.attempts + 1;
+    const at = new Date();
+    let result;
+
+    try {
+        const { transport, id } = await send(entry);
+
+        // Once it has gone only the headers are worth keeping
+        result = {
+            ...entry,
+            status: 'sent',
+            attempts,
+            transport,
+            providerId: id || null,
+            nextAttemptAt: null,
+            lastError: null,
+            sentAt: at.toISOString(),
+            html: null,
+            text: null,
+            attachments: entry.attachments.map(({ filename, contentType }) => ({ filename, contentType }))
+        };
+        console.log(`✅ ${describe(entry)} sent to ${entry.to.join(', ')} (${transport})`);
+
+    } catch (error) {
+        const givingUp = attempts >= MAX_ATTEMPTS;
+        result = {
+            ...entry,
+            status: givingUp ? 'failed' : 'retrying',
+            attempts,
+            nextAttemptAt: givingUp ? null : new Date(at.getTime() + RETRY_DELAYS_SECONDS[attempts - 1] * 1000).toISOString(),
+            lastError: error.message
+        };
+        console.error(`❌ ${describe(entry)} to ${entry.to.join(', ')} failed (attempt ${attempts} of ${MAX_ATTEMPTS}${givingUp ? ', giving up' : ''}): ${error.message}`);
+    }
+
+    result.updatedAt = at.toISOString();
+    await getStore().put(COLLECTION, result.id, result);
+    await recordDelivery(result);
+    return result;
+}
+
+// Entries from before text messages have no channel: they are all emails
+function isEmail(entry) {
+    return !entry.channel || entry.channel === 'email';
+}
+
+async function send(entry) {
+    if (isEmail(entry)) {
+        const transport = getMailTransport();
+        const { id } = await transport.send({
+            from: entry.from,
+            to: entry.to,
+            subject: entry.subject,
+            html: entry.html,
+            text: entry.text || undefined,
+            tags: entry.tags,
+            attachments: entry.attachments.map(file => ({ ...file, content: Buffer.from(file.content, 'base64') }))
+        });
+        return { transport: transport.name, id };
+    }
+
+    const provider = getMessagingProvider();
+    const template = entry.channel === 'whatsapp' ? whatsappTemplate(entry.template, entry.variables) : null;
+    const { id } = await provider.send({ channel: entry.channel, to: entry.to[0], body: entry.text, template });
+    return { transport: provider.name, id };
+}
+
+function describe(entry) {
+    return isEmail(entry) ? `Email "${entry.subject}"` : `${entry.channel.toUpperCase()} "${entry.template}"`;
+}
+
+// The booking's view of its latest email (or message) of each kind
+async function recordDelivery(entry) {
+    if (!entry.bookingReference || !entry.template) return;
+
+    const field = isEmail(entry) ? 'emailDelivery' : 'messageDelivery';
+    await updateBooking(entry.bookingReference, booking => ({
+        [field]: {
+            ...booking[field],
+            [entry.template]: {
+                outboxId: entry.id,
+                ...(isEmail(entry) ? {} : { channel: entry.channel }),
+                to: entry.to,
+                status: entry.status,
+                attempts: entry.attempts,
+                lastError: entry.lastError,
+                nextAttemptAt: entry.nextAttemptAt,
+                sentAt: entry.sentAt || null,
+                updatedAt: entry.updatedAt
+            }
+        }
+    }));
+}
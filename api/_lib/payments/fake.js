@@ -0,0 +1,58 @@
+import { createHmac } from 'node:crypto';
+import { safeEqual } from '../auth.js';
+
+// ===== FAKE GATEWAY =====
+// Offline stand-in for PayFast/Yoco. Sessions "redirect" to /api/pay/fake-checkout,
+// which lets you approve or decline the payment and then posts a signed
+// notification to /api/pay/webhook exactly like a real gateway would.
+
+export const SIGNATURE_HEADER = 'x-fake-signature';
+
+function secret() {
+    const value = process.env.FAKE_GATEWAY_SECRET;
+    if (!value) {
+        throw new Error('FAKE_GATEWAY_SECRET environment variable is not configured');
+    }
+    return value;
+}
+
+/**
+ * Sign a fake gateway notification body
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+export function signNotification(body) {
+    return createHmac('sha256', secret()).update(body).digest('hex');
+}
+
+export function createFakeGateway() {
+    // Fail when the gateway is picked, not when the first notification arrives
+    secret();
+
+    return {
+        name: 'fake',
+
+        async createSession({ booking, amount, sessionId, baseUrl }) {
+            return {
+                sessionId,
+                redirectUrl: `${baseUrl}/api/pay/fake-checkout?session=${sessionId}&reference=${encodeURIComponent(booking.bookingReference)}&amount=${amount.toFixed(2)}`
+            };
+        },
+
+        async verifyNotification({ headers, rawBody }) {
+            const signature = headers[SIGNATURE_HEADER] || '';
+            if (!safeEqual(signature, signNotification(rawBody))) {
+                return { verified: false, reason: 'Invalid signature' };
+            }
+
+            const event = JSON.parse(rawBody);
+            return {
+                verified: true,
+                sessionId: event.sessionId,
+                status: event.status === 'paid' ? 'paid' : 'failed',
+                amount: Number(event.amount),
+                paymentId: event.paymentId
+            };
+        }
+    };
+}
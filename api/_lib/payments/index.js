@@ -0,0 +1,203 @@
+import { randomBytes } from 'node:crypto';
+import { updateBooking } from '../bookings.js';
+import { sendInvoice } from '../lifecycle.js';
+import { getStore } from '../store.js';
+import { createFakeGateway } from './fake.js';
+import { createPayfastGateway } from './payfast.js';
+import { createYocoGateway } from './yoco.js';
+
+// ===== PAYMENTS =====
+// Every gateway adapter implements the same two calls:
+//   createSession({ booking, amount, sessionId, baseUrl, returnUrl, cancelUrl, notifyUrl })
+//       → { sessionId, redirectUrl, providerId? }
+//   verifyNotification({ headers, rawBody })
+//       → { verified, reason?, sessionId, status: 'paid' | 'failed', amount, paymentId }
+// PAYMENT_GATEWAY selects one: payfast, yoco or fake (local only). There is no
+// default, so a deployment never takes fake payments without being told to.
+// A booking only takes notifications from its latest session. Money from any
+// other session, or for a booking that is paid or cancelled, is kept in
+// booking.refundsDue for someone to pay back.
+
+const SESSIONS = 'payments';
+
+const GATEWAYS = {
+    fake: createFakeGateway,
+    payfast: createPayfastGateway,
+    yoco: createYocoGateway
+};
+
+/**
+ * Build the configured payment gateway
+ * @returns {Object} Gateway adapter
+ */
+export function getPaymentGateway() {
+    const isProduction = process.env.VERCEL_ENV === 'production';
+    const name = process.env.PAYMENT_GATEWAY;
+
+    if (!name) {
+        throw new Error('PAYMENT_GATEWAY is not configured (use fake, with FAKE_GATEWAY_SECRET, for local runs)');
+    }
+    if (name === 'fake' && isProduction && process.env.ALLOW_FAKE_GATEWAY !== 'true') {
+        throw new Error('The fake payment gateway is disabled in production');
+    }
+    if (!GATEWAYS[name]) {
+        throw new Error(`Unknown PAYMENT_GATEWAY "${name}". Use payfast, yoco or fake.`);
+    }
+
+    return GATEWAYS[name]();
+}
+
+/**
+ * Check whether a booking can take a payment
+ * @param {Object} booking - Stored booking
+ * @returns {string|null} Reason it can't, or null when it can
+ */
+export function paymentBlocker(booking) {
+    if (booking.payment?.status === 'paid') return `Booking ${booking.bookingReference} is already paid`;
+    if (booking.status === 'cancelled') return `Booking ${booking.bookingReference} has been cancelled`;
+    if (booking.status === 'completed') return `Booking ${booking.bookingReference} is already completed`;
+    return null;
+}
+
+/**
+ * Open a payment session for a stored booking
+ * @param {Object} booking - Stored booking (the amount always comes from its server-side price)
+ * @param {string} baseUrl - Public base URL for return and notify links
+ * @returns {Promise<Object>} Session with redirectUrl for the customer
+ */
+export async function createPaymentSession(booking, baseUrl) {
+    const gateway = getPaymentGateway();
+    const amount = Number(booking.price);
+    const sessionId = `pay_${randomBytes(10).toString('hex')}`;
+    const reference = encodeURIComponent(booking.bookingReference);
+
+    const session = await gateway.createSession({
+        booking,
+        amount,
+        sessionId,
+        baseUrl,
+        returnUrl: `${baseUrl}/?payment=success&reference=${reference}`,
+        cancelUrl: `${baseUrl}/?payment=cancelled&reference=${reference}`,
+        notifyUrl: `${baseUrl}/api/pay/webhook`
+    });
+
+    const record = {
+        sessionId,
+        providerId: session.providerId || null,
+        bookingReference: booking.bookingReference,
+        gateway: gateway.name,
+        amount,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    };
+    await getStore().put(SESSIONS, sessionId, record);
+
+    // Paid or cancelled since the caller checked: don't send the customer to pay
+    const updated = await updateBooking(booking.bookingReference, current => (paymentBlocker(current) ? null : {
+        payment: {
+            status: 'pending',
+            gateway: gateway.name,
+            sessionId,
+            amount
+        }
+    }));
+    if (updated?.payment?.sessionId !== sessionId) {
+        throw new Error(updated ? paymentBlocker(updated) : `Booking ${booking.bookingReference} not found`);
+    }
+
+    console.log(`💳 Payment session ${sessionId} (${gateway.name}) for ${booking.bookingReference}: R${amount.toFixed(2)}`);
+
+    return { ...record, redirectUrl: session.redirectUrl };
+}
+
+/**
+ * Verify a gateway notification and apply it to the booking
+ * @param {Object} notification - { headers, rawBody }
+ * @returns {Promise<{ok: boolean, status?: string, reason?: string, bookingReference?: string}>}
+ */
+export async function processPaymentNotification({ headers, rawBody }) {
+    const gateway = getPaymentGateway();
+    const event = await gateway.verifyNotification({ headers, rawBody });
+
+    if (!event.verified) {
+        console.warn(`⚠️ Rejected ${gateway.name} notification: ${event.reason}`);
+        return { ok: false, reason: event.reason };
+    }
+
+    const store = getStore();
+    const session = await store.get(SESSIONS, event.sessionId);
+    if (!session) {
+        console.warn(`⚠️ Payment notification for unknown session ${event.sessionId}`);
+        return { ok: false, reason: 'Unknown payment session' };
+    }
+
+    // Gateways retry notifications - a paid session stays paid
+    const alreadyPaid = { ok: true, status: 'paid', bookingReference: session.bookingReference };
+    if (session.status === 'paid') return alreadyPaid;
+
+    let status = event.status;
+    let failureReason = null;
+    if (status === 'paid' && Math.abs(event.amount - session.amount) > 0.01) {
+        status = 'failed';
+        failureReason = `Amount mismatch: expected R${session.amount.toFixed(2)}, received R${event.amount.toFixed(2)}`;
+        console.error(`❌ ${failureReason} for ${session.bookingReference}`);
+    }
+
+    const at = new Date().toISOString();
+    const recorded = await store.update(SESSIONS, session.sessionId, current => (!current || current.status === 'paid' ? null : {
+        ...current,
+        status,
+        paymentId: event.paymentId || null,
+        failureReason,
+        updatedAt: at
+    }));
+    if (!recorded) return alreadyPaid;
+
+    // Only the booking's current session can change its payment, and never once it is paid
+    let problem = null;
+    await updateBooking(session.bookingReference, booking => {
+        problem = paymentBlocker(booking)
+            || (booking.payment?.sessionId !== session.sessionId ? `Session ${session.sessionId} is not the booking's current payment session` : null);
+        if (!problem) {
+            return {
+                payment: {
+                    status,
+                    gateway: session.gateway,
+                    sessionId: session.sessionId,
+                    amount: session.amount,
+                    paymentId: event.paymentId || null,
+                    ...(status === 'paid' ? { paidAt: at } : { failedAt: at, failureReason })
+                }
+            };
+        }
+        if (status !== 'paid') return null;
+        return {
+            refundsDue: [
+                ...(booking.refundsDue || []),
+                { sessionId: session.sessionId, gateway: session.gateway, amount: session.amount, paymentId: event.paymentId || null, reason: problem, at }
+            ]
+        };
+    });
+
+    if (problem) {
+        if (status === 'paid') {
+            console.error(`💸 Payment of R${session.amount.toFixed(2)} for ${session.bookingReference} needs a refund: ${problem}`);
+        } else {
+            console.warn(`⚠️ Ignored ${status} payment for ${session.bookingReference}: ${problem}`);
+        }
+        return { ok: true, status: status === 'paid' ? 'refund-due' : 'ignored', bookingReference: session.bookingReference };
+    }
+
+    console.log(`${status === 'paid' ? '✅' : '❌'} Payment ${status} for ${session.bookingReference}`);
+
+    // The payment stands even if the invoice can't be issued or emailed now
+    if (status === 'paid') {
+        try {
+            await sendInvoice(session.bookingReference);
+        } catch (error) {
+            console.error(`❌ Invoice for ${session.bookingReference} failed:`, error);
+        }
+    }
+
+    return { ok: true, status, bookingReference: session.bookingReference };
+}
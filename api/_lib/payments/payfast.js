@@ -0,0 +1,103 @@
+import { createHash } from 'node:crypto';
+import { safeEqual } from '../auth.js';
+
+// ===== PAYFAST GATEWAY =====
+// Redirect-based checkout. The customer is sent to PayFast's process page and
+// PayFast posts an ITN (form-encoded, MD5-signed) to our notify URL.
+
+function payfastHost() {
+    return process.env.PAYFAST_SANDBOX === 'true' ? 'https://sandbox.payfast.co.za' : 'https://www.payfast.co.za';
+}
+
+/**
+ * Build PayFast's parameter string: key=value pairs in the given order,
+ * empty values skipped, URL-encoded with '+' for spaces
+ * @param {Array<[string, string]>} entries - Parameters in order
+ * @returns {string}
+ */
+function paramString(entries) {
+    return entries
+        .filter(([key, value]) => key !== 'signature' && value !== undefined && value !== null && String(value).trim() !== '')
+        .map(([key, value]) => `${key}=${encodeURIComponent(String(value).trim()).replace(/%20/g, '+')}`)
+        .join('&');
+}
+
+function sign(entries) {
+    const passphrase = process.env.PAYFAST_PASSPHRASE;
+    const base = paramString(entries) + (passphrase ? `&passphrase=${encodeURIComponent(passphrase.trim()).replace(/%20/g, '+')}` : '');
+    return createHash('md5').update(base).digest('hex');
+}
+
+export function createPayfastGateway() {
+    const merchantId = process.env.PAYFAST_MERCHANT_ID;
+    const merchantKey = process.env.PAYFAST_MERCHANT_KEY;
+    if (!merchantId || !merchantKey) {
+        throw new Error('PAYFAST_MERCHANT_ID and PAYFAST_MERCHANT_KEY must be configured');
+    }
+
+    return {
+        name: 'payfast',
+
+        async createSession({ booking, amount, sessionId, returnUrl, cancelUrl, notifyUrl }) {
+            const [firstName, ...rest] = String(booking.name || '').split(' ');
+            const entries = [
+                ['merchant_id', merchantId],
+                ['merchant_key', merchantKey],
+                ['return_url', returnUrl],
+                ['cancel_url', cancelUrl],
+                ['notify_url', notifyUrl],
+                ['name_first', firstName],
+                ['name_last', rest.join(' ')],
+                ['email_address', booking.email],
+                ['m_payment_id', sessionId],
+                ['amount', amount.toFixed(2)],
+                ['item_name', `Shuttle booking ${booking.bookingReference}`]
+            ];
+            entries.push(['signature', sign(entries)]);
+
+            const query = entries
+                .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+                .map(([key, value]) => `${key}=${encodeURIComponent(String(value).trim())}`)
+                .join('&');
+
+            return {
+                sessionId,
+                redirectUrl: `${payfastHost()}/eng/process?${query}`
+            };
+        },
+
+        async verifyNotification({ rawBody }) {
+            const entries = Array.from(new URLSearchParams(rawBody).entries());
+            const params = Object.fromEntries(entries);
+
+            if (!safeEqual(params.signature || '', sign(entries))) {
+                return { verified: false, reason: 'Invalid signature' };
+            }
+
+            if (params.merchant_id !== merchantId) {
+                return { verified: false, reason: 'Merchant mismatch' };
+            }
+
+            // Ask PayFast to confirm the notification really came from them
+            if (process.env.PAYFAST_SKIP_VALIDATION !== 'true') {
+                const response = await fetch(`${payfastHost()}/eng/query/validate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    body: paramString(entries)
+                });
+                const text = (await response.text()).trim();
+                if (!response.ok || text !== 'VALID') {
+                    return { verified: false, reason: `PayFast validation returned ${text || response.status}` };
+                }
+            }
+
+            return {
+                verified: true,
+                sessionId: params.m_payment_id,
+                status: params.payment_status === 'COMPLETE' ? 'paid' : 'failed',
+                amount: Number(params.amount_gross),
+                paymentId: params.pf_payment_id
+            };
+        }
+    };
+}
@@ -0,0 +1,88 @@
+import { createHmac } from 'node:crypto';
+import { safeEqual } from '../auth.js';
+
+// ===== YOCO GATEWAY =====
+// Hosted checkout created through the Yoco Checkout API. Webhooks follow the
+// Standard Webhooks scheme: HMAC-SHA256 over "<id>.<timestamp>.<body>".
+
+const YOCO_API_URL = 'https://payments.yoco.com/api/checkouts';
+
+// Reject webhooks older than this to stop replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+export function createYocoGateway() {
+    const secretKey = process.env.YOCO_SECRET_KEY;
+    const webhookSecret = process.env.YOCO_WEBHOOK_SECRET;
+    if (!secretKey || !webhookSecret) {
+        throw new Error('YOCO_SECRET_KEY and YOCO_WEBHOOK_SECRET must be configured');
+    }
+
+    return {
+        name: 'yoco',
+
+        async createSession({ booking, amount, sessionId, returnUrl, cancelUrl }) {
+            const response = await fetch(YOCO_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${secretKey}`,
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': sessionId
+                },
+                body: JSON.stringify({
+                    amount: Math.round(amount * 100),
+                    currency: 'ZAR',
+                    successUrl: returnUrl,
+                    cancelUrl,
+                    failureUrl: cancelUrl,
+                    metadata: {
+                        bookingReference: booking.bookingReference,
+                        sessionId
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`Yoco checkout failed: ${response.status}`, errorText);
+                throw new Error(`Payment gateway error: ${response.status}`);
+            }
+
+            const checkout = await response.json();
+            return {
+                sessionId,
+                providerId: checkout.id,
+                redirectUrl: checkout.redirectUrl
+            };
+        },
+
+        async verifyNotification({ headers, rawBody }) {
+            const id = headers['webhook-id'];
+            const timestamp = headers['webhook-timestamp'];
+            const signatures = String(headers['webhook-signature'] || '').split(' ');
+
+            if (!id || !timestamp) {
+                return { verified: false, reason: 'Missing webhook headers' };
+            }
+            if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) {
+                return { verified: false, reason: 'Webhook timestamp outside tolerance' };
+            }
+
+            const key = Buffer.from(webhookSecret.replace(/^whsec_/, ''), 'base64');
+            const expected = createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+            const valid = signatures.some(entry => safeEqual(entry.split(',')[1] || '', expected));
+            if (!valid) {
+                return { verified: false, reason: 'Invalid signature' };
+            }
+
+            const event = JSON.parse(rawBody);
+            const payment = event.payload || {};
+            return {
+                verified: true,
+                sessionId: payment.metadata?.sessionId,
+                status: event.type === 'payment.succeeded' ? 'paid' : 'failed',
+                amount: Number(payment.amount) / 100,
+                paymentId: payment.id
+            };
+        }
+    };
+}
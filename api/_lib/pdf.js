@@ -0,0 +1,210 @@
+// ===== PDF WRITER =====
+// Just enough PDF 1.4 for our quotes and invoices: text in the standard
+// Helvetica fonts, lines and filled boxes on A4 pages. No font is embedded,
+// so text is limited to WinAnsi (Latin-1 plus a few symbols such as • and –);
+// anything else prints as "?". Positions are in points from the TOP-left
+// corner of the page, which is easier to lay out than PDF's bottom-left.
+
+export const PAGE = { width: 595.28, height: 841.89 };
+
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Adobe core font metrics
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Characters outside Latin-1 that WinAnsi has a code for
+const WIN_ANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Start a PDF document with one empty A4 page
+ * @param {Object} [info] - { title, author } for the document properties
+ * @returns {Object} Document with drawing calls and toBuffer()
+ */
+export function createPdf({ title = '', author = '' } = {}) {
+    const pages = [];
+    let current;
+
+    const doc = {
+        addPage() {
+            current = [];
+            pages.push(current);
+            return doc;
+        },
+
+        /**
+         * Draw a line of text
+         * @param {string} value - Text (not wrapped; see wrapText())
+         * @param {number} x - Left edge, or right edge with align 'right'
+         * @param {number} y - Baseline, from the top of the page
+         * @param {Object} [style] - { size, bold, color, align: 'left'|'right'|'center' }
+         */
+        text(value, x, y, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+            const text = String(value ?? '');
+            const width = textWidth(text, size, bold);
+            const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+            current.push(`BT ${fillColor(color)} /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ${num(left)} ${num(PAGE.height - y)} Td (${encodeText(text)}) Tj ET`);
+            return doc;
+        },
+
+        line(x1, y1, x2, y2, { color = '#000000', width = 0.5 } = {}) {
+            current.push(`${strokeColor(color)} ${num(width)} w ${num(x1)} ${num(PAGE.height - y1)} m ${num(x2)} ${num(PAGE.height - y2)} l S`);
+            return doc;
+        },
+
+        // Filled box with its top-left corner at x, y
+        rect(x, y, width, height, { fill = '#000000' } = {}) {
+            current.push(`${fillColor(fill)} ${num(x)} ${num(PAGE.height - y - height)} ${num(width)} ${num(height)} re f`);
+            return doc;
+        },
+
+        /**
+         * Render the document
+         * @returns {Buffer} PDF file
+         */
+        toBuffer() {
+            return serialize(pages, { title, author });
+        }
+    };
+
+    return doc.addPage();
+}
+
+/**
+ * Width of a line of text in points
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false] - Helvetica-Bold instead of Helvetica
+ * @returns {number}
+ */
+export function textWidth(text, size, bold = false) {
+    const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+    let total = 0;
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : char === '—' ? 1000 : 556;
+    }
+    return total * size / 1000;
+}
+
+/**
+ * Break text into lines that fit a width, on spaces
+ * A single word longer than the width gets a line of its own.
+ * @param {string} text - Text
+ * @param {number} maxWidth - Width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold=false]
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, maxWidth, size, bold = false) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && textWidth(candidate, size, bold) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line || lines.length === 0) lines.push(line);
+    return lines;
+}
+
+// Text as a PDF literal string in WinAnsi, with everything outside ASCII escaped
+function encodeText(text) {
+    let encoded = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (char === '(' || char === ')' || char === '\\') {
+            encoded += `\\${char}`;
+        } else if (code >= 32 && code <= 126) {
+            encoded += char;
+        } else if (code >= 0xa0 && code <= 0xff) {
+            encoded += `\\${code.toString(8)}`;
+        } else if (WIN_ANSI[char]) {
+            encoded += `\\${WIN_ANSI[char].toString(8)}`;
+        } else {
+            encoded += '?';
+        }
+    }
+    return encoded;
+}
+
+function rgb(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => num(channel / 255)).join(' ');
+}
+
+function fillColor(hex) {
+    return `${rgb(hex)} rg`;
+}
+
+function strokeColor(hex) {
+    return `${rgb(hex)} RG`;
+}
+
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function pdfDate(date) {
+    const iso = date.toISOString();
+    return `D:${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}${iso.slice(11, 13)}${iso.slice(14, 16)}${iso.slice(17, 19)}Z`;
+}
+
+function serialize(pages, { title, author }) {
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 document info, then a page and its content per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${encodeText(title)}) /Author (${encodeText(author)}) /Producer (Modjadji's Shuttle Service) /CreationDate (${pdfDate(new Date())}) >>`;
+
+    pages.forEach((operations, index) => {
+        const content = operations.join('\n');
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+            + `/Resources << /Font << /${FONTS.regular} 3 0 R /${FONTS.bold} 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Every object is ASCII (text is escaped), so string length is the byte offset
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = output.length;
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+}
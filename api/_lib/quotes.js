@@ -0,0 +1,85 @@
+import { applyDiscount, calculateFare, formatRand, vehiclesNeeded } from '../../lib/pricing.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// ===== SIGNED QUOTES =====
+// /api/ors signs the route it calculated (routeToken). /api/price turns a route
+// token plus the customer's options into a quote token. The quote token holds
+// the route, vehicle, passengers, fare and expiry. /api/quote books only from
+// a valid quote token, which is how "price guaranteed for 24 hours" is enforced.
+// Address suggestions are signed too (place tokens), binding label to coordinates.
+
+export const QUOTE_TTL_SECONDS = 24 * 60 * 60;
+export const ROUTE_TTL_SECONDS = 24 * 60 * 60;
+export const PLACE_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Sign a geocoded place, binding its label to its coordinates
+ * @param {Object} place - { label, coordinates } with coordinates as [lng, lat]
+ * @returns {string} Place token
+ */
+export function issuePlaceToken({ label, coordinates }) {
+    return signToken('place', { label, coordinates }, PLACE_TTL_SECONDS).token;
+}
+
+export function readPlaceToken(token) {
+    return verifyToken('place', token);
+}
+
+/**
+ * Sign a calculated route
+ * @param {Object} route - { pickupAddress, dropoffAddress, pickupCoords, dropoffCoords, stops, legs, distance, duration, returnRoute }
+ *   returnRoute is null unless the way back runs between other addresses
+ * @returns {{token: string, issuedAt: string, expiresAt: string}}
+ */
+export function issueRouteToken(route) {
+    return signToken('route', route, ROUTE_TTL_SECONDS);
+}
+
+export function readRouteToken(token) {
+    return verifyToken('route', token);
+}
+
+/**
+ * Price a signed route and sign the result
+ * @param {Object} route - Route from a verified route token
+ * @param {Object} options - { vehicleType, tripType, passengers, schedule, discount }
+ *   schedule from fareSchedule(), discount from lookupDiscount()
+ * @returns {{quote: Object, quoteToken: string, issuedAt: string, expiresAt: string, discountError: string|null}}
+ *   discountError says why a discount was left off (e.g. a promo code's minimum fare)
+ * @throws {Error} When the vehicle type can't carry the group
+ */
+export function issueQuote(route, { vehicleType, tripType, passengers, schedule = null, discount = null }) {
+    const vehicleCount = vehiclesNeeded(vehicleType, passengers);
+    if (!vehicleCount) {
+        throw new Error(`A ${vehicleType} can't carry ${passengers} passengers`);
+    }
+
+    const stops = route.stops?.length || 0;
+    const standardFare = calculateFare({
+        distance: route.distance,
+        returnDistance: route.returnRoute?.distance,
+        duration: route.duration,
+        vehicleType, tripType, vehicleCount, stops, schedule
+    });
+
+    let discountError = null;
+    let fare = standardFare;
+    if (discount?.minFare && standardFare.total < discount.minFare) {
+        discountError = `Promo code ${discount.code} needs a fare of at least ${formatRand(discount.minFare)}`;
+    } else if (discount) {
+        fare = applyDiscount(standardFare, discount);
+        if (!fare.discount) {
+            discountError = discount.kind === 'corporate'
+                ? `${discount.name} has no discounted rate for the ${standardFare.vehicleName}`
+                : `Promo code ${discount.code} gives no discount on this fare`;
+        }
+    }
+
+    const { token, issuedAt, expiresAt } = signToken('quote', { route, fare, passengers }, QUOTE_TTL_SECONDS);
+
+    return { quote: fare, quoteToken: token, issuedAt, expiresAt, discountError };
+}
+
+export function readQuoteToken(token) {
+    return verifyToken('quote', token);
+}
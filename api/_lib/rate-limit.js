@@ -0,0 +1,212 @@
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { clientIp } from './http.js';
+import { createFileStore, createMemoryStore, getStore } from './store.js';
+
+// ===== RATE LIMITING =====
+// Fixed-window request counters for the public routes that cost us money or
+// can be abused: /api/ors and /api/geocode spend routing provider quota,
+// /api/quote sends email through Resend, /api/pay opens gateway sessions, and
+// /api/price and /api/availability would otherwise let anyone guess promo
+// codes or map the fleet as fast as they like. Each route has rules per
+// identity (client IP, the customer's email address for quotes and the booking
+// reference for payments). A request is refused with a 429 once
+// any of its identities has used up its rule for the current window.
+// Rules are overridden per route and identity with
+// RATE_LIMIT_<ROUTE>_<IDENTITY>=<requests>/<seconds>, e.g.
+// RATE_LIMIT_QUOTE_EMAIL=3/3600, or "off" to drop the rule.
+// RATE_LIMIT_STORE picks where the counters live:
+//   memory - process memory (default; each serverless instance counts on its own)
+//   file   - JSON file at RATE_LIMIT_PATH, shared by processes on one machine
+//   data   - the booking store (DATA_STORE), e.g. a shared sqlite database
+//   off    - no rate limiting
+// Counters are updated read-then-write, so concurrent requests can slip a
+// few over the limit; that is fine for abuse protection.
+
+export const RATE_LIMITS = {
+    ors: {
+        ip: { limit: 30, windowSeconds: 10 * 60 }
+    },
+    geocode: {
+        ip: { limit: 120, windowSeconds: 10 * 60 }
+    },
+    quote: {
+        ip: { limit: 10, windowSeconds: 60 * 60 },
+        email: { limit: 5, windowSeconds: 60 * 60 }
+    },
+    price: {
+        ip: { limit: 60, windowSeconds: 10 * 60 }
+    },
+    availability: {
+        ip: { limit: 120, windowSeconds: 10 * 60 }
+    },
+    pay: {
+        ip: { limit: 20, windowSeconds: 60 * 60 },
+        reference: { limit: 10, windowSeconds: 60 * 60 }
+    }
+};
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+let limiterInstance;
+const lastPruned = new Map();
+
+/**
+ * Get the configured counter store (created once per process)
+ * @returns {Object|null} Store adapter, or null when rate limiting is off
+ */
+export function getRateLimitStore() {
+    if (limiterInstance === undefined) {
+        limiterInstance = createRateLimitStore(process.env.RATE_LIMIT_STORE || 'memory', process.env.RATE_LIMIT_PATH);
+    }
+    return limiterInstance;
+}
+
+/**
+ * Replace the process-wide counter store (for tests and scripts)
+ * @param {Object|null|undefined} store - Store adapter, null to disable, or undefined to rebuild from config
+ */
+export function setRateLimitStore(store) {
+    limiterInstance = store;
+    lastPruned.clear();
+}
+
+/**
+ * Create a counter store by backend name
+ * @param {string} type - 'memory', 'file', 'data' or 'off'
+ * @param {string} [location] - File path for the file backend
+ * @returns {Object|null} Store adapter, or null for 'off'
+ */
+export function createRateLimitStore(type, location) {
+    switch (type) {
+        case 'off':
+            return null;
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(location || defaultPath());
+        case 'data':
+            return getStore();
+        default:
+            throw new Error(`Unknown RATE_LIMIT_STORE "${type}". Use memory, file, data or off.`);
+    }
+}
+
+function defaultPath() {
+    // Vercel functions can only write to /tmp
+    const dir = process.env.VERCEL ? '/tmp' : path.join(process.cwd(), '.data');
+    return path.join(dir, 'rate-limits.json');
+}
+
+/**
+ * Rules in force for a route, after environment overrides
+ * @param {string} route - Key of RATE_LIMITS
+ * @returns {Object} { [identity]: { limit, windowSeconds } }
+ */
+export function rateLimitRules(route) {
+    const rules = {};
+
+    for (const [identity, rule] of Object.entries(RATE_LIMITS[route] || {})) {
+        const configured = process.env[`RATE_LIMIT_${route.toUpperCase()}_${identity.toUpperCase()}`];
+        if (configured === undefined || configured === '') {
+            rules[identity] = rule;
+            continue;
+        }
+        if (configured.trim().toLowerCase() === 'off') continue;
+
+        const match = configured.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+        if (!match || Number(match[1]) < 1 || Number(match[2]) < 1) {
+            console.warn(`Ignoring invalid RATE_LIMIT_${route.toUpperCase()}_${identity.toUpperCase()} "${configured}"`);
+            rules[identity] = rule;
+            continue;
+        }
+        rules[identity] = { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+    }
+
+    return rules;
+}
+
+/**
+ * Count a request against a route's rules
+ * Store failures are logged and let the request through.
+ * @param {string} route - Key of RATE_LIMITS
+ * @param {Object} identities - { ip, email, ... }; rules without an identity are skipped
+ * @returns {Promise<{allowed: boolean, identity?: string, limit?: number, retryAfter?: number}>}
+ */
+export async function checkRateLimit(route, identities) {
+    const store = getRateLimitStore();
+    if (!store) return { allowed: true };
+
+    const collection = `rate-${route}`;
+    const now = Date.now();
+    let blocked = null;
+
+    try {
+        await pruneExpired(store, collection, now);
+
+        for (const [identity, rule] of Object.entries(rateLimitRules(route))) {
+            const value = identities[identity];
+            if (!value) continue;
+
+            const key = `${identity}:${hashIdentity(value)}`;
+            const existing = await store.get(collection, key);
+            const window = existing && existing.resetAt > now
+                ? existing
+                : { key, count: 0, resetAt: now + rule.windowSeconds * 1000 };
+
+            window.count++;
+            await store.put(collection, key, window);
+
+            if (window.count > rule.limit) {
+                const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+                if (!blocked || retryAfter > blocked.retryAfter) {
+                    blocked = { allowed: false, identity, limit: rule.limit, retryAfter };
+                }
+            }
+        }
+    } catch (error) {
+        console.warn(`Rate limit check failed (${route}):`, error.message);
+        return { allowed: true };
+    }
+
+    return blocked || { allowed: true };
+}
+
+/**
+ * Count a request and refuse it with a 429 when it is over the limit.
+ * Sends the error response itself, like requireAdmin.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} route - Key of RATE_LIMITS
+ * @param {Object} [identities] - Identities besides the client IP, e.g. { email }
+ * @returns {Promise<boolean>} True when the caller may continue
+ */
+export async function enforceRateLimit(req, res, route, identities = {}) {
+    const result = await checkRateLimit(route, { ip: clientIp(req), ...identities });
+    if (result.allowed) return true;
+
+    console.warn(`🚦 Rate limit hit on ${route} (${result.identity}), retry in ${result.retryAfter}s`);
+    res.setHeader('Retry-After', String(result.retryAfter));
+    res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.',
+        code: 'RATE_LIMITED',
+        retryAfter: result.retryAfter
+    });
+    return false;
+}
+
+// Counters are keyed by a hash so the store never holds raw IPs or email addresses
+function hashIdentity(value) {
+    return createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex').slice(0, 32);
+}
+
+async function pruneExpired(store, collection, now) {
+    if (now - (lastPruned.get(collection) || 0) < PRUNE_INTERVAL_MS) return;
+    lastPruned.set(collection, now);
+
+    const windows = await store.list(collection);
+    for (const window of windows) {
+        if (window.resetAt <= now) await store.delete(collection, window.key);
+    }
+}
@@ -0,0 +1,230 @@
+import { cached, coordinatesKey, normalizeAddress } from '../cache.js';
+import { createNominatimProvider } from './nominatim.js';
+import { createOrsProvider } from './ors.js';
+import { createOsrmProvider } from './osrm.js';
+import { createStubProvider } from './stub.js';
+
+// ===== ROUTING =====
+// Geocoding and directions go through providers. Each one implements any of:
+//   search(text, { size, autocomplete }) → [{ label, coordinates: [lng, lat], confidence }]
+//   reverse([lng, lat])                  → label, or null when nothing is there
+//   route([[lng, lat], ...])             → { distance (m), duration (s), legs: [{ distance, duration }],
+//                                            geometry: [[lat, lng], ...] }
+// ROUTING_PROVIDERS lists them in order of preference (default "ors"), e.g.
+// "ors,osrm,nominatim". Each call goes to the first provider that supports it
+// and fails over to the next one when a provider errors. Answers are cached
+// (cache.js) whichever provider gave them.
+
+// A provider that takes longer than this (ROUTING_TIMEOUT_MS) has failed
+export const DEFAULT_ROUTING_TIMEOUT_MS = 5000;
+
+const PROVIDERS = {
+    ors: createOrsProvider,
+    osrm: createOsrmProvider,
+    nominatim: createNominatimProvider,
+    stub: createStubProvider
+};
+
+/**
+ * Build the configured routing providers, most preferred first
+ * @returns {Object[]} Provider adapters
+ * @throws {Error} When a provider is unknown or missing its configuration
+ */
+export function getRoutingProviders() {
+    const names = (process.env.ROUTING_PROVIDERS || 'ors')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    if (names.length === 0) {
+        throw new Error('ROUTING_PROVIDERS is empty');
+    }
+
+    return names.map(name => {
+        if (!PROVIDERS[name]) {
+            throw new Error(`Unknown routing provider "${name}". Use ors, osrm, nominatim or stub.`);
+        }
+        if (name === 'stub' && process.env.VERCEL_ENV === 'production' && process.env.ALLOW_STUB_ROUTING !== 'true') {
+            throw new Error('The stub routing provider is disabled in production');
+        }
+        return PROVIDERS[name]();
+    });
+}
+
+/**
+ * Abort signal for one provider request, so a hung provider fails over to the next
+ * @returns {AbortSignal}
+ */
+export function routingTimeout() {
+    const configured = Number(process.env.ROUTING_TIMEOUT_MS);
+    return AbortSignal.timeout(Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_ROUTING_TIMEOUT_MS);
+}
+
+/**
+ * Check the routing providers can geocode and route
+ * @returns {string|null} What is wrong, or null when routing is ready
+ */
+export function routingConfigError() {
+    try {
+        const providers = getRoutingProviders();
+        if (!providers.some(provider => provider.search)) {
+            return 'ROUTING_PROVIDERS has no provider that can geocode addresses';
+        }
+        if (!providers.some(provider => provider.route)) {
+            return 'ROUTING_PROVIDERS has no provider that can calculate routes';
+        }
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Try each provider that supports the call until one answers
+async function withFailover(capability, call) {
+    const providers = getRoutingProviders().filter(provider => typeof provider[capability] === 'function');
+    let lastError = new Error(`No routing provider supports ${capability}`);
+
+    for (const provider of providers) {
+        try {
+            return await call(provider);
+        } catch (error) {
+            console.warn(`⚠️ Routing provider ${provider.name} failed (${capability}): ${error.message}`);
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+// A best match below this confidence (0-1) is checked with the customer
+export const MIN_GEOCODE_CONFIDENCE = 0.8;
+
+// Matches nearly as good as the best one, but at least this far away, make an address ambiguous
+const RIVAL_CONFIDENCE_MARGIN = 0.1;
+const DISTINCT_PLACE_KM = 2;
+const CANDIDATE_COUNT = 5;
+
+/**
+ * Check a [lng, lat] pair is usable as a route point
+ * @param {*} coords - Candidate coordinates
+ * @returns {boolean}
+ */
+export function isValidCoordinates(coords) {
+    return Array.isArray(coords) && coords.length === 2
+        && coords.every(value => typeof value === 'number' && Number.isFinite(value))
+        && Math.abs(coords[0]) <= 180 && Math.abs(coords[1]) <= 90;
+}
+
+/**
+ * Look up places in South Africa matching some text
+ * @param {string} text - Address or landmark, possibly partly typed
+ * @param {Object} [options]
+ * @param {number} [options.size=5] - Most candidates to return
+ * @param {boolean} [options.autocomplete=false] - Use the as-you-type endpoint where the provider has one
+ * @returns {Promise<{label: string, coordinates: number[], confidence: number|null}[]>} Best match first
+ * @throws {Error} When every geocoding provider fails
+ */
+export async function searchAddresses(text, { size = 5, autocomplete = false } = {}) {
+    const endpoint = autocomplete ? 'autocomplete' : 'search';
+    return cached('geocode', `${endpoint}:${size}:${normalizeAddress(text)}`,
+        () => withFailover('search', provider => provider.search(text, { size, autocomplete })),
+        { shouldCache: candidates => candidates.length > 0 });
+}
+
+/**
+ * Find the address at a point, e.g. where the customer clicked on the map
+ * @param {number[]} coords - [lng, lat]
+ * @returns {Promise<{label: string, coordinates: number[]}|null>} Nearest address, or null when there is none in ZA
+ * @throws {Error} When every geocoding provider fails
+ */
+export async function reverseGeocode([lng, lat]) {
+    const label = await cached('reverse', coordinatesKey([[lng, lat]]),
+        () => withFailover('reverse', provider => provider.reverse([lng, lat])),
+        { shouldCache: found => found !== null });
+    if (label === null) return null;
+
+    // Route from the exact point chosen; the label is only for display
+    return { label, coordinates: [lng, lat] };
+}
+
+/**
+ * Geocode an address to its best match
+ * @param {string} address - Address or landmark
+ * @returns {Promise<{coordinates: number[], label: string, ambiguous: boolean, candidates: Object[]}|null>}
+ *   Best match, flagged ambiguous (with the candidates to choose from) when it might be the wrong place;
+ *   null when nothing was found or the service failed
+ */
+export async function geocodeAddress(address) {
+    try {
+        const candidates = await searchAddresses(address, { size: CANDIDATE_COUNT });
+        const [best] = candidates;
+
+        if (!best) {
+            console.warn(`No geocoding results for: ${address}`);
+            return null;
+        }
+
+        const ambiguous = isAmbiguous(candidates);
+        if (ambiguous) {
+            console.warn(`Ambiguous address "${address}": ${candidates.length} candidate(s), best confidence ${best.confidence}`);
+        }
+
+        return {
+            coordinates: best.coordinates,
+            label: best.label,
+            ambiguous,
+            candidates: ambiguous ? distinctPlaces(candidates) : []
+        };
+        
+    } catch (error) {
+        console.error(`Geocoding error for "${address}":`, error);
+        return null;
+    }
+}
+
+// Unsure when the best match is weak, or another match is about as good but somewhere else
+function isAmbiguous([best, ...others]) {
+    if (best.confidence === null) return false;
+    if (best.confidence < MIN_GEOCODE_CONFIDENCE) return true;
+
+    return others.some(other =>
+        other.confidence !== null
+        && other.confidence >= best.confidence - RIVAL_CONFIDENCE_MARGIN
+        && distanceKm(best.coordinates, other.coordinates) >= DISTINCT_PLACE_KM);
+}
+
+// Drop candidates that are really the same place as a better one
+function distinctPlaces(candidates) {
+    return candidates
+        .filter((candidate, index) => candidates
+            .slice(0, index)
+            .every(better => distanceKm(better.coordinates, candidate.coordinates) >= DISTINCT_PLACE_KM))
+        .map(({ label, coordinates }) => ({ label, coordinates }));
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {number[]} from - [lng, lat]
+ * @param {number[]} to - [lng, lat]
+ * @returns {number} Kilometres
+ */
+export function distanceKm([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Route through an ordered list of points
+ * @param {number[][]} coordinates - [lng, lat] pairs: pickup, any stops, then drop-off
+ * @returns {Promise<{distance: number, duration: number, legs: {distance: number, duration: number}[], geometry: number[][]}>}
+ *   Totals in metres and seconds, one leg per consecutive pair of points, and the line as [lat, lng] for Leaflet
+ * @throws {Error} When every routing provider fails
+ */
+export async function getRoute(coordinates) {
+    return cached('route', coordinatesKey(coordinates),
+        () => withFailover('route', provider => provider.route(coordinates)));
+}
@@ -0,0 +1,61 @@
+import { routingTimeout } from './index.js';
+
+// ===== NOMINATIM PROVIDER =====
+// Geocoding from a Nominatim server (https://nominatim.org), which can be
+// self-hosted next to OSRM. Nominatim gives no match confidence, so its
+// results are never flagged as ambiguous, and it has no as-you-type endpoint,
+// so suggestions use a normal search.
+
+export function createNominatimProvider() {
+    const baseUrl = process.env.NOMINATIM_URL;
+    if (!baseUrl) {
+        throw new Error('NOMINATIM_URL environment variable is not configured');
+    }
+
+    const root = baseUrl.replace(/\/+$/, '');
+    // Nominatim's usage policy asks every client to identify itself
+    const headers = {
+        'Accept': 'application/json',
+        'User-Agent': 'ModjadjiShuttleService/1.0'
+    };
+
+    return {
+        name: 'nominatim',
+
+        async search(text, { size }) {
+            const url = `${root}/search?format=jsonv2&countrycodes=za&limit=${size}&q=${encodeURIComponent(text)}`;
+
+            console.log(`🔍 Geocoding (nominatim): ${text}`);
+            const response = await fetch(url, { headers, signal: routingTimeout() });
+
+            if (!response.ok) {
+                throw new Error(`Geocoding failed: ${response.status} ${response.statusText}`);
+            }
+
+            const places = await response.json();
+
+            return places.map(place => ({
+                coordinates: [Number(place.lon), Number(place.lat)],
+                label: place.display_name || text,
+                confidence: null
+            }));
+        },
+
+        async reverse([lng, lat]) {
+            const url = `${root}/reverse?format=jsonv2&lat=${lat}&lon=${lng}`;
+
+            console.log(`🔍 Reverse geocoding (nominatim): ${lat.toFixed(5)}, ${lng.toFixed(5)}`);
+            const response = await fetch(url, { headers, signal: routingTimeout() });
+
+            if (!response.ok) {
+                throw new Error(`Reverse geocoding failed: ${response.status} ${response.statusText}`);
+            }
+
+            const place = await response.json();
+
+            // Only addresses inside South Africa, like the other providers
+            if (place.error || place.address?.country_code !== 'za') return null;
+            return place.display_name || null;
+        }
+    };
+}
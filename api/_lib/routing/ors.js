@@ -0,0 +1,99 @@
+import { routingTimeout } from './index.js';
+
+// ===== OPENROUTESERVICE PROVIDER =====
+// Hosted geocoding (Pelias) and directions from api.openrouteservice.org.
+
+const ORS_GEOCODE_URL = 'https://api.openrouteservice.org/geocode';
+const ORS_DIRECTIONS_URL = 'https://api.openrouteservice.org/v2/directions/driving-car/geojson';
+const ACCEPT = 'application/json, application/geo+json, application/gpx+xml, img/png; charset=utf-8';
+
+export function createOrsProvider() {
+    const apiKey = process.env.ORS_API_KEY;
+    if (!apiKey) {
+        throw new Error('ORS_API_KEY environment variable is not configured');
+    }
+
+    return {
+        name: 'ors',
+
+        async search(text, { size, autocomplete }) {
+            const endpoint = autocomplete ? 'autocomplete' : 'search';
+            const url = `${ORS_GEOCODE_URL}/${endpoint}?api_key=${apiKey}&text=${encodeURIComponent(text)}&boundary.country=ZA&size=${size}`;
+
+            console.log(`🔍 Geocoding (ors ${endpoint}): ${text}`);
+            const response = await fetch(url, { headers: { 'Accept': ACCEPT }, signal: routingTimeout() });
+
+            if (!response.ok) {
+                throw new Error(`Geocoding failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+
+            return (data.features || []).map(feature => ({
+                coordinates: feature.geometry.coordinates,
+                label: feature.properties.label || text,
+                confidence: feature.properties.confidence ?? null
+            }));
+        },
+
+        async reverse([lng, lat]) {
+            const url = `${ORS_GEOCODE_URL}/reverse?api_key=${apiKey}&point.lon=${lng}&point.lat=${lat}&boundary.country=ZA&size=1`;
+
+            console.log(`🔍 Reverse geocoding (ors): ${lat.toFixed(5)}, ${lng.toFixed(5)}`);
+            const response = await fetch(url, { headers: { 'Accept': ACCEPT }, signal: routingTimeout() });
+
+            if (!response.ok) {
+                throw new Error(`Reverse geocoding failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.features?.[0]?.properties.label || null;
+        },
+
+        async route(coordinates) {
+            console.log(`🗺️ Calculating route (ors)...`);
+            const response = await fetch(ORS_DIRECTIONS_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': apiKey,
+                    'Content-Type': 'application/json',
+                    'Accept': ACCEPT
+                },
+                // Distances in metres (the ORS default), like every other provider
+                body: JSON.stringify({
+                    coordinates,
+                    instructions: false
+                }),
+                signal: routingTimeout()
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`Route calculation failed: ${response.status}`, errorText);
+                throw new Error(`Route calculation failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+
+            if (!data.features || data.features.length === 0) {
+                throw new Error('No route found between the specified coordinates');
+            }
+
+            const route = data.features[0];
+
+            // ORS returns one segment per leg between consecutive points
+            const segments = route.properties.segments || [];
+
+            return {
+                distance: route.properties.summary.distance,
+                duration: route.properties.summary.duration,
+                legs: segments.map(segment => ({
+                    distance: segment.distance || 0,
+                    duration: segment.duration || 0
+                })),
+                // Convert coordinates from [lng, lat] to [lat, lng] for Leaflet
+                geometry: route.geometry.coordinates.map(coord => [coord[1], coord[0]])
+            };
+        }
+    };
+}
@@ -0,0 +1,46 @@
+import { routingTimeout } from './index.js';
+
+// ===== OSRM PROVIDER =====
+// Directions from a self-hosted OSRM server (http://project-osrm.org), e.g.
+// one built from the Geofabrik South Africa extract. OSRM only routes, so
+// pair it with a geocoding provider (ors or nominatim) in ROUTING_PROVIDERS.
+
+export function createOsrmProvider() {
+    const baseUrl = process.env.OSRM_URL;
+    if (!baseUrl) {
+        throw new Error('OSRM_URL environment variable is not configured');
+    }
+
+    return {
+        name: 'osrm',
+
+        async route(coordinates) {
+            const points = coordinates.map(([lng, lat]) => `${lng},${lat}`).join(';');
+            const url = `${baseUrl.replace(/\/+$/, '')}/route/v1/driving/${points}?overview=full&geometries=geojson`;
+
+            console.log(`🗺️ Calculating route (osrm)...`);
+            const response = await fetch(url, { headers: { 'Accept': 'application/json' }, signal: routingTimeout() });
+
+            if (!response.ok) {
+                throw new Error(`Route calculation failed: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            const route = data.routes?.[0];
+
+            if (data.code !== 'Ok' || !route) {
+                throw new Error(`No route found between the specified coordinates (${data.code || 'no routes'})`);
+            }
+
+            return {
+                distance: route.distance,
+                duration: route.duration,
+                legs: route.legs.map(leg => ({
+                    distance: leg.distance || 0,
+                    duration: leg.duration || 0
+                })),
+                geometry: route.geometry.coordinates.map(coord => [coord[1], coord[0]])
+            };
+        }
+    };
+}
@@ -0,0 +1,54 @@
+import { createHash } from 'node:crypto';
+import { distanceKm } from './index.js';
+
+// ===== STUB PROVIDER =====
+// Offline, deterministic stand-in for the real providers, for local runs and
+// tests. The same address always geocodes to the same point in Gauteng, and
+// routes are straight lines between the points: 1.3× the crow-flies distance
+// (roads are rarely straight) driven at 60 km/h.
+
+const ROAD_FACTOR = 1.3;
+const SPEED_KMH = 60;
+
+// Gauteng, roughly
+const BOUNDS = { west: 27.8, east: 28.4, south: -26.4, north: -25.9 };
+
+export function createStubProvider() {
+    return {
+        name: 'stub',
+
+        async search(text) {
+            const digest = createHash('sha256').update(text.trim().toLowerCase()).digest();
+            const lng = BOUNDS.west + (digest.readUInt32BE(0) / 0xffffffff) * (BOUNDS.east - BOUNDS.west);
+            const lat = BOUNDS.south + (digest.readUInt32BE(4) / 0xffffffff) * (BOUNDS.north - BOUNDS.south);
+
+            return [{
+                coordinates: [round(lng), round(lat)],
+                label: text.trim(),
+                confidence: 1
+            }];
+        },
+
+        async reverse([lng, lat]) {
+            return `Stub address ${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+        },
+
+        async route(coordinates) {
+            const legs = coordinates.slice(1).map((point, index) => {
+                const distance = distanceKm(coordinates[index], point) * ROAD_FACTOR * 1000;
+                return { distance, duration: (distance / 1000 / SPEED_KMH) * 3600 };
+            });
+
+            return {
+                distance: legs.reduce((total, leg) => total + leg.distance, 0),
+                duration: legs.reduce((total, leg) => total + leg.duration, 0),
+                legs,
+                geometry: coordinates.map(([lng, lat]) => [lat, lng])
+            };
+        }
+    };
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,361 @@
+import { randomBytes } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// ===== DOCUMENT STORE =====
+// Small key/value document store grouped into collections ("bookings", ...).
+// DATA_STORE picks the adapter:
+//   redis  - Redis over the Upstash REST API, e.g. Vercel KV (default when KV_REST_API_URL is set)
+//   file   - JSON file at DATA_STORE_PATH (default for local runs)
+//   sqlite - SQLite database at DATA_STORE_PATH (needs Node 22+ with node:sqlite)
+//   memory - process memory only, lost on restart (useful for tests)
+// Every adapter exposes the same async interface: get, put, delete, list, and
+// update(collection, id, fn), an atomic read-modify-write for counters: fn gets
+// the current document (or null) and returns the new one, or null to leave it.
+// fn may run more than once, so it must not have side effects. withLock() builds
+// a lock on update() for work that must not run twice at once.
+// A Vercel deployment's disk belongs to one instance and is wiped when it
+// recycles, so deployments refuse every adapter but redis.
+
+const LOCKS = 'locks';
+const LOCK_RETRY_MS = 50;
+
+const REDIS_TIMEOUT_MS = 10000;
+const REDIS_UPDATE_ATTEMPTS = 5;
+
+// Set a hash field only if it still holds the value read before ('' = missing)
+const REDIS_COMPARE_AND_SET = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if (current or '') ~= ARGV[2] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1`;
+
+let storeInstance = null;
+
+/**
+ * Get the configured store (created once per process)
+ * @returns {Object} Store adapter
+ * @throws {Error} When the adapter would lose data on a Vercel deployment
+ */
+export function getStore() {
+    if (!storeInstance) {
+        const type = process.env.DATA_STORE || (redisConfig() ? 'redis' : 'file');
+        const deployed = Boolean(process.env.VERCEL) && process.env.VERCEL_ENV !== 'development';
+        if (type !== 'redis' && deployed && process.env.ALLOW_EPHEMERAL_STORE !== 'true') {
+            throw new Error(`DATA_STORE=${type} loses data on Vercel. Use DATA_STORE=redis with KV_REST_API_URL and KV_REST_API_TOKEN.`);
+        }
+        storeInstance = createStore(type, process.env.DATA_STORE_PATH);
+    }
+    return storeInstance;
+}
+
+/**
+ * Replace the process-wide store (for tests and scripts)
+ * @param {Object|null} store - Store adapter, or null to rebuild from config
+ */
+export function setStore(store) {
+    storeInstance = store;
+}
+
+/**
+ * Create a store adapter by name
+ * @param {string} type - 'redis', 'file', 'sqlite' or 'memory'
+ * @param {string} [location] - File path for the file and sqlite adapters
+ * @returns {Object} Store adapter
+ */
+export function createStore(type, location) {
+    switch (type) {
+        case 'redis': {
+            const config = redisConfig();
+            if (!config) {
+                throw new Error('DATA_STORE=redis needs KV_REST_API_URL and KV_REST_API_TOKEN');
+            }
+            return createRedisStore(config);
+        }
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(location || defaultPath('store.json'));
+        case 'sqlite':
+            return createSqliteStore(location || defaultPath('store.sqlite'));
+        default:
+            throw new Error(`Unknown DATA_STORE "${type}". Use redis, file, sqlite or memory.`);
+    }
+}
+
+/**
+ * Run fn while holding a named lock in the configured store, so only one
+ * caller at a time (across every instance sharing the store) runs it
+ * @param {string} name - Lock name
+ * @param {Function} fn - Async work to do under the lock
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=30000] - When a lock whose holder died is given up
+ * @param {number} [options.waitMs=10000] - How long to wait for the lock
+ * @returns {Promise<*>} What fn returns
+ * @throws {Error} When the lock stays taken for waitMs
+ */
+export async function withLock(name, fn, { ttlMs = 30000, waitMs = 10000 } = {}) {
+    const store = getStore();
+    const owner = randomBytes(8).toString('hex');
+    const giveUpAt = Date.now() + waitMs;
+
+    for (;;) {
+        const now = Date.now();
+        const lock = await store.update(LOCKS, name, current => (current?.owner && current.expiresAt > now
+            ? null
+            : { owner, expiresAt: now + ttlMs }));
+        if (lock?.owner === owner) break;
+        if (now >= giveUpAt) {
+            throw new Error(`Timed out waiting for the ${name} lock`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+
+    try {
+        return await fn();
+    } finally {
+        await store.update(LOCKS, name, current => (current?.owner === owner ? { owner: null, expiresAt: 0 } : null));
+    }
+}
+
+// Vercel KV and Upstash name their REST credentials differently
+function redisConfig() {
+    const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    return url && token ? { url, token } : null;
+}
+
+function defaultPath(filename) {
+    // Vercel functions can only write to /tmp
+    const dir = process.env.VERCEL ? '/tmp' : path.join(process.cwd(), '.data');
+    return path.join(dir, filename);
+}
+
+export function createMemoryStore() {
+    const collections = new Map();
+    const bucket = (name) => {
+        if (!collections.has(name)) collections.set(name, new Map());
+        return collections.get(name);
+    };
+
+    return {
+        async get(collection, id) {
+            const doc = bucket(collection).get(id);
+            return doc ? structuredClone(doc) : null;
+        },
+        async put(collection, id, doc) {
+            bucket(collection).set(id, structuredClone(doc));
+            return doc;
+        },
+        async delete(collection, id) {
+            return bucket(collection).delete(id);
+        },
+        async list(collection) {
+            return Array.from(bucket(collection).values(), doc => structuredClone(doc));
+        },
+        async update(collection, id, fn) {
+            const current = bucket(collection).get(id);
+            const doc = fn(current ? structuredClone(current) : null);
+            if (!doc) return null;
+            bucket(collection).set(id, structuredClone(doc));
+            return doc;
+        }
+    };
+}
+
+export function createFileStore(filePath) {
+    // Writes are serialised through one promise chain so concurrent requests
+    // in the same process can't interleave read-modify-write cycles
+    let queue = Promise.resolve();
+
+    async function read() {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    async function write(data) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    }
+
+    function mutate(fn) {
+        const result = queue.then(async () => {
+            const data = await read();
+            const value = fn(data);
+            await write(data);
+            return value;
+        });
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return {
+        async get(collection, id) {
+            await queue;
+            const data = await read();
+            return data[collection]?.[id] ?? null;
+        },
+        put(collection, id, doc) {
+            return mutate(data => {
+                data[collection] = data[collection] || {};
+                data[collection][id] = doc;
+                return doc;
+            });
+        },
+        delete(collection, id) {
+            return mutate(data => {
+                const existed = Boolean(data[collection]?.[id]);
+                if (existed) delete data[collection][id];
+                return existed;
+            });
+        },
+        async list(collection) {
+            await queue;
+            const data = await read();
+            return Object.values(data[collection] || {});
+        },
+        update(collection, id, fn) {
+            return mutate(data => {
+                const doc = fn(data[collection]?.[id] ?? null);
+                if (!doc) return null;
+                data[collection] = data[collection] || {};
+                data[collection][id] = doc;
+                return doc;
+            });
+        }
+    };
+}
+
+/**
+ * Store documents in Redis, one hash per collection, through the Upstash REST API
+ * @param {Object} config
+ * @param {string} config.url - REST URL
+ * @param {string} config.token - REST token
+ * @returns {Object} Store adapter
+ */
+export function createRedisStore({ url, token }) {
+    const key = collection => `store:${collection}`;
+
+    async function command(...args) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(args),
+            signal: AbortSignal.timeout(REDIS_TIMEOUT_MS)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.error) {
+            throw new Error(`Redis ${args[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+        }
+        return body.result;
+    }
+
+    return {
+        async get(collection, id) {
+            const value = await command('HGET', key(collection), id);
+            return value === null ? null : JSON.parse(value);
+        },
+        async put(collection, id, doc) {
+            await command('HSET', key(collection), id, JSON.stringify(doc));
+            return doc;
+        },
+        async delete(collection, id) {
+            return (await command('HDEL', key(collection), id)) > 0;
+        },
+        async list(collection) {
+            return (await command('HVALS', key(collection))).map(value => JSON.parse(value));
+        },
+        async update(collection, id, fn) {
+            // Optimistic: retry when another request changed the document in between
+            for (let attempt = 0; attempt < REDIS_UPDATE_ATTEMPTS; attempt++) {
+                const current = await command('HGET', key(collection), id);
+                const doc = fn(current === null ? null : JSON.parse(current));
+                if (!doc) return null;
+                const stored = await command('EVAL', REDIS_COMPARE_AND_SET, 1, key(collection), id, current ?? '', JSON.stringify(doc));
+                if (stored === 1) return doc;
+            }
+            throw new Error(`Could not update ${collection}/${id}: it kept changing`);
+        }
+    };
+}
+
+export function createSqliteStore(filePath) {
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = (async () => {
+                let sqlite;
+                try {
+                    sqlite = await import('node:sqlite');
+                } catch (error) {
+                    throw new Error('DATA_STORE=sqlite needs Node.js 22 or newer (node:sqlite is not available)');
+                }
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                const db = new sqlite.DatabaseSync(filePath);
+                db.exec(`CREATE TABLE IF NOT EXISTS documents (
+                    collection TEXT NOT NULL,
+                    id TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    PRIMARY KEY (collection, id)
+                )`);
+                return db;
+            })();
+        }
+        return dbPromise;
+    }
+
+    return {
+        async get(collection, id) {
+            const db = await open();
+            const row = db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?').get(collection, id);
+            return row ? JSON.parse(row.data) : null;
+        },
+        async put(collection, id, doc) {
+            const db = await open();
+            db.prepare(`INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+                ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data`)
+                .run(collection, id, JSON.stringify(doc));
+            return doc;
+        },
+        async delete(collection, id) {
+            const db = await open();
+            const result = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?').run(collection, id);
+            return result.changes > 0;
+        },
+        async list(collection) {
+            const db = await open();
+            return db.prepare('SELECT data FROM documents WHERE collection = ?')
+                .all(collection)
+                .map(row => JSON.parse(row.data));
+        },
+        async update(collection, id, fn) {
+            const db = await open();
+            // IMMEDIATE takes the write lock before reading, so other processes wait
+            db.exec('BEGIN IMMEDIATE');
+            try {
+                const row = db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?').get(collection, id);
+                const doc = fn(row ? JSON.parse(row.data) : null);
+                if (doc) {
+                    db.prepare(`INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+                        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data`)
+                        .run(collection, id, JSON.stringify(doc));
+                }
+                db.exec('COMMIT');
+                return doc || null;
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        }
+    };
+}
@@ -0,0 +1,74 @@
+import { createHmac } from 'node:crypto';
+import { safeEqual } from './auth.js';
+
+// ===== SIGNED TOKENS =====
+// Compact HMAC-SHA256 tokens: base64url(JSON payload) + "." + base64url(signature).
+// The payload carries a purpose ("route", "quote", ...) so a token minted for
+// one job can't be replayed as another, plus issued-at and expiry times.
+
+export function isSigningConfigured() {
+    return Boolean(process.env.SIGNING_SECRET);
+}
+
+function hmac(value) {
+    const secret = process.env.SIGNING_SECRET;
+    if (!secret) {
+        throw new Error('SIGNING_SECRET environment variable is not configured');
+    }
+    return createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Sign data into a token
+ * @param {string} purpose - What the token is for
+ * @param {Object} data - Data to carry
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {{token: string, issuedAt: string, expiresAt: string}}
+ */
+export function signToken(purpose, data, ttlSeconds) {
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + ttlSeconds * 1000;
+    const body = Buffer.from(JSON.stringify({ purpose, iat: issuedAt, exp: expiresAt, data })).toString('base64url');
+
+    return {
+        token: `${body}.${hmac(body)}`,
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Verify a token's signature, purpose and expiry
+ * @param {string} purpose - Expected purpose
+ * @param {string} token - Token to check
+ * @returns {{valid: true, data: Object, issuedAt: string, expiresAt: string}|{valid: false, expired: boolean, error: string}}
+ */
+export function verifyToken(purpose, token) {
+    const [body, signature, extra] = String(token || '').split('.');
+
+    if (!body || !signature || extra !== undefined || !safeEqual(signature, hmac(body))) {
+        return { valid: false, expired: false, error: 'Invalid token' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, expired: false, error: 'Invalid token' };
+    }
+
+    if (payload.purpose !== purpose) {
+        return { valid: false, expired: false, error: 'Invalid token' };
+    }
+
+    if (Date.now() >= payload.exp) {
+        return { valid: false, expired: true, error: 'Token has expired' };
+    }
+
+    return {
+        valid: true,
+        data: payload.data,
+        issuedAt: new Date(payload.iat).toISOString(),
+        expiresAt: new Date(payload.exp).toISOString()
+    };
+}
@@ -0,0 +1,174 @@
+import { parseTripDateTime } from '../../../lib/datetime.js';
+import { fareSchedule, isWithinServiceHours, SERVICE_HOURS } from '../../../lib/pricing.js';
+import { requireAdmin } from '../../_lib/auth.js';
+import { getBooking, isIsoDate } from '../../_lib/bookings.js';
+import { checkAvailability, fleetLockName, holdsVehicles, shiftTrip, suggestAlternatives } from '../../_lib/fleet.js';
+import { InvalidTransitionError, rescheduleBooking, resendCustomerEmail, sendReminder, transitionBooking } from '../../_lib/lifecycle.js';
+import { getRoute, routingConfigError } from '../../_lib/routing/index.js';
+import { withLock } from '../../_lib/store.js';
+
+const ACTIONS = ['confirm', 'reject', 'reschedule', 'resend', 'remind'];
+
+// Dashboard view of one booking. GET returns the booking plus its route line
+// for the map; POST { action } confirms, rejects, reschedules, re-sends the
+// customer's latest email or sends a pickup reminder.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use GET or POST.' 
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    const { reference } = req.query;
+
+    try {
+        const booking = await getBooking(reference);
+        if (!booking) {
+            return res.status(404).json({ 
+                success: false,
+                error: `Booking ${reference} not found`
+            });
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                success: true,
+                booking,
+                route: await loadRoute(booking)
+            });
+        }
+
+        const { action, reason, date, time, force } = req.body || {};
+
+        if (!ACTIONS.includes(action)) {
+            return res.status(400).json({ 
+                success: false,
+                error: `Action must be one of: ${ACTIONS.join(', ')}`
+            });
+        }
+
+        if (action === 'resend' || action === 'remind') {
+            const emailSent = action === 'resend' ? await resendCustomerEmail(booking) : await sendReminder(booking);
+            return res.status(emailSent ? 200 : 502).json({
+                success: emailSent,
+                booking,
+                emailSent,
+                error: emailSent ? undefined : 'The email could not be sent yet. It is in the outbox and will be retried.'
+            });
+        }
+
+        let result;
+
+        if (action === 'confirm') {
+            // A quote that has lapsed no longer holds its vehicles, so check they are still free
+            const excludeReference = booking.bookingReference;
+            result = await withLock(fleetLockName(booking.vehicleType), async () => {
+                if (!force && !holdsVehicles(booking) && !(await checkAvailability(booking, { excludeReference })).available) return null;
+                return transitionBooking(reference, 'confirmed');
+            });
+            if (!result) {
+                return res.status(409).json({ 
+                    success: false,
+                    code: 'VEHICLE_UNAVAILABLE',
+                    error: `No ${booking.vehicleType} is free at ${booking.date} ${booking.time} any more`,
+                    alternatives: await suggestAlternatives(booking, { excludeReference })
+                });
+            }
+        } else if (action === 'reject') {
+            const paid = booking.payment?.status === 'paid' ? Number(booking.payment.amount) : 0;
+            result = await transitionBooking(reference, 'cancelled', {
+                reason: reason || 'We are unable to accommodate this booking',
+                changes: {
+                    rejected: true,
+                    cancellation: { isLate: false, fee: 0, refundDue: paid, cancelledAt: new Date().toISOString() }
+                }
+            });
+        } else {
+            const pickupAt = isIsoDate(date) ? parseTripDateTime(date, time) : null;
+            if (!pickupAt || !/^\d{2}:\d{2}$/.test(time || '')) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'A new date (YYYY-MM-DD) and time (HH:MM) are required to reschedule'
+                });
+            }
+            if (pickupAt.getTime() <= Date.now()) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'The new pickup time must be in the future'
+                });
+            }
+
+            // The return moves by as much as the pickup
+            const previousAt = parseTripDateTime(booking.date, booking.time);
+            const trip = previousAt ? shiftTrip(booking, pickupAt - previousAt) : { ...booking, date, time };
+            const { outbound, inbound } = fareSchedule(trip);
+            if ([outbound, inbound].some(leg => leg?.time && !isWithinServiceHours(leg.time))) {
+                return res.status(400).json({ 
+                    success: false,
+                    code: 'OUTSIDE_SERVICE_HOURS',
+                    error: `We pick up between ${SERVICE_HOURS.start} and ${SERVICE_HOURS.end}, and the return moves with the pickup. Please choose another time.`
+                });
+            }
+            if (inbound?.time && parseTripDateTime(inbound.date, inbound.time) <= pickupAt) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: 'The return would move to before the pickup. Please choose another time.'
+                });
+            }
+
+            // Warn before double-booking the fleet; the dashboard can override with force
+            const excludeReference = booking.bookingReference;
+            const { returnDate, returnTime } = trip;
+            result = await withLock(fleetLockName(booking.vehicleType), async () => {
+                if (!force && !(await checkAvailability(trip, { excludeReference })).available) return null;
+                return rescheduleBooking(reference, { date, time, returnDate, returnTime });
+            });
+            if (!result) {
+                return res.status(409).json({ 
+                    success: false,
+                    code: 'VEHICLE_UNAVAILABLE',
+                    error: `No ${booking.vehicleType} is free at ${date} ${time}`,
+                    alternatives: await suggestAlternatives(trip, { excludeReference })
+                });
+            }
+        }
+
+        return res.status(200).json({ 
+            success: true, 
+            booking: result.booking,
+            emailSent: result.emailSent
+        });
+
+    } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+            return res.status(409).json({ 
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('❌ Admin booking error:', error);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Failed to process booking request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// The route line isn't stored with the booking, so re-route from the saved
+// coordinates (through any stops). The dashboard falls back to the markers without it.
+async function loadRoute(booking) {
+    if (routingConfigError() || !booking.pickupCoords || !booking.dropoffCoords) return null;
+
+    try {
+        const stops = (booking.stops || []).map(stop => stop.coords);
+        return await getRoute([booking.pickupCoords, ...stops, booking.dropoffCoords]);
+    } catch (error) {
+        console.warn(`Route for ${booking.bookingReference} unavailable:`, error.message);
+        return null;
+    }
+}
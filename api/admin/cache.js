@@ -0,0 +1,36 @@
+import { requireAdmin } from '../_lib/auth.js';
+import { clearCache, getCacheStats } from '../_lib/cache.js';
+
+// Geocode and route cache.
+// GET returns hit/miss counters and entry counts per namespace; DELETE empties the cache.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET or DELETE.'
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        if (req.method === 'DELETE') {
+            const removed = await clearCache();
+            console.log(`🧹 Routing cache cleared (${removed} entries)`);
+            return res.status(200).json({ success: true, removed });
+        }
+
+        return res.status(200).json({
+            success: true,
+            cache: await getCacheStats()
+        });
+
+    } catch (error) {
+        console.error('❌ Cache error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to process cache request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,58 @@
+import { requireAdmin } from '../_lib/auth.js';
+import { deleteCorporateAccount, listCorporateAccounts, saveCorporateAccount, validateCorporateAccount } from '../_lib/discounts.js';
+
+// Corporate accounts and their negotiated rates.
+// GET lists every account.
+// PUT { code, name, rates: { [vehicleType]: perKm }, emailDomains, active } creates or updates one.
+// DELETE ?code=ACME removes one.
+export default async function handler(req, res) {
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET, PUT or DELETE.'
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                success: true,
+                accounts: await listCorporateAccounts()
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            if (!req.query.code || !(await deleteCorporateAccount(req.query.code))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Corporate account not found'
+                });
+            }
+            console.log(`🏢 Corporate account ${req.query.code} deleted`);
+            return res.status(200).json({ success: true });
+        }
+
+        const problem = validateCorporateAccount(req.body);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                error: problem
+            });
+        }
+
+        const account = await saveCorporateAccount(req.body);
+        console.log(`🏢 Corporate account ${account.code} saved: ${account.name}, ${Object.entries(account.rates).map(([type, rate]) => `${type} R${rate}/km`).join(', ')}`);
+
+        return res.status(200).json({ success: true, account });
+
+    } catch (error) {
+        console.error('❌ Corporate account error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to process corporate account request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
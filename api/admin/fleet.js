@@ -0,0 +1,105 @@
+import { isValidVehicle } from '../../lib/pricing.js';
+import { parseTripDateTime, toTripDateTime } from '../../lib/datetime.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { isIsoDate } from '../_lib/bookings.js';
+import { getFleet, getFleetCalendar, updateFleetVehicle } from '../_lib/fleet.js';
+
+// Fleet registry and availability calendar.
+// GET ?date=YYYY-MM-DD returns the fleet and what each vehicle type is doing that day.
+// PUT { vehicleType, count, unavailable } updates one vehicle type.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET or PUT.'
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const date = req.query.date || toTripDateTime(Date.now()).date;
+            if (!isIsoDate(date)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Date must be in YYYY-MM-DD format'
+                });
+            }
+
+            const dayStart = parseTripDateTime(date, '00:00');
+            const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+            return res.status(200).json({
+                success: true,
+                date,
+                fleet: await getFleet(),
+                calendar: await getFleetCalendar(dayStart, dayEnd)
+            });
+        }
+
+        const { vehicleType, count, unavailable } = req.body || {};
+
+        if (!isValidVehicle(vehicleType)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown vehicle type: ${vehicleType}`
+            });
+        }
+
+        if (count !== undefined && (!Number.isInteger(count) || count < 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'count must be a whole number of vehicles (0 or more)'
+            });
+        }
+
+        const periodError = unavailable === undefined ? null : validateUnavailable(unavailable);
+        if (periodError) {
+            return res.status(400).json({
+                success: false,
+                error: periodError
+            });
+        }
+
+        const entry = await updateFleetVehicle(vehicleType, {
+            count,
+            unavailable: unavailable?.map(period => ({
+                from: new Date(period.from).toISOString(),
+                to: new Date(period.to).toISOString(),
+                count: period.count || 1,
+                reason: period.reason || ''
+            }))
+        });
+        console.log(`🚐 Fleet updated: ${vehicleType} × ${entry.count}, ${entry.unavailable.length} off-road period(s)`);
+
+        return res.status(200).json({ success: true, vehicle: entry });
+
+    } catch (error) {
+        console.error('❌ Fleet error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to process fleet request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+function validateUnavailable(unavailable) {
+    if (!Array.isArray(unavailable)) {
+        return 'unavailable must be a list of { from, to, count, reason }';
+    }
+
+    for (const period of unavailable) {
+        const from = new Date(period?.from);
+        const to = new Date(period?.to);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+            return 'Each off-road period needs a from and to time, with to after from';
+        }
+        if (period.count !== undefined && (!Number.isInteger(period.count) || period.count < 1)) {
+            return 'An off-road period count must be a whole number of vehicles (1 or more)';
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,37 @@
+import { createAdminSession, isAdminLoginConfigured } from '../_lib/auth.js';
+
+// Dashboard sign-in: swaps ADMIN_PASSWORD for a signed session token that the
+// admin routes accept in place of the API key.
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use POST.' 
+        });
+    }
+
+    if (!isAdminLoginConfigured()) {
+        console.error('ADMIN_PASSWORD or SIGNING_SECRET environment variable is not configured');
+        return res.status(500).json({ 
+            success: false,
+            error: 'Server configuration error: Admin login not configured'
+        });
+    }
+
+    const session = createAdminSession(req.body?.password);
+
+    if (!session) {
+        console.warn('🚫 Failed admin login attempt');
+        return res.status(401).json({ 
+            success: false,
+            error: 'Incorrect password'
+        });
+    }
+
+    console.log('✅ Admin signed in');
+    return res.status(200).json({
+        success: true,
+        token: session.token,
+        expiresAt: session.expiresAt
+    });
+}
@@ -0,0 +1,61 @@
+import { isCronRequest, requireAdmin } from '../_lib/auth.js';
+import { listOutbox, OUTBOX_STATUSES, processOutbox, retryEmail } from '../_lib/outbox.js';
+
+// Email and SMS/WhatsApp outbox.
+// GET lists emails and messages (?status=, ?reference=) without their content.
+// POST sends everything due for a retry, or POST { id } tries one email or
+// message again now. The Vercel cron job (vercel.json) GETs with the
+// CRON_SECRET, which also sends everything due.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET or POST.'
+        });
+    }
+
+    const fromCron = isCronRequest(req);
+    if (!fromCron && !requireAdmin(req, res)) return;
+
+    try {
+        if (req.method === 'GET' && !fromCron) {
+            const { status, reference } = req.query;
+            if (status && !OUTBOX_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}`
+                });
+            }
+
+            const emails = await listOutbox({ status, reference });
+            return res.status(200).json({ success: true, count: emails.length, emails });
+        }
+
+        const { id } = (req.method === 'POST' && req.body) || {};
+        if (id) {
+            let entry;
+            try {
+                entry = await retryEmail(String(id));
+            } catch (error) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            if (!entry) {
+                return res.status(404).json({ success: false, error: `Email ${id} not found` });
+            }
+            const { html, text, attachments, ...email } = entry;
+            return res.status(200).json({ success: entry.status === 'sent', email });
+        }
+
+        const result = await processOutbox();
+        console.log(`📬 Outbox run${fromCron ? ' (cron)' : ''}: ${result.attempted} attempted, ${result.sent} sent, ${result.failed} gave up`);
+        return res.status(200).json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('❌ Outbox error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to process outbox request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
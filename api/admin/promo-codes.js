@@ -0,0 +1,58 @@
+import { requireAdmin } from '../_lib/auth.js';
+import { deletePromoCode, listPromoCodes, savePromoCode, validatePromoCode } from '../_lib/discounts.js';
+
+// Promo codes.
+// GET lists every code with its use count.
+// PUT { code, type, value, expiresAt, maxUses, minFare, active, description } creates or updates one.
+// DELETE ?code=SUMMER10 removes one.
+export default async function handler(req, res) {
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET, PUT or DELETE.'
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({
+                success: true,
+                promoCodes: await listPromoCodes()
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            if (!req.query.code || !(await deletePromoCode(req.query.code))) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Promo code not found'
+                });
+            }
+            console.log(`🏷️ Promo code ${req.query.code} deleted`);
+            return res.status(200).json({ success: true });
+        }
+
+        const problem = validatePromoCode(req.body);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                error: problem
+            });
+        }
+
+        const promoCode = await savePromoCode(req.body);
+        console.log(`🏷️ Promo code ${promoCode.code} saved: ${promoCode.type === 'percent' ? `${promoCode.value}%` : `R${promoCode.value.toFixed(2)}`} off, ${promoCode.uses}/${promoCode.maxUses ?? '∞'} used`);
+
+        return res.status(200).json({ success: true, promoCode });
+
+    } catch (error) {
+        console.error('❌ Promo code error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to process promo code request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,83 @@
+import { isValidPassengerCount, isValidVehicle, MAX_PASSENGERS, vehiclesNeeded } from '../lib/pricing.js';
+import { checkAvailability, suggestAlternatives } from './_lib/fleet.js';
+import { readRouteToken } from './_lib/quotes.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { isSigningConfigured } from './_lib/tokens.js';
+
+// Lets the booking form warn about a fully booked vehicle before the customer
+// submits. /api/quote runs the same check again when the booking is made.
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use POST.'
+        });
+    }
+
+    if (!isSigningConfigured()) {
+        console.error('SIGNING_SECRET environment variable is not configured');
+        return res.status(500).json({
+            success: false,
+            error: 'Server configuration error: Quotes not configured'
+        });
+    }
+
+    if (!(await enforceRateLimit(req, res, 'availability'))) return;
+
+    const {
+        routeToken, vehicleType = 'premier-sedan', tripType = 'single',
+        date, time, sameDayReturn, returnDate, returnTime
+    } = req.body || {};
+
+    if (!isValidVehicle(vehicleType)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown vehicle type: ${vehicleType}`
+        });
+    }
+
+    const passengers = Number(req.body?.passengers ?? 1);
+    const vehicleCount = vehiclesNeeded(vehicleType, passengers);
+    if (!isValidPassengerCount(passengers) || !vehicleCount) {
+        return res.status(400).json({
+            success: false,
+            error: `Please choose a vehicle that fits your group (1 to ${MAX_PASSENGERS} passengers)`
+        });
+    }
+
+    const route = readRouteToken(routeToken);
+    if (!route.valid) {
+        return res.status(route.expired ? 410 : 400).json({
+            success: false,
+            code: route.expired ? 'ROUTE_EXPIRED' : 'ROUTE_INVALID',
+            error: route.expired
+                ? 'This route has expired. Please recalculate your route.'
+                : 'Invalid route. Please recalculate your route.'
+        });
+    }
+
+    try {
+        const trip = {
+            vehicleType, vehicleCount, passengers,
+            tripType, date, time, sameDayReturn, returnDate, returnTime,
+            duration: route.data.duration,
+            returnDuration: route.data.returnRoute?.duration
+        };
+        const availability = await checkAvailability(trip);
+
+        return res.status(200).json({
+            success: true,
+            available: availability.available,
+            windows: availability.windows,
+            alternatives: availability.available ? undefined : await suggestAlternatives(trip)
+        });
+
+    } catch (error) {
+        console.error('❌ Availability error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to check availability',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,74 @@
+import { requireAdmin } from '../_lib/auth.js';
+import { getBooking } from '../_lib/bookings.js';
+import { BOOKING_STATUSES, InvalidTransitionError, transitionBooking } from '../_lib/lifecycle.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use GET or PATCH.' 
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    const { reference } = req.query;
+
+    try {
+        if (req.method === 'GET') {
+            const booking = await getBooking(reference);
+            if (!booking) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: `Booking ${reference} not found`
+                });
+            }
+            return res.status(200).json({ success: true, booking });
+        }
+
+        const { status, driver, reason } = req.body || {};
+
+        if (!BOOKING_STATUSES.includes(status)) {
+            return res.status(400).json({ 
+                success: false,
+                error: `Status must be one of: ${BOOKING_STATUSES.join(', ')}`
+            });
+        }
+
+        if (status === 'assigned' && !driver?.name) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'driver.name is required when assigning a booking'
+            });
+        }
+
+        const result = await transitionBooking(reference, status, { driver, reason });
+        if (!result) {
+            return res.status(404).json({ 
+                success: false,
+                error: `Booking ${reference} not found`
+            });
+        }
+
+        return res.status(200).json({ 
+            success: true, 
+            booking: result.booking,
+            emailSent: result.emailSent
+        });
+
+    } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+            return res.status(409).json({ 
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('❌ Booking lookup error:', error);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Failed to process booking request',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,106 @@
+import { isValidVehicle } from '../../lib/pricing.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { isIsoDate, listBookings } from '../_lib/bookings.js';
+import { BOOKING_STATUSES } from '../_lib/lifecycle.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use GET.' 
+        });
+    }
+
+    if (!requireAdmin(req, res)) return;
+
+    const { from, to, status, vehicle, format } = req.query;
+
+    if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Dates must be in YYYY-MM-DD format'
+        });
+    }
+
+    if (status && !BOOKING_STATUSES.includes(status)) {
+        return res.status(400).json({ 
+            success: false,
+            error: `Unknown status "${status}". Use one of: ${BOOKING_STATUSES.join(', ')}`
+        });
+    }
+
+    if (vehicle && !isValidVehicle(vehicle)) {
+        return res.status(400).json({ 
+            success: false,
+            error: `Unknown vehicle "${vehicle}"`
+        });
+    }
+
+    try {
+        const bookings = await listBookings({ from, to, status, vehicleType: vehicle });
+
+        if (format === 'csv') {
+            const filename = `bookings-${new Date().toISOString().split('T')[0]}.csv`;
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(bookingsToCsv(bookings));
+        }
+
+        return res.status(200).json({
+            success: true,
+            count: bookings.length,
+            bookings
+        });
+
+    } catch (error) {
+        console.error('❌ Booking list error:', error);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Failed to load bookings',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+// ===== CSV EXPORT =====
+const CSV_COLUMNS = [
+    ['Reference', b => b.bookingReference],
+    ['Status', b => b.status],
+    ['Created', b => b.createdAt],
+    ['Date', b => b.date],
+    ['Time', b => b.time],
+    ['Name', b => b.name],
+    ['Email', b => b.email],
+    ['Phone', b => b.phone],
+    ['Pickup', b => b.pickup],
+    ['Stops', b => (b.stops || []).map(stop => stop.address).join('; ')],
+    ['Drop-off', b => b.dropoff],
+    ['Trip Type', b => b.tripType],
+    ['Return Date', b => b.returnDate],
+    ['Return Time', b => b.returnTime],
+    ['Passengers', b => b.passengers],
+    ['Vehicle', b => b.vehicleType],
+    ['Vehicles', b => b.vehicleCount || 1],
+    ['Distance (km)', b => b.distance],
+    ['Price (R)', b => b.price],
+    ['Payment', b => b.payment?.status],
+    ['Driver', b => b.driver?.name],
+    ['Cancellation Reason', b => b.cancellationReason]
+];
+
+function bookingsToCsv(bookings) {
+    const rows = [
+        CSV_COLUMNS.map(([label]) => label),
+        ...bookings.map(booking => CSV_COLUMNS.map(([, value]) => value(booking)))
+    ];
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Stop spreadsheets from running customer-entered text as a formula
+    // (phone numbers like +27 82 ... are left alone)
+    if (typeof value !== 'number' && /^[=+\-@]/.test(text) && !/^\+[\d\s()-]+$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
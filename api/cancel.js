@@ -0,0 +1,190 @@
+import { formatTripDateTime } from '../lib/datetime.js';
+import { escapeHtml } from '../lib/html.js';
+import { getBooking } from './_lib/bookings.js';
+import { assessCancellation, FREE_CANCELLATION_HOURS, lateCancellationFeePercent, readCancelToken } from './_lib/cancellation.js';
+import { renderEmail } from './_lib/emails/index.js';
+import { InvalidTransitionError, transitionBooking } from './_lib/lifecycle.js';
+import { mailConfigError } from './_lib/mail/index.js';
+import { queueEmail } from './_lib/outbox.js';
+import { isSigningConfigured } from './_lib/tokens.js';
+
+// Self-service cancellation from the link in the customer's email.
+// GET shows what cancelling would cost; POST carries it out. Keeping the
+// change behind a POST stops link scanners from cancelling bookings.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET or POST.'
+        });
+    }
+
+    const wantsJson = req.method === 'POST' && String(req.headers['content-type'] || '').includes('application/json');
+    const reply = (status, payload) => wantsJson
+        ? res.status(status).json(payload)
+        : sendPage(res, status, payload);
+
+    if (!isSigningConfigured()) {
+        console.error('SIGNING_SECRET environment variable is not configured');
+        return reply(500, { success: false, error: 'Cancellation is temporarily unavailable. Please contact support.' });
+    }
+
+    const token = req.method === 'POST' ? (req.body?.token || req.query.token) : req.query.token;
+    const reference = readCancelToken(token);
+
+    if (!reference) {
+        return reply(400, { success: false, error: 'This cancellation link is invalid. Please contact support.' });
+    }
+
+    try {
+        const booking = await getBooking(reference);
+        if (!booking) {
+            return reply(404, { success: false, error: `Booking ${reference} was not found.` });
+        }
+
+        const assessment = assessCancellation(booking);
+
+        if (req.method === 'GET') {
+            return sendPage(res, 200, { success: true, preview: true, booking, assessment, token });
+        }
+
+        if (!assessment.allowed) {
+            return reply(409, { success: false, error: assessment.reason, booking });
+        }
+
+        const cancellation = {
+            isLate: assessment.isLate,
+            fee: assessment.fee,
+            refundDue: assessment.refundDue,
+            hoursBeforePickup: assessment.hoursUntilPickup,
+            cancelledAt: new Date().toISOString()
+        };
+
+        const result = await transitionBooking(reference, 'cancelled', {
+            actor: 'customer',
+            reason: 'Cancelled by customer',
+            changes: { cancellation }
+        });
+
+        console.log(`🚫 Booking ${reference} cancelled by customer${cancellation.isLate ? ` (late fee R${cancellation.fee.toFixed(2)})` : ''}`);
+
+        await notifyOwner(result.booking);
+
+        return reply(200, {
+            success: true,
+            message: 'Your booking has been cancelled.',
+            bookingReference: reference,
+            cancellation,
+            booking: result.booking
+        });
+
+    } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+            return reply(409, { success: false, error: 'This booking can no longer be cancelled online. Please contact support.' });
+        }
+
+        console.error('❌ Cancellation error:', error);
+        return reply(500, {
+            success: false,
+            error: 'Failed to cancel the booking. Please try again or contact support.',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+async function notifyOwner(booking) {
+    const OWNER_EMAIL = process.env.OWNER_EMAIL;
+    if (!OWNER_EMAIL || mailConfigError()) {
+        console.warn('Owner cancellation alert skipped: email not configured');
+        return;
+    }
+
+    // A failed send stays in the outbox and is retried
+    try {
+        await queueEmail({
+            bookingReference: booking.bookingReference,
+            to: [OWNER_EMAIL],
+            content: renderEmail('owner-cancellation', booking),
+            tags: [
+                { name: 'category', value: 'booking-cancelled' },
+                { name: 'priority', value: 'high' }
+            ]
+        });
+    } catch (error) {
+        console.error('Owner cancellation alert error:', error);
+    }
+}
+
+function sendPage(res, status, { success, preview, booking, assessment, token, cancellation, error }) {
+    let body;
+
+    if (!success) {
+        body = `
+            <h1>Unable to cancel</h1>
+            <p class="error">${escapeHtml(error)}</p>`;
+    } else if (preview && !assessment.allowed) {
+        body = `
+            <h1>Booking ${escapeHtml(booking.bookingReference)}</h1>
+            <p class="error">${escapeHtml(assessment.reason)}</p>`;
+    } else if (preview) {
+        const pickup = assessment.pickupAt ? formatTripDateTime(assessment.pickupAt) : 'Flexible';
+        const charges = assessment.isLate
+            ? `<p class="warning">Your pickup is less than ${FREE_CANCELLATION_HOURS} hours away, so a late-cancellation fee of
+                <strong>R${assessment.fee.toFixed(2)}</strong> (${lateCancellationFeePercent()}% of the fare) applies.</p>`
+            : `<p class="ok">Cancelling now is free.</p>`;
+        const refund = assessment.refundDue > 0
+            ? `<p>You will be refunded <strong>R${assessment.refundDue.toFixed(2)}</strong>.</p>`
+            : '';
+
+        body = `
+            <h1>Cancel booking ${escapeHtml(booking.bookingReference)}?</h1>
+            <table>
+                <tr><td>Passenger</td><td>${escapeHtml(booking.name)}</td></tr>
+                <tr><td>Pickup</td><td>${escapeHtml(booking.pickup)}</td></tr>
+                <tr><td>Drop-off</td><td>${escapeHtml(booking.dropoff)}</td></tr>
+                <tr><td>Pickup time</td><td>${escapeHtml(pickup)}</td></tr>
+                <tr><td>Fare</td><td>R${Number(booking.price).toFixed(2)}</td></tr>
+            </table>
+            ${charges}
+            ${refund}
+            <form method="POST">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <button type="submit">Yes, cancel my booking</button>
+            </form>`;
+    } else {
+        body = `
+            <h1>Booking cancelled</h1>
+            <p class="ok">Booking ${escapeHtml(booking.bookingReference)} has been cancelled. A confirmation email is on its way.</p>
+            ${cancellation.isLate ? `<p>A late-cancellation fee of <strong>R${cancellation.fee.toFixed(2)}</strong> applies.</p>` : ''}
+            ${cancellation.refundDue > 0 ? `<p>A refund of <strong>R${cancellation.refundDue.toFixed(2)}</strong> will be processed.</p>` : ''}`;
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(status).send(`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Cancel Booking - Modjadji's Shuttle Service</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background: #f5f7fa; color: #333; padding: 40px 20px; }
+        .card { max-width: 520px; margin: 0 auto; background: white; border-radius: 12px; padding: 30px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); }
+        h1 { color: #1e40af; font-size: 22px; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        td { padding: 10px 0; border-bottom: 1px solid #e2e8f0; }
+        td:first-child { color: #64748b; width: 40%; }
+        .ok { color: #065f46; }
+        .warning { background: #fef3c7; color: #92400e; padding: 12px; border-radius: 8px; }
+        .error { color: #991b1b; }
+        button { background: #dc2626; color: white; border: none; border-radius: 8px; padding: 14px 20px; font-size: 16px; cursor: pointer; width: 100%; }
+        .footer { margin-top: 25px; font-size: 13px; color: #64748b; text-align: center; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        ${body}
+        <div class="footer">Modjadji's Shuttle Service • modjadjishuttle@gmail.com • +27 11 123 4567</div>
+    </div>
+</body>
+</html>`);
+}
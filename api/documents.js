@@ -0,0 +1,93 @@
+import { requireAdmin } from './_lib/auth.js';
+import { getBooking } from './_lib/bookings.js';
+import { buildInvoicePdf, buildQuotePdf, documentFilename, DOCUMENT_TYPES, isInvoicingConfigured, readDocumentToken } from './_lib/documents.js';
+import { isSigningConfigured } from './_lib/tokens.js';
+
+// PDF quote or tax invoice for a booking.
+// GET ?type=quote|invoice&token=... from the link in the customer's email,
+// or GET ?type=...&reference=... with admin credentials (the dashboard).
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET.'
+        });
+    }
+
+    const { type = 'quote', token, reference: requestedReference } = req.query;
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            error: `type must be ${DOCUMENT_TYPES.join(' or ')}`
+        });
+    }
+
+    let reference;
+    if (token) {
+        if (!isSigningConfigured()) {
+            console.error('SIGNING_SECRET environment variable is not configured');
+            return res.status(500).json({
+                success: false,
+                error: 'Documents are temporarily unavailable. Please contact support.'
+            });
+        }
+        reference = readDocumentToken(token);
+        if (!reference) {
+            return res.status(400).json({
+                success: false,
+                error: 'This document link is invalid. Please contact support.'
+            });
+        }
+    } else {
+        if (!requireAdmin(req, res)) return;
+        if (!requestedReference) {
+            return res.status(400).json({
+                success: false,
+                error: 'reference or token is required'
+            });
+        }
+        reference = requestedReference;
+    }
+
+    if (type === 'invoice' && !isInvoicingConfigured()) {
+        console.error('COMPANY_VAT_NUMBER environment variable is not configured');
+        return res.status(500).json({
+            success: false,
+            error: 'Invoices are not configured. Please contact support.'
+        });
+    }
+
+    try {
+        const booking = await getBooking(reference);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                error: `Booking ${reference} not found`
+            });
+        }
+
+        if (type === 'invoice' && !booking.invoice) {
+            return res.status(409).json({
+                success: false,
+                code: 'NOT_INVOICED',
+                error: 'A tax invoice is issued once the booking is paid.'
+            });
+        }
+
+        const pdf = type === 'invoice' ? buildInvoicePdf(booking) : buildQuotePdf(booking);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${documentFilename(booking, type)}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error('❌ Document error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to create document',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
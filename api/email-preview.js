@@ -0,0 +1,96 @@
+import { escapeHtml } from '../lib/html.js';
+import { EMAIL_TEMPLATES, hasEmailTemplate, listEmailTemplates, renderEmail } from './_lib/emails/index.js';
+import { sampleEmailData } from './_lib/emails/samples.js';
+import { getBaseUrl } from './_lib/http.js';
+
+// Rendered emails with sample data, for working on the templates locally.
+// GET lists the templates; GET ?template=quote shows one as HTML and
+// ?format=text shows its plain-text part. Not available in production.
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET.'
+        });
+    }
+
+    if (process.env.VERCEL_ENV === 'production') {
+        return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    const { template, format = 'html' } = req.query;
+
+    if (!template) {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderIndex());
+    }
+
+    if (!hasEmailTemplate(template)) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown template. Use one of: ${EMAIL_TEMPLATES.join(', ')}`
+        });
+    }
+
+    if (format !== 'html' && format !== 'text') {
+        return res.status(400).json({
+            success: false,
+            error: 'format must be html or text'
+        });
+    }
+
+    try {
+        const { booking, context } = sampleEmailData(template, getBaseUrl(req));
+        const email = renderEmail(template, booking, context);
+
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Email-Subject', encodeURIComponent(email.subject));
+        res.setHeader('X-Email-Attachments', email.attachments.map(file => file.filename).join(', ') || 'none');
+
+        if (format === 'text') {
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            return res.status(200).send(`Subject: ${email.subject}\n\n${email.text}`);
+        }
+
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(email.html);
+
+    } catch (error) {
+        console.error('❌ Email preview error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to render email',
+            debug: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+}
+
+function renderIndex() {
+    const rows = listEmailTemplates().map(({ name, description }) => `
+            <tr>
+                <td><code>${escapeHtml(name)}</code></td>
+                <td>${escapeHtml(description)}</td>
+                <td><a href="?template=${encodeURIComponent(name)}">HTML</a> · <a href="?template=${encodeURIComponent(name)}&amp;format=text">Text</a></td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Email Previews - Modjadji's Shuttle Service</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #0f172a; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e2e8f0; }
+        a { color: #1e40af; }
+    </style>
+</head>
+<body>
+    <h1>Email Previews</h1>
+    <p>Every email template rendered with sample booking data.</p>
+    <table>
+        <tr><th>Template</th><th>Description</th><th>Preview</th></tr>${rows}
+    </table>
+</body>
+</html>`;
+}
@@ -0,0 +1,71 @@
+import { issuePlaceToken } from '../_lib/quotes.js';
+import { enforceRateLimit } from '../_lib/rate-limit.js';
+import { routingConfigError, searchAddresses } from '../_lib/routing/index.js';
+import { isSigningConfigured } from '../_lib/tokens.js';
+
+const MIN_TEXT_LENGTH = 3;
+const MAX_TEXT_LENGTH = 200;
+const MAX_SUGGESTIONS = 10;
+
+// Address suggestions for the booking form's autocomplete.
+// GET ?text=...&size=5 returns candidates with their labels, [lng, lat] coordinates
+// and a placeToken to send to /api/ors.
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET.'
+        });
+    }
+
+    const routingProblem = routingConfigError();
+
+    if (routingProblem) {
+        console.error(routingProblem);
+        return res.status(500).json({
+            success: false,
+            error: 'Server configuration error: Routing service not configured'
+        });
+    }
+
+    if (!isSigningConfigured()) {
+        console.error('SIGNING_SECRET environment variable is not configured');
+        return res.status(500).json({
+            success: false,
+            error: 'Server configuration error: Quotes not configured'
+        });
+    }
+
+    if (!(await enforceRateLimit(req, res, 'geocode'))) return;
+
+    const text = String(req.query.text || '').trim();
+    if (text.length < MIN_TEXT_LENGTH || text.length > MAX_TEXT_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `text must be ${MIN_TEXT_LENGTH} to ${MAX_TEXT_LENGTH} characters`
+        });
+    }
+
+    const size = Math.min(Math.max(parseInt(req.query.size) || 5, 1), MAX_SUGGESTIONS);
+
+    try {
+        const candidates = await searchAddresses(text, { size, autocomplete: true });
+
+        return res.status(200).json({
+            success: true,
+            candidates: candidates.map(({ label, coordinates }) => ({
+                label,
+                coordinates,
+                placeToken: issuePlaceToken({ label, coordinates })
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Geocode suggestion error:', error);
+        return res.status(502).json({
+            success: false,
+            error: 'Address suggestions are unavailable right now',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
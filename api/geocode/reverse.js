@@ -0,0 +1,69 @@
+import { issuePlaceToken } from '../_lib/quotes.js';
+import { enforceRateLimit } from '../_lib/rate-limit.js';
+import { isValidCoordinates, reverseGeocode, routingConfigError } from '../_lib/routing/index.js';
+import { isSigningConfigured } from '../_lib/tokens.js';
+
+// Address at a point picked on the booking form's map.
+// GET ?lat=...&lng=... returns { label, coordinates, placeToken } with coordinates as [lng, lat].
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Please use GET.'
+        });
+    }
+
+    const routingProblem = routingConfigError();
+
+    if (routingProblem) {
+        console.error(routingProblem);
+        return res.status(500).json({
+            success: false,
+            error: 'Server configuration error: Routing service not configured'
+        });
+    }
+
+    if (!isSigningConfigured()) {
+        console.error('SIGNING_SECRET environment variable is not configured');
+        return res.status(500).json({
+            success: false,
+            error: 'Server configuration error: Quotes not configured'
+        });
+    }
+
+    if (!(await enforceRateLimit(req, res, 'geocode'))) return;
+
+    const { lat, lng } = req.query;
+    const coords = [Number(lng), Number(lat)];
+    if (!String(lat ?? '').trim() || !String(lng ?? '').trim() || !isValidCoordinates(coords)) {
+        return res.status(400).json({
+            success: false,
+            error: 'lat and lng must be valid coordinates'
+        });
+    }
+
+    try {
+        const place = await reverseGeocode(coords);
+        if (!place) {
+            return res.status(404).json({
+                success: false,
+                error: 'No address found at that point. Please choose a spot in South Africa.'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            label: place.label,
+            coordinates: place.coordinates,
+            placeToken: issuePlaceToken(place)
+        });
+
+    } catch (error) {
+        console.error('❌ Reverse geocode error:', error);
+        return res.status(502).json({
+            success: false,
+            error: 'Could not look up that point right now',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -1,3 +1,9 @@
+import { MAX_STOPS } from '../lib/pricing.js';
+import { issuePlaceToken, issueRouteToken, readPlaceToken } from './_lib/quotes.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { geocodeAddress, getRoute, routingConfigError } from './_lib/routing/index.js';
+import { isSigningConfigured } from './_lib/tokens.js';
+
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ 
@@ -6,17 +12,33 @@ export default async function handler(req, res) {
         });
     }
 
-    const ORS_API_KEY = process.env.ORS_API_KEY;
+    const routingProblem = routingConfigError();
     
-    if (!ORS_API_KEY) {
-        console.error('ORS_API_KEY environment variable is not configured');
+    if (routingProblem) {
+        console.error(routingProblem);
         return res.status(500).json({ 
             success: false,
             error: 'Server configuration error: Routing service not configured'
         });
     }
 
-    const { pickup, dropoff, vehicle } = req.body;
+    if (!isSigningConfigured()) {
+        console.error('SIGNING_SECRET environment variable is not configured');
+        return res.status(500).json({ 
+            success: false,
+            error: 'Server configuration error: Quotes not configured'
+        });
+    }
+
+    // Every call spends routing provider quota
+    if (!(await enforceRateLimit(req, res, 'ors'))) return;
+
+    const body = req.body || {};
+    const { pickup, dropoff, pickupPlace, dropoffPlace, vehicle } = body;
+    // Optional return leg between other addresses; a blank end means the
+    // outbound trip's (back from the drop-off, or back to the pickup)
+    const { returnPickup, returnDropoff, returnPickupPlace, returnDropoffPlace } = body;
+    const hasReturnLeg = Boolean(returnPickup || returnDropoff);
 
     if (!pickup || !dropoff) {
         return res.status(400).json({ 
@@ -25,11 +47,45 @@ export default async function handler(req, res) {
         });
     }
 
-    console.log(`📍 Route request: ${pickup} → ${dropoff}`);
+    if (typeof pickup !== 'string' || typeof dropoff !== 'string') {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Pickup and dropoff addresses must be text'
+        });
+    }
+
+    // Optional stops between pickup and drop-off, in the order they're visited:
+    // addresses, or { address, place } for suggestions the customer picked
+    const stops = (Array.isArray(body.stops) ? body.stops : [])
+        .map(stop => (typeof stop === 'string' ? { address: stop } : stop));
+    const stopsValid = Array.isArray(body.stops ?? []) && stops.every(stop =>
+        typeof stop?.address === 'string' && stop.address.trim());
+    if (!stopsValid) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'stops must be a list of addresses'
+        });
+    }
+
+    if ([returnPickup, returnDropoff].some(address => address !== undefined && address !== null && typeof address !== 'string')) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Return addresses must be text'
+        });
+    }
+
+    if (stops.length > MAX_STOPS) {
+        return res.status(400).json({ 
+            success: false,
+            error: `A trip can have at most ${MAX_STOPS} stops`
+        });
+    }
+
+    console.log(`📍 Route request: ${[pickup, ...stops.map(stop => stop.address), dropoff].join(' → ')}`);
 
     try {
         // Geocode pickup address
-        const pickupGeocode = await geocodeAddress(pickup, ORS_API_KEY);
+        const pickupGeocode = await locate(pickup, pickupPlace);
         if (!pickupGeocode) {
             return res.status(404).json({ 
                 success: false,
@@ -37,8 +93,22 @@ export default async function handler(req, res) {
             });
         }
 
+        // Geocode each stop in order
+        const stopGeocodes = [];
+        for (const [index, stop] of stops.entries()) {
+            const stopGeocode = await locate(stop.address, stop.place);
+            if (!stopGeocode) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: `Could not find stop ${index + 1} address: "${stop.address}". Please check the address and try again.`,
+                    stopIndex: index
+                });
+            }
+            stopGeocodes.push(stopGeocode);
+        }
+
         // Geocode dropoff address
-        const dropoffGeocode = await geocodeAddress(dropoff, ORS_API_KEY);
+        const dropoffGeocode = await locate(dropoff, dropoffPlace);
         if (!dropoffGeocode) {
             return res.status(404).json({ 
                 success: false,
@@ -46,19 +116,99 @@ export default async function handler(req, res) {
             });
         }
 
+        // Geocode the return leg's own addresses
+        let returnPickupGeocode = null;
+        let returnDropoffGeocode = null;
+        if (hasReturnLeg) {
+            returnPickupGeocode = returnPickup ? await locate(returnPickup, returnPickupPlace) : dropoffGeocode;
+            if (!returnPickupGeocode) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: `Could not find return pickup address: "${returnPickup}". Please check the address and try again.`,
+                    field: 'returnPickup'
+                });
+            }
+
+            returnDropoffGeocode = returnDropoff ? await locate(returnDropoff, returnDropoffPlace) : pickupGeocode;
+            if (!returnDropoffGeocode) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: `Could not find return drop-off address: "${returnDropoff}". Please check the address and try again.`,
+                    field: 'returnDropoff'
+                });
+            }
+        }
+
+        // An address that could be several places is checked with the customer before pricing
+        const ambiguous = [
+            describeAmbiguity('pickup', pickup, pickupGeocode),
+            ...stopGeocodes.map((stopGeocode, index) => describeAmbiguity('stop', stops[index].address, stopGeocode, index)),
+            describeAmbiguity('dropoff', dropoff, dropoffGeocode),
+            returnPickup && describeAmbiguity('returnPickup', returnPickup, returnPickupGeocode),
+            returnDropoff && describeAmbiguity('returnDropoff', returnDropoff, returnDropoffGeocode)
+        ].filter(Boolean);
+
+        if (ambiguous.length > 0) {
+            console.warn(`❓ Ambiguous address(es): ${ambiguous.map(item => item.query).join(', ')}`);
+            return res.status(409).json({ 
+                success: false,
+                code: 'AMBIGUOUS_ADDRESS',
+                error: 'Some addresses match more than one place. Please choose the one you meant.',
+                ambiguous
+            });
+        }
+
         console.log(`✅ Geocoded: ${pickupGeocode.label} → ${dropoffGeocode.label}`);
 
-        // Calculate route
-        const route = await getRoute(
-            pickupGeocode.coordinates,
-            dropoffGeocode.coordinates,
-            ORS_API_KEY
-        );
+        // Calculate route through every stop
+        const points = [pickupGeocode, ...stopGeocodes, dropoffGeocode];
+        const route = await getRoute(points.map(point => point.coordinates));
 
         const distanceKm = route.distance / 1000;
         const durationMinutes = Math.round(route.duration / 60);
 
-        console.log(`✅ Route calculated: ${distanceKm.toFixed(1)} km, ${durationMinutes} min`);
+        const stopList = stopGeocodes.map(stop => ({
+            address: stop.label,
+            coords: stop.coordinates
+        }));
+        const legs = route.legs.map((leg, index) => ({
+            from: points[index].label,
+            to: points[index + 1].label,
+            distance: leg.distance / 1000,
+            duration: Math.round(leg.duration / 60)
+        }));
+
+        console.log(`✅ Route calculated: ${distanceKm.toFixed(1)} km, ${durationMinutes} min, ${legs.length} leg(s)`);
+
+        // The way back is routed on its own
+        let returnRoute = null;
+        let returnGeometry = null;
+        if (hasReturnLeg) {
+            const back = await getRoute([returnPickupGeocode.coordinates, returnDropoffGeocode.coordinates]);
+            returnRoute = {
+                pickupAddress: returnPickupGeocode.label,
+                dropoffAddress: returnDropoffGeocode.label,
+                pickupCoords: returnPickupGeocode.coordinates,
+                dropoffCoords: returnDropoffGeocode.coordinates,
+                distance: back.distance / 1000,
+                duration: Math.round(back.duration / 60)
+            };
+            returnGeometry = back.geometry;
+            console.log(`✅ Return route calculated: ${returnRoute.distance.toFixed(1)} km, ${returnRoute.duration} min`);
+        }
+
+        // Sign the route so /api/price can quote it without routing again
+        const routeToken = issueRouteToken({
+            pickupAddress: pickupGeocode.label,
+            dropoffAddress: dropoffGeocode.label,
+            pickupCoords: pickupGeocode.coordinates,
+            dropoffCoords: dropoffGeocode.coordinates,
+            stops: stopList,
+            legs,
+            distance: distanceKm,
+            duration: durationMinutes,
+            returnRoute
+        });
 
         return res.status(200).json({
             success: true,
@@ -66,10 +216,15 @@ export default async function handler(req, res) {
             dropoffAddress: dropoffGeocode.label,
             pickupCoords: pickupGeocode.coordinates,
             dropoffCoords: dropoffGeocode.coordinates,
+            stops: stopList,
+            legs,
             distance: distanceKm,
             duration: durationMinutes,
             vehicle: vehicle || 'premier-sedan',
             geometry: route.geometry,
+            returnRoute,
+            returnGeometry,
+            routeToken: routeToken.token,
             summary: {
                 distance: `${distanceKm.toFixed(1)} km`,
                 duration: `${durationMinutes} min`,
@@ -97,86 +252,35 @@ export default async function handler(req, res) {
     }
 }
 
-async function geocodeAddress(address, apiKey) {
-    try {
-        const url = `https://api.openrouteservice.org/geocode/search?api_key=${apiKey}&text=${encodeURIComponent(address)}&boundary.country=ZA&size=1`;
-        
-        console.log(`🔍 Geocoding: ${address}`);
-        const response = await fetch(url, {
-            headers: {
-                'Accept': 'application/json, application/geo+json, application/gpx+xml, img/png; charset=utf-8',
-            }
-        });
-        
-        if (!response.ok) {
-            console.error(`Geocoding failed for "${address}": ${response.status} ${response.statusText}`);
-            return null;
-        }
-
-        const data = await response.json();
-        
-        if (!data.features || data.features.length === 0) {
-            console.warn(`No geocoding results for: ${address}`);
-            return null;
+/**
+ * Find a route point, using the suggestion the customer picked when given
+ * The label and coordinates come from the signed place token, never from the
+ * request, so a short trip can't be booked under the names of a long one.
+ * @param {string} address - Address as typed or picked
+ * @param {string} [placeToken] - From an /api/geocode suggestion
+ * @returns {Promise<{label: string, coordinates: number[]}|null>}
+ *   An invalid or expired token falls back to geocoding the address
+ */
+async function locate(address, placeToken) {
+    if (placeToken) {
+        const place = readPlaceToken(placeToken);
+        if (place.valid) {
+            return { label: place.data.label, coordinates: place.data.coordinates };
         }
-
-        const feature = data.features[0];
-        
-        return {
-            coordinates: feature.geometry.coordinates,
-            label: feature.properties.label || address
-        };
-        
-    } catch (error) {
-        console.error(`Geocoding error for "${address}":`, error);
-        return null;
     }
+    return geocodeAddress(address.trim());
 }
 
-async function getRoute(startCoords, endCoords, apiKey) {
-    try {
-        const url = 'https://api.openrouteservice.org/v2/directions/driving-car/geojson';
-        
-        console.log(`🗺️ Calculating route...`);
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Authorization': apiKey,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json, application/geo+json, application/gpx+xml, img/png; charset=utf-8'
-            },
-            body: JSON.stringify({
-                coordinates: [startCoords, endCoords],
-                instructions: false,
-                units: 'km'
-            })
-        });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Route calculation failed: ${response.status}`, errorText);
-            throw new Error(`Route calculation failed: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-
-        if (!data.features || data.features.length === 0) {
-            throw new Error('No route found between the specified coordinates');
-        }
-
-        const route = data.features[0];
-        
-        // Convert coordinates from [lng, lat] to [lat, lng] for Leaflet
-        const geometry = route.geometry.coordinates.map(coord => [coord[1], coord[0]]);
-
-        return {
-            distance: route.properties.summary.distance,
-            duration: route.properties.summary.duration,
-            geometry: geometry
-        };
-        
-    } catch (error) {
-        console.error('Route calculation error:', error);
-        throw error;
-    }
-}
\ No newline at end of file
+/**
+ * Describe an address the customer needs to confirm
+ * @param {string} field - 'pickup', 'stop', 'dropoff', 'returnPickup' or 'returnDropoff'
+ * @param {string} query - Address as entered
+ * @param {Object} geocode - Result of locate()
+ * @param {number} [stopIndex] - Position of the stop
+ * @returns {Object|null} { field, stopIndex, query, candidates }, or null when the address is clear
+ */
+function describeAmbiguity(field, query, geocode, stopIndex) {
+    if (!geocode.ambiguous) return null;
+    const candidates = geocode.candidates.map(place => ({ ...place, placeToken: issuePlaceToken(place) }));
+    return { field, stopIndex, query, candidates };
+}
@@ -0,0 +1,105 @@
+import { escapeHtml } from '../../lib/html.js';
+import { getBaseUrl } from '../_lib/http.js';
+import { getPaymentGateway } from '../_lib/payments/index.js';
+import { SIGNATURE_HEADER, signNotification } from '../_lib/payments/fake.js';
+
+// Hosted "checkout page" for the fake gateway. GET shows approve/decline
+// buttons; POST sends the signed notification to our webhook and redirects
+// back to the site, like a real gateway would.
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use GET or POST.' 
+        });
+    }
+
+    try {
+        if (getPaymentGateway().name !== 'fake') {
+            return res.status(404).json({ success: false, error: 'Not found' });
+        }
+    } catch (error) {
+        return res.status(404).json({ success: false, error: 'Not found' });
+    }
+
+    const params = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+    const { session, reference, amount } = params;
+
+    if (!session || !reference) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'session and reference are required'
+        });
+    }
+
+    const baseUrl = getBaseUrl(req);
+
+    if (req.method === 'GET') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.status(200).send(renderCheckoutPage({ session, reference, amount }));
+    }
+
+    const approved = params.decision === 'approve';
+    const body = JSON.stringify({
+        sessionId: session,
+        status: approved ? 'paid' : 'failed',
+        amount: Number(amount),
+        paymentId: `fake_txn_${Date.now()}`
+    });
+
+    let paid = false;
+    try {
+        const response = await fetch(`${baseUrl}/api/pay/webhook`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                [SIGNATURE_HEADER]: signNotification(body)
+            },
+            body
+        });
+
+        const result = JSON.parse(await response.text());
+        if (!response.ok) {
+            console.error('Fake gateway notification rejected:', result.error);
+        }
+        paid = response.ok && result.status === 'paid';
+    } catch (error) {
+        console.error('Fake gateway notification failed:', error);
+    }
+
+    const outcome = paid ? 'success' : 'cancelled';
+    return res.redirect(303, `${baseUrl}/?payment=${outcome}&reference=${encodeURIComponent(reference)}`);
+}
+
+function renderCheckoutPage({ session, reference, amount }) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Fake Gateway Checkout</title>
+    <style>
+        body { font-family: Arial, sans-serif; background: #f1f5f9; display: flex; justify-content: center; padding: 60px 20px; }
+        .card { background: white; border-radius: 12px; padding: 30px; max-width: 420px; width: 100%; box-shadow: 0 4px 20px rgba(0,0,0,0.1); }
+        .notice { background: #fef3c7; color: #92400e; padding: 10px 14px; border-radius: 8px; font-size: 14px; }
+        .amount { font-size: 36px; font-weight: 800; color: #1e40af; margin: 20px 0; }
+        button { width: 100%; padding: 14px; border: none; border-radius: 8px; font-size: 16px; cursor: pointer; margin-top: 10px; }
+        .approve { background: #10b981; color: white; }
+        .decline { background: #e2e8f0; color: #334155; }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <div class="notice">Test mode - no real money moves</div>
+        <h2>Booking ${escapeHtml(reference)}</h2>
+        <div class="amount">R${escapeHtml(amount)}</div>
+        <form method="POST">
+            <input type="hidden" name="session" value="${escapeHtml(session)}">
+            <input type="hidden" name="reference" value="${escapeHtml(reference)}">
+            <input type="hidden" name="amount" value="${escapeHtml(amount)}">
+            <button class="approve" name="decision" value="approve">Approve payment</button>
+            <button class="decline" name="decision" value="decline">Decline payment</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
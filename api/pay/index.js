@@ -0,0 +1,62 @@
+import { getBooking } from '../_lib/bookings.js';
+import { getBaseUrl } from '../_lib/http.js';
+import { createPaymentSession, paymentBlocker } from '../_lib/payments/index.js';
+import { enforceRateLimit } from '../_lib/rate-limit.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use POST.' 
+        });
+    }
+
+    const { reference } = req.body || {};
+
+    if (!reference) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'Booking reference is required'
+        });
+    }
+
+    // Each request opens a session with the payment gateway
+    if (!(await enforceRateLimit(req, res, 'pay', { reference }))) return;
+
+    try {
+        const booking = await getBooking(reference);
+        if (!booking) {
+            return res.status(404).json({ 
+                success: false,
+                error: `Booking ${reference} not found`
+            });
+        }
+
+        const blocker = paymentBlocker(booking);
+        if (blocker) {
+            return res.status(409).json({ 
+                success: false,
+                error: blocker
+            });
+        }
+
+        const session = await createPaymentSession(booking, getBaseUrl(req));
+
+        return res.status(200).json({
+            success: true,
+            bookingReference: booking.bookingReference,
+            sessionId: session.sessionId,
+            gateway: session.gateway,
+            amount: session.amount,
+            redirectUrl: session.redirectUrl
+        });
+
+    } catch (error) {
+        console.error('❌ Payment session error:', error);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Could not start the payment. Please try again or contact support.',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,37 @@
+import { readRawBody } from '../_lib/http.js';
+import { processPaymentNotification } from '../_lib/payments/index.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use POST.' 
+        });
+    }
+
+    try {
+        const rawBody = await readRawBody(req);
+        const result = await processPaymentNotification({ headers: req.headers, rawBody });
+
+        if (!result.ok) {
+            return res.status(400).json({ 
+                success: false,
+                error: result.reason
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            bookingReference: result.bookingReference,
+            status: result.status
+        });
+
+    } catch (error) {
+        console.error('❌ Payment webhook error:', error);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Failed to process payment notification',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
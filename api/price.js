@@ -0,0 +1,116 @@
+import { fareSchedule, isValidPassengerCount, isValidVehicle, isWithinServiceHours, MAX_PASSENGERS, recommendVehicle, SERVICE_HOURS, VEHICLE_NAMES, vehiclesNeeded } from '../lib/pricing.js';
+import { lookupDiscount } from './_lib/discounts.js';
+import { issueQuote, readRouteToken } from './_lib/quotes.js';
+import { enforceRateLimit } from './_lib/rate-limit.js';
+import { isSigningConfigured } from './_lib/tokens.js';
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ 
+            success: false,
+            error: 'Method not allowed. Please use POST.' 
+        });
+    }
+
+    if (!isSigningConfigured()) {
+        console.error('SIGNING_SECRET environment variable is not configured');
+        return res.status(500).json({ 
+            success: false,
+            error: 'Server configuration error: Quotes not configured'
+        });
+    }
+
+    // Promo and account codes are checked here, so don't let them be guessed quickly
+    if (!(await enforceRateLimit(req, res, 'price'))) return;
+
+    const { routeToken, vehicleType = 'premier-sedan', tripType = 'single', promoCode, accountCode } = req.body || {};
+    const passengers = Number(req.body?.passengers ?? 1);
+    // Trip date and times drive the surcharges; without a date none apply
+    const schedule = fareSchedule({ ...req.body, tripType });
+
+    if (!routeToken) {
+        return res.status(400).json({ 
+            success: false,
+            error: 'routeToken is required. Please calculate the route first.'
+        });
+    }
+
+    if (!isValidVehicle(vehicleType)) {
+        return res.status(400).json({ 
+            success: false,
+            error: `Unknown vehicle type: ${vehicleType}`
+        });
+    }
+
+    if (!isValidPassengerCount(passengers)) {
+        return res.status(400).json({ 
+            success: false,
+            error: `Passengers must be a whole number from 1 to ${MAX_PASSENGERS}`
+        });
+    }
+
+    if (!vehiclesNeeded(vehicleType, passengers)) {
+        const recommended = recommendVehicle(passengers);
+        return res.status(400).json({ 
+            success: false,
+            code: 'VEHICLE_TOO_SMALL',
+            error: `A ${VEHICLE_NAMES[vehicleType]} can't carry ${passengers} passengers. Please choose a larger vehicle.`,
+            recommended
+        });
+    }
+
+    const outsideHours = [schedule?.outbound, schedule?.inbound]
+        .find(leg => leg?.time && !isWithinServiceHours(leg.time));
+    if (outsideHours) {
+        return res.status(400).json({ 
+            success: false,
+            code: 'OUTSIDE_SERVICE_HOURS',
+            error: `We pick up between ${SERVICE_HOURS.start} and ${SERVICE_HOURS.end}. Please choose another time.`
+        });
+    }
+
+    const route = readRouteToken(routeToken);
+    if (!route.valid) {
+        return res.status(route.expired ? 410 : 400).json({ 
+            success: false,
+            code: route.expired ? 'ROUTE_EXPIRED' : 'ROUTE_INVALID',
+            error: route.expired
+                ? 'This route has expired. Please recalculate your route.'
+                : 'Invalid route. Please recalculate your route.'
+        });
+    }
+
+    if (promoCode && accountCode) {
+        return res.status(400).json({ 
+            success: false,
+            error: "Promo codes can't be combined with a corporate account. Please use one or the other."
+        });
+    }
+
+    try {
+        // A code that can't be used still gets the standard quote, with the reason
+        const lookup = await lookupDiscount({ promoCode, accountCode });
+        const { quote, quoteToken, issuedAt, expiresAt, discountError } = issueQuote(route.data, {
+            vehicleType, tripType, passengers, schedule, discount: lookup.discount
+        });
+
+        console.log(`💰 Quote issued: ${quote.vehicleName} × ${quote.vehicleCount}, ${passengers} pax, ${quote.tripType}, R${quote.total.toFixed(2)}${quote.surcharge > 0 ? ` incl. R${quote.surcharge.toFixed(2)} surcharges` : ''}${quote.discount ? ` after R${quote.discount.amount.toFixed(2)} off (${quote.discount.code})` : ''} (valid until ${expiresAt})`);
+
+        return res.status(200).json({
+            success: true,
+            quote,
+            quoteToken,
+            issuedAt,
+            expiresAt,
+            discountError: lookup.error || discountError || undefined
+        });
+
+    } catch (error) {
+        console.error('❌ Pricing error:', error);
+        return res.status(500).json({ 
+            success: false,
+            error: 'Failed to calculate price',
+            debug: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
@@ -0,0 +1,191 @@
+import { parseTripDateTime } from './datetime.js';
+import { describeVehicles } from './pricing.js';
+
+// ===== CALENDAR EVENTS =====
+// One event per driven leg of a booking, for the .ics file attached to the
+// quote email and the add-to-calendar links on the confirmation screen.
+// Events run from the pickup time for the ORS drive time, in UTC.
+
+const DEFAULT_DURATION_MINUTES = 60;
+const REMINDER_MINUTES = 60;
+const ICS_LINE_OCTETS = 75;
+
+/**
+ * Build the calendar events for a booking
+ * Flexible or unparseable dates give no event; the return leg needs a return time.
+ * @param {Object} booking - Booking data: bookingReference, pickup, dropoff, stops, date, time,
+ *   duration, tripType, sameDayReturn, returnDate, returnTime, returnRoute, passengers, vehicleType, vehicleCount
+ * @returns {Array<{uid: string, title: string, start: Date, end: Date, location: string, description: string}>}
+ */
+export function tripEvents(booking) {
+    const events = [];
+
+    const outbound = tripEvent(booking, {
+        leg: 'outbound',
+        title: `Shuttle to ${booking.dropoff}`,
+        date: booking.date,
+        time: booking.time,
+        duration: booking.duration,
+        from: booking.pickup,
+        to: booking.dropoff,
+        stops: (booking.stops || []).map(stop => stop.address || stop)
+    });
+    if (outbound) events.push(outbound);
+
+    if (booking.tripType === 'return') {
+        const returnRoute = booking.returnRoute;
+        const from = returnRoute?.pickupAddress || booking.dropoff;
+        const back = tripEvent(booking, {
+            leg: 'return',
+            title: `Return shuttle to ${returnRoute?.dropoffAddress || booking.pickup}`,
+            date: booking.sameDayReturn === 'no' ? booking.returnDate : booking.date,
+            time: booking.returnTime,
+            duration: returnRoute?.duration ?? booking.duration,
+            from,
+            to: returnRoute?.dropoffAddress || booking.pickup,
+            stops: []
+        });
+        if (back) events.push(back);
+    }
+
+    return events;
+}
+
+function tripEvent(booking, { leg, title, date, time, duration, from, to, stops }) {
+    if (!time) return null;
+    const start = parseTripDateTime(date, time);
+    if (!start) return null;
+
+    const minutes = Math.round(Number(duration)) || DEFAULT_DURATION_MINUTES;
+    const end = new Date(start.getTime() + minutes * 60 * 1000);
+
+    const description = [
+        `Booking reference: ${booking.bookingReference}`,
+        `Pickup: ${from}`,
+        ...stops.map((stop, index) => `Stop ${index + 1}: ${stop}`),
+        `Drop-off: ${to}`,
+        `Estimated drive time: ${formatMinutes(minutes)}`,
+        booking.vehicleType ? `Vehicle: ${describeVehicles(booking.vehicleType, booking.vehicleCount || 1)}` : null,
+        booking.passengers ? `Passengers: ${booking.passengers}` : null,
+        'Questions? Email modjadjishuttle@gmail.com or call +27 11 123 4567'
+    ].filter(Boolean).join('\n');
+
+    return { uid: `${booking.bookingReference}-${leg}@modjadjishuttle`, title, start, end, location: from, description };
+}
+
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (!hours) return `${rest} min`;
+    return rest ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+// ===== ICALENDAR (RFC 5545) =====
+
+/**
+ * Build an iCalendar file for a list of events
+ * @param {Array} events - Events from tripEvents() (start/end may be ISO strings)
+ * @returns {string} .ics content with CRLF line endings
+ */
+export function buildIcs(events) {
+    const stamp = icsDate(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Modjadji\'s Shuttle Service//Bookings//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${icsDate(event.start)}`,
+            `DTEND:${icsDate(event.end)}`,
+            `SUMMARY:${icsText(event.title)}`,
+            `LOCATION:${icsText(event.location)}`,
+            `DESCRIPTION:${icsText(event.description)}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${icsText(event.title)}`,
+            `TRIGGER:-PT${REMINDER_MINUTES}M`,
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// 20261020T131100Z
+function icsDate(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes continue on the next line after a space
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+// ===== ADD-TO-CALENDAR LINKS =====
+
+/**
+ * Google Calendar link that opens a new event pre-filled
+ * @param {Object} event - Event from tripEvents()
+ * @returns {string} URL
+ */
+export function googleCalendarUrl(event) {
+    const params = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: event.title,
+        dates: `${icsDate(event.start)}/${icsDate(event.end)}`,
+        details: event.description,
+        location: event.location
+    });
+    return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Outlook.com calendar link that opens a new event pre-filled
+ * @param {Object} event - Event from tripEvents()
+ * @returns {string} URL
+ */
+export function outlookCalendarUrl(event) {
+    const params = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: event.title,
+        startdt: new Date(event.start).toISOString(),
+        enddt: new Date(event.end).toISOString(),
+        body: event.description,
+        location: event.location
+    });
+    return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
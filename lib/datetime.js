@@ -0,0 +1,49 @@
+// ===== TRIP DATES & TIMES =====
+// Trips are entered as local South African date ("YYYY-MM-DD") and time
+// ("HH:MM"). SAST is UTC+2 all year (no daylight saving), so a fixed offset
+// converts them to real instants on both the server and the browser.
+
+export const SAST_OFFSET_MINUTES = 120;
+export const SAST_TIME_ZONE = 'Africa/Johannesburg';
+
+/**
+ * Convert a local trip date and time to a Date
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time='00:00'] - HH:MM (24h)
+ * @returns {Date|null} Instant, or null if the date/time can't be parsed
+ */
+export function parseTripDateTime(date, time = '00:00') {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    const timeMatch = /^(\d{2}):(\d{2})/.exec(String(time || '00:00'));
+    if (!dateMatch || !timeMatch) return null;
+
+    const [, year, month, day] = dateMatch.map(Number);
+    const [, hours, minutes] = timeMatch.map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hours > 23 || minutes > 59) return null;
+
+    const utc = Date.UTC(year, month - 1, day, hours, minutes) - SAST_OFFSET_MINUTES * 60 * 1000;
+    return new Date(utc);
+}
+
+/**
+ * Format an instant for customers, in SAST
+ * @param {Date|string|number} value - Instant
+ * @returns {string} e.g. "20 Oct 2026, 15:11"
+ */
+export function formatTripDateTime(value) {
+    return new Date(value).toLocaleString('en-ZA', {
+        timeZone: SAST_TIME_ZONE,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Split an instant into the local trip date and time fields
+ * @param {Date|string|number} value - Instant
+ * @returns {{date: string, time: string}} e.g. { date: "2026-10-20", time: "15:11" }
+ */
+export function toTripDateTime(value) {
+    const local = new Date(new Date(value).getTime() + SAST_OFFSET_MINUTES * 60 * 1000).toISOString();
+    return { date: local.slice(0, 10), time: local.slice(11, 16) };
+}
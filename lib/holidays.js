@@ -0,0 +1,106 @@
+// ===== SOUTH AFRICAN PUBLIC HOLIDAYS =====
+// Holiday calendar for surcharges. Fixed-date holidays come from the Public
+// Holidays Act (Act 36 of 1994); Good Friday and Family Day follow Easter.
+// When a holiday falls on a Sunday, the Monday after it is a public holiday
+// too. One-off days declared by the President (e.g. election days) are added
+// to DECLARED_HOLIDAYS as they are gazetted. Dates are local "YYYY-MM-DD".
+
+export const FIXED_HOLIDAYS = {
+    '01-01': "New Year's Day",
+    '03-21': 'Human Rights Day',
+    '04-27': 'Freedom Day',
+    '05-01': "Workers' Day",
+    '06-16': 'Youth Day',
+    '08-09': "National Women's Day",
+    '09-24': 'Heritage Day',
+    '12-16': 'Day of Reconciliation',
+    '12-25': 'Christmas Day',
+    '12-26': 'Day of Goodwill'
+};
+
+export const DECLARED_HOLIDAYS = {
+    '2024-05-29': 'General Election Day'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const calendars = new Map();
+
+/**
+ * Date of Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Four-digit year
+ * @returns {string} YYYY-MM-DD
+ */
+export function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return formatDate(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Every public holiday in a year
+ * @param {number} year - Four-digit year
+ * @returns {Map<string, string>} Date (YYYY-MM-DD) to holiday name, in date order
+ */
+export function publicHolidays(year) {
+    if (calendars.has(year)) return calendars.get(year);
+
+    const holidays = new Map();
+    const easter = Date.parse(easterSunday(year));
+
+    for (const [monthDay, name] of Object.entries(FIXED_HOLIDAYS)) {
+        holidays.set(`${year}-${monthDay}`, name);
+    }
+    holidays.set(formatDate(easter - 2 * DAY_MS), 'Good Friday');
+    holidays.set(formatDate(easter + DAY_MS), 'Family Day');
+    for (const [date, name] of Object.entries(DECLARED_HOLIDAYS)) {
+        if (date.startsWith(`${year}-`)) holidays.set(date, name);
+    }
+
+    // Sunday holidays move an extra day off to the Monday
+    for (const [date, name] of [...holidays]) {
+        const monday = formatDate(Date.parse(date) + DAY_MS);
+        if (dayOfWeek(date) === 0 && !holidays.has(monday)) {
+            holidays.set(monday, `${name} (observed)`);
+        }
+    }
+
+    const sorted = new Map([...holidays].sort(([a], [b]) => a.localeCompare(b)));
+    calendars.set(year, sorted);
+    return sorted;
+}
+
+/**
+ * Name of the public holiday on a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string|null} Holiday name, or null on an ordinary day
+ */
+export function holidayOn(date) {
+    const match = /^(\d{4})-\d{2}-\d{2}$/.exec(String(date || ''));
+    if (!match) return null;
+    return publicHolidays(Number(match[1])).get(date) || null;
+}
+
+/**
+ * Day of the week for a local date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} 0 (Sunday) to 6 (Saturday), or NaN for an invalid date
+ */
+export function dayOfWeek(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function formatDate(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
@@ -0,0 +1,12 @@
+// ===== HTML ESCAPING =====
+// One escape for every page and email that puts text into markup: the booking
+// form, the admin dashboard and the server-rendered emails and pages.
+
+/**
+ * Escape text for safe use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
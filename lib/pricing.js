@@ -0,0 +1,473 @@
+// ===== PRICING ENGINE =====
+// Single source of truth for fares. Loaded as an ES module by the browser
+// (script.js) for the live preview and by the API handlers, which recompute
+// every fare before anything is emailed or stored.
+
+import { parseTripDateTime } from './datetime.js';
+import { dayOfWeek, holidayOn } from './holidays.js';
+
+export const BASE_FEE = 50;
+
+// Charged for each intermediate stop between pickup and drop-off
+export const STOP_FEE = 30;
+export const MAX_STOPS = 5;
+
+// Same-day returns: the driver waits with the vehicle between the legs. The
+// first FREE_WAIT_MINUTES are included; after that every started half hour is
+// charged at WAIT_RATE_PER_HOUR per vehicle.
+export const WAIT_RATE_PER_HOUR = 80;
+export const FREE_WAIT_MINUTES = 30;
+
+// Returns on another day: the vehicle goes home and comes out again, so the
+// way back pays its own base fee instead of waiting time
+export const RETURN_BASE_FEE = BASE_FEE;
+
+export const VEHICLE_RATES = {
+    'premier-sedan': 8,
+    'luxury-sedan': 12,
+    'suv': 15,
+    'van-7-seater': 18,
+    'van-14-seater': 25,
+    'minibus': 30
+};
+
+export const VEHICLE_NAMES = {
+    'premier-sedan': 'Premier Sedan',
+    'luxury-sedan': 'Luxury Sedan',
+    'suv': 'SUV',
+    'van-7-seater': 'Van (7 Seater)',
+    'van-14-seater': 'Van (14 Seater)',
+    'minibus': 'Minibus'
+};
+
+// Seats for passengers (driver excluded)
+export const VEHICLE_CAPACITY = {
+    'premier-sedan': 4,
+    'luxury-sedan': 4,
+    'suv': 6,
+    'van-7-seater': 6,
+    'van-14-seater': 7,
+    'minibus': 16
+};
+
+export const MIN_PASSENGERS = 1;
+export const MAX_PASSENGERS = 50;
+
+// Groups too big for one vehicle are split across at most this many of the same type
+export const MAX_VEHICLES_PER_BOOKING = 4;
+
+// Pickups (and return pickups) are only taken between these times
+export const SERVICE_HOURS = { start: '05:00', end: '22:00' };
+
+// Surcharges, as a percentage of the leg they apply to. A leg gets at most
+// one rule from each group (the highest), so a public holiday on a Sunday is
+// charged the holiday rate only.
+export const SURCHARGE_RULES = [
+    {
+        code: 'early',
+        label: 'Early Morning Surcharge',
+        group: 'time',
+        percent: 15,
+        applies: ({ minutes }) => minutes !== null && minutes < timeToMinutes('07:00')
+    },
+    {
+        code: 'late',
+        label: 'Late Evening Surcharge',
+        group: 'time',
+        percent: 15,
+        applies: ({ minutes }) => minutes !== null && minutes >= timeToMinutes('20:00')
+    },
+    {
+        code: 'sunday',
+        label: 'Sunday Surcharge',
+        group: 'day',
+        percent: 10,
+        applies: ({ weekday }) => weekday === 0
+    },
+    {
+        code: 'holiday',
+        label: 'Public Holiday Surcharge',
+        group: 'day',
+        percent: 25,
+        applies: ({ holiday }) => Boolean(holiday)
+    }
+];
+
+// Fares include VAT at this rate
+export const VAT_PERCENT = 15;
+
+// Largest difference (in Rand) tolerated between a client total and ours
+export const PRICE_TOLERANCE = 0.01;
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in Rand
+ * @returns {number} Rounded amount
+ */
+export function roundCurrency(amount) {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Split a VAT-inclusive amount into its VAT and the amount before VAT
+ * @param {number} amount - Amount including VAT, in Rand
+ * @returns {{exclusive: number, vat: number, inclusive: number}}
+ */
+export function vatBreakdown(amount) {
+    const inclusive = roundCurrency(Number(amount) || 0);
+    const vat = roundCurrency(inclusive * VAT_PERCENT / (100 + VAT_PERCENT));
+    return { exclusive: roundCurrency(inclusive - vat), vat, inclusive };
+}
+
+/**
+ * Format an amount in Rand for display, e.g. "R120.00" or "-R15.00"
+ * @param {number|string} amount - Amount in Rand
+ * @returns {string}
+ */
+export function formatRand(amount) {
+    const value = roundCurrency(Number(amount) || 0);
+    return `${value < 0 ? '-' : ''}R${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Minutes since midnight for an "HH:MM" time
+ * @param {string} time - HH:MM (24h)
+ * @returns {number|null} Minutes, or null if the time can't be parsed
+ */
+export function timeToMinutes(time) {
+    const match = /^(\d{2}):(\d{2})/.exec(String(time || ''));
+    if (!match) return null;
+    const [hours, minutes] = [Number(match[1]), Number(match[2])];
+    return hours <= 23 && minutes <= 59 ? hours * 60 + minutes : null;
+}
+
+/**
+ * Check a pickup time falls within SERVICE_HOURS
+ * @param {string} time - HH:MM (24h)
+ * @returns {boolean}
+ */
+export function isWithinServiceHours(time) {
+    const minutes = timeToMinutes(time);
+    return minutes !== null
+        && minutes >= timeToMinutes(SERVICE_HOURS.start)
+        && minutes <= timeToMinutes(SERVICE_HOURS.end);
+}
+
+/**
+ * Work out when each leg of a trip starts, for surcharges
+ * Same-day returns leave on the pickup date; a return without a time is only
+ * charged for its day.
+ * @param {Object} trip - { tripType, date, time, sameDayReturn, returnDate, returnTime }
+ * @returns {{outbound: {date: string, time: string|null}, inbound: Object|null}|null} Schedule, or null when the date is flexible
+ */
+export function fareSchedule({ tripType, date, time, sameDayReturn, returnDate, returnTime } = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) return null;
+
+    const outbound = { date, time: timeToMinutes(time) === null ? null : time.slice(0, 5) };
+    if (tripType !== 'return') return { outbound, inbound: null };
+
+    const inboundDate = sameDayReturn === 'no' && /^\d{4}-\d{2}-\d{2}$/.test(String(returnDate || '')) ? returnDate : date;
+    const inbound = { date: inboundDate, time: timeToMinutes(returnTime) === null ? null : returnTime.slice(0, 5) };
+    return { outbound, inbound };
+}
+
+/**
+ * Work out how a return trip's vehicle spends the time between the legs
+ * @param {Object|null} schedule - From fareSchedule()
+ * @param {number} [duration] - Outbound drive time in minutes
+ * @returns {{sameDay: boolean, waitMinutes: number|null}} waitMinutes is null when the times aren't known
+ */
+export function returnGap(schedule, duration) {
+    const { outbound, inbound } = schedule || {};
+    if (!outbound || !inbound) return { sameDay: true, waitMinutes: null };
+
+    const sameDay = inbound.date === outbound.date;
+    const leaveAt = parseTripDateTime(outbound.date, outbound.time);
+    const returnAt = parseTripDateTime(inbound.date, inbound.time);
+    if (!sameDay || !outbound.time || !inbound.time || !leaveAt || !returnAt) {
+        return { sameDay, waitMinutes: null };
+    }
+
+    const arriveAt = leaveAt.getTime() + (Number(duration) || 0) * 60 * 1000;
+    return { sameDay, waitMinutes: Math.max(0, Math.round((returnAt.getTime() - arriveAt) / 60000)) };
+}
+
+/**
+ * Hours of waiting charged for a wait, after the free allowance, in half hours
+ * @param {number|null} waitMinutes - Time between arriving and the return pickup
+ * @returns {number} Billable hours, e.g. 2.5
+ */
+export function billableWaitHours(waitMinutes) {
+    const minutes = Number(waitMinutes) - FREE_WAIT_MINUTES;
+    return minutes > 0 ? Math.ceil(minutes / 30) / 2 : 0;
+}
+
+/**
+ * Surcharge rules that apply to a leg starting at a date and time
+ * @param {{date: string, time: string|null}} when - Local start of the leg
+ * @returns {Object[]} Matching SURCHARGE_RULES, at most one per group
+ */
+export function applicableSurcharges({ date, time }) {
+    const context = {
+        date,
+        minutes: timeToMinutes(time),
+        weekday: dayOfWeek(date),
+        holiday: holidayOn(date)
+    };
+
+    const byGroup = new Map();
+    for (const rule of SURCHARGE_RULES) {
+        if (!rule.applies(context)) continue;
+        const current = byGroup.get(rule.group);
+        if (!current || rule.percent > current.percent) byGroup.set(rule.group, rule);
+    }
+
+    return SURCHARGE_RULES.filter(rule => byGroup.get(rule.group) === rule);
+}
+
+/**
+ * Check whether a vehicle type is one we price
+ * @param {string} vehicleType - Vehicle type key
+ * @returns {boolean}
+ */
+export function isValidVehicle(vehicleType) {
+    return Object.prototype.hasOwnProperty.call(VEHICLE_RATES, vehicleType);
+}
+
+/**
+ * Check a passenger count is one we accept
+ * @param {number|string} passengers - Passenger count
+ * @returns {boolean}
+ */
+export function isValidPassengerCount(passengers) {
+    const count = Number(passengers);
+    return Number.isInteger(count) && count >= MIN_PASSENGERS && count <= MAX_PASSENGERS;
+}
+
+/**
+ * Work out how many vehicles of a type a group needs
+ * A vehicle type is only offered split across several vehicles when the
+ * group is too big for every single vehicle we have.
+ * @param {string} vehicleType - Vehicle type key
+ * @param {number} passengers - Passenger count
+ * @returns {number|null} Vehicles needed, or null if this type isn't suitable for the group
+ */
+export function vehiclesNeeded(vehicleType, passengers) {
+    if (!isValidVehicle(vehicleType) || !isValidPassengerCount(passengers)) return null;
+
+    const capacity = VEHICLE_CAPACITY[vehicleType];
+    if (passengers <= capacity) return 1;
+
+    const largest = Math.max(...Object.values(VEHICLE_CAPACITY));
+    if (passengers <= largest) return null;
+
+    const count = Math.ceil(passengers / capacity);
+    return count <= MAX_VEHICLES_PER_BOOKING ? count : null;
+}
+
+/**
+ * Pick the cheapest suitable vehicle (or split) for a group
+ * Without a distance, vehicles are compared on their per-km rate.
+ * @param {number} passengers - Passenger count
+ * @param {Object} [trip] - { distance, tripType, stops } to compare full fares
+ * @returns {{vehicleType: string, vehicleCount: number}|null} Recommendation, or null for an invalid group size
+ */
+export function recommendVehicle(passengers, { distance, tripType, stops } = {}) {
+    let best = null;
+
+    for (const vehicleType of Object.keys(VEHICLE_RATES)) {
+        const vehicleCount = vehiclesNeeded(vehicleType, passengers);
+        if (!vehicleCount) continue;
+
+        const cost = Number(distance) > 0
+            ? calculateFare({ distance, vehicleType, tripType, vehicleCount, stops }).total
+            : VEHICLE_RATES[vehicleType] * vehicleCount;
+
+        if (!best || cost < best.cost || (cost === best.cost && vehicleCount < best.vehicleCount)) {
+            best = { vehicleType, vehicleCount, cost };
+        }
+    }
+
+    return best && { vehicleType: best.vehicleType, vehicleCount: best.vehicleCount };
+}
+
+/**
+ * Describe the vehicles on a booking, e.g. "Minibus" or "Minibus × 2"
+ * @param {string} vehicleType - Vehicle type key
+ * @param {number} [vehicleCount=1] - Vehicles booked
+ * @returns {string}
+ */
+export function describeVehicles(vehicleType, vehicleCount = 1) {
+    const name = VEHICLE_NAMES[vehicleType] || vehicleType;
+    return vehicleCount > 1 ? `${name} × ${vehicleCount}` : name;
+}
+
+/**
+ * Calculate the fare for a trip
+ * @param {Object} params - Trip parameters
+ * @param {number} params.distance - One-way route distance in km
+ * @param {number} [params.returnDistance] - Return leg distance in km, when it runs between other addresses (defaults to distance)
+ * @param {number} [params.duration] - Outbound drive time in minutes, for waiting time on same-day returns
+ * @param {string} params.vehicleType - Vehicle type key
+ * @param {string} [params.tripType='single'] - 'single' or 'return'
+ * @param {number} [params.vehicleCount=1] - Vehicles of this type (large groups); each pays the base fee and distance
+ * @param {number} [params.stops=0] - Intermediate stops; each vehicle pays STOP_FEE per stop, once per trip
+ * @param {Object|null} [params.schedule=null] - From fareSchedule(); surcharges apply to each leg's part of the fare
+ * @returns {Object} Fare breakdown with line items and total
+ */
+export function calculateFare({
+    distance, returnDistance, duration, vehicleType,
+    tripType = 'single', vehicleCount = 1, stops = 0, schedule = null
+}) {
+    const km = Number(distance);
+    if (!Number.isFinite(km) || km <= 0) {
+        throw new Error('Distance must be a positive number of kilometres');
+    }
+    const isReturnTrip = tripType === 'return';
+    const returnKm = isReturnTrip ? Number(returnDistance ?? km) : 0;
+    if (isReturnTrip && (!Number.isFinite(returnKm) || returnKm <= 0)) {
+        throw new Error('Return distance must be a positive number of kilometres');
+    }
+    if (!isValidVehicle(vehicleType)) {
+        throw new Error(`Unknown vehicle type: ${vehicleType}`);
+    }
+    if (!Number.isInteger(vehicleCount) || vehicleCount < 1 || vehicleCount > MAX_VEHICLES_PER_BOOKING) {
+        throw new Error(`Vehicle count must be between 1 and ${MAX_VEHICLES_PER_BOOKING}`);
+    }
+    if (!Number.isInteger(stops) || stops < 0 || stops > MAX_STOPS) {
+        throw new Error(`Stops must be between 0 and ${MAX_STOPS}`);
+    }
+
+    const vehicleRate = VEHICLE_RATES[vehicleType];
+    const billableDistance = km + returnKm;
+    const baseFee = BASE_FEE * vehicleCount;
+    const distanceCharge = roundCurrency(billableDistance * vehicleRate * vehicleCount);
+    const stopFee = STOP_FEE * stops * vehicleCount;
+    const perVehicle = vehicleCount > 1 ? ` (${vehicleCount} vehicles)` : '';
+
+    // Between the legs the vehicle either waits (same day) or goes home and comes back
+    const gap = isReturnTrip ? returnGap(schedule, duration) : { sameDay: false, waitMinutes: null };
+    const waitHours = isReturnTrip && gap.sameDay ? billableWaitHours(gap.waitMinutes) : 0;
+    const waitingCharge = roundCurrency(waitHours * WAIT_RATE_PER_HOUR * vehicleCount);
+    const returnBaseFee = isReturnTrip && !gap.sameDay ? RETURN_BASE_FEE * vehicleCount : 0;
+
+    // The outbound leg carries the base fee and stops; the way back its own distance
+    // (and base fee on another day). Waiting time is never surcharged.
+    const outboundDistanceCharge = isReturnTrip ? roundCurrency(km * vehicleRate * vehicleCount) : distanceCharge;
+    const legAmounts = {
+        outbound: baseFee + outboundDistanceCharge + stopFee,
+        inbound: roundCurrency(distanceCharge - outboundDistanceCharge + returnBaseFee)
+    };
+
+    const surcharges = [];
+    for (const leg of ['outbound', 'inbound']) {
+        const when = schedule?.[leg];
+        if (!when || (leg === 'inbound' && !isReturnTrip)) continue;
+
+        for (const rule of applicableSurcharges(when)) {
+            surcharges.push({
+                code: rule.code,
+                leg,
+                percent: rule.percent,
+                label: `${rule.label} (${rule.percent}%${leg === 'inbound' ? ', return' : ''})`,
+                amount: roundCurrency(legAmounts[leg] * rule.percent / 100)
+            });
+        }
+    }
+    const surcharge = roundCurrency(surcharges.reduce((sum, line) => sum + line.amount, 0));
+    const total = roundCurrency(baseFee + distanceCharge + stopFee + returnBaseFee + waitingCharge + surcharge);
+
+    const lines = [
+        { code: 'base', label: `Base Fee${perVehicle}`, amount: baseFee },
+        { code: 'distance', label: `Distance Charge${perVehicle}`, amount: distanceCharge }
+    ];
+    if (stops > 0) {
+        lines.push({ code: 'stops', label: `Extra Stops × ${stops}${perVehicle}`, amount: stopFee });
+    }
+    if (returnBaseFee > 0) {
+        lines.push({ code: 'return-base', label: `Return Base Fee${perVehicle}`, amount: returnBaseFee });
+    }
+    if (waitingCharge > 0) {
+        lines.push({ code: 'waiting', label: `Waiting Time (${waitHours} h)${perVehicle}`, amount: waitingCharge });
+    }
+    for (const line of surcharges) {
+        lines.push({ code: 'surcharge', label: line.label, amount: line.amount });
+    }
+
+    return {
+        vehicleType,
+        vehicleName: VEHICLE_NAMES[vehicleType],
+        vehicleRate,
+        vehicleCount,
+        tripType: isReturnTrip ? 'return' : 'single',
+        isReturnTrip,
+        distance: km,
+        returnDistance: isReturnTrip ? returnKm : null,
+        baseFee,
+        distanceCharge,
+        stops,
+        stopFee,
+        returnBaseFee,
+        waitMinutes: isReturnTrip ? gap.waitMinutes : null,
+        waitHours,
+        waitingCharge,
+        schedule,
+        surcharges,
+        surcharge,
+        discount: null,
+        lines,
+        total
+    };
+}
+
+/**
+ * Take a promo code or corporate account discount off a fare
+ * Promo codes come off the whole fare (a fixed amount never below zero).
+ * Corporate accounts pay their negotiated per-km rate for the vehicle type
+ * instead of VEHICLE_RATES; the difference is the discount, and nothing is
+ * taken off when the standard rate is already lower.
+ * @param {Object} fare - From calculateFare()
+ * @param {Object|null} discount - { kind: 'promo', code, type: 'percent'|'fixed', value }
+ *   or { kind: 'corporate', code, name, rates: { [vehicleType]: perKm } }
+ * @returns {Object} Fare with a discount line and reduced total, or the fare unchanged
+ */
+export function applyDiscount(fare, discount) {
+    if (!discount) return fare;
+
+    let amount = 0;
+    let label;
+    if (discount.kind === 'promo') {
+        amount = discount.type === 'percent' ? fare.total * discount.value / 100 : Number(discount.value);
+        label = discount.type === 'percent'
+            ? `Promo Code ${discount.code} (${discount.value}% off)`
+            : `Promo Code ${discount.code}`;
+    } else if (discount.kind === 'corporate') {
+        const rate = Number(discount.rates?.[fare.vehicleType]);
+        if (rate > 0 && rate < fare.vehicleRate) {
+            const billableDistance = fare.distance + (fare.returnDistance || 0);
+            amount = fare.distanceCharge - roundCurrency(billableDistance * rate * fare.vehicleCount);
+        }
+        label = `${discount.name} Corporate Rate (R${rate}/km)`;
+    }
+
+    amount = roundCurrency(Math.min(amount, fare.total));
+    if (!(amount > 0)) return fare;
+
+    return {
+        ...fare,
+        discount: { kind: discount.kind, code: discount.code, name: discount.name || null, label, amount },
+        lines: [...fare.lines, { code: 'discount', label, amount: -amount }],
+        total: roundCurrency(fare.total - amount)
+    };
+}
+
+/**
+ * Compare a client-supplied total with a server-calculated one
+ * @param {number|string} clientTotal - Total the client displayed
+ * @param {number} serverTotal - Total from calculateFare()
+ * @returns {boolean} True when they agree within PRICE_TOLERANCE
+ */
+export function pricesMatch(clientTotal, serverTotal) {
+    const client = Number(clientTotal);
+    return Number.isFinite(client) && Math.abs(client - serverTotal) <= PRICE_TOLERANCE;
+}
@@ -0,0 +1,145 @@
+import { MAX_PASSENGERS, MIN_PASSENGERS, isValidPassengerCount, timeToMinutes } from './pricing.js';
+
+// ===== BOOKING FORM VALIDATION =====
+// The rules for the customer details on a booking request, shared by the
+// form (as the customer types) and /api/quote (which never trusts the form).
+// Route, vehicle and fare are not checked here: they come from the signed quote.
+
+export const FIELD_LIMITS = {
+    name: 100,
+    email: 254,
+    phone: 25,
+    quoteToken: 16384
+};
+
+// How the customer wants booking updates, besides the emailed quote
+export const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Numbers without a country code are South African
+export const DEFAULT_COUNTRY_CODE = '27';
+
+export const MIN_NAME_LENGTH = 2;
+export const MIN_PHONE_DIGITS = 10;
+export const MAX_PHONE_DIGITS = 15;
+
+// Letters in any language, spaces, full stops, apostrophes and hyphens
+const NAME_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M} .'’-]*$/u;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits with an optional leading + and the usual separators
+const PHONE_PATTERN = /^\+?[0-9 ()-]+$/;
+
+/**
+ * Check a customer name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidName(name) {
+    if (typeof name !== 'string') return false;
+    const trimmed = name.trim();
+    return trimmed.length >= MIN_NAME_LENGTH && trimmed.length <= FIELD_LIMITS.name && NAME_PATTERN.test(trimmed);
+}
+
+/**
+ * Check an email address
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= FIELD_LIMITS.email && EMAIL_PATTERN.test(email.trim());
+}
+
+/**
+ * Check a phone number, e.g. "+27 82 123 4567" or "(011) 123-4567"
+ * @param {string} phone
+ * @returns {boolean}
+ */
+export function isValidPhone(phone) {
+    if (typeof phone !== 'string') return false;
+    const trimmed = phone.trim();
+    const digits = trimmed.replace(/\D/g, '').length;
+    return trimmed.length <= FIELD_LIMITS.phone
+        && PHONE_PATTERN.test(trimmed)
+        && digits >= MIN_PHONE_DIGITS && digits <= MAX_PHONE_DIGITS;
+}
+
+/**
+ * Write a valid phone number in international (E.164) form
+ * @param {string} phone - e.g. "082 123 4567", "+27 82 123 4567" or "0027821234567"
+ * @returns {string} e.g. "+27821234567"
+ */
+export function toInternationalPhone(phone) {
+    const trimmed = String(phone).trim();
+    const digits = trimmed.replace(/\D/g, '');
+    if (trimmed.startsWith('+')) return `+${digits}`;
+    if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+    if (digits.startsWith('0')) return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+    return `+${digits}`;
+}
+
+/**
+ * Check the customer details and trip fields of a booking request
+ * Date, time and return fields are optional (a flexible booking); when given
+ * they must be a real YYYY-MM-DD date and HH:MM time.
+ * @param {Object} details - Request body: name, email, phone, notificationChannel, date, time,
+ *   sameDayReturn, returnDate, returnTime, passengers, price, quoteToken
+ * @returns {{field: string, error: string}|null} The first problem, or null when it's valid
+ */
+export function validateBookingDetails(details = {}) {
+    const {
+        name, email, phone, notificationChannel, date, time,
+        sameDayReturn, returnDate, returnTime, passengers, price, quoteToken
+    } = details;
+
+    if (!isValidName(name)) {
+        return { field: 'name', error: `Name must be ${MIN_NAME_LENGTH} to ${FIELD_LIMITS.name} letters (spaces, apostrophes and hyphens are fine)` };
+    }
+    if (!isValidEmail(email)) {
+        return { field: 'email', error: 'Invalid email address format' };
+    }
+    if (!isValidPhone(phone)) {
+        return { field: 'phone', error: `Phone number must have ${MIN_PHONE_DIGITS} to ${MAX_PHONE_DIGITS} digits, e.g. +27 82 123 4567` };
+    }
+    if (!isBlank(notificationChannel) && !NOTIFICATION_CHANNELS.includes(notificationChannel)) {
+        return { field: 'notificationChannel', error: `Booking updates can go by ${NOTIFICATION_CHANNELS.join(', ')}` };
+    }
+    if (!isBlank(date) && !isValidDate(date)) {
+        return { field: 'date', error: 'Date must be a valid date (YYYY-MM-DD)' };
+    }
+    if (!isBlank(time) && !isValidTime(time)) {
+        return { field: 'time', error: 'Time must be a valid time (HH:MM)' };
+    }
+    if (!isBlank(sameDayReturn) && sameDayReturn !== 'yes' && sameDayReturn !== 'no') {
+        return { field: 'sameDayReturn', error: 'sameDayReturn must be yes or no' };
+    }
+    if (!isBlank(returnDate) && !isValidDate(returnDate)) {
+        return { field: 'returnDate', error: 'Return date must be a valid date (YYYY-MM-DD)' };
+    }
+    if (!isBlank(returnTime) && !isValidTime(returnTime)) {
+        return { field: 'returnTime', error: 'Return time must be a valid time (HH:MM)' };
+    }
+    if (!isBlank(passengers) && !isValidPassengerCount(passengers)) {
+        return { field: 'passengers', error: `Passengers must be a whole number from ${MIN_PASSENGERS} to ${MAX_PASSENGERS}` };
+    }
+    if (!isBlank(price) && !(typeof price === 'number' && Number.isFinite(price) && price >= 0)) {
+        return { field: 'price', error: 'Price must be an amount in Rand' };
+    }
+    if (typeof quoteToken !== 'string' || quoteToken.length > FIELD_LIMITS.quoteToken) {
+        return { field: 'quoteToken', error: 'Invalid quote. Please recalculate your price and try again.' };
+    }
+    return null;
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// A real calendar day, so 2026-02-30 is refused
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function isValidTime(time) {
+    return typeof time === 'string' && /^\d{2}:\d{2}$/.test(time) && timeToMinutes(time) !== null;
+}
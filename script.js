@@ -1,22 +1,16 @@
+import {
+    VEHICLE_NAMES, MIN_PASSENGERS, MAX_PASSENGERS, MAX_STOPS, STOP_FEE,
+    calculateFare, describeVehicles, fareSchedule, formatRand, isValidVehicle, recommendVehicle, vehiclesNeeded
+} from './lib/pricing.js';
+import { buildIcs, googleCalendarUrl, outlookCalendarUrl } from './lib/calendar.js';
+import { formatTripDateTime } from './lib/datetime.js';
+import { escapeHtml } from './lib/html.js';
+import { isValidEmail, isValidName, isValidPhone } from './lib/validation.js';
+
 // ===== CONFIGURATION =====
 const API_BASE_URL = window.location.origin;
-const VEHICLE_RATES = {
-    'premier-sedan': 8,
-    'luxury-sedan': 12,
-    'suv': 15,
-    'van-7-seater': 18,
-    'van-14-seater': 25,
-    'minibus': 30
-};
-const BASE_FEE = 50;
-const VEHICLE_NAMES = {
-    'premier-sedan': 'Premier Sedan',
-    'luxury-sedan': 'Luxury Sedan',
-    'suv': 'SUV',
-    'van-7-seater': 'Van (7 Seater)',
-    'van-14-seater': 'Van (14 Seater)',
-    'minibus': 'Minibus'
-};
+const AUTOCOMPLETE_DELAY_MS = 300;
+const AUTOCOMPLETE_MIN_CHARS = 3;
 
 // ===== GLOBAL VARIABLES =====
 let map = null;
@@ -45,12 +39,24 @@ document.addEventListener('DOMContentLoaded', function() {
     // Check for URL parameters from booking site
     checkURLParameters();
     
+    // Show the outcome when returning from the payment gateway
+    checkPaymentReturn();
+    
     // Setup trip type listeners
     setupTripTypeListeners();
     
     // Setup vehicle selection
     setupVehicleSelection();
     
+    // Address suggestions as the customer types
+    setupAutocomplete(document.getElementById('pickup'));
+    setupAutocomplete(document.getElementById('dropoff'));
+    setupAutocomplete(document.getElementById('returnPickup'));
+    setupAutocomplete(document.getElementById('returnDropoff'));
+    
+    // Grey out vehicles too small for the group
+    applyPassengerLimits();
+    
     // Update today's date as minimum for date inputs
     const today = new Date().toISOString().split('T')[0];
     document.getElementById('date').min = today;
@@ -106,7 +112,7 @@ function checkURLParameters() {
             // Handle vehicle selection
             if (urlParams.has('vehicle')) {
                 const vehicle = urlParams.get('vehicle');
-                if (VEHICLE_RATES[vehicle]) {
+                if (isValidVehicle(vehicle)) {
                     selectedVehicle = vehicle;
                     const vehicleInput = document.querySelector(`input[name="vehicleType"][value="${vehicle}"]`);
                     if (vehicleInput) {
@@ -144,6 +150,30 @@ function checkURLParameters() {
     }
 }
 
+function checkPaymentReturn() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const payment = urlParams.get('payment');
+    const reference = urlParams.get('reference') || urlParams.get('pay');
+    
+    if (!reference) return;
+    
+    // Pay link from the quote email
+    if (!payment) {
+        showPaymentPrompt(reference);
+        return;
+    }
+    
+    if (payment === 'success') {
+        showStatus(`✓ Payment received for booking ${reference}. A confirmation will follow by email.`, 'success');
+    } else {
+        showStatus(`Payment for booking ${reference} was not completed. You can try again below or contact support.`, 'error');
+        showPaymentPrompt(reference);
+    }
+    
+    // Drop the payment parameters so a refresh doesn't repeat the message
+    window.history.replaceState({}, document.title, window.location.pathname);
+}
+
 // ===== MAP INITIALIZATION =====
 function initMap() {
     try {
@@ -166,6 +196,9 @@ function initMap() {
         // Create route layer group
         routeLayer = L.layerGroup().addTo(map);
         
+        // Clicking the map offers to use that spot as a trip point
+        map.on('click', showMapPickPopup);
+        
         // Add zoom control
         L.control.zoom({
             position: 'topright'
@@ -195,6 +228,29 @@ function setupEventListeners() {
         calculateBtn.addEventListener('click', calculateRoute);
     }
     
+    // Stops between pickup and drop-off
+    const addStopBtn = document.getElementById('addStopBtn');
+    if (addStopBtn) {
+        addStopBtn.addEventListener('click', () => addStop());
+    }
+    
+    // Promo code / corporate account: re-quote with the code
+    const applyDiscountBtn = document.getElementById('applyDiscountBtn');
+    if (applyDiscountBtn) {
+        applyDiscountBtn.addEventListener('click', applyDiscountCode);
+    }
+    ['promoCode', 'accountCode'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('keydown', event => {
+            // Enter applies the code instead of submitting the booking
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                applyDiscountCode();
+            }
+        });
+    });
+    
     // Form submission
     const bookingForm = document.getElementById('bookingForm');
     if (bookingForm) {
@@ -232,6 +288,14 @@ function setupEventListeners() {
     if (resetMapBtn) resetMapBtn.addEventListener('click', resetMapView);
     if (locateMeBtn) locateMeBtn.addEventListener('click', locateUser);
     
+    // Re-price (surcharges) and re-check vehicle availability when the trip times change
+    ['date', 'time', 'sameDayReturn', 'returnDate', 'returnTime'].forEach(id => {
+        const field = document.getElementById(id);
+        if (field) {
+            field.addEventListener('change', () => currentRoute && updatePriceDisplay());
+        }
+    });
+    
     // Passenger controls
     document.querySelectorAll('.passenger-btn').forEach(btn => {
         btn.addEventListener('click', function() {
@@ -239,14 +303,15 @@ function setupEventListeners() {
             const input = document.getElementById('passengers');
             let value = parseInt(input.value) || 1;
             
-            if (action === 'increase' && value < 50) {
+            if (action === 'increase' && value < MAX_PASSENGERS) {
                 value++;
-            } else if (action === 'decrease' && value > 1) {
+            } else if (action === 'decrease' && value > MIN_PASSENGERS) {
                 value--;
             }
             
             input.value = value;
             validateField(input);
+            applyPassengerLimits();
             
             // Update price if route exists
             if (currentRoute) {
@@ -254,6 +319,17 @@ function setupEventListeners() {
             }
         });
     });
+    
+    // Typed passenger counts
+    const passengersInput = document.getElementById('passengers');
+    if (passengersInput) {
+        passengersInput.addEventListener('change', function() {
+            applyPassengerLimits();
+            if (currentRoute) {
+                updatePriceDisplay();
+            }
+        });
+    }
 }
 
 function setupTripTypeListeners() {
@@ -261,6 +337,8 @@ function setupTripTypeListeners() {
     const returnDetails = document.getElementById('returnDetails');
     const sameDayReturn = document.getElementById('sameDayReturn');
     const returnDateTimeFields = document.getElementById('returnDateTimeFields');
+    const returnAddresses = document.getElementById('returnAddresses');
+    const returnAddressFields = document.getElementById('returnAddressFields');
     
     if (!tripType) return;
     
@@ -269,6 +347,8 @@ function setupTripTypeListeners() {
             returnDetails.style.display = 'block';
             sameDayReturn.value = 'yes';
             returnDateTimeFields.style.display = 'none';
+            returnAddresses.value = 'same';
+            returnAddressFields.style.display = 'none';
         } else {
             returnDetails.style.display = 'none';
         }
@@ -288,6 +368,42 @@ function setupTripTypeListeners() {
             }
         });
     }
+    
+    // A return leg between other addresses is routed with the outbound trip
+    if (returnAddresses) {
+        returnAddresses.addEventListener('change', function() {
+            returnAddressFields.style.display = this.value === 'different' ? 'block' : 'none';
+            returnLegChanged();
+        });
+    }
+    ['returnPickup', 'returnDropoff'].forEach(id => {
+        const field = document.getElementById(id);
+        if (field) field.addEventListener('change', returnLegChanged);
+    });
+}
+
+// ===== RETURN LEG =====
+function returnLegRequest() {
+    if (document.getElementById('tripType').value !== 'return'
+        || document.getElementById('returnAddresses').value !== 'different') {
+        return {};
+    }
+    
+    // A blank end is filled in by the server (back from the drop-off, or back to the pickup)
+    const returnPickup = document.getElementById('returnPickup');
+    const returnDropoff = document.getElementById('returnDropoff');
+    return {
+        returnPickup: returnPickup.value.trim() || undefined,
+        returnDropoff: returnDropoff.value.trim() || undefined,
+        returnPickupPlace: returnPickup.value.trim() ? chosenPlace(returnPickup) : undefined,
+        returnDropoffPlace: returnDropoff.value.trim() ? chosenPlace(returnDropoff) : undefined
+    };
+}
+
+function returnLegChanged() {
+    if (currentRoute) {
+        showStatus('Return journey changed - recalculate your route to update the price', 'info');
+    }
 }
 
 function setupVehicleSelection() {
@@ -315,7 +431,7 @@ function setupVehicleSelection() {
     document.querySelectorAll('.vehicle-option').forEach(option => {
         option.addEventListener('click', function() {
             const radio = this.querySelector('input[type="radio"]');
-            if (radio) {
+            if (radio && !radio.disabled) {
                 radio.checked = true;
                 radio.dispatchEvent(new Event('change'));
             }
@@ -323,6 +439,218 @@ function setupVehicleSelection() {
     });
 }
 
+// ===== PASSENGER CAPACITY =====
+function currentPassengers() {
+    return parseInt(document.getElementById('passengers').value) || MIN_PASSENGERS;
+}
+
+function applyPassengerLimits() {
+    const passengers = currentPassengers();
+    
+    document.querySelectorAll('.vehicle-option').forEach(option => {
+        const radio = option.querySelector('input[type="radio"]');
+        const vehicleCount = vehiclesNeeded(option.dataset.vehicle, passengers);
+        
+        option.classList.toggle('disabled', !vehicleCount);
+        if (radio) radio.disabled = !vehicleCount;
+        
+        // Large groups: say how many vehicles this type needs
+        let splitNote = option.querySelector('.vehicle-split');
+        if (vehicleCount > 1) {
+            if (!splitNote) {
+                splitNote = document.createElement('span');
+                splitNote.className = 'vehicle-split';
+                option.querySelector('.vehicle-info').appendChild(splitNote);
+            }
+            splitNote.textContent = `${vehicleCount} vehicles for your group`;
+        } else if (splitNote) {
+            splitNote.remove();
+        }
+    });
+    
+    // The chosen vehicle no longer fits - switch to the cheapest one that does
+    if (!vehiclesNeeded(selectedVehicle, passengers)) {
+        const recommended = recommendVehicle(passengers, {
+            distance: currentRoute?.distance,
+            tripType: document.getElementById('tripType').value,
+            stops: currentRoute?.stops?.length
+        });
+        const radio = recommended && document.querySelector(`input[name="vehicleType"][value="${recommended.vehicleType}"]`);
+        
+        if (radio) {
+            radio.checked = true;
+            radio.dispatchEvent(new Event('change'));
+            showStatus(`${describeVehicles(recommended.vehicleType, recommended.vehicleCount)} selected for ${passengers} passengers`, 'info');
+        }
+    }
+}
+
+// ===== STOPS =====
+function addStop(address = '') {
+    const list = document.getElementById('stopsList');
+    if (list.children.length >= MAX_STOPS) {
+        showStatus(`A trip can have at most ${MAX_STOPS} stops`, 'error');
+        return;
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'form-group stop-row';
+    row.innerHTML = `
+        <label><i class="fas fa-map-pin stop-icon"></i> <span class="stop-title"></span></label>
+        <div class="stop-input">
+            <input type="text" class="stop-address" placeholder="Address or landmark">
+            <button type="button" class="stop-remove" aria-label="Remove stop"><i class="fas fa-times"></i></button>
+        </div>
+    `;
+    row.querySelector('.stop-address').value = address;
+    setupAutocomplete(row.querySelector('.stop-address'));
+    row.querySelector('.stop-remove').addEventListener('click', () => {
+        row.remove();
+        renumberStops();
+        stopsChanged();
+    });
+    list.appendChild(row);
+    
+    renumberStops();
+    stopsChanged();
+    if (!address) row.querySelector('.stop-address').focus();
+}
+
+function renumberStops() {
+    const rows = document.querySelectorAll('#stopsList .stop-row');
+    rows.forEach((row, index) => {
+        const input = row.querySelector('.stop-address');
+        input.id = `stop-${index + 1}`;
+        row.querySelector('label').htmlFor = input.id;
+        row.querySelector('.stop-title').textContent = `Stop ${index + 1} (R${STOP_FEE} per stop)`;
+    });
+    document.getElementById('addStopBtn').disabled = rows.length >= MAX_STOPS;
+}
+
+function collectStops() {
+    return Array.from(document.querySelectorAll('#stopsList .stop-address'))
+        .filter(input => input.value.trim())
+        .map(input => ({ address: input.value.trim(), place: chosenPlace(input) }));
+}
+
+function stopsChanged() {
+    if (currentRoute) {
+        showStatus('Stops changed - recalculate your route to update the price', 'info');
+    }
+}
+
+// ===== ADDRESS AUTOCOMPLETE =====
+function setupAutocomplete(input) {
+    if (!input) return;
+    
+    // Wrap the input so the suggestion list can sit directly under it
+    const wrapper = document.createElement('div');
+    wrapper.className = 'autocomplete';
+    input.parentNode.insertBefore(wrapper, input);
+    wrapper.appendChild(input);
+    
+    const list = document.createElement('ul');
+    list.className = 'autocomplete-list';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    wrapper.appendChild(list);
+    input.setAttribute('autocomplete', 'off');
+    
+    let timer = null;
+    let requestId = 0;
+    let candidates = [];
+    let active = -1;
+    
+    const close = () => {
+        list.hidden = true;
+        list.innerHTML = '';
+        candidates = [];
+        active = -1;
+    };
+    
+    const choose = (candidate) => {
+        input.value = candidate.label;
+        input.dataset.place = candidate.placeToken;
+        input.style.borderColor = '#10b981';
+        close();
+    };
+    
+    const highlight = (index) => {
+        active = index;
+        list.querySelectorAll('li').forEach((item, i) => item.classList.toggle('active', i === index));
+    };
+    
+    const render = (results) => {
+        candidates = results;
+        active = -1;
+        list.innerHTML = '';
+        results.forEach((candidate, index) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            item.innerHTML = '<i class="fas fa-map-marker-alt"></i> ';
+            item.append(candidate.label);
+            // mousedown fires before the input's blur closes the list
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                choose(candidates[index]);
+            });
+            list.appendChild(item);
+        });
+        list.hidden = results.length === 0;
+    };
+    
+    input.addEventListener('input', () => {
+        // Typing replaces any suggestion picked earlier
+        delete input.dataset.place;
+        clearTimeout(timer);
+        
+        const text = input.value.trim();
+        if (text.length < AUTOCOMPLETE_MIN_CHARS) {
+            requestId++;
+            close();
+            return;
+        }
+        
+        timer = setTimeout(async () => {
+            const id = ++requestId;
+            try {
+                const response = await fetch(`${API_BASE_URL}/api/geocode?text=${encodeURIComponent(text)}`, {
+                    headers: { 'Accept': 'application/json' }
+                });
+                const data = await response.json();
+                if (id !== requestId) return;
+                render(response.ok ? data.candidates : []);
+            } catch (error) {
+                console.warn('Address suggestions unavailable:', error);
+            }
+        }, AUTOCOMPLETE_DELAY_MS);
+    });
+    
+    input.addEventListener('keydown', (event) => {
+        if (list.hidden) return;
+        
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            highlight((active + 1) % candidates.length);
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            highlight(active <= 0 ? candidates.length - 1 : active - 1);
+        } else if (event.key === 'Enter' && active >= 0) {
+            event.preventDefault();
+            choose(candidates[active]);
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    });
+    
+    input.addEventListener('blur', close);
+}
+
+// Signed place token of the suggestion picked for an address field, if any
+function chosenPlace(input) {
+    return input?.dataset.place || undefined;
+}
+
 // ===== VALIDATION =====
 function validateField(field) {
     if (!field.value.trim()) {
@@ -330,22 +658,22 @@ function validateField(field) {
         return false;
     }
     
+    // Same rules as /api/quote (lib/validation.js)
+    if (field.id === 'name' && !isValidName(field.value)) {
+        field.style.borderColor = '#ef4444';
+        return false;
+    }
+    
     // Email validation
-    if (field.type === 'email') {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(field.value.trim())) {
-            field.style.borderColor = '#ef4444';
-            return false;
-        }
+    if (field.type === 'email' && !isValidEmail(field.value)) {
+        field.style.borderColor = '#ef4444';
+        return false;
     }
     
-    // Phone validation (basic)
-    if (field.type === 'tel') {
-        const phone = field.value.replace(/\D/g, '');
-        if (phone.length < 10) {
-            field.style.borderColor = '#ef4444';
-            return false;
-        }
+    // Phone validation
+    if (field.type === 'tel' && !isValidPhone(field.value)) {
+        field.style.borderColor = '#ef4444';
+        return false;
     }
     
     // Number validation
@@ -389,6 +717,7 @@ async function calculateRoute() {
     
     const pickup = document.getElementById('pickup').value.trim();
     const dropoff = document.getElementById('dropoff').value.trim();
+    const stops = collectStops();
     const passengers = document.getElementById('passengers').value;
     
     // Additional validation
@@ -397,8 +726,8 @@ async function calculateRoute() {
         return;
     }
     
-    if (!passengers || passengers < 1 || passengers > 50) {
-        showStatus('Please enter a valid number of passengers (1-50)', 'error');
+    if (!passengers || passengers < MIN_PASSENGERS || passengers > MAX_PASSENGERS) {
+        showStatus(`Please enter a valid number of passengers (${MIN_PASSENGERS}-${MAX_PASSENGERS})`, 'error');
         document.getElementById('passengers').focus();
         return;
     }
@@ -411,9 +740,10 @@ async function calculateRoute() {
     calculateBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Calculating...';
     
     showStatus('Calculating optimal route and price...', 'info');
+    hideAddressPicker();
     
     try {
-        console.log('📍 Calculating route from:', pickup, 'to:', dropoff);
+        console.log('📍 Calculating route from:', pickup, 'to:', dropoff, 'via:', stops.map(stop => stop.address));
         
         const response = await fetch(`${API_BASE_URL}/api/ors`, {
             method: 'POST',
@@ -424,19 +754,28 @@ async function calculateRoute() {
             body: JSON.stringify({ 
                 pickup, 
                 dropoff, 
+                pickupPlace: chosenPlace(document.getElementById('pickup')),
+                dropoffPlace: chosenPlace(document.getElementById('dropoff')),
+                stops,
+                ...returnLegRequest(),
                 vehicle: selectedVehicle 
             })
         });
         
         if (!response.ok) {
             let errorMessage = 'Route calculation failed';
+            let errorData = {};
             try {
-                const errorData = await response.json();
+                errorData = await response.json();
                 errorMessage = errorData.error || errorMessage;
             } catch (e) {
                 errorMessage = `Server error (${response.status})`;
             }
-            throw new Error(errorMessage);
+            const routeError = new Error(errorMessage);
+            routeError.stopIndex = errorData.stopIndex;
+            routeError.field = errorData.field;
+            routeError.ambiguous = errorData.code === 'AMBIGUOUS_ADDRESS' ? errorData.ambiguous : null;
+            throw routeError;
         }
         
         const data = await response.json();
@@ -477,8 +816,22 @@ async function calculateRoute() {
     } catch (error) {
         console.error('❌ Route calculation error:', error);
         
+        // Not a failure: the customer just needs to say which place they meant
+        if (error.ambiguous) {
+            showAddressPicker(error.ambiguous);
+            showStatus('Some addresses match more than one place - please choose the right one below', 'info');
+            return;
+        }
+        
         let errorMessage = error.message;
-        if (errorMessage.includes('pickup') || errorMessage.includes('Pickup')) {
+        if (Number.isInteger(error.stopIndex)) {
+            const stopInput = document.getElementById(`stop-${error.stopIndex + 1}`);
+            if (stopInput) stopInput.style.borderColor = '#ef4444';
+            errorMessage = `Please check stop ${error.stopIndex + 1} and try again`;
+        } else if (error.field === 'returnPickup' || error.field === 'returnDropoff') {
+            document.getElementById(error.field).style.borderColor = '#ef4444';
+            errorMessage = `Please check the return ${error.field === 'returnPickup' ? 'pickup' : 'drop-off'} address and try again`;
+        } else if (errorMessage.includes('pickup') || errorMessage.includes('Pickup')) {
             document.getElementById('pickup').style.borderColor = '#ef4444';
             errorMessage = 'Please check pickup address and try again';
         } else if (errorMessage.includes('drop-off') || errorMessage.includes('Dropoff')) {
@@ -502,38 +855,135 @@ async function calculateRoute() {
     }
 }
 
+// ===== ADDRESS DISAMBIGUATION =====
+const FIELD_NAMES = {
+    pickup: 'Pickup',
+    dropoff: 'Drop-off',
+    returnPickup: 'Return pickup',
+    returnDropoff: 'Return drop-off'
+};
+
+function addressInputFor(item) {
+    if (item.field === 'stop') return document.getElementById(`stop-${item.stopIndex + 1}`);
+    return document.getElementById(item.field);
+}
+
+function showAddressPicker(ambiguous) {
+    const picker = document.getElementById('addressPicker');
+    const groups = document.getElementById('addressPickerGroups');
+    if (!picker || !groups) return;
+    
+    groups.innerHTML = '';
+    
+    ambiguous.forEach(item => {
+        const input = addressInputFor(item);
+        if (!input) return;
+        input.style.borderColor = '#f59e0b';
+        
+        const group = document.createElement('div');
+        group.className = 'address-picker-group';
+        
+        const title = document.createElement('div');
+        title.className = 'address-picker-title';
+        const fieldName = item.field === 'stop' ? `Stop ${item.stopIndex + 1}` : FIELD_NAMES[item.field];
+        title.textContent = `${fieldName}: "${item.query}"`;
+        group.appendChild(title);
+        
+        const options = document.createElement('div');
+        options.className = 'address-picker-options';
+        item.candidates.forEach(candidate => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.innerHTML = '<i class="fas fa-map-marker-alt"></i> ';
+            button.append(candidate.label);
+            button.addEventListener('click', () => {
+                // The chosen place is sent with the address, so it isn't geocoded again
+                input.value = candidate.label;
+                input.dataset.place = candidate.placeToken;
+                input.style.borderColor = '#10b981';
+                group.remove();
+                
+                if (!groups.children.length) {
+                    hideAddressPicker();
+                    calculateRoute();
+                }
+            });
+            options.appendChild(button);
+        });
+        group.appendChild(options);
+        
+        groups.appendChild(group);
+    });
+    
+    picker.style.display = groups.children.length ? 'block' : 'none';
+}
+
+function hideAddressPicker() {
+    const picker = document.getElementById('addressPicker');
+    if (picker) picker.style.display = 'none';
+}
+
 // ===== PRICE CALCULATION =====
+let quoteRequestId = 0;
+
 function updatePriceDisplay() {
     if (!currentRoute) return;
     
-    const distance = currentRoute.distance;
     const tripType = document.getElementById('tripType').value;
-    const vehicleRate = VEHICLE_RATES[selectedVehicle];
-    const vehicleName = VEHICLE_NAMES[selectedVehicle];
     
-    // Calculate distance charge
-    let distanceCharge = distance * vehicleRate;
-    let isReturnTrip = false;
+    // Instant preview from the shared engine; the signed quote replaces it below
+    const vehicleCount = vehiclesNeeded(selectedVehicle, currentPassengers());
+    if (!vehicleCount) return;
     
-    if (tripType === 'return') {
-        distanceCharge *= 2;
-        isReturnTrip = true;
-    }
+    const stops = currentRoute.stops ? currentRoute.stops.length : 0;
+    const schedule = fareSchedule(tripSchedule());
+    const fare = calculateFare({
+        distance: currentRoute.distance,
+        returnDistance: currentRoute.returnRoute?.distance,
+        duration: currentRoute.duration,
+        vehicleType: selectedVehicle, tripType, vehicleCount, stops, schedule
+    });
+    renderFare(fare);
     
-    // Calculate total price
-    const totalPrice = BASE_FEE + distanceCharge;
+    requestQuote(tripType);
+}
+
+function renderFare(fare) {
+    const { distance, returnDistance, vehicleRate, baseFee, distanceCharge, isReturnTrip } = fare;
+    const vehicleName = describeVehicles(fare.vehicleType, fare.vehicleCount);
+    const totalPrice = fare.total;
     
     // Update display elements
     document.getElementById('distanceText').textContent = `${distance.toFixed(1)} km`;
-    document.getElementById('distanceNote').textContent = isReturnTrip ? 'one way × 2 for return' : '';
+    let distanceNote = '';
+    if (isReturnTrip) {
+        distanceNote = returnDistance && returnDistance !== distance
+            ? `+ ${returnDistance.toFixed(1)} km back`
+            : 'one way × 2 for return';
+    }
+    document.getElementById('distanceNote').textContent = distanceNote;
     
     document.getElementById('vehicleRateText').textContent = `R${vehicleRate}/km`;
     document.getElementById('vehicleName').textContent = vehicleName;
     
-    document.getElementById('baseFeeText').textContent = `R${BASE_FEE.toFixed(2)}`;
+    document.getElementById('baseFeeText').textContent = `R${baseFee.toFixed(2)}`;
     
     document.getElementById('distanceCharge').textContent = `R${distanceCharge.toFixed(2)}`;
-    document.getElementById('tripTypeHint').textContent = isReturnTrip ? 'return trip (double distance)' : 'single trip';
+    document.getElementById('tripTypeHint').textContent = isReturnTrip ? 'return trip (both ways)' : 'single trip';
+    
+    // Charges beyond the base fee and distance (e.g. stops), one row each
+    document.getElementById('extraFareLines').innerHTML = fare.lines
+        .filter(line => line.code !== 'base' && line.code !== 'distance')
+        .map(line => `
+            <div class="price-row">
+                <div class="price-label">
+                    <span>${escapeHtml(line.label)}</span>
+                </div>
+                <div class="price-value">${formatRand(line.amount)}</div>
+            </div>
+        `)
+        .join('');
     
     document.getElementById('priceText').textContent = `R${totalPrice.toFixed(2)}`;
     
@@ -556,6 +1006,214 @@ function updatePriceDisplay() {
     });
 }
 
+async function requestQuote(tripType) {
+    if (!currentRoute || !currentRoute.routeToken) return;
+    
+    // Only the latest request may update the quote
+    const requestId = ++quoteRequestId;
+    currentRoute.quoteToken = null;
+    updateSubmitButton();
+    
+    const quoteBadge = document.getElementById('quoteBadge');
+    quoteBadge.textContent = 'Confirming price...';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/price`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+                routeToken: currentRoute.routeToken,
+                vehicleType: selectedVehicle,
+                passengers: currentPassengers(),
+                ...tripSchedule(),
+                ...discountCodes(),
+                tripType
+            })
+        });
+        
+        const result = await response.json();
+        if (requestId !== quoteRequestId || !currentRoute) return;
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Pricing failed (${response.status})`);
+        }
+        
+        renderFare(result.quote);
+        showDiscountMessage(result.quote.discount, result.discountError);
+        currentRoute.quoteToken = result.quoteToken;
+        currentRoute.quoteExpiresAt = result.expiresAt;
+        
+        quoteBadge.textContent = `Valid until ${new Date(result.expiresAt).toLocaleString('en-ZA', {
+            day: 'numeric',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        })}`;
+        
+        checkVehicleAvailability();
+        
+    } catch (error) {
+        if (requestId !== quoteRequestId) return;
+        console.error('❌ Quote error:', error);
+        quoteBadge.textContent = 'Not confirmed';
+        showStatus(`Could not confirm your price: ${error.message}`, 'error');
+        
+    } finally {
+        if (requestId === quoteRequestId) updateSubmitButton();
+    }
+}
+
+// ===== DISCOUNTS =====
+const DISCOUNT_HINT = 'One code per booking. Corporate rates need your company email address.';
+
+function discountCodes() {
+    return {
+        promoCode: document.getElementById('promoCode').value.trim() || undefined,
+        accountCode: document.getElementById('accountCode').value.trim() || undefined
+    };
+}
+
+function applyDiscountCode() {
+    const { promoCode, accountCode } = discountCodes();
+    if (promoCode && accountCode) {
+        showDiscountMessage(null, 'Please enter a promo code or a corporate account, not both.');
+        return;
+    }
+    if (!currentRoute) {
+        showDiscountMessage(null, 'Calculate your route first, then apply your code.');
+        return;
+    }
+    updatePriceDisplay();
+}
+
+function showDiscountMessage(discount, error) {
+    const message = document.getElementById('discountMessage');
+    if (!message) return;
+    
+    message.classList.toggle('error', Boolean(error));
+    message.classList.toggle('success', Boolean(discount) && !error);
+    if (error) {
+        message.textContent = error;
+    } else if (discount) {
+        message.textContent = `✓ ${discount.label}: you save R${discount.amount.toFixed(2)}`;
+    } else {
+        message.textContent = DISCOUNT_HINT;
+    }
+}
+
+// ===== VEHICLE AVAILABILITY =====
+let availabilityRequestId = 0;
+
+async function checkVehicleAvailability() {
+    if (!currentRoute || !currentRoute.routeToken) return;
+    
+    const requestId = ++availabilityRequestId;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/availability`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+                routeToken: currentRoute.routeToken,
+                vehicleType: selectedVehicle,
+                passengers: currentPassengers(),
+                ...tripSchedule()
+            })
+        });
+        
+        const result = await response.json();
+        if (requestId !== availabilityRequestId) return;
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Availability check failed (${response.status})`);
+        }
+        
+        if (result.available) {
+            hideAvailabilityNotice();
+        } else {
+            showAvailabilityNotice(result.alternatives);
+        }
+        
+    } catch (error) {
+        // The booking itself is checked again on the server
+        console.warn('⚠️ Availability check failed:', error);
+    }
+}
+
+// The same date and times are priced, checked for availability and booked
+function tripSchedule() {
+    return {
+        tripType: document.getElementById('tripType').value,
+        date: document.getElementById('date').value || new Date().toISOString().split('T')[0],
+        time: document.getElementById('time').value || '09:00',
+        sameDayReturn: document.getElementById('sameDayReturn').value,
+        returnDate: document.getElementById('returnDate').value || null,
+        returnTime: document.getElementById('returnTime').value || null
+    };
+}
+
+function showAvailabilityNotice(alternatives = {}) {
+    const notice = document.getElementById('availabilityNotice');
+    const options = document.getElementById('availabilityOptions');
+    if (!notice || !options) return;
+    
+    const times = alternatives.times || [];
+    const vehicles = alternatives.vehicles || [];
+    
+    let message = `No ${VEHICLE_NAMES[selectedVehicle]} is available at that time.`;
+    if (times.length > 0 || vehicles.length > 0) {
+        message += ' Try one of these instead:';
+    } else {
+        message += ' Please choose another day or contact us.';
+    }
+    document.getElementById('availabilityText').textContent = message;
+    
+    options.innerHTML = '';
+    
+    times.forEach(slot => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.innerHTML = '<i class="fas fa-clock"></i> ';
+        button.append(slot.date === document.getElementById('date').value ? slot.time : `${slot.date} ${slot.time}`);
+        button.addEventListener('click', () => {
+            document.getElementById('date').value = slot.date;
+            document.getElementById('time').value = slot.time;
+            updatePriceDisplay();
+        });
+        options.appendChild(button);
+    });
+    
+    vehicles.forEach(vehicleType => {
+        const radio = document.querySelector(`input[name="vehicleType"][value="${vehicleType}"]`);
+        if (!radio) return;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.innerHTML = '<i class="fas fa-car"></i> ';
+        button.append(VEHICLE_NAMES[vehicleType]);
+        button.addEventListener('click', () => {
+            radio.checked = true;
+            radio.dispatchEvent(new Event('change'));
+        });
+        options.appendChild(button);
+    });
+    
+    notice.style.display = 'block';
+}
+
+function hideAvailabilityNotice() {
+    const notice = document.getElementById('availabilityNotice');
+    if (notice) notice.style.display = 'none';
+}
+
 // ===== MAP FUNCTIONS =====
 function displayRoute(data) {
     if (!map) return;
@@ -568,27 +1226,32 @@ function displayRoute(data) {
         if (data.pickupCoords) {
             const pickupLatLng = [data.pickupCoords[1], data.pickupCoords[0]];
             pickupMarker = L.marker(pickupLatLng, {
-                icon: L.divIcon({
-                    className: 'custom-marker',
-                    html: `<div class="map-marker pickup"><i class="fas fa-map-marker-alt"></i></div>`,
-                    iconSize: [40, 40],
-                    iconAnchor: [20, 40]
-                })
-            }).bindPopup(`<b>Pickup:</b><br>${data.pickupAddress}`);
+                draggable: true,
+                icon: pointIcon('pickup')
+            }).bindPopup(`<b>Pickup:</b><br>${escapeHtml(data.pickupAddress)}`)
+                .on('dragend', event => setPointFromMap('pickup', event.target.getLatLng()));
             routeLayer.addLayer(pickupMarker);
         }
         
+        // Add a numbered marker for each stop, with the leg that reaches it
+        const legs = data.legs || [];
+        (data.stops || []).forEach((stop, index) => {
+            const stopMarker = L.marker([stop.coords[1], stop.coords[0]], {
+                draggable: true,
+                icon: pointIcon('stop', index + 1)
+            }).bindPopup(`<b>Stop ${index + 1}:</b><br>${escapeHtml(stop.address)}${describeLeg(legs[index])}`)
+                .on('dragend', event => setPointFromMap('stop', event.target.getLatLng(), index));
+            routeLayer.addLayer(stopMarker);
+        });
+        
         // Add dropoff marker
         if (data.dropoffCoords) {
             const dropoffLatLng = [data.dropoffCoords[1], data.dropoffCoords[0]];
             dropoffMarker = L.marker(dropoffLatLng, {
-                icon: L.divIcon({
-                    className: 'custom-marker',
-                    html: `<div class="map-marker dropoff"><i class="fas fa-flag-checkered"></i></div>`,
-                    iconSize: [40, 40],
-                    iconAnchor: [20, 40]
-                })
-            }).bindPopup(`<b>Drop-off:</b><br>${data.dropoffAddress}`);
+                draggable: true,
+                icon: pointIcon('dropoff')
+            }).bindPopup(`<b>Drop-off:</b><br>${escapeHtml(data.dropoffAddress)}${legs.length > 1 ? describeLeg(legs[legs.length - 1]) : ''}`)
+                .on('dragend', event => setPointFromMap('dropoff', event.target.getLatLng()));
             routeLayer.addLayer(dropoffMarker);
         }
         
@@ -602,8 +1265,20 @@ function displayRoute(data) {
             });
             routeLayer.addLayer(routeLine);
             
-            // Fit bounds to show entire route
+            // The way back, when it runs between other addresses
             const bounds = routeLine.getBounds();
+            if (data.returnGeometry && data.returnGeometry.length > 0) {
+                const returnLine = L.polyline(data.returnGeometry, {
+                    color: '#8b5cf6',
+                    weight: 4,
+                    opacity: 0.8,
+                    dashArray: '8 8'
+                }).bindPopup(`<b>Return:</b><br>${escapeHtml(data.returnRoute.pickupAddress)} → ${escapeHtml(data.returnRoute.dropoffAddress)}`);
+                routeLayer.addLayer(returnLine);
+                bounds.extend(returnLine.getBounds());
+            }
+            
+            // Fit bounds to show entire route
             map.fitBounds(bounds, {
                 padding: [50, 50],
                 maxZoom: 15
@@ -617,6 +1292,128 @@ function displayRoute(data) {
     }
 }
 
+function pointIcon(kind, number) {
+    const content = {
+        pickup: '<i class="fas fa-map-marker-alt"></i>',
+        dropoff: '<i class="fas fa-flag-checkered"></i>',
+        stop: number
+    }[kind];
+    
+    return L.divIcon({
+        className: 'custom-marker',
+        html: `<div class="map-marker ${kind}">${content}</div>`,
+        iconSize: [40, 40],
+        iconAnchor: [20, 40]
+    });
+}
+
+function describeLeg(leg) {
+    return leg ? `<br><small>${leg.distance.toFixed(1)} km, ${leg.duration} min from the previous point</small>` : '';
+}
+
+// ===== MAP PICKING =====
+function showMapPickPopup(event) {
+    const content = document.createElement('div');
+    content.className = 'map-pick';
+    
+    const choices = [
+        ['pickup', '<i class="fas fa-map-marker-alt"></i> Set as pickup'],
+        ['dropoff', '<i class="fas fa-flag-checkered"></i> Set as drop-off']
+    ];
+    if (document.querySelectorAll('#stopsList .stop-row').length < MAX_STOPS) {
+        choices.push(['new-stop', '<i class="fas fa-map-pin"></i> Add as a stop']);
+    }
+    
+    const popup = L.popup().setLatLng(event.latlng);
+    choices.forEach(([field, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary';
+        button.innerHTML = label;
+        button.addEventListener('click', () => {
+            map.closePopup(popup);
+            setPointFromMap(field, event.latlng);
+        });
+        content.appendChild(button);
+    });
+    
+    popup.setContent(content).openOn(map);
+}
+
+/**
+ * Use a point on the map as pickup, drop-off or a stop
+ * Looks up its address, fills in the field and recalculates once both ends are set.
+ * @param {string} field - 'pickup', 'dropoff', 'stop' (an existing one) or 'new-stop'
+ * @param {Object} latLng - Leaflet LatLng
+ * @param {number} [stopIndex] - Which stop, for 'stop'
+ */
+async function setPointFromMap(field, latLng, stopIndex) {
+    showStatus('Looking up that address...', 'info');
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/geocode/reverse?lat=${latLng.lat}&lng=${latLng.lng}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server error (${response.status})`);
+        }
+        
+        let input;
+        if (field === 'new-stop') {
+            addStop(data.label);
+            const stopInputs = document.querySelectorAll('#stopsList .stop-address');
+            input = stopInputs[stopInputs.length - 1];
+        } else if (field === 'stop') {
+            input = document.getElementById(`stop-${stopIndex + 1}`);
+        } else {
+            input = document.getElementById(field);
+        }
+        if (!input) return;
+        
+        // The exact point is routed; the address is what the customer reads
+        input.value = data.label;
+        input.dataset.place = data.placeToken;
+        input.style.borderColor = '#10b981';
+        
+        if (field === 'pickup' || field === 'dropoff') {
+            showPointMarker(field, latLng, data.label);
+        }
+        
+        const pickup = document.getElementById('pickup').value.trim();
+        const dropoff = document.getElementById('dropoff').value.trim();
+        if (pickup && dropoff) {
+            calculateRoute();
+        } else {
+            const fieldName = { pickup: 'Pickup', dropoff: 'Drop-off' }[field] || 'Stop';
+            showStatus(`✓ ${fieldName} set to ${data.label}`, 'success');
+        }
+        
+    } catch (error) {
+        console.error('❌ Map pick error:', error);
+        showStatus(error.message, 'error');
+    }
+}
+
+// Before a route is drawn, show the point just chosen (and let it be dragged)
+function showPointMarker(field, latLng, label) {
+    if (!map || currentRoute) return;
+    
+    const previous = field === 'pickup' ? pickupMarker : dropoffMarker;
+    if (previous) routeLayer.removeLayer(previous);
+    
+    const marker = L.marker(latLng, { draggable: true, icon: pointIcon(field) })
+        .bindPopup(`<b>${field === 'pickup' ? 'Pickup' : 'Drop-off'}:</b><br>${escapeHtml(label)}`)
+        .on('dragend', event => setPointFromMap(field, event.target.getLatLng()));
+    routeLayer.addLayer(marker);
+    
+    if (field === 'pickup') {
+        pickupMarker = marker;
+    } else {
+        dropoffMarker = marker;
+    }
+}
+
 function updateMapStats(data) {
     if (!data.distance) return;
     
@@ -694,7 +1491,20 @@ function locateUser() {
             if (map) {
                 map.setView([lat, lng], 15);
                 
-                // Add location marker
+                // Add location marker, with a shortcut to be picked up from here
+                const popupContent = document.createElement('div');
+                popupContent.className = 'map-pick';
+                popupContent.innerHTML = '<b>Your Current Location</b>';
+                const useButton = document.createElement('button');
+                useButton.type = 'button';
+                useButton.className = 'btn btn-secondary';
+                useButton.innerHTML = '<i class="fas fa-map-marker-alt"></i> Set as pickup';
+                useButton.addEventListener('click', () => {
+                    map.closePopup();
+                    setPointFromMap('pickup', L.latLng(lat, lng));
+                });
+                popupContent.appendChild(useButton);
+                
                 L.marker([lat, lng], {
                     icon: L.divIcon({
                         className: 'custom-marker',
@@ -703,7 +1513,7 @@ function locateUser() {
                         iconAnchor: [20, 40]
                     })
                 }).addTo(map)
-                .bindPopup('<b>Your Current Location</b>')
+                .bindPopup(popupContent)
                 .openPopup();
                 
                 showStatus('Location found!', 'success');
@@ -771,25 +1581,20 @@ async function handleBooking(event) {
         name: document.getElementById('name').value.trim(),
         email: document.getElementById('email').value.trim(),
         phone: document.getElementById('phone').value.trim(),
+        notificationChannel: document.getElementById('notificationChannel')?.value || 'email',
         passengers: parseInt(document.getElementById('passengers').value),
         
         // Trip details
         pickup: document.getElementById('pickup').value.trim(),
+        stops: collectStops().map(stop => stop.address),
         dropoff: document.getElementById('dropoff').value.trim(),
-        date: document.getElementById('date').value || new Date().toISOString().split('T')[0],
-        time: document.getElementById('time').value || '09:00',
-        tripType: document.getElementById('tripType').value,
-        sameDayReturn: document.getElementById('sameDayReturn').value,
-        returnDate: document.getElementById('returnDate').value || null,
-        returnTime: document.getElementById('returnTime').value || null,
+        ...tripSchedule(),
         
         // Vehicle and pricing
+        // (the signed quote is what gets booked; price is only checked against it)
         vehicleType: selectedVehicle,
-        vehicleRate: VEHICLE_RATES[selectedVehicle],
-        distance: currentRoute.distance,
-        baseFee: BASE_FEE,
-        distanceCharge: currentRoute.distanceCharge,
         price: currentRoute.price,
+        quoteToken: currentRoute.quoteToken,
         
         // Additional data
         timestamp: new Date().toISOString(),
@@ -797,7 +1602,10 @@ async function handleBooking(event) {
         pickupAddress: currentRoute.pickupAddress || document.getElementById('pickup').value.trim(),
         dropoffAddress: currentRoute.dropoffAddress || document.getElementById('dropoff').value.trim(),
         bookingSource: 'payment-system',
-        userAgent: navigator.userAgent
+        userAgent: navigator.userAgent,
+        
+        // Honeypot - always empty when a person fills in the form
+        mss_hp: document.getElementById('mss_hp')?.value || ''
     };
     
     try {
@@ -809,7 +1617,10 @@ async function handleBooking(event) {
         console.log('✅ Booking successful:', result);
         
         // Build success message
-        let successMessage = `✓ Booking confirmed! Quote sent to ${bookingData.email}`;
+        // A quote email that failed is retried by the server; the booking still stands
+        let successMessage = result.emailStatus && result.emailStatus !== 'sent'
+            ? '✓ Booking received!'
+            : `✓ Booking confirmed! Quote sent to ${bookingData.email}`;
         
         if (result.bookingReference) {
             successMessage += ` (Reference: ${result.bookingReference})`;
@@ -821,6 +1632,13 @@ async function handleBooking(event) {
         
         showStatus(successMessage, 'success');
         
+        // Offer online payment for the stored booking
+        if (result.bookingReference) {
+            showPaymentPrompt(result.bookingReference, result.data?.trip?.price);
+        }
+        
+        showCalendarLinks(result.bookingReference, result.data?.calendarEvents);
+        
         // Reset form after delay
         setTimeout(() => {
             resetForm();
@@ -830,8 +1648,32 @@ async function handleBooking(event) {
     } catch (error) {
         console.error('❌ Booking submission error:', error);
         
+        // Stale or expired quote - fetch a fresh one so the customer can resubmit
+        if (error.quote || error.code === 'QUOTE_EXPIRED') {
+            updatePriceDisplay();
+        }
+        
+        // Fully booked - offer other times and vehicles
+        if (error.code === 'VEHICLE_UNAVAILABLE') {
+            showAvailabilityNotice(error.alternatives);
+        }
+        
         let errorMessage = 'Booking submission failed';
-        if (error.message.includes('email') || error.message.includes('Email')) {
+        if (error.code === 'RATE_LIMITED') {
+            const minutes = Math.max(1, Math.ceil((error.retryAfter || 60) / 60));
+            errorMessage = `Too many booking requests. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+        } else if (error.code === 'ACCOUNT_EMAIL' || error.code === 'PROMO_UNAVAILABLE') {
+            errorMessage = error.message;
+            showDiscountMessage(null, error.message);
+        } else if (error.field) {
+            // A detail the server refused - point at the field
+            errorMessage = error.message;
+            const input = document.getElementById(error.field);
+            if (input) {
+                input.style.borderColor = '#ef4444';
+                input.focus();
+            }
+        } else if (error.message.includes('email') || error.message.includes('Email')) {
             errorMessage = 'Email service error. Please try again or contact support.';
         } else if (error.message.includes('network') || error.message.includes('Network')) {
             errorMessage = 'Network error. Please check your connection and try again.';
@@ -841,8 +1683,8 @@ async function handleBooking(event) {
         
         showStatus(`Booking failed: ${errorMessage}`, 'error');
         
-        // Re-enable submit button
-        submitBtn.disabled = false;
+        // Re-enable submit button (only once a valid quote is held)
+        updateSubmitButton();
         
     } finally {
         // Restore button state
@@ -872,7 +1714,13 @@ async function sendBookingRequest(data) {
             } catch (e) {
                 errorData = { error: `Server error (${response.status})` };
             }
-            throw new Error(errorData.error || `Request failed with status ${response.status}`);
+            const requestError = new Error(errorData.error || `Request failed with status ${response.status}`);
+            requestError.quote = errorData.quote;
+            requestError.code = errorData.code;
+            requestError.alternatives = errorData.alternatives;
+            requestError.retryAfter = errorData.retryAfter;
+            requestError.field = errorData.field;
+            throw requestError;
         }
         
         let result;
@@ -894,12 +1742,108 @@ async function sendBookingRequest(data) {
     }
 }
 
+// ===== ONLINE PAYMENT =====
+function showPaymentPrompt(reference, amount) {
+    const prompt = document.getElementById('paymentPrompt');
+    const payNowBtn = document.getElementById('payNowBtn');
+    if (!prompt || !payNowBtn) return;
+    
+    document.getElementById('paymentPromptText').textContent = amount
+        ? `Booking ${reference} • ${formatCurrency(amount)}`
+        : `Booking ${reference}`;
+    prompt.style.display = 'flex';
+    
+    payNowBtn.onclick = () => startPayment(reference);
+}
+
+// ===== ADD TO CALENDAR =====
+function showCalendarLinks(reference, events) {
+    const container = document.getElementById('calendarLinks');
+    const list = document.getElementById('calendarLinksList');
+    if (!container || !list) return;
+    
+    list.innerHTML = '';
+    if (!events || events.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    events.forEach(event => {
+        const row = document.createElement('div');
+        row.className = 'calendar-event';
+        
+        const title = document.createElement('span');
+        title.className = 'calendar-event-title';
+        title.textContent = `${event.title} • ${formatTripDateTime(event.start)}`;
+        row.appendChild(title);
+        
+        const links = document.createElement('div');
+        links.className = 'calendar-event-links';
+        links.appendChild(calendarLink('Google Calendar', 'fab fa-google', googleCalendarUrl(event)));
+        links.appendChild(calendarLink('Outlook', 'fab fa-microsoft', outlookCalendarUrl(event)));
+        row.appendChild(links);
+        
+        list.appendChild(row);
+    });
+    
+    // Apple Calendar and other apps take the same .ics file as the email
+    const ics = new Blob([buildIcs(events)], { type: 'text/calendar' });
+    const download = calendarLink('Download .ics', 'fas fa-download', URL.createObjectURL(ics));
+    download.download = `Trip-${reference}.ics`;
+    download.removeAttribute('target');
+    list.appendChild(download);
+    
+    container.style.display = 'block';
+}
+
+function calendarLink(label, icon, href) {
+    const link = document.createElement('a');
+    link.className = 'btn btn-secondary calendar-link';
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.innerHTML = `<i class="${icon}"></i> ${label}`;
+    return link;
+}
+
+async function startPayment(reference) {
+    const payNowBtn = document.getElementById('payNowBtn');
+    const originalText = payNowBtn.innerHTML;
+    payNowBtn.disabled = true;
+    payNowBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Redirecting...';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/pay`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ reference })
+        });
+        
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Payment request failed (${response.status})`);
+        }
+        
+        console.log('💳 Redirecting to payment gateway:', result.gateway);
+        window.location.href = result.redirectUrl;
+        
+    } catch (error) {
+        console.error('❌ Payment error:', error);
+        showStatus(`Payment could not be started: ${error.message}`, 'error');
+        payNowBtn.disabled = false;
+        payNowBtn.innerHTML = originalText;
+    }
+}
+
 // ===== FORM MANAGEMENT =====
 function updateSubmitButton() {
     const submitBtn = document.getElementById('submitBtn');
     const termsAccepted = document.getElementById('terms').checked;
     
-    submitBtn.disabled = !(termsAccepted && currentRoute);
+    submitBtn.disabled = !(termsAccepted && currentRoute && currentRoute.quoteToken);
 }
 
 function resetForm() {
@@ -917,6 +1861,7 @@ function resetForm() {
                 element.checked = false;
             } else if (!preserveFields.includes(element.id) || !urlParams.has(element.id)) {
                 element.value = '';
+                delete element.dataset.place;
             }
         }
     });
@@ -925,7 +1870,11 @@ function resetForm() {
     document.getElementById('tripType').value = 'single';
     document.getElementById('returnDetails').style.display = 'none';
     document.getElementById('sameDayReturn').value = 'yes';
+    document.getElementById('notificationChannel').value = 'email';
     document.getElementById('returnDateTimeFields').style.display = 'none';
+    document.getElementById('returnAddresses').value = 'same';
+    document.getElementById('returnAddressFields').style.display = 'none';
+    showDiscountMessage(null, null);
     
     // Reset vehicle selection
     const defaultVehicle = document.querySelector('input[name="vehicleType"][value="premier-sedan"]');
@@ -937,12 +1886,19 @@ function resetForm() {
         });
         defaultVehicle.closest('.vehicle-option').classList.add('selected');
     }
+    applyPassengerLimits();
+    
+    // Remove stops
+    document.getElementById('stopsList').innerHTML = '';
+    renumberStops();
     
     // Reset map and route
     resetMapView();
     
     // Hide price display
     document.getElementById('priceDisplay').style.display = 'none';
+    hideAvailabilityNotice();
+    hideAddressPicker();
     
     // Reset terms
     document.getElementById('terms').checked = false;
@@ -1038,6 +1994,23 @@ window.closeModal = function() {
             background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
         }
         
+        .map-marker.stop {
+            background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
+            font-weight: 700;
+        }
+        
+        .map-pick {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        }
+        
+        .map-pick .btn {
+            padding: 6px 12px;
+            font-size: 13px;
+            justify-content: flex-start;
+        }
+        
         .map-marker.error {
             background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%);
             width: 50px;
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, afterEach, before, describe, it } from 'node:test';
+import { createCache } from '../api/_lib/cache.js';
+
+const ENV = { ...process.env };
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'cache-test-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+});
+
+describe('memory cache', () => {
+    it('keeps at most ROUTING_CACHE_MAX_ENTRIES per namespace', async () => {
+        process.env.ROUTING_CACHE_MAX_ENTRIES = '3';
+        const cache = createCache('memory');
+
+        for (const prefix of ['san', 'sand', 'sandt', 'sandto', 'sandton']) {
+            await cache.set('geocode', prefix, [prefix], 60);
+        }
+
+        assert.equal(await cache.size('geocode'), 3);
+        assert.equal(await cache.get('geocode', 'san'), undefined);
+        assert.deepEqual(await cache.get('geocode', 'sandton'), ['sandton']);
+    });
+
+    it('drops the least recently used entry first', async () => {
+        process.env.ROUTING_CACHE_MAX_ENTRIES = '2';
+        const cache = createCache('memory');
+
+        await cache.set('route', 'a', 1, 60);
+        await cache.set('route', 'b', 2, 60);
+        await cache.get('route', 'a');
+        await cache.set('route', 'c', 3, 60);
+
+        assert.equal(await cache.get('route', 'a'), 1);
+        assert.equal(await cache.get('route', 'b'), undefined);
+    });
+
+    it('forgets expired entries', async () => {
+        const cache = createCache('memory');
+        await cache.set('reverse', 'old', 'label', -1);
+
+        assert.equal(await cache.get('reverse', 'old'), undefined);
+        assert.equal(await cache.size('reverse'), 0);
+    });
+
+    it('returns copies, so callers cannot change what is cached', async () => {
+        const cache = createCache('memory');
+        await cache.set('route', 'trip', { distance: 10 }, 60);
+
+        (await cache.get('route', 'trip')).distance = 0;
+        assert.deepEqual(await cache.get('route', 'trip'), { distance: 10 });
+    });
+});
+
+describe('file cache', () => {
+    const create = () => createCache('file', path.join(dir, `${Date.now()}-${Math.random()}.json`));
+
+    it('keeps at most ROUTING_CACHE_MAX_ENTRIES per namespace, dropping the oldest', async () => {
+        process.env.ROUTING_CACHE_MAX_ENTRIES = '3';
+        const cache = create();
+
+        for (const prefix of ['san', 'sand', 'sandt', 'sandto', 'sandton']) {
+            await cache.set('geocode', prefix, [prefix], 60);
+        }
+
+        assert.equal(await cache.size('geocode'), 3);
+        assert.equal(await cache.get('geocode', 'san'), undefined);
+        assert.deepEqual(await cache.get('geocode', 'sandton'), ['sandton']);
+    });
+
+    it('drops expired entries when it writes', async () => {
+        const cache = create();
+        await cache.set('reverse', 'old', 'label', -1);
+        await cache.set('reverse', 'new', 'label', 60);
+
+        assert.equal(await cache.clear('reverse'), 1);
+    });
+});
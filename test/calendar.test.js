@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildIcs, googleCalendarUrl, outlookCalendarUrl, tripEvents } from '../lib/calendar.js';
+
+const BOOKING = {
+    bookingReference: 'MSS-ICS-1',
+    pickup: 'Sandton City, Rivonia Road, Sandton',
+    dropoff: 'OR Tambo International Airport, Kempton Park',
+    stops: [{ address: 'Rosebank Mall; Gate 3' }],
+    date: '2026-12-01',
+    time: '08:00',
+    duration: 35,
+    tripType: 'single',
+    passengers: 2,
+    vehicleType: 'premier-sedan'
+};
+
+// Unfold continuation lines (RFC 5545 3.1)
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '');
+}
+
+describe('tripEvents', () => {
+    it('runs from the SAST pickup time for the drive time', () => {
+        const [event] = tripEvents(BOOKING);
+
+        assert.equal(event.start.toISOString(), '2026-12-01T06:00:00.000Z');
+        assert.equal(event.end.toISOString(), '2026-12-01T06:35:00.000Z');
+        assert.equal(event.uid, 'MSS-ICS-1-outbound@modjadjishuttle');
+        assert.match(event.description, /Stop 1: Rosebank Mall; Gate 3/);
+    });
+
+    it('adds the way back on its own day and time', () => {
+        const events = tripEvents({ ...BOOKING, tripType: 'return', sameDayReturn: 'no', returnDate: '2026-12-03', returnTime: '17:30' });
+
+        assert.equal(events.length, 2);
+        assert.equal(events[1].start.toISOString(), '2026-12-03T15:30:00.000Z');
+        assert.equal(events[1].title, 'Return shuttle to Sandton City, Rivonia Road, Sandton');
+    });
+
+    it('has no events for a flexible date and no return without a return time', () => {
+        assert.deepEqual(tripEvents({ ...BOOKING, date: 'Flexible', time: 'Flexible' }), []);
+        assert.equal(tripEvents({ ...BOOKING, tripType: 'return', returnTime: '' }).length, 1);
+    });
+});
+
+describe('buildIcs', () => {
+    const ics = buildIcs(tripEvents(BOOKING));
+
+    it('writes one event with UTC times, an alarm and CRLF line endings', () => {
+        const text = unfold(ics);
+
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.equal(ics.replace(/\r\n/g, '').includes('\n'), false);
+        assert.match(text, /\r\nDTSTART:20261201T060000Z\r\n/);
+        assert.match(text, /\r\nDTEND:20261201T063500Z\r\n/);
+        assert.match(text, /\r\nTRIGGER:-PT60M\r\n/);
+        assert.equal(text.match(/BEGIN:VEVENT/g).length, 1);
+    });
+
+    it('escapes commas, semicolons and newlines in text', () => {
+        const text = unfold(ics);
+
+        assert.match(text, /\r\nLOCATION:Sandton City\\, Rivonia Road\\, Sandton\r\n/);
+        assert.match(text, /Stop 1: Rosebank Mall\\; Gate 3\\n/);
+    });
+
+    it('folds lines at 75 octets, counting multi-byte characters', () => {
+        const long = buildIcs(tripEvents({ ...BOOKING, dropoff: 'Ŝ'.repeat(60) }));
+
+        for (const line of long.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, line);
+        }
+        assert.match(unfold(long), new RegExp(`SUMMARY:Shuttle to ${'Ŝ'.repeat(60)}\\r\\n`));
+    });
+});
+
+describe('add-to-calendar links', () => {
+    it('pre-fill the event in Google and Outlook', () => {
+        const [event] = tripEvents(BOOKING);
+        const google = new URL(googleCalendarUrl(event));
+        const outlook = new URL(outlookCalendarUrl(event));
+
+        assert.equal(google.searchParams.get('dates'), '20261201T060000Z/20261201T063500Z');
+        assert.equal(google.searchParams.get('text'), event.title);
+        assert.equal(outlook.searchParams.get('startdt'), '2026-12-01T06:00:00.000Z');
+        assert.equal(outlook.searchParams.get('location'), BOOKING.pickup);
+    });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getBooking, saveBooking } from '../api/_lib/bookings.js';
+import { assessCancellation, createCancelUrl, FREE_CANCELLATION_HOURS } from '../api/_lib/cancellation.js';
+import { sampleEmailData } from '../api/_lib/emails/samples.js';
+import { createMemoryStore, setStore } from '../api/_lib/store.js';
+import cancel from '../api/cancel.js';
+import { parseTripDateTime, toTripDateTime } from '../lib/datetime.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+const HOUR = 60 * 60 * 1000;
+const PICKUP = { date: '2026-12-01', time: '10:00' };
+const PICKUP_AT = parseTripDateTime(PICKUP.date, PICKUP.time).getTime();
+
+function booking(changes = {}) {
+    return { bookingReference: 'MSS-CANCEL', status: 'confirmed', price: 400, ...PICKUP, ...changes };
+}
+
+const paid = { payment: { status: 'paid', amount: 400 } };
+
+beforeEach((t) => {
+    Object.assign(process.env, {
+        SIGNING_SECRET: 'test-secret', MAIL_TRANSPORT: 'console',
+        SENDER_EMAIL: 'bookings@shuttle.example', OWNER_EMAIL: 'owner@shuttle.example'
+    });
+    delete process.env.LATE_CANCELLATION_FEE_PERCENT;
+    setStore(createMemoryStore());
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('assessCancellation', () => {
+    it('is free up to 2 hours before pickup and refunds everything paid', () => {
+        const at = new Date(PICKUP_AT - FREE_CANCELLATION_HOURS * HOUR);
+        const result = assessCancellation(booking(paid), at);
+
+        assert.equal(result.allowed, true);
+        assert.equal(result.isLate, false);
+        assert.equal(result.fee, 0);
+        assert.equal(result.refundDue, 400);
+    });
+
+    it('charges the late fee inside the 2 hours and takes it off the refund', () => {
+        const at = new Date(PICKUP_AT - FREE_CANCELLATION_HOURS * HOUR + 60 * 1000);
+        const result = assessCancellation(booking(paid), at);
+
+        assert.equal(result.isLate, true);
+        assert.equal(result.fee, 200);
+        assert.equal(result.refundDue, 200);
+    });
+
+    it('uses LATE_CANCELLATION_FEE_PERCENT and never refunds below zero', () => {
+        process.env.LATE_CANCELLATION_FEE_PERCENT = '25';
+        const at = new Date(PICKUP_AT - HOUR);
+
+        assert.equal(assessCancellation(booking(paid), at).fee, 100);
+        assert.equal(assessCancellation(booking(), at).refundDue, 0);
+    });
+
+    it('refuses past pickups and bookings that are already over', () => {
+        assert.equal(assessCancellation(booking(), new Date(PICKUP_AT)).allowed, false);
+        assert.equal(assessCancellation(booking({ status: 'cancelled' }), new Date(PICKUP_AT - 24 * HOUR)).allowed, false);
+        assert.equal(assessCancellation(booking({ status: 'completed' }), new Date(PICKUP_AT - 24 * HOUR)).allowed, false);
+    });
+
+    it('is always free for a flexible date', () => {
+        const result = assessCancellation(booking({ date: 'Flexible', time: 'Flexible' }));
+        assert.equal(result.allowed, true);
+        assert.equal(result.isLate, false);
+    });
+});
+
+describe('/api/cancel', () => {
+    async function book(hoursAhead) {
+        const { booking: sample } = sampleEmailData('quote', 'https://shuttle.example');
+        const pickup = toTripDateTime(Date.now() + hoursAhead * HOUR);
+        const saved = await saveBooking({ ...sample, ...pickup, bookingReference: `MSS-CANCEL-${hoursAhead}` });
+        return new URL(createCancelUrl(saved.bookingReference, 'https://shuttle.example')).searchParams.get('token');
+    }
+
+    const post = token => callHandler(cancel, { headers: { 'content-type': 'application/json' }, body: { token } });
+
+    it('shows the cost on GET without cancelling', async () => {
+        const token = await book(1);
+        const res = await callHandler(cancel, { method: 'GET', query: { token } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal((await getBooking('MSS-CANCEL-1')).status, 'quoted');
+    });
+
+    it('cancels for free more than 2 hours ahead', async () => {
+        const res = await post(await book(3));
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.cancellation.isLate, false);
+        assert.equal((await getBooking('MSS-CANCEL-3')).status, 'cancelled');
+    });
+
+    it('records the late fee inside the 2 hours', async () => {
+        const res = await post(await book(1));
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.cancellation.isLate, true);
+        assert.ok(res.body.cancellation.fee > 0);
+    });
+
+    it('refuses an invalid link', async () => {
+        const res = await post('not-a-token');
+        assert.equal(res.statusCode, 400);
+    });
+});
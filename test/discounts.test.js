@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getPromoCode, lookupDiscount, redeemPromoCode, releasePromoCode, saveCorporateAccount, savePromoCode } from '../api/_lib/discounts.js';
+import { issueQuote } from '../api/_lib/quotes.js';
+import { createMemoryStore, getStore, setStore } from '../api/_lib/store.js';
+import quote from '../api/quote.js';
+import { fareSchedule } from '../lib/pricing.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+
+const ROUTE = {
+    pickupAddress: 'Sandton City, Sandton',
+    dropoffAddress: 'OR Tambo International Airport, Kempton Park',
+    pickupCoords: [28.05, -26.1],
+    dropoffCoords: [28.24, -26.13],
+    distance: 30,
+    duration: 30
+};
+const TRIP = { tripType: 'single', date: '2027-03-10', time: '10:00' };
+
+beforeEach((t) => {
+    Object.assign(process.env, {
+        MAIL_TRANSPORT: 'console', SENDER_EMAIL: 'bookings@shuttle.example', OWNER_EMAIL: 'owner@shuttle.example',
+        SIGNING_SECRET: 'test-secret', RATE_LIMIT_STORE: 'off'
+    });
+    setStore(createMemoryStore());
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+// Signed quote for the route with the discount codes applied
+async function quoteWith(codes) {
+    const { discount } = await lookupDiscount(codes);
+    return issueQuote(ROUTE, {
+        vehicleType: 'premier-sedan', tripType: TRIP.tripType, passengers: 2, schedule: fareSchedule(TRIP), discount
+    }).quoteToken;
+}
+
+function book(quoteToken, email = 'thandi@example.com') {
+    return callHandler(quote, {
+        method: 'POST',
+        body: { name: 'Thandi Mokoena', email, phone: '+27 82 123 4567', ...TRIP, passengers: 2, quoteToken }
+    });
+}
+
+describe('redeemPromoCode', () => {
+    it('counts a use', async () => {
+        await savePromoCode({ code: 'summer 10', type: 'percent', value: 10 });
+
+        assert.equal(await redeemPromoCode('SUMMER10'), null);
+        assert.equal((await getPromoCode('summer10')).uses, 1);
+    });
+
+    it('lets only one of several bookings at once take the last use', async () => {
+        await savePromoCode({ code: 'LASTONE', type: 'fixed', value: 50, maxUses: 1 });
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => redeemPromoCode('LASTONE')));
+
+        assert.equal(results.filter(problem => problem === null).length, 1);
+        assert.ok(results.filter(Boolean).every(problem => problem === 'This promo code has been fully used'));
+        assert.equal((await getPromoCode('LASTONE')).uses, 1);
+    });
+
+    it('refuses unknown and inactive codes', async () => {
+        await savePromoCode({ code: 'PAUSED', type: 'percent', value: 10, active: false });
+
+        assert.equal(await redeemPromoCode('NOPE'), 'This promo code is no longer valid');
+        assert.equal(await redeemPromoCode('PAUSED'), 'This promo code is no longer valid');
+        assert.equal((await getPromoCode('PAUSED')).uses, 0);
+    });
+});
+
+describe('releasePromoCode', () => {
+    it('gives a use back, never below zero', async () => {
+        await savePromoCode({ code: 'BACK', type: 'percent', value: 10 });
+        await redeemPromoCode('BACK');
+
+        await releasePromoCode('back');
+        await releasePromoCode('back');
+        assert.equal((await getPromoCode('BACK')).uses, 0);
+    });
+});
+
+describe('discounts at booking time', () => {
+    it('counts a promo code use for a saved booking', async () => {
+        await savePromoCode({ code: 'WELCOME10', type: 'percent', value: 10 });
+
+        const res = await book(await quoteWith({ promoCode: 'WELCOME10' }));
+
+        assert.equal(res.statusCode, 200);
+        assert.equal((await getPromoCode('WELCOME10')).uses, 1);
+    });
+
+    it('gives the use back when the booking can not be saved', async (t) => {
+        await savePromoCode({ code: 'LASTONE', type: 'fixed', value: 50, maxUses: 1 });
+        const store = getStore();
+        const put = store.put;
+        t.mock.method(store, 'put', (collection, ...rest) => (collection === 'bookings'
+            ? Promise.reject(new Error('Disk full'))
+            : put.call(store, collection, ...rest)));
+        t.mock.method(console, 'error', () => {});
+
+        const res = await book(await quoteWith({ promoCode: 'LASTONE' }));
+
+        assert.equal(res.statusCode, 500);
+        assert.equal((await getPromoCode('LASTONE')).uses, 0);
+    });
+
+    it('refuses a corporate rate whose account was closed after the quote', async () => {
+        await saveCorporateAccount({ code: 'ACME', name: 'Acme', rates: { 'premier-sedan': 6 } });
+        const quoteToken = await quoteWith({ accountCode: 'ACME' });
+        await saveCorporateAccount({ code: 'ACME', name: 'Acme', rates: { 'premier-sedan': 6 }, active: false });
+
+        const res = await book(quoteToken);
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'ACCOUNT_INACTIVE');
+    });
+});
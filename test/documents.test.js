@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getBooking, saveBooking } from '../api/_lib/bookings.js';
+import { buildInvoicePdf, issueInvoice } from '../api/_lib/documents.js';
+import { sampleEmailData } from '../api/_lib/emails/samples.js';
+import { createMemoryStore, setStore } from '../api/_lib/store.js';
+import { vatBreakdown } from '../lib/pricing.js';
+
+const ENV = { ...process.env };
+
+let count = 0;
+
+async function paidBooking() {
+    const { booking } = sampleEmailData('quote', 'https://shuttle.example');
+    count += 1;
+    return saveBooking({
+        ...booking,
+        bookingReference: `MSS-DOC-${count}`,
+        payment: { status: 'paid', gateway: 'fake', amount: booking.price }
+    });
+}
+
+beforeEach((t) => {
+    delete process.env.INVOICE_PREFIX;
+    setStore(createMemoryStore());
+    t.mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('issueInvoice', () => {
+    it('numbers invoices in sequence', async () => {
+        const first = await issueInvoice((await paidBooking()).bookingReference);
+        const second = await issueInvoice((await paidBooking()).bookingReference);
+
+        assert.equal(first.invoice.number, 'INV-000001');
+        assert.equal(second.invoice.number, 'INV-000002');
+        assert.equal(second.invoice.sequence, 2);
+    });
+
+    it('keeps a booking\'s number when it is issued again', async () => {
+        const { bookingReference } = await paidBooking();
+        const issued = await issueInvoice(bookingReference);
+        const again = await issueInvoice(bookingReference);
+        const next = await issueInvoice((await paidBooking()).bookingReference);
+
+        assert.deepEqual(again.invoice, issued.invoice);
+        assert.equal(next.invoice.sequence, issued.invoice.sequence + 1);
+    });
+
+    it('gives bookings paid at the same moment different numbers with no gaps', async () => {
+        const bookings = await Promise.all([1, 2, 3, 4].map(() => paidBooking()));
+        const issued = await Promise.all(bookings.map(booking => issueInvoice(booking.bookingReference)));
+
+        assert.deepEqual(issued.map(booking => booking.invoice.sequence).sort(), [1, 2, 3, 4]);
+    });
+
+    it('uses INVOICE_PREFIX and splits out the VAT on the amount paid', async () => {
+        process.env.INVOICE_PREFIX = 'MSS/';
+        const booking = await paidBooking();
+        const { invoice } = await issueInvoice(booking.bookingReference);
+
+        assert.equal(invoice.number, 'MSS/000001');
+        assert.deepEqual({ exclusive: invoice.exclusive, vat: invoice.vat, inclusive: invoice.inclusive }, vatBreakdown(booking.price));
+        assert.deepEqual((await getBooking(booking.bookingReference)).invoice, invoice);
+    });
+
+    it('returns null for an unknown booking', async () => {
+        assert.equal(await issueInvoice('MSS-NOPE'), null);
+    });
+});
+
+describe('vatBreakdown', () => {
+    it('takes 15% VAT out of an inclusive amount', () => {
+        assert.deepEqual(vatBreakdown(115), { exclusive: 100, vat: 15, inclusive: 115 });
+        assert.deepEqual(vatBreakdown(99.99), { exclusive: 86.95, vat: 13.04, inclusive: 99.99 });
+    });
+});
+
+describe('buildInvoicePdf', () => {
+    it('renders a PDF carrying the invoice number', async () => {
+        const { bookingReference } = await paidBooking();
+        const pdf = buildInvoicePdf(await issueInvoice(bookingReference));
+
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+        assert.ok(pdf.toString('latin1').includes('INV-000001'));
+    });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { html, isBlank, raw } from '../api/_lib/emails/html.js';
+import { EMAIL_TEMPLATES, renderEmail } from '../api/_lib/emails/index.js';
+import { sampleEmailData } from '../api/_lib/emails/samples.js';
+import { escapeHtml } from '../lib/html.js';
+
+// Booking fields a customer (or anyone posting to /api/quote) controls
+const HOSTILE = {
+    name: '<script>alert(1)</script>',
+    email: '"><img src=x onerror=alert(1)>@example.com',
+    phone: '<a href="https://evil.example">082 123 4567</a>',
+    pickup: '<img src=x onerror=alert(1)>',
+    dropoff: '"><svg onload=alert(1)>',
+    cancellationReason: '<iframe src="https://evil.example"></iframe>'
+};
+
+const MARKUP = /<(script|img|svg|iframe|a href="https:\/\/evil)/i;
+
+describe('escapeHtml', () => {
+    it('escapes markup and quotes, and prints nothing for missing values', () => {
+        assert.equal(escapeHtml(`<a href="x">Tom & 'Jerry'</a>`), '&#60;a href=&#34;x&#34;&#62;Tom &#38; &#39;Jerry&#39;&#60;/a&#62;');
+        assert.equal(escapeHtml(null), '');
+        assert.equal(escapeHtml(42), '42');
+    });
+});
+
+describe('html tag', () => {
+    it('escapes interpolated values', () => {
+        const name = '<b>"Tom" & \'Jerry\'</b>';
+        assert.equal(String(html`<p>${name}</p>`), '<p>&#60;b&#62;&#34;Tom&#34; &#38; &#39;Jerry&#39;&#60;/b&#62;</p>');
+    });
+
+    it('escapes values inside attributes', () => {
+        const url = '" onmouseover="alert(1)';
+        assert.equal(String(html`<a href="${url}">x</a>`), '<a href="&#34; onmouseover=&#34;alert(1)">x</a>');
+    });
+
+    it('keeps markup from nested html templates', () => {
+        const inner = html`<strong>${'<em>'}</strong>`;
+        assert.equal(String(html`<p>${inner}</p>`), '<p><strong>&#60;em&#62;</strong></p>');
+    });
+
+    it('joins arrays and escapes each item', () => {
+        const items = ['<a>', html`<li>ok</li>`];
+        assert.equal(String(html`<ul>${items}</ul>`), '<ul>&#60;a&#62;<li>ok</li></ul>');
+    });
+
+    it('renders nothing for null, undefined and false', () => {
+        assert.equal(String(html`[${null}${undefined}${false}]`), '[]');
+        assert.equal(String(html`[${0}]`), '[0]');
+    });
+
+    it('does not treat plain template strings as markup', () => {
+        const unsafe = `<b>${'x'}</b>`;
+        assert.equal(String(html`${unsafe}`), '&#60;b&#62;x&#60;/b&#62;');
+    });
+
+    it('keeps raw() markup as it is', () => {
+        assert.equal(String(html`${raw('<br>')}`), '<br>');
+    });
+
+    it('knows when a value renders nothing', () => {
+        assert.ok(isBlank(html``));
+        assert.ok(isBlank(false));
+        assert.ok(!isBlank(html`x`));
+        assert.ok(!isBlank(0));
+    });
+});
+
+describe('renderEmail', () => {
+    for (const name of EMAIL_TEMPLATES) {
+        it(`escapes hostile booking fields in the ${name} email`, () => {
+            const { booking, context } = sampleEmailData(name, 'https://shuttle.example');
+            const hostile = {
+                ...booking,
+                ...HOSTILE,
+                driver: booking.driver && { ...booking.driver, name: '<u>driver</u>' }
+            };
+
+            const email = renderEmail(name, hostile, context);
+
+            assert.doesNotMatch(email.html, MARKUP);
+            assert.doesNotMatch(email.html, /<u>driver/);
+            assert.doesNotMatch(email.html, /undefined|NaN|\[object/);
+            assert.match(email.html, /&#60;(script|img)/);
+        });
+    }
+
+    it('shows escaped values as plain text in the text part', () => {
+        const { booking, context } = sampleEmailData('quote', 'https://shuttle.example');
+        const email = renderEmail('quote', { ...booking, ...HOSTILE }, context);
+
+        assert.ok(email.text.includes(HOSTILE.name));
+        assert.doesNotMatch(email.text, /&#60;/);
+    });
+
+    it('refuses unknown templates', () => {
+        assert.throws(() => renderEmail('nope', {}), /Unknown email template "nope"/);
+    });
+});
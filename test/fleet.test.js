@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { saveBooking, updateBooking } from '../api/_lib/bookings.js';
+import { checkAvailability, holdsVehicles, suggestAlternatives, tripWindows, updateFleetVehicle } from '../api/_lib/fleet.js';
+import { createMemoryStore, setStore, withLock } from '../api/_lib/store.js';
+
+const ENV = { ...process.env };
+const HOUR = 60 * 60 * 1000;
+
+let count = 0;
+
+function trip(changes = {}) {
+    return {
+        date: '2027-03-10', time: '10:00', duration: 60, tripType: 'one-way',
+        vehicleType: 'premier-sedan', vehicleCount: 1, passengers: 2,
+        ...changes
+    };
+}
+
+// Saved bookings start out quoted; most of these are confirmed
+async function book({ status = 'confirmed', ...changes } = {}) {
+    count += 1;
+    const booking = await saveBooking({ bookingReference: `MSS-FLEET-${count}`, ...trip(), ...changes });
+    return status === 'quoted' ? booking : updateBooking(booking.bookingReference, { status });
+}
+
+beforeEach(() => {
+    process.env.FLEET_BUFFER_MINUTES = '30';
+    setStore(createMemoryStore());
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('tripWindows', () => {
+    it('keeps the vehicle for the drive plus the turnaround', () => {
+        const [window] = tripWindows(trip());
+        assert.equal(window.end - window.start, 90 * 60 * 1000);
+    });
+
+    it('keeps the vehicle all day for a same-day return', () => {
+        const windows = tripWindows(trip({ tripType: 'return', sameDayReturn: 'yes', returnTime: '16:00' }));
+        assert.equal(windows.length, 1);
+        assert.equal(windows[0].end - windows[0].start, 7.5 * HOUR);
+    });
+
+    it('frees the vehicle between legs on different days', () => {
+        const windows = tripWindows(trip({ tripType: 'return', sameDayReturn: 'no', returnDate: '2027-03-12', returnTime: '16:00' }));
+        assert.equal(windows.length, 2);
+    });
+
+    it('has no windows for a flexible trip', () => {
+        assert.deepEqual(tripWindows(trip({ date: '', time: '' })), []);
+    });
+});
+
+describe('holdsVehicles', () => {
+    const now = Date.parse('2027-03-01T10:00:00Z');
+
+    it('holds for confirmed and assigned bookings but not cancelled ones', () => {
+        assert.equal(holdsVehicles({ status: 'confirmed' }, now), true);
+        assert.equal(holdsVehicles({ status: 'assigned' }, now), true);
+        assert.equal(holdsVehicles({ status: 'cancelled' }, now), false);
+    });
+
+    it('holds for a quoted booking only until its quote expires', () => {
+        const quoted = { status: 'quoted', quoteExpiresAt: '2027-03-01T12:00:00Z' };
+        assert.equal(holdsVehicles(quoted, now), true);
+        assert.equal(holdsVehicles(quoted, now + 3 * HOUR), false);
+    });
+
+    it('falls back to the quote lifetime from when an older booking was made', () => {
+        const quoted = { status: 'quoted', createdAt: '2027-03-01T09:00:00Z' };
+        assert.equal(holdsVehicles(quoted, now), true);
+        assert.equal(holdsVehicles(quoted, now + 30 * 24 * HOUR), false);
+    });
+});
+
+describe('checkAvailability', () => {
+    it('counts overlapping bookings against the fleet', async () => {
+        await updateFleetVehicle('premier-sedan', { count: 2 });
+        await book({ time: '09:30' });
+
+        const one = await checkAvailability(trip());
+        assert.equal(one.available, true);
+        assert.equal(one.inUse, 1);
+
+        const two = await checkAvailability(trip({ vehicleCount: 2 }));
+        assert.equal(two.available, false);
+    });
+
+    it('ignores bookings that end before the trip starts', async () => {
+        await book({ time: '07:00' });
+        assert.equal((await checkAvailability(trip())).available, true);
+    });
+
+    it('lets a lapsed quote go and keeps a live one', async () => {
+        await book({ status: 'quoted', quoteExpiresAt: new Date(Date.now() - HOUR).toISOString() });
+        assert.equal((await checkAvailability(trip())).available, true);
+
+        await book({ status: 'quoted', quoteExpiresAt: new Date(Date.now() + HOUR).toISOString() });
+        assert.equal((await checkAvailability(trip())).available, false);
+    });
+
+    it('leaves out the booking being re-checked', async () => {
+        const booking = await book();
+        assert.equal((await checkAvailability(trip())).available, false);
+        assert.equal((await checkAvailability(trip(), { excludeReference: booking.bookingReference })).available, true);
+    });
+});
+
+describe('suggestAlternatives', () => {
+    it('never suggests a pickup after service hours', async () => {
+        await book({ time: '21:00' });
+        const { times } = await suggestAlternatives(trip({ time: '21:00' }), { rangeHours: 2 });
+
+        assert.ok(times.length > 0);
+        assert.ok(times.every(({ time }) => time <= '22:00'), JSON.stringify(times));
+    });
+
+    it('never suggests a return outside service hours', async () => {
+        await book({ time: '15:00' });
+        const late = trip({ time: '15:00', tripType: 'return', sameDayReturn: 'no', returnDate: '2027-03-11', returnTime: '21:30' });
+        const { times } = await suggestAlternatives(late, { rangeHours: 2 });
+
+        assert.ok(times.length > 0);
+        assert.ok(times.every(({ time }) => time < '15:00'), JSON.stringify(times));
+    });
+
+    it('suggests other vehicles that are free at the same time', async () => {
+        await book();
+        const { vehicles } = await suggestAlternatives(trip());
+
+        assert.ok(vehicles.includes('luxury-sedan'));
+        assert.ok(!vehicles.includes('premier-sedan'));
+    });
+});
+
+describe('withLock', () => {
+    it('runs work on the same lock one at a time', async () => {
+        const order = [];
+        const work = name => withLock('fleet:test', async () => {
+            order.push(`${name} start`);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            order.push(`${name} end`);
+        });
+
+        await Promise.all([work('a'), work('b')]);
+        assert.deepEqual(order.map(step => step.split(' ')[1]), ['start', 'end', 'start', 'end']);
+    });
+
+    it('releases the lock when the work throws', async () => {
+        await assert.rejects(withLock('fleet:test', async () => { throw new Error('boom'); }), /boom/);
+        assert.equal(await withLock('fleet:test', async () => 'again', { waitMs: 0 }), 'again');
+    });
+
+    it('gives up when the lock stays taken', async () => {
+        await withLock('fleet:test', () =>
+            assert.rejects(withLock('fleet:test', async () => {}, { waitMs: 60 }), /Timed out/));
+    });
+});
@@ -0,0 +1,32 @@
+// Call a Vercel handler with a fake request and response, and return the
+// response: { statusCode, headers, body }.
+export async function callHandler(handler, { method = 'POST', body = {}, query = {}, headers = {} } = {}) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(value) {
+            this.body = value;
+            return this;
+        },
+        send(value) {
+            this.body = value;
+            return this;
+        },
+        end(value) {
+            this.body = value;
+            return this;
+        },
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+            return this;
+        }
+    };
+
+    await handler({ method, body, query, headers, url: '/', socket: { remoteAddress: '192.0.2.1' } }, res);
+    return res;
+}
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { dayOfWeek, easterSunday, holidayOn, publicHolidays } from '../lib/holidays.js';
+
+describe('easterSunday', () => {
+    it('matches the published dates', () => {
+        assert.equal(easterSunday(2024), '2024-03-31');
+        assert.equal(easterSunday(2025), '2025-04-20');
+        assert.equal(easterSunday(2026), '2026-04-05');
+        assert.equal(easterSunday(2027), '2027-03-28');
+    });
+});
+
+describe('publicHolidays', () => {
+    it('has the fixed holidays and Good Friday and Family Day from Easter', () => {
+        const holidays = publicHolidays(2026);
+
+        assert.equal(holidays.get('2026-01-01'), "New Year's Day");
+        assert.equal(holidays.get('2026-12-16'), 'Day of Reconciliation');
+        assert.equal(holidays.get('2026-04-03'), 'Good Friday');
+        assert.equal(holidays.get('2026-04-06'), 'Family Day');
+        assert.deepEqual([...holidays.keys()], [...holidays.keys()].sort());
+    });
+
+    it('adds the Monday after a holiday that falls on a Sunday', () => {
+        assert.equal(dayOfWeek('2026-08-09'), 0);
+        assert.equal(holidayOn('2026-08-10'), "National Women's Day (observed)");
+        assert.equal(holidayOn('2027-12-27'), 'Day of Goodwill (observed)');
+    });
+
+    it('includes declared one-off days in their year only', () => {
+        assert.equal(holidayOn('2024-05-29'), 'General Election Day');
+        assert.equal(holidayOn('2025-05-29'), null);
+    });
+});
+
+describe('holidayOn', () => {
+    it('is null on ordinary days and for dates it can not read', () => {
+        assert.equal(holidayOn('2026-12-15'), null);
+        assert.equal(holidayOn('Flexible'), null);
+        assert.equal(holidayOn(undefined), null);
+    });
+});
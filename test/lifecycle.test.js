@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, afterEach, before, beforeEach, describe, it } from 'node:test';
+import { getBooking, saveBooking, updateBooking } from '../api/_lib/bookings.js';
+import { sampleEmailData } from '../api/_lib/emails/samples.js';
+import { BOOKING_STATUSES, canTransition, InvalidTransitionError, rescheduleBooking, transitionBooking } from '../api/_lib/lifecycle.js';
+import { createFileStore, createMemoryStore, setStore } from '../api/_lib/store.js';
+import adminBooking from '../api/admin/bookings/[reference].js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+const DRIVER = { name: 'Sipho Ndlovu', phone: '+27 82 555 0134', vehicleRegistration: 'GP 123-456' };
+
+let dir;
+let count = 0;
+
+async function book(changes = {}) {
+    const { booking } = sampleEmailData('quote', 'https://shuttle.example');
+    count += 1;
+    return saveBooking({ ...booking, bookingReference: `MSS-LIFE-${count}`, ...changes });
+}
+
+before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'lifecycle-test-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+    Object.assign(process.env, { ADMIN_API_KEY: 'admin-key', MAIL_TRANSPORT: 'console', SENDER_EMAIL: 'bookings@shuttle.example' });
+    setStore(createMemoryStore());
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('booking transitions', () => {
+    it('moves forward one step at a time and cancels from any open state', () => {
+        assert.ok(canTransition('quoted', 'confirmed'));
+        assert.ok(canTransition('confirmed', 'assigned'));
+        assert.ok(canTransition('assigned', 'completed'));
+        for (const from of ['quoted', 'confirmed', 'assigned']) {
+            assert.ok(canTransition(from, 'cancelled'), from);
+        }
+
+        assert.equal(canTransition('quoted', 'assigned'), false);
+        assert.equal(canTransition('confirmed', 'completed'), false);
+        assert.equal(canTransition('assigned', 'confirmed'), false);
+    });
+
+    it('never leaves completed or cancelled', () => {
+        for (const from of ['completed', 'cancelled']) {
+            for (const to of BOOKING_STATUSES) {
+                assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+            }
+        }
+    });
+
+    it('records the new status, when it happened and who made it', async () => {
+        const booking = await book();
+        const { booking: confirmed } = await transitionBooking(booking.bookingReference, 'confirmed', { actor: 'payment' });
+
+        assert.equal(confirmed.status, 'confirmed');
+        assert.ok(confirmed.confirmedAt);
+        assert.deepEqual(confirmed.statusHistory.map(entry => [entry.status, entry.actor]), [['quoted', 'customer'], ['confirmed', 'payment']]);
+        assert.equal((await getBooking(booking.bookingReference)).status, 'confirmed');
+    });
+
+    it('refuses a transition the booking is not in a state for, and leaves it unchanged', async () => {
+        const booking = await book();
+        await transitionBooking(booking.bookingReference, 'cancelled', { reason: 'Plans changed' });
+
+        await assert.rejects(transitionBooking(booking.bookingReference, 'confirmed'), InvalidTransitionError);
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.status, 'cancelled');
+        assert.equal(stored.cancellationReason, 'Plans changed');
+        assert.equal(stored.statusHistory.length, 2);
+    });
+
+    it('needs a driver to assign a booking', async () => {
+        const booking = await book();
+        await transitionBooking(booking.bookingReference, 'confirmed');
+
+        await assert.rejects(transitionBooking(booking.bookingReference, 'assigned'), /driver name is required/);
+
+        const { booking: assigned } = await transitionBooking(booking.bookingReference, 'assigned', { driver: DRIVER });
+        assert.deepEqual(assigned.driver, DRIVER);
+    });
+
+    it('returns null for an unknown booking', async () => {
+        assert.equal(await transitionBooking('MSS-NOPE', 'confirmed'), null);
+        assert.equal(await updateBooking('MSS-NOPE', { notes: 'x' }), null);
+    });
+});
+
+describe('rescheduling', () => {
+    const reschedule = (reference, body) => callHandler(adminBooking, {
+        method: 'POST',
+        query: { reference },
+        headers: { authorization: 'Bearer admin-key' },
+        body: { action: 'reschedule', ...body }
+    });
+
+    it('keeps the quoted price and records what the new times would change it by', async () => {
+        const booking = await book();
+
+        const { booking: sameFare } = await rescheduleBooking(booking.bookingReference, { date: '2026-12-15', time: '08:00', returnTime: '14:30' });
+        assert.equal(sameFare.fareDifference, 0);
+
+        const { booking: holiday } = await rescheduleBooking(booking.bookingReference, { date: '2026-12-16', time: '08:00', returnTime: '14:30' });
+        assert.ok(holiday.fareDifference > 0);
+        assert.equal(holiday.price, booking.price);
+        assert.equal(holiday.rescheduleHistory.at(-1).fareDifference, holiday.fareDifference);
+        assert.deepEqual(holiday.rescheduleHistory.at(-1).from, { date: '2026-12-15', time: '08:00', returnDate: '', returnTime: '14:30' });
+    });
+
+    it('moves the return by as much as the pickup', async () => {
+        const booking = await book({ date: '2026-12-01', time: '08:00', sameDayReturn: 'yes', returnTime: '14:30' });
+
+        const res = await reschedule(booking.bookingReference, { date: '2026-12-02', time: '09:30' });
+
+        assert.equal(res.statusCode, 200);
+        const stored = await getBooking(booking.bookingReference);
+        assert.deepEqual([stored.date, stored.time, stored.returnTime], ['2026-12-02', '09:30', '16:00']);
+    });
+
+    it('refuses a new time that puts the pickup or the return outside service hours, even when forced', async () => {
+        const booking = await book({ date: '2026-12-01', time: '08:00', sameDayReturn: 'yes', returnTime: '14:30' });
+
+        for (const time of ['04:30', '16:00']) {
+            const res = await reschedule(booking.bookingReference, { date: '2026-12-02', time, force: true });
+            assert.equal(res.statusCode, 400, time);
+            assert.equal(res.body.code, 'OUTSIDE_SERVICE_HOURS');
+        }
+        assert.equal((await getBooking(booking.bookingReference)).date, '2026-12-01');
+    });
+
+    it('lets force override a fully booked vehicle only', async () => {
+        const taken = await book({ date: '2026-12-02', time: '09:00' });
+        await transitionBooking(taken.bookingReference, 'confirmed');
+        const booking = await book({ date: '2026-12-01', time: '08:00' });
+
+        const refused = await reschedule(booking.bookingReference, { date: '2026-12-02', time: '09:00' });
+        assert.equal(refused.statusCode, 409);
+        assert.equal(refused.body.code, 'VEHICLE_UNAVAILABLE');
+
+        const forced = await reschedule(booking.bookingReference, { date: '2026-12-02', time: '09:00', force: true });
+        assert.equal(forced.statusCode, 200);
+        assert.equal((await getBooking(booking.bookingReference)).date, '2026-12-02');
+    });
+});
+
+describe('updating bookings at the same time', () => {
+    it('keeps both changes when a transition and a reschedule land together', async () => {
+        setStore(createFileStore(path.join(dir, 'bookings.json')));
+        const booking = await book({ date: '2026-12-01', time: '09:00' });
+
+        await Promise.all([
+            transitionBooking(booking.bookingReference, 'confirmed'),
+            rescheduleBooking(booking.bookingReference, { date: '2026-12-02', time: '10:00' })
+        ]);
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.status, 'confirmed');
+        assert.equal(stored.date, '2026-12-02');
+        assert.equal(stored.rescheduleHistory.length, 1);
+        assert.equal(stored.statusHistory.length, 2);
+    });
+
+    it('builds each change from the booking as stored at that moment', async () => {
+        setStore(createFileStore(path.join(dir, 'notes.json')));
+        const booking = await book({ notes: [] });
+
+        await Promise.all(['a', 'b', 'c'].map(note =>
+            updateBooking(booking.bookingReference, current => ({ notes: [...current.notes, note] }))));
+
+        assert.deepEqual((await getBooking(booking.bookingReference)).notes.sort(), ['a', 'b', 'c']);
+    });
+});
@@ -0,0 +1,200 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getBooking, saveBooking } from '../api/_lib/bookings.js';
+import { sampleEmailData } from '../api/_lib/emails/samples.js';
+import { sendReminder, textCustomer, transitionBooking } from '../api/_lib/lifecycle.js';
+import { getMessagingProvider, messagingConfigError } from '../api/_lib/messaging/index.js';
+import { MESSAGE_TEMPLATES, renderMessage } from '../api/_lib/messaging/messages.js';
+import { clearMockMessages, mockMessages } from '../api/_lib/messaging/mock.js';
+import { listOutbox, processOutbox } from '../api/_lib/outbox.js';
+import { createMemoryStore, getStore, setStore } from '../api/_lib/store.js';
+
+const ENV = { ...process.env };
+const DRIVER = { name: 'Sipho Ndlovu', phone: '+27 82 555 0134', vehicleRegistration: 'GP 123-456' };
+
+// Only characters in the GSM-7 default alphabet keep an SMS at 160 characters a part
+const GSM_7 = /^[A-Za-z0-9 @£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ!"#¤%&'()*+,\-./:;<=>?¡ÄÖÑÜ§¿äöñüà]*$/;
+
+async function bookWith(changes) {
+    const { booking } = sampleEmailData('quote', 'https://shuttle.example');
+    return saveBooking({ ...booking, bookingReference: `MSS-TEST-${Date.now()}`, ...changes });
+}
+
+beforeEach((t) => {
+    Object.assign(process.env, { MAIL_TRANSPORT: 'console', SENDER_EMAIL: 'bookings@shuttle.example' });
+    delete process.env.MESSAGING_PROVIDER;
+    delete process.env.MOCK_MESSAGING_FAIL;
+    delete process.env.VERCEL_ENV;
+    setStore(createMemoryStore());
+    clearMockMessages();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('text messages', () => {
+    for (const name of MESSAGE_TEMPLATES) {
+        it(`renders the ${name} message in GSM-7 characters`, () => {
+            const { booking } = sampleEmailData('assigned', 'https://shuttle.example');
+            const { template, text } = renderMessage(name, booking);
+
+            assert.equal(template, name);
+            assert.match(text, new RegExp(booking.bookingReference));
+            assert.match(text, GSM_7);
+            assert.doesNotMatch(text, /undefined|NaN|\[object/);
+        });
+    }
+
+    it('writes several vehicles as "x 2", which GSM-7 has', () => {
+        const { booking } = sampleEmailData('assigned', 'https://shuttle.example');
+        const { text, variables } = renderMessage('booking-summary', { ...booking, vehicleType: 'minibus', vehicleCount: 2 });
+
+        assert.match(text, / x 2, /);
+        assert.match(text, GSM_7);
+        assert.ok(variables.includes('Minibus x 2'));
+    });
+
+    it('refuses unknown templates', () => {
+        assert.throws(() => renderMessage('nope', {}), /Unknown message template "nope"/);
+    });
+});
+
+describe('messaging providers', () => {
+    it('refuses the mock provider in production unless allowed', () => {
+        process.env.VERCEL_ENV = 'production';
+        assert.match(messagingConfigError('sms'), /MESSAGING_PROVIDER is not configured/);
+
+        process.env.MESSAGING_PROVIDER = 'mock';
+        assert.match(messagingConfigError('sms'), /mock messaging provider is disabled in production/);
+
+        process.env.ALLOW_MOCK_MESSAGING = 'true';
+        assert.equal(messagingConfigError('sms'), null);
+    });
+
+    it('only offers the Twilio channels that have a sender', () => {
+        Object.assign(process.env, {
+            MESSAGING_PROVIDER: 'twilio',
+            TWILIO_ACCOUNT_SID: 'AC123',
+            TWILIO_AUTH_TOKEN: 'token',
+            TWILIO_SMS_FROM: '+15550001234'
+        });
+        delete process.env.TWILIO_WHATSAPP_FROM;
+
+        assert.equal(messagingConfigError('sms'), null);
+        assert.match(messagingConfigError('whatsapp'), /can't send whatsapp messages/);
+    });
+
+    it('only offers WhatsApp once every message has an approved template', () => {
+        Object.assign(process.env, {
+            MESSAGING_PROVIDER: 'twilio',
+            TWILIO_ACCOUNT_SID: 'AC123',
+            TWILIO_AUTH_TOKEN: 'token',
+            TWILIO_WHATSAPP_FROM: '+15550001234',
+            WHATSAPP_TEMPLATE_BOOKING_SUMMARY: 'HX111',
+            WHATSAPP_TEMPLATE_REMINDER: 'HX222'
+        });
+        assert.match(messagingConfigError('whatsapp'), /set WHATSAPP_TEMPLATE_ASSIGNED$/);
+
+        process.env.WHATSAPP_TEMPLATE_ASSIGNED = 'HX333';
+        assert.equal(messagingConfigError('whatsapp'), null);
+    });
+
+    it('sends WhatsApp through Twilio as a Content template', async (t) => {
+        Object.assign(process.env, {
+            MESSAGING_PROVIDER: 'twilio',
+            TWILIO_ACCOUNT_SID: 'AC123',
+            TWILIO_AUTH_TOKEN: 'token',
+            TWILIO_WHATSAPP_FROM: '+15550001234'
+        });
+        const fetch = t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ sid: 'SM1' })));
+
+        await getMessagingProvider().send({
+            channel: 'whatsapp',
+            to: '+27821234567',
+            body: 'Free-form text',
+            template: { id: 'HX111', variables: { 1: 'MSS-1', 2: 'Sandton' } }
+        });
+
+        const params = new URLSearchParams(fetch.mock.calls[0].arguments[1].body);
+        assert.equal(params.get('To'), 'whatsapp:+27821234567');
+        assert.equal(params.get('ContentSid'), 'HX111');
+        assert.deepEqual(JSON.parse(params.get('ContentVariables')), { 1: 'MSS-1', 2: 'Sandton' });
+        assert.equal(params.get('Body'), null);
+    });
+});
+
+describe('texting customers through the mock provider', () => {
+    it('sends nothing to customers who chose email', async () => {
+        const booking = await bookWith({ notificationChannel: 'email' });
+
+        assert.equal(await textCustomer(booking, 'booking-summary'), false);
+        assert.deepEqual(mockMessages(), []);
+    });
+
+    it('texts the booking summary to the customer in E.164 form', async () => {
+        const booking = await bookWith({ notificationChannel: 'whatsapp', phone: '082 123 4567' });
+
+        assert.equal(await textCustomer(booking, 'booking-summary'), true);
+
+        const [message] = mockMessages();
+        assert.equal(message.channel, 'whatsapp');
+        assert.equal(message.template, null);
+        assert.equal(message.to, '+27821234567');
+        assert.match(message.body, /received/);
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.messageDelivery['booking-summary'].status, 'sent');
+        assert.equal(stored.messageDelivery['booking-summary'].channel, 'whatsapp');
+    });
+
+    it('sends WhatsApp messages with their template and variables when one is set', async () => {
+        process.env.WHATSAPP_TEMPLATE_BOOKING_SUMMARY = 'HX111';
+        const booking = await bookWith({ notificationChannel: 'whatsapp' });
+
+        await textCustomer(booking, 'booking-summary');
+
+        const [message] = mockMessages();
+        assert.equal(message.template.id, 'HX111');
+        assert.equal(message.template.variables['1'], booking.bookingReference);
+    });
+
+    it('texts the driver details on assignment and the pickup reminder', async () => {
+        const booking = await bookWith({ notificationChannel: 'sms' });
+        await transitionBooking(booking.bookingReference, 'confirmed');
+        const { booking: assigned } = await transitionBooking(booking.bookingReference, 'assigned', { driver: DRIVER });
+        await sendReminder(assigned);
+
+        const [driverMessage, reminder] = mockMessages();
+        assert.match(driverMessage.body, /your driver .* is Sipho Ndlovu/);
+        assert.match(reminder.body, /reminder: your pickup is/);
+        assert.ok((await getBooking(booking.bookingReference)).remindedAt);
+    });
+
+    it('keeps a failed text in the outbox and retries it', async () => {
+        const booking = await bookWith({ notificationChannel: 'sms' });
+
+        process.env.MOCK_MESSAGING_FAIL = 'true';
+        assert.equal(await textCustomer(booking, 'booking-summary'), false);
+        assert.deepEqual(mockMessages(), []);
+
+        const [entry] = await listOutbox({ status: 'retrying' });
+        assert.equal(entry.channel, 'sms');
+        assert.match(entry.lastError, /MOCK_MESSAGING_FAIL/);
+
+        // Make the retry due now
+        const stored = await getStore().get('outbox', entry.id);
+        await getStore().put('outbox', entry.id, { ...stored, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+
+        delete process.env.MOCK_MESSAGING_FAIL;
+        assert.deepEqual(await processOutbox(), { attempted: 1, sent: 1, failed: 0 });
+        assert.equal(mockMessages().length, 1);
+
+        const delivery = (await getBooking(booking.bookingReference)).messageDelivery['booking-summary'];
+        assert.equal(delivery.status, 'sent');
+        assert.equal(delivery.attempts, 2);
+    });
+});
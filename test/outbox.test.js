@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { processOutbox, queueEmail, retryEmail } from '../api/_lib/outbox.js';
+import { createMemoryStore, getStore, setStore } from '../api/_lib/store.js';
+import outbox from '../api/admin/outbox.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+const CONTENT = { template: 'quote', subject: 'Your quote', html: '<p>Hi</p>', text: 'Hi' };
+
+// Queue an email while the mail transport is broken, and make its retry due now
+async function queueFailedEmail() {
+    process.env.MAIL_TRANSPORT = 'broken';
+    const entry = await queueEmail({ to: ['ann@example.com'], content: CONTENT });
+    await getStore().put('outbox', entry.id, { ...entry, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+    process.env.MAIL_TRANSPORT = 'console';
+    return entry;
+}
+
+beforeEach((t) => {
+    Object.assign(process.env, { ADMIN_API_KEY: 'admin-key', CRON_SECRET: 'cron-secret', SENDER_EMAIL: 'bookings@shuttle.example' });
+    setStore(createMemoryStore());
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('/api/admin/outbox', () => {
+    it('sends what is due when the cron job calls with the CRON_SECRET', async () => {
+        const entry = await queueFailedEmail();
+
+        const res = await callHandler(outbox, { method: 'GET', headers: { authorization: 'Bearer cron-secret' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { success: true, attempted: 1, sent: 1, failed: 0 });
+        assert.equal((await getStore().get('outbox', entry.id)).status, 'sent');
+    });
+
+    it('lists the outbox for an admin GET without sending anything', async () => {
+        await queueFailedEmail();
+
+        const res = await callHandler(outbox, { method: 'GET', headers: { authorization: 'Bearer admin-key' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.count, 1);
+        assert.equal(res.body.emails[0].status, 'retrying');
+    });
+
+    it('refuses a wrong cron secret', async () => {
+        const res = await callHandler(outbox, { method: 'GET', headers: { authorization: 'Bearer guess' } });
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('ignores cron calls when CRON_SECRET is not set', async () => {
+        delete process.env.CRON_SECRET;
+        const res = await callHandler(outbox, { method: 'GET', headers: { authorization: 'Bearer ' } });
+        assert.equal(res.statusCode, 401);
+    });
+});
+
+describe('claiming outbox entries', () => {
+    it('leaves an entry alone while its send is in flight', async () => {
+        process.env.MAIL_TRANSPORT = 'console';
+        const entry = await queueEmail({ to: ['ann@example.com'], content: CONTENT });
+        // As the inline send left it before its result was recorded
+        await getStore().put('outbox', entry.id, { ...entry, status: 'sending', nextAttemptAt: new Date(Date.now() + 60000).toISOString() });
+
+        assert.deepEqual(await processOutbox(), { attempted: 0, sent: 0, failed: 0 });
+        await assert.rejects(retryEmail(entry.id), /is being sent right now/);
+    });
+
+    it('retries an entry whose send died once its claim runs out', async () => {
+        process.env.MAIL_TRANSPORT = 'console';
+        const entry = await queueEmail({ to: ['ann@example.com'], content: CONTENT });
+        await getStore().put('outbox', entry.id, { ...entry, status: 'sending', nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+
+        assert.deepEqual(await processOutbox(), { attempted: 1, sent: 1, failed: 0 });
+    });
+
+    it('sends a due entry once when two runs overlap', async () => {
+        await queueFailedEmail();
+
+        const runs = await Promise.all([processOutbox(), processOutbox()]);
+
+        assert.equal(runs[0].attempted + runs[1].attempted, 1);
+    });
+});
@@ -0,0 +1,143 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { getBooking, saveBooking } from '../api/_lib/bookings.js';
+import { sampleEmailData } from '../api/_lib/emails/samples.js';
+import { transitionBooking } from '../api/_lib/lifecycle.js';
+import { SIGNATURE_HEADER, signNotification } from '../api/_lib/payments/fake.js';
+import { createPaymentSession, getPaymentGateway, processPaymentNotification } from '../api/_lib/payments/index.js';
+import { createMemoryStore, setStore } from '../api/_lib/store.js';
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+    delete process.env.PAYMENT_GATEWAY;
+    delete process.env.FAKE_GATEWAY_SECRET;
+    delete process.env.VERCEL_ENV;
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setStore(null);
+});
+
+describe('payment gateway selection', () => {
+    it('has no default gateway', () => {
+        assert.throws(() => getPaymentGateway(), /PAYMENT_GATEWAY is not configured/);
+    });
+
+    it('needs a FAKE_GATEWAY_SECRET for the fake gateway', () => {
+        process.env.PAYMENT_GATEWAY = 'fake';
+        assert.throws(() => getPaymentGateway(), /FAKE_GATEWAY_SECRET/);
+        assert.throws(() => signNotification('{}'), /FAKE_GATEWAY_SECRET/);
+    });
+
+    it('refuses the fake gateway in production unless allowed', () => {
+        Object.assign(process.env, { PAYMENT_GATEWAY: 'fake', FAKE_GATEWAY_SECRET: 'test-secret', VERCEL_ENV: 'production' });
+        assert.throws(() => getPaymentGateway(), /disabled in production/);
+    });
+});
+
+describe('fake gateway notifications', () => {
+    const rawBody = JSON.stringify({ sessionId: 'pay_1', status: 'paid', amount: '100.00', paymentId: 'fake_1' });
+
+    beforeEach(() => {
+        Object.assign(process.env, { PAYMENT_GATEWAY: 'fake', FAKE_GATEWAY_SECRET: 'test-secret' });
+    });
+
+    it('accepts a notification signed with the secret', async () => {
+        const result = await getPaymentGateway().verifyNotification({
+            headers: { [SIGNATURE_HEADER]: signNotification(rawBody) },
+            rawBody
+        });
+        assert.equal(result.verified, true);
+        assert.equal(result.status, 'paid');
+    });
+
+    it('rejects a notification signed with another secret', async () => {
+        const signature = signNotification(rawBody);
+        process.env.FAKE_GATEWAY_SECRET = 'another-secret';
+
+        const result = await getPaymentGateway().verifyNotification({ headers: { [SIGNATURE_HEADER]: signature }, rawBody });
+        assert.equal(result.verified, false);
+    });
+});
+
+describe('payment notifications', () => {
+    let count = 0;
+
+    async function book() {
+        const { booking } = sampleEmailData('quote', 'https://shuttle.example');
+        count += 1;
+        return saveBooking({ ...booking, bookingReference: `MSS-PAY-${count}`, price: 450 });
+    }
+
+    function notify(session, status) {
+        const rawBody = JSON.stringify({ sessionId: session.sessionId, status, amount: session.amount.toFixed(2), paymentId: `fake_${session.sessionId}` });
+        return processPaymentNotification({ headers: { [SIGNATURE_HEADER]: signNotification(rawBody) }, rawBody });
+    }
+
+    beforeEach((t) => {
+        Object.assign(process.env, { PAYMENT_GATEWAY: 'fake', FAKE_GATEWAY_SECRET: 'test-secret', MAIL_TRANSPORT: 'console', SENDER_EMAIL: 'bookings@shuttle.example' });
+        setStore(createMemoryStore());
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+    });
+
+    it('marks the booking paid from its current session', async () => {
+        const booking = await book();
+        const session = await createPaymentSession(booking, 'https://shuttle.example');
+
+        assert.deepEqual(await notify(session, 'paid'), { ok: true, status: 'paid', bookingReference: booking.bookingReference });
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.payment.status, 'paid');
+        assert.equal(stored.payment.sessionId, session.sessionId);
+    });
+
+    it('keeps a paid booking paid when another session fails', async () => {
+        const booking = await book();
+        const older = await createPaymentSession(booking, 'https://shuttle.example');
+        const current = await createPaymentSession(booking, 'https://shuttle.example');
+        await notify(current, 'paid');
+
+        assert.equal((await notify(older, 'failed')).status, 'ignored');
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.payment.status, 'paid');
+        assert.equal(stored.payment.sessionId, current.sessionId);
+        assert.equal(stored.refundsDue, undefined);
+    });
+
+    it('flags the second payment for a refund when two sessions are both paid', async () => {
+        const booking = await book();
+        const older = await createPaymentSession(booking, 'https://shuttle.example');
+        const current = await createPaymentSession(booking, 'https://shuttle.example');
+
+        await notify(current, 'paid');
+        assert.equal((await notify(older, 'paid')).status, 'refund-due');
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.payment.sessionId, current.sessionId);
+        assert.equal(stored.refundsDue.length, 1);
+        assert.equal(stored.refundsDue[0].sessionId, older.sessionId);
+        assert.equal(stored.refundsDue[0].amount, 450);
+
+        // The gateway retrying the same notification doesn't flag it twice
+        await notify(older, 'paid');
+        assert.equal((await getBooking(booking.bookingReference)).refundsDue.length, 1);
+    });
+
+    it('flags a payment for a cancelled booking for a refund instead of recording it', async () => {
+        const booking = await book();
+        const session = await createPaymentSession(booking, 'https://shuttle.example');
+        await transitionBooking(booking.bookingReference, 'cancelled', { reason: 'Plans changed' });
+
+        assert.equal((await notify(session, 'paid')).status, 'refund-due');
+
+        const stored = await getBooking(booking.bookingReference);
+        assert.equal(stored.payment.status, 'pending');
+        assert.equal(stored.invoice, undefined);
+        assert.match(stored.refundsDue[0].reason, /has been cancelled/);
+    });
+});
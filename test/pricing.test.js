@@ -0,0 +1,243 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { setRateLimitStore } from '../api/_lib/rate-limit.js';
+import price from '../api/price.js';
+import {
+    applicableSurcharges, BASE_FEE, billableWaitHours, calculateFare, describeVehicles, fareSchedule, MAX_PASSENGERS,
+    MAX_STOPS, pricesMatch, recommendVehicle, RETURN_BASE_FEE, returnGap, roundCurrency, STOP_FEE, VEHICLE_CAPACITY,
+    VEHICLE_RATES, vehiclesNeeded, WAIT_RATE_PER_HOUR
+} from '../lib/pricing.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+    process.env.SIGNING_SECRET = 'test-secret';
+    setRateLimitStore(null);
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setRateLimitStore(undefined);
+});
+
+describe('calculateFare', () => {
+    it('charges the base fee plus the vehicle rate per km', () => {
+        const fare = calculateFare({ distance: 20, vehicleType: 'premier-sedan' });
+
+        assert.equal(fare.baseFee, BASE_FEE);
+        assert.equal(fare.distanceCharge, 20 * VEHICLE_RATES['premier-sedan']);
+        assert.equal(fare.total, BASE_FEE + 20 * VEHICLE_RATES['premier-sedan']);
+        assert.deepEqual(fare.lines.map(line => line.code), ['base', 'distance']);
+        assert.equal(fare.lines.reduce((sum, line) => sum + line.amount, 0), fare.total);
+    });
+
+    it('rounds the distance charge to cents', () => {
+        const fare = calculateFare({ distance: 12.345, vehicleType: 'luxury-sedan' });
+        assert.equal(fare.distanceCharge, roundCurrency(12.345 * VEHICLE_RATES['luxury-sedan']));
+        assert.equal(fare.total, roundCurrency(BASE_FEE + fare.distanceCharge));
+    });
+
+    it('charges every vehicle of a split booking', () => {
+        const one = calculateFare({ distance: 20, vehicleType: 'minibus' });
+        const two = calculateFare({ distance: 20, vehicleType: 'minibus', vehicleCount: 2 });
+
+        assert.equal(two.total, one.total * 2);
+        assert.match(two.lines[0].label, /2 vehicles/);
+    });
+
+    it('adds the stop fee per stop and per vehicle', () => {
+        const fare = calculateFare({ distance: 20, vehicleType: 'suv', stops: 2, vehicleCount: 2 });
+
+        assert.equal(fare.stopFee, STOP_FEE * 2 * 2);
+        assert.ok(fare.lines.some(line => line.code === 'stops' && line.amount === fare.stopFee));
+    });
+
+    it('refuses a fare it can not price', () => {
+        assert.throws(() => calculateFare({ distance: 0, vehicleType: 'suv' }), /positive number/);
+        assert.throws(() => calculateFare({ distance: 'far', vehicleType: 'suv' }), /positive number/);
+        assert.throws(() => calculateFare({ distance: 10, vehicleType: 'limo' }), /Unknown vehicle type/);
+        assert.throws(() => calculateFare({ distance: 10, vehicleType: 'suv', vehicleCount: 0 }), /Vehicle count/);
+        assert.throws(() => calculateFare({ distance: 10, vehicleType: 'suv', stops: MAX_STOPS + 1 }), /Stops/);
+    });
+});
+
+describe('pricesMatch', () => {
+    it('accepts a client total within a cent of ours', () => {
+        assert.ok(pricesMatch('210.00', 210));
+        assert.ok(pricesMatch(210.01, 210));
+        assert.ok(!pricesMatch(209.5, 210));
+        assert.ok(!pricesMatch('free', 210));
+    });
+});
+
+describe('vehiclesNeeded', () => {
+    it('fits a group that a vehicle can seat in one of them', () => {
+        assert.equal(vehiclesNeeded('premier-sedan', VEHICLE_CAPACITY['premier-sedan']), 1);
+        assert.equal(vehiclesNeeded('minibus', 1), 1);
+    });
+
+    it('refuses a small vehicle while a bigger single vehicle could take the group', () => {
+        assert.equal(vehiclesNeeded('premier-sedan', VEHICLE_CAPACITY['premier-sedan'] + 1), null);
+        assert.equal(vehiclesNeeded('van-14-seater', VEHICLE_CAPACITY.minibus), null);
+    });
+
+    it('splits a group too big for any vehicle, up to the vehicle limit', () => {
+        assert.equal(vehiclesNeeded('minibus', VEHICLE_CAPACITY.minibus + 1), 2);
+        assert.equal(vehiclesNeeded('suv', 20), 4);
+        assert.equal(vehiclesNeeded('suv', 25), null);
+        assert.equal(vehiclesNeeded('minibus', MAX_PASSENGERS), 4);
+    });
+
+    it('refuses group sizes we do not take', () => {
+        for (const passengers of [0, 1.5, MAX_PASSENGERS + 1]) {
+            assert.equal(vehiclesNeeded('minibus', passengers), null, String(passengers));
+        }
+    });
+});
+
+describe('recommendVehicle', () => {
+    it('picks the cheapest vehicle that seats the group', () => {
+        assert.deepEqual(recommendVehicle(2), { vehicleType: 'premier-sedan', vehicleCount: 1 });
+        assert.deepEqual(recommendVehicle(5), { vehicleType: 'suv', vehicleCount: 1 });
+        assert.deepEqual(recommendVehicle(10), { vehicleType: 'minibus', vehicleCount: 1 });
+    });
+
+    it('compares whole fares for a split when it knows the distance', () => {
+        const recommended = recommendVehicle(20, { distance: 40 });
+        const fares = ['suv', 'van-14-seater', 'minibus'].map(vehicleType =>
+            calculateFare({ distance: 40, vehicleType, vehicleCount: vehiclesNeeded(vehicleType, 20) }).total);
+
+        const fare = calculateFare({ distance: 40, ...recommended });
+        assert.equal(fare.total, Math.min(...fares));
+    });
+
+    it('has nothing for an invalid group', () => {
+        assert.equal(recommendVehicle(0), null);
+    });
+});
+
+describe('describeVehicles', () => {
+    it('names the vehicles and how many', () => {
+        assert.equal(describeVehicles('minibus'), 'Minibus');
+        assert.equal(describeVehicles('minibus', 3), 'Minibus × 3');
+    });
+});
+
+describe('/api/price passenger checks', () => {
+    it('refuses a vehicle too small for the group and recommends one', async () => {
+        const res = await callHandler(price, { body: { routeToken: 'token', vehicleType: 'premier-sedan', passengers: 6 } });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VEHICLE_TOO_SMALL');
+        assert.deepEqual(res.body.recommended, { vehicleType: 'suv', vehicleCount: 1 });
+    });
+});
+
+describe('surcharges', () => {
+    const codes = when => applicableSurcharges(when).map(rule => rule.code);
+
+    it('charges early mornings before 07:00 and evenings from 20:00', () => {
+        assert.deepEqual(codes({ date: '2026-12-15', time: '06:59' }), ['early']);
+        assert.deepEqual(codes({ date: '2026-12-15', time: '07:00' }), []);
+        assert.deepEqual(codes({ date: '2026-12-15', time: '19:59' }), []);
+        assert.deepEqual(codes({ date: '2026-12-15', time: '20:00' }), ['late']);
+    });
+
+    it('charges Sundays and public holidays, and a Sunday holiday at the holiday rate only', () => {
+        assert.deepEqual(codes({ date: '2026-12-13', time: '10:00' }), ['sunday']);
+        assert.deepEqual(codes({ date: '2026-12-16', time: '10:00' }), ['holiday']);
+        assert.deepEqual(codes({ date: '2026-08-09', time: '10:00' }), ['holiday']);
+    });
+
+    it('adds a time and a day surcharge together', () => {
+        assert.deepEqual(codes({ date: '2026-12-13', time: '06:00' }), ['early', 'sunday']);
+    });
+
+    it('has no time surcharge when the time is not known', () => {
+        assert.deepEqual(codes({ date: '2026-12-15', time: null }), []);
+    });
+
+    it('adds each surcharge to the fare as its own line', () => {
+        const trip = { distance: 20, vehicleType: 'premier-sedan' };
+        const plain = calculateFare(trip);
+        const holiday = calculateFare({ ...trip, schedule: fareSchedule({ date: '2026-12-16', time: '10:00' }) });
+
+        assert.equal(holiday.surcharge, roundCurrency(plain.total * 0.25));
+        assert.equal(holiday.total, roundCurrency(plain.total * 1.25));
+        assert.deepEqual(holiday.lines.filter(line => line.code === 'surcharge').map(line => line.label), ['Public Holiday Surcharge (25%)']);
+    });
+
+    it('charges the way back by its own date and time', () => {
+        const trip = { distance: 20, vehicleType: 'premier-sedan', tripType: 'return' };
+        const schedule = fareSchedule({ tripType: 'return', date: '2026-12-12', time: '10:00', sameDayReturn: 'no', returnDate: '2026-12-13', returnTime: '10:00' });
+        const fare = calculateFare({ ...trip, schedule });
+
+        assert.deepEqual(fare.surcharges.map(line => [line.code, line.leg]), [['sunday', 'inbound']]);
+        assert.equal(fare.surcharges[0].amount, roundCurrency((20 * VEHICLE_RATES['premier-sedan'] + fare.returnBaseFee) * 0.1));
+    });
+
+    it('prices a flexible date without surcharges', () => {
+        assert.equal(fareSchedule({ date: 'Flexible', time: '10:00' }), null);
+    });
+});
+
+describe('/api/price service hours', () => {
+    it('refuses a pickup outside service hours', async () => {
+        const res = await callHandler(price, { body: { routeToken: 'token', date: '2026-12-15', time: '04:30' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'OUTSIDE_SERVICE_HOURS');
+    });
+});
+
+describe('return trips', () => {
+    const RATE = VEHICLE_RATES['premier-sedan'];
+    const trip = { distance: 20, duration: 30, vehicleType: 'premier-sedan', tripType: 'return' };
+    const sameDay = returnTime => fareSchedule({ tripType: 'return', date: '2026-12-15', time: '08:00', sameDayReturn: 'yes', returnTime });
+
+    it('charges the distance both ways with one base fee', () => {
+        const fare = calculateFare(trip);
+
+        assert.equal(fare.distanceCharge, 40 * RATE);
+        assert.equal(fare.total, BASE_FEE + 40 * RATE);
+    });
+
+    it('charges the way back by its own distance when it runs between other addresses', () => {
+        const fare = calculateFare({ ...trip, returnDistance: 25 });
+
+        assert.equal(fare.returnDistance, 25);
+        assert.equal(fare.distanceCharge, 45 * RATE);
+        assert.throws(() => calculateFare({ ...trip, returnDistance: -1 }), /Return distance/);
+    });
+
+    it('charges waiting after the free half hour, per started half hour and per vehicle', () => {
+        assert.equal(billableWaitHours(30), 0);
+        assert.equal(billableWaitHours(31), 0.5);
+        assert.equal(billableWaitHours(90), 1);
+        assert.equal(billableWaitHours(null), 0);
+
+        // Arrives 08:30, picks up again at 10:00
+        const fare = calculateFare({ ...trip, vehicleCount: 2, schedule: sameDay('10:00') });
+        assert.equal(fare.waitMinutes, 90);
+        assert.equal(fare.waitHours, 1);
+        assert.equal(fare.waitingCharge, WAIT_RATE_PER_HOUR * 2);
+        assert.ok(fare.lines.some(line => line.code === 'waiting' && line.amount === fare.waitingCharge));
+    });
+
+    it('charges a return base fee instead of waiting when the way back is another day', () => {
+        const schedule = fareSchedule({ tripType: 'return', date: '2026-12-15', time: '08:00', sameDayReturn: 'no', returnDate: '2026-12-17', returnTime: '10:00' });
+        const fare = calculateFare({ ...trip, schedule });
+
+        assert.equal(fare.waitingCharge, 0);
+        assert.equal(fare.returnBaseFee, RETURN_BASE_FEE);
+        assert.equal(fare.total, BASE_FEE + RETURN_BASE_FEE + 40 * RATE);
+    });
+
+    it('works out the wait from the schedule and the drive time', () => {
+        assert.deepEqual(returnGap(sameDay('09:15'), 30), { sameDay: true, waitMinutes: 45 });
+        assert.deepEqual(returnGap(sameDay('08:10'), 30), { sameDay: true, waitMinutes: 0 });
+        assert.deepEqual(returnGap(sameDay(''), 30), { sameDay: true, waitMinutes: null });
+        assert.deepEqual(returnGap(null, 30), { sameDay: true, waitMinutes: null });
+    });
+});
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { issueQuote, issueRouteToken, QUOTE_TTL_SECONDS, readQuoteToken } from '../api/_lib/quotes.js';
+import { setRateLimitStore } from '../api/_lib/rate-limit.js';
+import quote from '../api/quote.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+
+const ROUTE = {
+    pickupAddress: 'Sandton City, Sandton',
+    dropoffAddress: 'OR Tambo International Airport, Kempton Park',
+    distance: 30,
+    duration: 30
+};
+
+function signQuote() {
+    return issueQuote(ROUTE, { vehicleType: 'premier-sedan', tripType: 'single', passengers: 2 });
+}
+
+// Swap the payload for another one, keeping the original signature
+function tamper(token, change) {
+    const [body, signature] = token.split('.');
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    change(payload);
+    return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+}
+
+beforeEach(() => {
+    Object.assign(process.env, {
+        SIGNING_SECRET: 'test-secret', MAIL_TRANSPORT: 'console',
+        SENDER_EMAIL: 'bookings@shuttle.example', OWNER_EMAIL: 'owner@shuttle.example'
+    });
+    setRateLimitStore(null);
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setRateLimitStore(undefined);
+});
+
+describe('quote tokens', () => {
+    it('carry the fare for 24 hours', () => {
+        const { quote: fare, quoteToken, issuedAt, expiresAt } = signQuote();
+        const read = readQuoteToken(quoteToken);
+
+        assert.equal(read.valid, true);
+        assert.equal(read.data.fare.total, fare.total);
+        assert.equal(Date.parse(expiresAt) - Date.parse(issuedAt), QUOTE_TTL_SECONDS * 1000);
+    });
+
+    it('expire after 24 hours', (t) => {
+        const { quoteToken, expiresAt } = signQuote();
+        t.mock.method(Date, 'now', () => Date.parse(expiresAt));
+
+        assert.deepEqual(readQuoteToken(quoteToken), { valid: false, expired: true, error: 'Token has expired' });
+    });
+
+    it('refuse a changed fare or a pushed-back expiry', () => {
+        const { quoteToken } = signQuote();
+
+        for (const change of [payload => { payload.data.fare.total = 1; }, payload => { payload.exp += 1000; }]) {
+            const read = readQuoteToken(tamper(quoteToken, change));
+            assert.equal(read.valid, false);
+            assert.equal(read.expired, false);
+        }
+    });
+
+    it('refuse tokens signed with another secret or for another purpose', () => {
+        const { quoteToken } = signQuote();
+        const routeToken = issueRouteToken(ROUTE).token;
+        process.env.SIGNING_SECRET = 'another-secret';
+        const foreign = signQuote().quoteToken;
+        process.env.SIGNING_SECRET = 'test-secret';
+
+        assert.equal(readQuoteToken(quoteToken).valid, true);
+        assert.equal(readQuoteToken(foreign).valid, false);
+        assert.equal(readQuoteToken(routeToken).valid, false);
+        assert.equal(readQuoteToken(`${quoteToken}.extra`).valid, false);
+        assert.equal(readQuoteToken('not-a-token').valid, false);
+    });
+});
+
+describe('/api/quote with a quote token', () => {
+    const book = quoteToken => callHandler(quote, {
+        body: { name: 'Thandi Mokoena', email: 'thandi@example.com', phone: '+27 82 123 4567', quoteToken }
+    });
+
+    it('asks for a new quote once the old one has expired', async (t) => {
+        const { quoteToken, expiresAt } = signQuote();
+        t.mock.method(Date, 'now', () => Date.parse(expiresAt) + 1);
+
+        const res = await book(quoteToken);
+
+        assert.equal(res.statusCode, 410);
+        assert.equal(res.body.code, 'QUOTE_EXPIRED');
+    });
+
+    it('refuses a tampered quote', async () => {
+        const res = await book(tamper(signQuote().quoteToken, payload => { payload.data.fare.total = 1; }));
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'QUOTE_INVALID');
+    });
+});
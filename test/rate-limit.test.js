@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { clientIp } from '../api/_lib/http.js';
+import { setRateLimitStore } from '../api/_lib/rate-limit.js';
+import { createMemoryStore } from '../api/_lib/store.js';
+import availability from '../api/availability.js';
+import pay from '../api/pay/index.js';
+import price from '../api/price.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+
+beforeEach((t) => {
+    process.env.SIGNING_SECRET = 'test-secret';
+    delete process.env.VERCEL;
+    setRateLimitStore(createMemoryStore());
+    t.mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setRateLimitStore(undefined);
+});
+
+describe('clientIp', () => {
+    const request = headers => ({ headers, socket: { remoteAddress: '192.0.2.1' } });
+
+    it('takes the last x-forwarded-for entry, not the one the client sent', () => {
+        assert.equal(clientIp(request({ 'x-forwarded-for': '203.0.113.9, 198.51.100.7' })), '198.51.100.7');
+    });
+
+    it('trusts x-real-ip on Vercel', () => {
+        process.env.VERCEL = '1';
+        assert.equal(clientIp(request({ 'x-forwarded-for': '203.0.113.9, 198.51.100.7', 'x-real-ip': '198.51.100.8' })), '198.51.100.8');
+    });
+
+    it('falls back to x-real-ip and then the socket', () => {
+        assert.equal(clientIp(request({ 'x-real-ip': '198.51.100.8' })), '198.51.100.8');
+        assert.equal(clientIp(request({})), '192.0.2.1');
+    });
+});
+
+describe('rate limited routes', () => {
+    for (const [route, handler] of Object.entries({ price, availability })) {
+        it(`refuses /api/${route} once the IP has used its limit`, async () => {
+            process.env[`RATE_LIMIT_${route.toUpperCase()}_IP`] = '2/60';
+
+            for (let i = 0; i < 2; i++) {
+                assert.notEqual((await callHandler(handler, { body: {} })).statusCode, 429);
+            }
+            const res = await callHandler(handler, { body: {} });
+
+            assert.equal(res.statusCode, 429);
+            assert.equal(res.body.code, 'RATE_LIMITED');
+            assert.ok(Number(res.headers['retry-after']) > 0);
+        });
+    }
+
+    it('counts payment attempts per booking reference across IPs', async () => {
+        process.env.RATE_LIMIT_PAY_REFERENCE = '1/60';
+        const attempt = ip => callHandler(pay, { body: { reference: 'MSS-NOPE' }, headers: { 'x-forwarded-for': ip } });
+
+        assert.notEqual((await attempt('198.51.100.1')).statusCode, 429);
+        assert.equal((await attempt('198.51.100.2')).statusCode, 429);
+    });
+});
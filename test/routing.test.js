@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { setCache } from '../api/_lib/cache.js';
+import { getRoutingProviders, getRoute, reverseGeocode, routingConfigError, searchAddresses } from '../api/_lib/routing/index.js';
+import { createStubProvider } from '../api/_lib/routing/stub.js';
+import geocode from '../api/geocode/index.js';
+import ors from '../api/ors.js';
+import { callHandler } from './helpers/http.js';
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+    Object.assign(process.env, { ROUTING_PROVIDERS: 'stub', SIGNING_SECRET: 'test-secret' });
+    delete process.env.VERCEL_ENV;
+    setCache(null);
+});
+
+afterEach(() => {
+    process.env = { ...ENV };
+    setCache(undefined);
+});
+
+describe('stub routing provider', () => {
+    const stub = createStubProvider();
+
+    it('geocodes the same address to the same point in Gauteng', async () => {
+        const [first] = await stub.search('Sandton City');
+        const [again] = await stub.search('  sandton city ');
+        assert.deepEqual(again.coordinates, first.coordinates);
+
+        const [lng, lat] = first.coordinates;
+        assert.ok(lng >= 27.8 && lng <= 28.4 && lat >= -26.4 && lat <= -25.9);
+    });
+
+    it('routes through every point with one leg between each pair', async () => {
+        const points = [[28.0, -26.1], [28.1, -26.1], [28.1, -26.0]];
+        const route = await stub.route(points);
+
+        assert.equal(route.legs.length, 2);
+        assert.equal(route.distance, route.legs[0].distance + route.legs[1].distance);
+        assert.deepEqual(route.geometry[0], [-26.1, 28.0]);
+        // 60 km/h: a minute per kilometre
+        assert.ok(Math.abs(route.duration - route.distance / 1000 * 60) < 1e-6);
+    });
+});
+
+describe('routing providers', () => {
+    it('refuses the stub provider in production unless allowed', () => {
+        process.env.VERCEL_ENV = 'production';
+        assert.match(routingConfigError(), /stub routing provider is disabled in production/);
+
+        process.env.ALLOW_STUB_ROUTING = 'true';
+        assert.equal(routingConfigError(), null);
+    });
+
+    it('refuses unknown providers', () => {
+        process.env.ROUTING_PROVIDERS = 'stub,carrier-pigeon';
+        assert.throws(() => getRoutingProviders(), /Unknown routing provider "carrier-pigeon"/);
+    });
+
+    it('fails over to the next provider when one errors', async (t) => {
+        process.env.ROUTING_PROVIDERS = 'ors,stub';
+        process.env.ORS_API_KEY = 'test-key';
+        t.mock.method(globalThis, 'fetch', async () => {
+            throw new Error('fetch failed');
+        });
+        t.mock.method(console, 'warn', () => {});
+
+        const [place] = await searchAddresses('OR Tambo International Airport');
+        assert.equal(place.label, 'OR Tambo International Airport');
+
+        const route = await getRoute([[28.0, -26.1], [28.2, -26.1]]);
+        assert.ok(route.distance > 0);
+    });
+
+    it('fails over when a provider does not answer in time', async (t) => {
+        Object.assign(process.env, { ROUTING_PROVIDERS: 'ors,stub', ORS_API_KEY: 'test-key', ROUTING_TIMEOUT_MS: '50' });
+        // A request that never answers (the timer keeps the test alive until the abort)
+        t.mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+            const pending = setTimeout(resolve, 10000);
+            signal.addEventListener('abort', () => {
+                clearTimeout(pending);
+                reject(signal.reason);
+            });
+        }));
+        const warn = t.mock.method(console, 'warn', () => {});
+
+        const route = await getRoute([[28.0, -26.1], [28.2, -26.1]]);
+
+        assert.ok(route.distance > 0);
+        assert.match(warn.mock.calls[0].arguments[0], /ors failed \(route\)/);
+    });
+
+    it('reverse geocodes a point to its exact coordinates', async () => {
+        const place = await reverseGeocode([28.05, -26.1]);
+        assert.deepEqual(place.coordinates, [28.05, -26.1]);
+        assert.match(place.label, /^Stub address/);
+    });
+});
+
+describe('/api/ors with the stub provider', () => {
+    it('routes typed addresses and signs the route', async () => {
+        const res = await callHandler(ors, { body: { pickup: 'Sandton City', dropoff: 'OR Tambo International Airport' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.pickupAddress, 'Sandton City');
+        assert.ok(res.body.distance > 0);
+        assert.ok(res.body.routeToken);
+    });
+
+    it('uses the signed label and coordinates of a picked suggestion', async () => {
+        const suggestions = await callHandler(geocode, { method: 'GET', query: { text: 'Sandton City' } });
+        const [picked] = suggestions.body.candidates;
+
+        const res = await callHandler(ors, {
+            body: { pickup: 'Somewhere else entirely', pickupPlace: picked.placeToken, dropoff: 'Polokwane' }
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.pickupAddress, picked.label);
+        assert.deepEqual(res.body.pickupCoords, picked.coordinates);
+    });
+
+    it('ignores coordinates sent without a place token', async () => {
+        const typed = await callHandler(ors, { body: { pickup: 'OR Tambo Airport', dropoff: 'Polokwane' } });
+        const forged = await callHandler(ors, {
+            body: {
+                pickup: 'OR Tambo Airport',
+                dropoff: 'Polokwane',
+                pickupCoords: [28.24, -26.13],
+                dropoffCoords: [28.2401, -26.1301]
+            }
+        });
+
+        assert.equal(forged.statusCode, 200);
+        assert.equal(forged.body.distance, typed.body.distance);
+    });
+
+    it('geocodes the address again when the place token is forged', async () => {
+        const res = await callHandler(ors, {
+            body: { pickup: 'Sandton City', pickupPlace: 'forged.token', dropoff: 'Polokwane' }
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.pickupAddress, 'Sandton City');
+    });
+
+    it('asks for the addresses when the request has no body', async () => {
+        const res = await callHandler(ors, { body: null });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Both pickup and dropoff addresses are required');
+    });
+
+    it('rejects addresses that are not text', async () => {
+        for (const body of [{ pickup: 42, dropoff: 'Polokwane' }, { pickup: 'Sandton City', dropoff: { label: 'Polokwane' } }]) {
+            const res = await callHandler(ors, { body });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.error, 'Pickup and dropoff addresses must be text');
+        }
+    });
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { createFileStore, createMemoryStore } from '../api/_lib/store.js';
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'store-test-'));
+});
+
+after(async () => {
+    await rm(dir, { recursive: true, force: true });
+});
+
+const adapters = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(path.join(dir, `${Date.now()}-${Math.random()}.json`))
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+    describe(`${name} store`, () => {
+        it('gets, puts, lists and deletes documents', async () => {
+            const store = create();
+            await store.put('things', 'a', { n: 1 });
+            await store.put('things', 'b', { n: 2 });
+
+            assert.deepEqual(await store.get('things', 'a'), { n: 1 });
+            assert.equal(await store.get('things', 'missing'), null);
+            assert.equal((await store.list('things')).length, 2);
+            assert.equal(await store.delete('things', 'a'), true);
+            assert.equal(await store.get('things', 'a'), null);
+        });
+
+        it('updates a document from its current value', async () => {
+            const store = create();
+            await store.update('counters', 'n', current => ({ value: (current?.value || 0) + 1 }));
+            const doc = await store.update('counters', 'n', current => ({ value: current.value + 1 }));
+
+            assert.deepEqual(doc, { value: 2 });
+            assert.deepEqual(await store.get('counters', 'n'), { value: 2 });
+        });
+
+        it('leaves the document alone when the update returns null', async () => {
+            const store = create();
+            await store.put('counters', 'n', { value: 5 });
+
+            assert.equal(await store.update('counters', 'n', () => null), null);
+            assert.deepEqual(await store.get('counters', 'n'), { value: 5 });
+        });
+
+        it('loses no increments when updates run at once', async () => {
+            const store = create();
+            await Promise.all(Array.from({ length: 20 }, () =>
+                store.update('counters', 'n', current => ({ value: (current?.value || 0) + 1 }))));
+
+            assert.deepEqual(await store.get('counters', 'n'), { value: 20 });
+        });
+    });
+}
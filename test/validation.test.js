@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+    FIELD_LIMITS, isValidEmail, isValidName, isValidPhone, toInternationalPhone, validateBookingDetails
+} from '../lib/validation.js';
+
+const VALID = {
+    name: "Thandi O'Neil-Mokoena",
+    email: 'thandi@example.co.za',
+    phone: '+27 82 123 4567',
+    date: '2026-12-21',
+    time: '10:00',
+    passengers: 2,
+    price: 806.4,
+    quoteToken: 'token'
+};
+
+describe('isValidName', () => {
+    it('accepts names in any language with spaces, apostrophes and hyphens', () => {
+        for (const name of ['Ann', "Thandi O'Neil-Mokoena", 'Zoë Ndlovu', 'J. R. Smith', 'Nomvula’s']) {
+            assert.ok(isValidName(name), name);
+        }
+    });
+
+    it('refuses markup, digits and other characters', () => {
+        for (const name of ['<script>', 'Ann <b>', 'R2D2', 'a@b', '"Ann"', '-Ann']) {
+            assert.ok(!isValidName(name), name);
+        }
+    });
+
+    it('enforces the length limits', () => {
+        assert.ok(!isValidName('A'));
+        assert.ok(isValidName('A'.repeat(FIELD_LIMITS.name)));
+        assert.ok(!isValidName('A'.repeat(FIELD_LIMITS.name + 1)));
+    });
+
+    it('refuses anything but a string', () => {
+        for (const name of [null, undefined, 42, ['Ann'], { name: 'Ann' }]) {
+            assert.ok(!isValidName(name));
+        }
+    });
+});
+
+describe('isValidEmail', () => {
+    it('accepts ordinary addresses', () => {
+        assert.ok(isValidEmail('a@b.co'));
+        assert.ok(isValidEmail('first.last+tag@example.co.za'));
+    });
+
+    it('refuses malformed addresses', () => {
+        for (const email of ['a', 'a@b', 'a b@c.co', '@b.co', 'a@b.co c@d.co']) {
+            assert.ok(!isValidEmail(email), email);
+        }
+    });
+
+    it('enforces the length limit', () => {
+        const domain = '@b.co';
+        assert.ok(isValidEmail('x'.repeat(FIELD_LIMITS.email - domain.length) + domain));
+        assert.ok(!isValidEmail('x'.repeat(FIELD_LIMITS.email - domain.length + 1) + domain));
+    });
+});
+
+describe('isValidPhone', () => {
+    it('accepts local and international numbers with separators', () => {
+        for (const phone of ['0821234567', '+27 82 123 4567', '(011) 123-4567', '+44 20 7946 0958']) {
+            assert.ok(isValidPhone(phone), phone);
+        }
+    });
+
+    it('refuses too few or too many digits', () => {
+        assert.ok(!isValidPhone('123456789'));
+        assert.ok(!isValidPhone('+1234567890123456'));
+    });
+
+    it('refuses letters, markup and over-long values', () => {
+        for (const phone of ['082 CALL ME', '<b>0821234567</b>', '0821234567 ext 2', `0821234567${' '.repeat(FIELD_LIMITS.phone)}1`]) {
+            assert.ok(!isValidPhone(phone), phone);
+        }
+    });
+});
+
+describe('toInternationalPhone', () => {
+    it('writes South African numbers in E.164 form', () => {
+        for (const phone of ['082 123 4567', '+27 82 123 4567', '0027821234567', '(082) 123-4567']) {
+            assert.equal(toInternationalPhone(phone), '+27821234567', phone);
+        }
+    });
+
+    it('keeps other country codes', () => {
+        assert.equal(toInternationalPhone('+44 20 7946 0958'), '+442079460958');
+    });
+});
+
+describe('validateBookingDetails', () => {
+    it('accepts a complete booking', () => {
+        assert.equal(validateBookingDetails(VALID), null);
+    });
+
+    it('accepts a flexible booking without a date or time', () => {
+        assert.equal(validateBookingDetails({ ...VALID, date: '', time: null }), null);
+    });
+
+    const invalid = [
+        ['name', '<script>alert(1)</script>'],
+        ['name', 'A'.repeat(FIELD_LIMITS.name + 1)],
+        ['email', 'not-an-email'],
+        ['email', `${'x'.repeat(FIELD_LIMITS.email)}@b.co`],
+        ['phone', '<a href=x>0821234567</a>'],
+        ['notificationChannel', 'pigeon'],
+        ['date', '2026-02-30'],
+        ['date', '21/12/2026'],
+        ['time', '25:00'],
+        ['time', '9am'],
+        ['sameDayReturn', 'maybe'],
+        ['returnDate', '2026-13-01'],
+        ['returnTime', '10:60'],
+        ['passengers', 2.5],
+        ['passengers', 0],
+        ['price', 'abc'],
+        ['price', -1],
+        ['quoteToken', undefined],
+        ['quoteToken', 'x'.repeat(FIELD_LIMITS.quoteToken + 1)]
+    ];
+
+    for (const [field, value] of invalid) {
+        it(`refuses ${field} ${JSON.stringify(value)?.slice(0, 30)}`, () => {
+            const problem = validateBookingDetails({ ...VALID, [field]: value });
+            assert.equal(problem?.field, field);
+            assert.ok(problem.error);
+        });
+    }
+});